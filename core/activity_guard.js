@@ -0,0 +1,60 @@
+/* @flow */
+
+import Config from './config'
+
+export type ActivityKind = 'deletion' | 'update'
+
+// A burst of deletions and content updates about to be propagated to the Cozy
+export type SuspiciousActivity = {
+  deletions: number,
+  updates: number,
+  seconds: number
+}
+
+type Activity = {
+  kind: ActivityKind,
+  time: number
+}
+
+// Detects bursts of deletions and content updates going to the Cozy, as when a
+// ransomware encrypts the files or after an accidental rm -rf, so Sync can
+// wait for the user to confirm them before they are all mirrored.
+//
+// A burst is suspicious when the configured number of changes happen within
+// the configured time window. Once allowed, it goes on without asking again
+// until the activity falls back below the threshold.
+export default class ActivityGuard {
+  config: Config
+  activities: Activity[]
+  allowed: boolean
+
+  constructor (config: Config) {
+    this.config = config
+    this.activities = []
+    this.allowed = false
+  }
+
+  // Record a change, and return the suspicious activity it is part of, if any
+  record (kind: ActivityKind, now: number = Date.now()): ?SuspiciousActivity {
+    const {changes, seconds} = this.config.suspiciousActivityThreshold
+    const windowStart = now - seconds * 1000
+    this.activities = this.activities.filter(a => a.time > windowStart)
+    this.activities.push({kind, time: now})
+
+    if (this.activities.length < changes) {
+      this.allowed = false
+      return null
+    }
+    if (this.allowed) return null
+    return {
+      deletions: this.activities.filter(a => a.kind === 'deletion').length,
+      updates: this.activities.filter(a => a.kind === 'update').length,
+      seconds
+    }
+  }
+
+  // Let the current burst go on
+  allow () {
+    this.allowed = true
+  }
+}
@@ -14,31 +14,81 @@ import {createGzip} from 'zlib'
 
 import './globals' // FIXME Use bluebird promises as long as we need asCallback
 import pkg from '../package.json'
+import ActivityGuard from './activity_guard'
 import Config from './config'
+import Conflicts from './conflicts'
+import ControlServer from './control'
 import logger, { LOG_FILE, LOG_FILENAME } from './logger'
 import Pouch from './pouch'
 import Ignore from './ignore'
 import Merge from './merge'
+import { id } from './metadata'
+import ModeSwitch from './mode_switch'
 import Prep from './prep'
+import Reconciliation from './reconciliation'
 import Local from './local'
 import Remote from './remote'
+import RetryQueue from './retry_queue'
 import Sync from './sync'
 import SyncState from './syncstate'
+import Trash from './trash'
 import Registration from './remote/registration'
 
+import type { ConflictAction, ConflictRecord } from './conflicts'
+import type { LocalVersion } from './local/versions'
+import type { ModeSwitchReport } from './mode_switch'
+import type { RemoteSharingLink, RemoteVersion } from './remote/document'
+import type { ReconciliationReport } from './reconciliation'
+import type { RetryRecord } from './retry_queue'
 import type { Callback } from './utils/func'
 import type { SyncMode } from './sync'
+import type { TrashRecord } from './trash'
 
 const log = logger({
   component: 'App'
 })
 
+// setTimeout() can't wait longer than this
+const MAX_TIMEOUT = 2147483647
+
 const SUPPORT_EMAIL = process.env.COZY_DESKTOP_SUPPORT_EMAIL || 'contact@cozycloud.cc'
 
+// Each profile synchronizes one folder with one Cozy, with its own config and
+// Pouch db. The default one lives in the historical ~/.cozy-desktop dir, the
+// named ones in ~/.cozy-desktop-profiles/<name>. Logs are shared.
+export const DEFAULT_PROFILE = 'default'
+export const PROFILES_DIR = '.cozy-desktop-profiles'
+
+// Profile names end up in directory names
+export function validProfileName (name: string): boolean {
+  return /^[a-z0-9][a-z0-9_-]*$/i.test(name)
+}
+
+// The directory where the config and pouch of the given profile are saved
+export function profileDir (root: string, profile: string): string {
+  if (profile === DEFAULT_PROFILE) return path.join(root, '.cozy-desktop')
+  return path.join(root, PROFILES_DIR, profile)
+}
+
+// The names of the profiles found in the given root dir, the default one first
+export function listProfiles (root: string): string[] {
+  let names = []
+  try {
+    names = fs.readdirSync(path.join(root, PROFILES_DIR))
+      .filter(name => validProfileName(name) && name !== DEFAULT_PROFILE)
+      .sort()
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err
+  }
+  return [DEFAULT_PROFILE].concat(names)
+}
+
 // App is the entry point for the CLI and GUI.
 // They both can do actions and be notified by events via an App instance.
 class App {
   lang: string
+  root: string
+  profile: string
   basePath: string
   config: Config
   pouch: Pouch
@@ -49,19 +99,29 @@ class App {
   local: Local
   remote: Remote
   sync: Sync
+  reconciliation: Reconciliation
+  retryQueue: RetryQueue
+  control: ?ControlServer
+  pausedUntil: ?Date
+  pauseTimeout: *
+  // Set up by the GUI, sharing links are not copied without it
+  clipboard: ?{writeText: (string) => void}
 
   static logger: Function
 
-  // basePath is the directory where the config and pouch are saved
-  constructor (basePath: string) {
+  // root is the directory where the profiles are saved (see profileDir())
+  constructor (root: ?string, profile: string = DEFAULT_PROFILE) {
+    if (!validProfileName(profile)) throw new Error(`Invalid profile name: ${profile}`)
+    this.profile = profile
     log.info(this.debugInformations(), 'App initialization')
     this.lang = 'fr'
-    if (basePath == null) { basePath = os.homedir() }
-    basePath = path.resolve(basePath)
-    this.basePath = path.join(basePath, '.cozy-desktop')
+    if (root == null) { root = os.homedir() }
+    this.root = path.resolve(root)
+    this.basePath = profileDir(this.root, profile)
     this.config = new Config(this.basePath)
     this.pouch = new Pouch(this.config)
     this.events = new SyncState()
+    this.clipboard = null
   }
 
   // Parse the URL
@@ -105,9 +165,33 @@ class App {
       return {syncPath, error: 'You cannot synchronize your whole system or personal folder'}
     }
 
+    // Two profiles synchronizing the same files would fight over them
+    const other = this.profileSyncing(syncPath)
+    if (other) {
+      return {syncPath, error: `The ${other} profile already synchronizes this folder, one of its parents or subfolders`}
+    }
+
     return {syncPath}
   }
 
+  // The name of another profile whose sync dir is the given one, one of its
+  // parents or subfolders, if any
+  profileSyncing (syncPath: string): ?string {
+    if (!this.root) return null // e.g. App.prototype.checkSyncPath()
+    const isInside = (child, parent) =>
+      (child + path.sep).startsWith(parent + path.sep)
+    for (const name of listProfiles(this.root)) {
+      if (name === this.profile) continue
+      const dir = profileDir(this.root, name)
+      if (!fs.existsSync(dir)) continue
+      const other = new Config(dir).syncPath
+      if (other && (isInside(syncPath, other) || isInside(other, syncPath))) {
+        return name
+      }
+    }
+    return null
+  }
+
   // Return a promise for registering a device on the remote cozy
   registerRemote (cozyUrl: string, redirectURI: ?string, onRegistered: ?Function, deviceName: string) {
     const registration = new Registration(cozyUrl, this.config)
@@ -131,6 +215,7 @@ class App {
       const registered = await this.registerRemote(cozyUrl, null, null, deviceName)
       log.info(`Device ${registered.deviceName} has been added to ${cozyUrl}`)
       this.saveConfig(cozyUrl, syncPath)
+      return null
     } catch (err) {
       log.error('An error occured while registering your device.')
       let parsed: Object = this.parseCozyUrl(cozyUrl)
@@ -146,6 +231,7 @@ class App {
           log.warn('Did you try with an httpS URL?')
         }
       }
+      return err
     }
   }
 
@@ -169,6 +255,11 @@ class App {
 
   async removeConfig () {
     await this.pouch.db.destroy()
+    if (this.profile !== DEFAULT_PROFILE) {
+      // Logs are kept in the default profile dir anyway
+      await fs.remove(this.basePath)
+      return
+    }
     for (const name of await fs.readdir(this.basePath)) {
       if (name.startsWith(LOG_FILENAME)) continue
       await fs.remove(path.join(this.basePath, name))
@@ -257,23 +348,38 @@ class App {
   // Instanciate some objects before sync
   instanciate () {
     this.loadIgnore()
-    this.merge = new Merge(this.pouch)
+    this.merge = new Merge(this.pouch, this.events)
     this.prep = new Prep(this.merge, this.ignore, this.config)
     this.local = this.merge.local = new Local(this.config, this.prep, this.pouch, this.events)
     this.remote = this.merge.remote = new Remote(this.config, this.prep, this.pouch, this.events)
     this.sync = new Sync(this.pouch, this.local, this.remote, this.ignore, this.events)
     this.sync.diskUsage = this.diskUsage
+    this.sync.activityGuard = new ActivityGuard(this.config)
+    this.retryQueue = this.sync.retryQueue = new RetryQueue(this.pouch, this.events)
+    this.reconciliation = new Reconciliation(this.config, this.pouch, this.ignore,
+      this.prep, this.remote.watcher, this.events)
   }
 
   // Start the synchronization
   startSync (mode: SyncMode) {
     this.config.saveMode(mode)
     log.info('Run first synchronisation...')
+    this.reconciliation.start()
+    this.retryQueue.start()
+      .catch(err => log.error({err}, 'Could not load the changes to retry'))
     return this.sync.start(mode)
   }
 
   // Stop the synchronisation
   stopSync () {
+    this.clearPauseTimeout()
+    this.pausedUntil = null
+    if (this.reconciliation) this.reconciliation.stop()
+    if (this.retryQueue) this.retryQueue.stop()
+    if (this.control) {
+      this.control.stop()
+      this.control = null
+    }
     if (!this.sync) {
       // $FlowFixMe
       return Promise.resolve()
@@ -281,6 +387,232 @@ class App {
     return this.sync.stop()
   }
 
+  // Stop applying changes until the given date, or until resumeSync() is
+  // called when no date is given. The watchers keep saving the changes in
+  // Pouch, so nothing is lost meanwhile.
+  pauseSync (until: ?Date) {
+    const {sync} = this
+    if (!sync) throw new Error('Synchronization is not running')
+    this.clearPauseTimeout()
+    this.pausedUntil = until
+    log.info({until}, 'Pause synchronization')
+    if (until) {
+      const end = until.getTime()
+      const wait = () => {
+        const delay = end - Date.now()
+        this.pauseTimeout = delay > MAX_TIMEOUT
+          ? setTimeout(wait, MAX_TIMEOUT)
+          : setTimeout(() => this.resumeSync(), delay)
+      }
+      wait()
+    }
+    sync.pause()
+  }
+
+  // Apply again the changes saved while the synchronization was paused
+  resumeSync () {
+    this.clearPauseTimeout()
+    this.pausedUntil = null
+    if (this.sync) this.sync.resume()
+  }
+
+  clearPauseTimeout () {
+    if (this.pauseTimeout) {
+      clearTimeout(this.pauseTimeout)
+      this.pauseTimeout = null
+    }
+  }
+
+  // List the remote folders right inside the given one, so the user can pick
+  // the ones to synchronize. Paths are relative to the Cozy root.
+  async listRemoteDirs (parentPath: string = ''): Promise<Array<{path: string, name: string}>> {
+    if (!this.remote) this.instanciate()
+    const dirs = await this.remote.remoteCozy.subDirectories(
+      path.posix.join('/', parentPath))
+    return dirs.map(dir => ({path: dir.path.slice(1), name: dir.name}))
+  }
+
+  // Only synchronize the remote folders which are not in the given list.
+  //
+  // Newly excluded folders are removed locally, while the remote changes
+  // feed is fetched again from the start when some folder is synchronized
+  // again so its content is downloaded.
+  async setExcludedDirs (dirs: string[]): Promise<void> {
+    const previous = this.config.excludedDirs
+    this.config.saveExcludedDirs(dirs)
+    const current = this.config.excludedDirs
+    log.info({previous, current}, 'Excluded folders changed')
+    if (!this.sync) this.instanciate()
+
+    for (const dir of _.difference(current, previous)) {
+      await this.sync.removeExcludedDir(dir.split('/').join(path.sep))
+    }
+
+    if (previous.some(dir => !this.config.isExcluded(dir))) {
+      await this.pouch.setRemoteSeqAsync('0')
+      if (this.sync.stopped === false) await this.remote.watcher.watch()
+    }
+  }
+
+  // Expose the local control API (see ./control.js) so the running
+  // synchronization can be observed and steered from other processes
+  startControlServer (): Promise<void> {
+    if (!this.control) this.control = new ControlServer(this)
+    return this.control.start()
+  }
+
+  // Switch to another sync mode while the synchronization is stopped.
+  // With dryRun, only report what would be uploaded, downloaded or discarded.
+  async switchMode (mode: SyncMode, {dryRun}: {dryRun?: boolean} = {}): Promise<ModeSwitchReport> {
+    if (this.sync && this.sync.stopped === false) {
+      throw new Error('Stop the synchronization before switching mode')
+    }
+    if (!this.remote) this.instanciate()
+    const modeSwitch = new ModeSwitch(this.config, this.pouch, this.ignore, this.remote.remoteCozy)
+    const plan = await modeSwitch.plan(mode)
+    if (!dryRun) await modeSwitch.apply(plan)
+    return plan.report
+  }
+
+  // Compare the synchronized files with Pouch to find the ones left out of
+  // sync, and feed the missed changes to the watchers' pipeline with repair.
+  // The repaired changes are applied by the synchronization.
+  async reconcile ({repair}: {repair?: boolean} = {}): Promise<ReconciliationReport> {
+    if (!this.reconciliation) this.instanciate()
+    const plan = await this.reconciliation.check()
+    if (repair) await this.reconciliation.repair(plan)
+    return plan.report
+  }
+
+  // The changes which failed, with their errors and when they are retried
+  listSyncFailures (): Promise<RetryRecord[]> {
+    if (!this.retryQueue) this.instanciate()
+    return this.retryQueue.list()
+  }
+
+  // Apply again a change which failed, without waiting for its next attempt
+  retrySyncFailure (id: string): Promise<void> {
+    if (!this.retryQueue) this.instanciate()
+    return this.retryQueue.retryNow(id)
+  }
+
+  // The previous versions of a local file, kept before it was overwritten or
+  // trashed, the most recent first
+  listLocalVersions (relPath: string): Promise<LocalVersion[]> {
+    if (!this.local) this.instanciate()
+    return this.local.versions.list(relPath)
+  }
+
+  // Put back a previous version of a local file, the latest one by default
+  restoreLocalVersion (relPath: string, savedAt: ?string): Promise<LocalVersion> {
+    if (!this.local) this.instanciate()
+    return this.local.versions.restore(relPath, savedAt)
+  }
+
+  // The remote id of the synchronized file with the given path, or folder
+  // when they are accepted too
+  async remoteFileId (relPath: string, {orFolder = false}: {orFolder?: boolean} = {}): Promise<string> {
+    const doc = await this.pouch.db.get(id(relPath))
+    if (doc.remote == null || (doc.docType !== 'file' && !orFolder)) {
+      throw new Error(`Not a synchronized ${orFolder ? 'file or folder' : 'file'}: ${relPath}`)
+    }
+    return doc.remote._id
+  }
+
+  // The previous versions of a file kept by the Cozy, the most recent first
+  async listRemoteVersions (relPath: string): Promise<RemoteVersion[]> {
+    if (!this.remote) this.instanciate()
+    return this.remote.listVersions(await this.remoteFileId(relPath))
+  }
+
+  // Save the content of a previous version of a file at the given full path,
+  // e.g. outside of the synchronized folder to compare it with the current one
+  async downloadRemoteVersion (versionID: string, destination: string): Promise<void> {
+    if (!this.remote) this.instanciate()
+    const content = await this.remote.downloadVersion(versionID)
+    await new Promise((resolve, reject) => {
+      const target = fs.createWriteStream(destination)
+      content.on('error', reject)
+      target.on('error', reject)
+      target.on('finish', resolve)
+      content.pipe(target)
+    })
+  }
+
+  // Make a previous version the current content of its file on the Cozy. It
+  // is then downloaded by the synchronization.
+  async restoreRemoteVersion (versionID: string): Promise<void> {
+    if (!this.remote) this.instanciate()
+    await this.remote.restoreVersion(versionID)
+  }
+
+  // A public link to read the synchronized file or folder with the given
+  // path, copied to the clipboard. An existing link without password nor
+  // expiration date is reused, unless one of them is given.
+  async shareLink (relPath: string, options: {password?: ?string, expiresAt?: ?Date} = {}): Promise<RemoteSharingLink> {
+    if (!this.remote) this.instanciate()
+    const remoteID = await this.remoteFileId(relPath, {orFolder: true})
+    let link
+    if (!options.password && !options.expiresAt) {
+      const links = await this.remote.sharingLinks(remoteID)
+      link = links.find(link => !link.password && !link.expiresAt)
+    }
+    if (link == null) link = await this.remote.createSharingLink(remoteID, options)
+    if (this.clipboard) this.clipboard.writeText(link.url)
+    return link
+  }
+
+  // The public links to the synchronized file or folder with the given path
+  async listSharingLinks (relPath: string): Promise<RemoteSharingLink[]> {
+    if (!this.remote) this.instanciate()
+    return this.remote.sharingLinks(await this.remoteFileId(relPath, {orFolder: true}))
+  }
+
+  conflicts (): Conflicts {
+    if (!this.local) this.instanciate()
+    return new Conflicts(this.config, this.pouch, this.local)
+  }
+
+  // List the conflicts waiting for the user to choose which version to keep
+  listConflicts (): Promise<ConflictRecord[]> {
+    return this.conflicts().list()
+  }
+
+  // Keep the local version, the remote one or both
+  resolveConflict (id: string, action: ConflictAction): Promise<void> {
+    return this.conflicts().resolve(id, action)
+  }
+
+  // The full paths of both versions of a conflicting file, to open them
+  async conflictPaths (id: string): Promise<[string, string]> {
+    const conflicts = this.conflicts()
+    const record = _.find(await conflicts.list(), {id})
+    if (!record) throw new Error(`No such conflict: ${id}`)
+    return conflicts.fullPaths(record)
+  }
+
+  trash (): Trash {
+    if (!this.remote) this.instanciate()
+    return new Trash(this.pouch, this.prep, this.remote)
+  }
+
+  // List the files and folders deleted from this device which are still in
+  // the Cozy trash
+  listTrash (): Promise<TrashRecord[]> {
+    return this.trash().list()
+  }
+
+  // Put back a file or folder from the Cozy trash. It is then downloaded by
+  // the synchronization.
+  restoreTrashed (id: string): Promise<void> {
+    return this.trash().restore(id)
+  }
+
+  // Permanently delete files and folders from the Cozy trash
+  destroyTrashed (ids: string[]): Promise<void> {
+    return this.trash().destroy(ids)
+  }
+
   // Start database sync process and setup file change watcher
   synchronize (mode: SyncMode) {
     if (!this.config.isValid()) {
@@ -304,6 +636,7 @@ class App {
 
     return {
       appVersion: pkg.version,
+      profile: this.profile,
       configPath: config.configPath,
       configVersion: config.version,
       cozyUrl: config.cozyUrl,
@@ -317,33 +650,39 @@ class App {
   }
 
   // Call the callback for each file
-  walkFiles (args: {ignored?: any}, callback: Callback) {
+  // The returned promise is resolved once the whole tree has been walked.
+  walkFiles (args: {ignored?: any}, callback: (string) => void): Promise<void> {
     this.loadIgnore()
     let options = {
       root: this.config.syncPath,
       directoryFilter: '!.cozy-desktop',
       entryType: 'both'
     }
-    readdirp(options)
-      .on('warn', err => log.warn(err))
-      .on('error', err => log.error(err))
-      .on('data', data => {
-        let doc = {
-          _id: data.path,
-          docType: data.stat.isFile() ? 'file' : 'folder'
-        }
-        if (this.ignore.isIgnored(doc) === (args.ignored != null)) {
-          callback(data.path)
-        }
-      })
+    return new Promise((resolve, reject) => {
+      readdirp(options)
+        .on('warn', err => log.warn(err))
+        .on('error', err => {
+          log.error(err)
+          reject(err)
+        })
+        .on('data', data => {
+          let doc = {
+            _id: data.path,
+            docType: data.stat.isFile() ? 'file' : 'folder'
+          }
+          if (this.ignore.isIgnored(doc) === !!args.ignored) {
+            callback(data.path)
+          }
+        })
+        .on('end', () => resolve())
+    })
   }
 
   // Recreate the local pouch database
-  resetDatabase () {
+  async resetDatabase () {
     log.info('Recreates the local database...')
-    this.pouch.resetDatabase(function () {
-      log.info('Database recreated')
-    })
+    await this.pouch.resetDatabaseAsync()
+    log.info('Database recreated')
   }
 
   // Return the whole content of the database
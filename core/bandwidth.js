@@ -0,0 +1,141 @@
+/* @flow */
+
+import stream from 'stream'
+
+import Config from './config'
+import { withContentLength } from './file_stream_provider'
+
+import type { ReadableWithContentLength } from './file_stream_provider'
+
+export type Direction = 'upload' | 'download'
+
+// Limits in kB/s overriding the default ones on the given days (0 is Sunday)
+// between from and to, e.g. '09:00' and '18:00'. A schedule ending before it
+// starts goes on the next day.
+export type BandwidthSchedule = {
+  days: number[],
+  from: string,
+  to: string,
+  upload?: ?number,
+  download?: ?number
+}
+
+// Limits in kB/s, null or 0 meaning unlimited
+export type BandwidthLimits = {
+  upload: ?number,
+  download: ?number,
+  schedules: BandwidthSchedule[]
+}
+
+export const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat']
+
+const TIME = /^([01]\d|2[0-3]):([0-5]\d)$/
+
+const minutes = (time: string): number => {
+  const [, hours, mins] = time.match(TIME) || []
+  return parseInt(hours) * 60 + parseInt(mins)
+}
+
+export function validTime (time: string): boolean {
+  return TIME.test(time)
+}
+
+// Whether the given date is inside the schedule
+export function inSchedule (schedule: BandwidthSchedule, now: Date): boolean {
+  const from = minutes(schedule.from)
+  const to = minutes(schedule.to)
+  const current = now.getHours() * 60 + now.getMinutes()
+  const day = now.getDay()
+  if (from <= to) {
+    return schedule.days.includes(day) && from <= current && current < to
+  }
+  return (schedule.days.includes(day) && current >= from) ||
+    (schedule.days.includes((day + 6) % 7) && current < to)
+}
+
+// The limit in bytes per second for the given direction at the given date,
+// from the first matching schedule limiting it, or else the default one.
+export function currentRate (limits: BandwidthLimits, direction: Direction, now: Date): ?number {
+  const schedule = limits.schedules.find(s =>
+    s[direction] != null && inSchedule(s, now))
+  const kBps = schedule ? schedule[direction] : limits[direction]
+  return kBps ? kBps * 1024 : null
+}
+
+// Parse a schedule like 'mon-fri 09:00-18:00', 'sat,sun 10:00-12:00' or
+// '22:00-06:00' (every day)
+export function parseSchedule (spec: string): {days: number[], from: string, to: string} {
+  const parts = spec.trim().split(/\s+/)
+  const hours = parts.pop()
+  const [from, to] = (hours || '').split('-')
+  if (parts.length > 1 || !validTime(from) || !validTime(to)) {
+    throw new Error(`Invalid schedule: ${spec} (expected e.g. mon-fri 09:00-18:00)`)
+  }
+  if (parts.length === 0) return {days: [0, 1, 2, 3, 4, 5, 6], from, to}
+
+  const days = new Set()
+  for (const range of parts[0].toLowerCase().split(',')) {
+    const [first, last = first] = range.split('-').map(name => DAYS.indexOf(name))
+    if (first === -1 || last === -1) {
+      throw new Error(`Invalid days: ${parts[0]} (expected e.g. mon-fri or sat,sun)`)
+    }
+    for (let day = first; ; day = (day + 1) % 7) {
+      days.add(day)
+      if (day === last) break
+    }
+  }
+  return {days: Array.from(days).sort(), from, to}
+}
+
+export function formatSchedule (schedule: BandwidthSchedule): string {
+  const days = schedule.days.length === 7
+    ? 'every day'
+    : schedule.days.map(day => DAYS[day]).join(',')
+  return `${days} ${schedule.from}-${schedule.to}`
+}
+
+// Slows the streams going in one direction down to the configured limits.
+//
+// Streams throttled by the same limiter share the bandwidth, and the limits
+// are read from the config for each chunk, so changes and schedules apply to
+// the transfers in progress too.
+export class BandwidthLimiter {
+  config: Config
+  direction: Direction
+  // When the next chunk may go through, as a timestamp in ms
+  nextTime: number
+
+  constructor (config: Config, direction: Direction) {
+    this.config = config
+    this.direction = direction
+    this.nextTime = 0
+  }
+
+  rate (): ?number {
+    return currentRate(this.config.bandwidthLimits, this.direction, new Date())
+  }
+
+  // How long to wait in ms before sending the given number of bytes
+  reserve (size: number): number {
+    const rate = this.rate()
+    if (!rate) return 0
+    const now = Date.now()
+    const start = Math.max(now, this.nextTime)
+    this.nextTime = start + size * 1000 / rate
+    return start - now
+  }
+
+  throttle (source: ReadableWithContentLength): ReadableWithContentLength {
+    const limiter = this
+    const throttled = new stream.Transform({
+      transform (chunk, encoding, callback) {
+        const delay = limiter.reserve(chunk.length)
+        if (delay === 0) return callback(null, chunk)
+        setTimeout(() => callback(null, chunk), delay)
+      }
+    })
+    source.on('error', err => throttled.emit('error', err))
+    source.pipe(throttled)
+    return withContentLength(throttled, source.contentLength)
+  }
+}
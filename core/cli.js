@@ -0,0 +1,906 @@
+/* @flow */
+
+import { Command } from 'commander'
+import _ from 'lodash'
+import os from 'os'
+import path from 'path'
+import readline from 'readline'
+
+import pkg from '../package.json'
+import App, { DEFAULT_PROFILE, listProfiles, profileDir, validProfileName } from './app'
+import { formatSchedule, parseSchedule } from './bandwidth'
+import Config, { CONFLICT_STRATEGIES, DEFAULT_TRANSFER_CONCURRENCY, SYMLINK_POLICIES, WATCHER_BACKENDS } from './config'
+import { controlAddress, controlRequest } from './control'
+import { OFFLINE_DELETIONS_REFUSED } from './local/sync_dir_guard'
+import logger from './logger'
+
+import type EventEmitter from 'events'
+import type { ModeSwitchReport } from './mode_switch'
+import type { ReconciliationReport } from './reconciliation'
+import type { SyncMode } from './sync'
+
+const log = logger({
+  component: 'CLI'
+})
+
+// Exit codes, borrowed from sysexits(3), so scripts can tell failures apart
+export const EXIT_OK = 0
+export const EXIT_FAILURE = 1
+export const EXIT_USAGE = 64
+export const EXIT_NO_SYNC_DIR = 66
+export const EXIT_UNAVAILABLE = 69
+export const EXIT_IO = 74
+export const EXIT_REVOKED = 77
+export const EXIT_NOT_CONFIGURED = 78
+
+const SYNC_MODES: SyncMode[] = ['pull', 'push', 'full']
+
+const NOT_CONFIGURED_MESSAGE =
+  'No configuration found, please run add-remote-cozy first.'
+
+// Map the errors thrown by the App to an exit code
+export function exitCodeFor (err: Error): number {
+  switch (err.message) {
+    case 'No client configured':
+      return EXIT_NOT_CONFIGURED
+    case 'Client has been revoked':
+    case 'Client has wrong permissions (lack disk-usage)':
+      return EXIT_REVOKED
+    case 'Syncdir has been unlinked':
+    case OFFLINE_DELETIONS_REFUSED:
+      return EXIT_NO_SYNC_DIR
+    case 'No more disk space':
+    case 'Cozy is full':
+      return EXIT_IO
+  }
+  // $FlowFixMe
+  if (err.code === 'ENOTFOUND' || err.code === 'ECONNREFUSED') {
+    return EXIT_UNAVAILABLE
+  }
+  if (err.message.match(/you cannot switch/)) return EXIT_USAGE
+  return EXIT_FAILURE
+}
+
+// Print the SyncState events so the user can follow the synchronization
+export function reportSyncState (events: EventEmitter, out: (string) => void) {
+  let lastLabel = null
+  events.on('sync-status', ({label, remaining}) => {
+    if (label === lastLabel && label !== 'sync') return
+    lastLabel = label
+    out(label === 'sync' ? `sync (${remaining} remaining)` : label)
+  })
+  events.on('offline', () => out('offline'))
+  events.on('online', () => out('online'))
+  events.on('transfer-started', (doc, direction) => out(`${direction} ${doc.path}`))
+  events.on('transfer-copy', (doc) => out(`copy ${doc.path}`))
+  events.on('transfer-move', (doc, old) => out(`move ${old.path} -> ${doc.path}`))
+  events.on('delete-file', (doc) => out(`delete ${doc.path}`))
+  events.on('suspicious-activity', ({deletions, updates, seconds}) => {
+    out(`suspicious activity: ${deletions} deletions and ${updates} updates in ${seconds}s, ` +
+        'paused until resume is run')
+  })
+  events.on('reconciliation', (report, repaired) => {
+    const divergences = _.sum(_.map(report, 'length'))
+    if (divergences > 0) {
+      out(`reconciliation: ${divergences} divergences${repaired ? ' repaired' : ', run reconcile --repair'}`)
+    }
+  })
+  events.on('platform-incompatibilities', (incompatibilities) => {
+    for (const {path, reason} of incompatibilities) {
+      out(`incompatible ${path}: ${reason}`)
+    }
+  })
+}
+
+// Ask whether the files and folders which disappeared while the client was
+// stopped can be deleted on the Cozy too, when they look suspicious
+export function confirmOfflineDeletions (events: EventEmitter, ask: (string) => Promise<string>) {
+  events.on('offline-deletions', ({deletions, total, syncDirChanged}, answer) => {
+    const reason = syncDirChanged
+      ? 'The synchronized folder does not look like the one of the last run.'
+      : `${deletions} of ${total} files and folders disappeared since the last run.`
+    ask(`${reason}\nIs it mounted? Delete ${deletions} files and folders on the Cozy too? [y/N] `)
+      .then(reply => answer(/^y(es)?$/i.test(reply.trim())))
+  })
+}
+
+const question = (text: string): Promise<string> => new Promise((resolve) => {
+  const rl = readline.createInterface({input: process.stdin, output: process.stdout})
+  rl.question(text, (reply) => {
+    rl.close()
+    resolve(reply)
+  })
+})
+
+export async function addRemoteCozy (app: App, cozyUrl: string, syncPath: string, deviceName: ?string): Promise<number> {
+  try {
+    cozyUrl = app.checkCozyUrl(cozyUrl)
+  } catch (err) {
+    console.error(err.message)
+    return EXIT_USAGE
+  }
+  const checked = app.checkSyncPath(path.resolve(syncPath))
+  if (checked.error) {
+    console.error(checked.error)
+    return EXIT_USAGE
+  }
+  // $FlowFixMe
+  const err = await app.addRemote(cozyUrl, checked.syncPath, deviceName)
+  if (err) {
+    console.error(`Could not register this device on ${cozyUrl}: ${err.message || err}`)
+    return err instanceof Error ? exitCodeFor(err) : EXIT_FAILURE
+  }
+  console.log(`Device registered, ${checked.syncPath} will be synchronized with ${cozyUrl}`)
+  return EXIT_OK
+}
+
+export async function removeRemoteCozy (app: App): Promise<number> {
+  if (!app.config.isValid()) {
+    console.error(NOT_CONFIGURED_MESSAGE)
+    return EXIT_NOT_CONFIGURED
+  }
+  const err = await app.removeRemote()
+  if (err) {
+    console.error(`Could not unregister this device: ${err.message || err}`)
+    return EXIT_FAILURE
+  }
+  console.log('Device unregistered, configuration removed')
+  return EXIT_OK
+}
+
+// Run the synchronization until it fails.
+// Stopping it on purpose is done by the signal handlers set up by run().
+export async function sync (app: App, mode: string, concurrency: ?string): Promise<number> {
+  if (!validMode(mode)) return EXIT_USAGE
+  if (!app.config.isValid()) {
+    console.error(NOT_CONFIGURED_MESSAGE)
+    return EXIT_NOT_CONFIGURED
+  }
+  if (concurrency != null) {
+    const transfers = Number(concurrency)
+    if (!Number.isInteger(transfers) || transfers < 1) {
+      console.error(`Invalid concurrency: ${concurrency} (expected a number of files)`)
+      return EXIT_USAGE
+    }
+    app.config.saveTransferConcurrency(transfers)
+  }
+  reportSyncState(app.events, console.log)
+  // Without a terminal, suspicious offline deletions are refused
+  if (process.stdin.isTTY) confirmOfflineDeletions(app.events, question)
+  try {
+    // $FlowFixMe
+    const running = app.synchronize(mode)
+    app.startControlServer()
+      .catch((err) => log.warn({err}, 'Could not start the control API'))
+    await running
+    return EXIT_OK
+  } catch (err) {
+    log.error({err}, 'Synchronization stopped')
+    console.error(err.message)
+    if (err.message.match(/you cannot switch/)) {
+      console.error(`Run switch-mode ${mode} first to switch safely.`)
+    } else if (err.message === OFFLINE_DELETIONS_REFUSED) {
+      console.error('Make sure the synchronized folder is mounted, or run sync from a terminal to confirm the deletions.')
+    }
+    return exitCodeFor(err)
+  }
+}
+
+// Print what switching mode does, one line per file
+export function reportModeSwitch (report: ModeSwitchReport, out: (string) => void) {
+  const line = (action, type, path) =>
+    out(`${_.padEnd(action, 9)}${_.padEnd(type, 7)}${path}`)
+  for (const {type, path} of report.upload) line('upload', type, path)
+  for (const {type, path} of report.download) line('download', type, path)
+  for (const path of report.discard) line('discard', '', path)
+  out(`${report.upload.length} to upload, ${report.download.length} to download, ` +
+      `${report.discard.length} to discard`)
+}
+
+// Switch to another mode, reconciling the database with it.
+// With dryRun, only print what would be uploaded, downloaded or discarded.
+export async function switchMode (app: App, mode: string, dryRun: boolean): Promise<number> {
+  if (!validMode(mode)) return EXIT_USAGE
+  if (!app.config.isValid()) {
+    console.error(NOT_CONFIGURED_MESSAGE)
+    return EXIT_NOT_CONFIGURED
+  }
+  const from = app.config.config.mode
+  if (from === mode) {
+    console.log(`Already in ${mode} mode`)
+    return EXIT_OK
+  }
+  if (await runningStatus(app.basePath)) {
+    console.error('Stop the running synchronization before switching mode')
+    return EXIT_USAGE
+  }
+  try {
+    // $FlowFixMe
+    const report = await app.switchMode(mode, {dryRun})
+    reportModeSwitch(report, console.log)
+    console.log(dryRun
+      ? `Nothing changed, run without --dry-run to switch from ${from || 'none'} to ${mode}`
+      : `Switched from ${from || 'none'} to ${mode}`)
+    return EXIT_OK
+  } catch (err) {
+    log.error({err}, 'Could not switch mode')
+    console.error(err.message)
+    return exitCodeFor(err)
+  }
+}
+
+// Print the divergences found by a reconciliation, one line per file
+export function reportReconciliation (report: ReconciliationReport, out: (string) => void) {
+  const categories = Object.keys(report)
+  const width = Math.max(...categories.map(category => category.length)) + 2
+  for (const category of categories) {
+    for (const path of report[category]) out(`${_.padEnd(category, width)}${path}`)
+  }
+  const divergences = _.sum(categories.map(category => report[category].length))
+  out(divergences === 0 ? 'No divergences' : `${divergences} divergences`)
+}
+
+type ReconcileOptions = {
+  repair?: boolean,
+  every?: string
+}
+
+// Check now that the synchronized files match Pouch, through the running
+// synchronization if any, and repair them with repair.
+// With every, save how often it is done while synchronizing instead.
+export async function reconcile (app: App, options: ReconcileOptions): Promise<number> {
+  const {config} = app
+  const {repair = false, every} = options
+  if (!config.isValid()) {
+    console.error(NOT_CONFIGURED_MESSAGE)
+    return EXIT_NOT_CONFIGURED
+  }
+  const running = await runningStatus(app.basePath)
+
+  if (every != null) {
+    const interval = Number(every)
+    if (!Number.isInteger(interval) || interval < 0) {
+      console.error(`Invalid interval: ${every} (expected a number of hours, 0 to disable)`)
+      return EXIT_USAGE
+    }
+    // The running synchronization would overwrite the config with its own
+    if (running) {
+      console.error('Stop the running synchronization before changing the reconciliation schedule')
+      return EXIT_USAGE
+    }
+    try {
+      config.saveReconciliation({interval, repair})
+    } catch (err) {
+      console.error(err.message)
+      return EXIT_USAGE
+    }
+    console.log(interval === 0
+      ? 'The synchronized files will not be checked periodically'
+      : `The synchronized files will be checked every ${interval} hours` +
+        (repair ? ' and repaired' : ''))
+    return EXIT_OK
+  }
+
+  try {
+    const report = running
+      ? await controlRequest(controlAddress(app.basePath), 'POST',
+        `/reconcile${repair ? '?repair=true' : ''}`)
+      : await app.reconcile({repair})
+    reportReconciliation(report, console.log)
+    if (repair) {
+      console.log(running
+        ? 'Missed changes saved, they are being synchronized'
+        : 'Missed changes saved, they will be synchronized on the next run')
+    }
+    return EXIT_OK
+  } catch (err) {
+    log.error({err}, 'Could not reconcile')
+    console.error(err.message)
+    return err.status ? EXIT_UNAVAILABLE : exitCodeFor(err)
+  }
+}
+
+// Show the conflict strategies, or save the one of the synchronized folder or
+// of the given subfolder. Subfolders inherit the strategy of their parents
+// unless they have their own.
+export async function conflictStrategy (app: App, strategy: ?string, folder: ?string): Promise<number> {
+  const {config} = app
+  if (strategy == null) {
+    console.log(`${config.conflictStrategy} (default)`)
+    for (const [dir, folderStrategy] of _.toPairs(config.folderConflictStrategies)) {
+      console.log(`${folderStrategy} in ${dir}`)
+    }
+    return EXIT_OK
+  }
+  if (!CONFLICT_STRATEGIES.includes(strategy) && !(folder && strategy === 'inherit')) {
+    console.error(`Invalid conflict strategy: ${strategy} (expected one of ${CONFLICT_STRATEGIES.join(', ')}` +
+                  `${folder ? ', inherit' : ''})`)
+    return EXIT_USAGE
+  }
+  // The running synchronization would overwrite the config with its own
+  if (await runningStatus(app.basePath)) {
+    console.error('Stop the running synchronization before changing the conflict strategy')
+    return EXIT_USAGE
+  }
+  config.saveConflictStrategy(strategy === 'inherit' ? null : strategy, folder)
+  console.log(folder
+    ? `Conflicts in ${folder} will be resolved with ${config.conflictStrategyFor(folder)}`
+    : `Conflicts will be resolved with ${config.conflictStrategy}`)
+  return EXIT_OK
+}
+
+// Show or save the percentage of files and folders which can disappear while
+// the client is stopped without asking before deleting them on the Cozy
+export async function offlineDeletionThreshold (app: App, percent: ?string): Promise<number> {
+  const {config} = app
+  if (percent == null) {
+    console.log(`${config.offlineDeletionThreshold}%`)
+    return EXIT_OK
+  }
+  const threshold = Number(percent)
+  if (!Number.isInteger(threshold) || threshold < 1 || threshold > 100) {
+    console.error(`Invalid threshold: ${percent} (expected a percentage between 1 and 100)`)
+    return EXIT_USAGE
+  }
+  if (await runningStatus(app.basePath)) {
+    console.error('Stop the running synchronization before changing the threshold')
+    return EXIT_USAGE
+  }
+  config.saveOfflineDeletionThreshold(threshold)
+  console.log(`Deleting more than ${threshold}% of the files will have to be confirmed`)
+  return EXIT_OK
+}
+
+// Show or save how many deletions and content updates going to the Cozy
+// within some seconds pause the synchronization until confirmed
+export async function suspiciousActivity (app: App, changes: ?string, seconds: ?string): Promise<number> {
+  const {config} = app
+  if (changes == null && seconds == null) {
+    const threshold = config.suspiciousActivityThreshold
+    console.log(`${threshold.changes} changes in ${threshold.seconds}s`)
+    return EXIT_OK
+  }
+  const threshold = {}
+  for (const [key, value] of [['changes', changes], ['seconds', seconds]]) {
+    if (value == null) continue
+    const number = Number(value)
+    if (!Number.isInteger(number) || number < 1) {
+      console.error(`Invalid number of ${key}: ${value}`)
+      return EXIT_USAGE
+    }
+    threshold[key] = number
+  }
+  if (await runningStatus(app.basePath)) {
+    console.error('Stop the running synchronization before changing the threshold')
+    return EXIT_USAGE
+  }
+  config.saveSuspiciousActivityThreshold(threshold)
+  const saved = config.suspiciousActivityThreshold
+  console.log(`The synchronization will pause after ${saved.changes} deletions or updates in ${saved.seconds}s`)
+  return EXIT_OK
+}
+
+// Show or save the symlink policy
+export async function symlinks (app: App, policy: ?string): Promise<number> {
+  const {config} = app
+  if (policy == null) {
+    console.log(config.symlinkPolicy)
+    return EXIT_OK
+  }
+  if (!SYMLINK_POLICIES.includes(policy)) {
+    console.error(`Invalid symlink policy: ${policy} (expected one of ${SYMLINK_POLICIES.join(', ')})`)
+    return EXIT_USAGE
+  }
+  if (await runningStatus(app.basePath)) {
+    console.error('Stop the running synchronization before changing the symlink policy')
+    return EXIT_USAGE
+  }
+  config.saveSymlinkPolicy(policy)
+  console.log(`Symlinks will be handled with ${config.symlinkPolicy}`)
+  return EXIT_OK
+}
+
+// Show or save how the local changes are watched
+export async function watcher (app: App, backend: ?string): Promise<number> {
+  const {config} = app
+  if (backend == null) {
+    console.log(config.watcherBackend)
+    return EXIT_OK
+  }
+  if (!WATCHER_BACKENDS.includes(backend)) {
+    console.error(`Invalid watcher backend: ${backend} (expected one of ${WATCHER_BACKENDS.join(', ')})`)
+    return EXIT_USAGE
+  }
+  if (await runningStatus(app.basePath)) {
+    console.error('Stop the running synchronization before changing the watcher backend')
+    return EXIT_USAGE
+  }
+  config.saveWatcherBackend(backend)
+  console.log(`Local changes will be watched with ${config.watcherBackend}`)
+  return EXIT_OK
+}
+
+type LocalVersionsOptions = {
+  days?: string,
+  size?: string
+}
+
+// Show or save how many previous versions of each file are kept before it is
+// overwritten or trashed by the synchronization, for how long and up to which
+// total size
+export async function localVersions (app: App, count: ?string, options: LocalVersionsOptions): Promise<number> {
+  const {config} = app
+  const {days, size} = options
+  if (count == null && days == null && size == null) {
+    const retention = config.localVersions
+    if (retention.count === 0) {
+      console.log('Previous versions are not kept')
+    } else {
+      console.log(`${retention.count} versions per file, for ${retention.days} days, up to ${retention.size} MB`)
+    }
+    return EXIT_OK
+  }
+  const retention = {}
+  for (const [key, value] of [['count', count], ['days', days], ['size', size]]) {
+    if (value == null) continue
+    const number = Number(value)
+    if (!Number.isInteger(number) || number < 0) {
+      console.error(`Invalid ${key}: ${value}`)
+      return EXIT_USAGE
+    }
+    retention[key] = number
+  }
+  if (await runningStatus(app.basePath)) {
+    console.error('Stop the running synchronization before changing the retention of versions')
+    return EXIT_USAGE
+  }
+  config.saveLocalVersions(retention)
+  const saved = config.localVersions
+  if (saved.count === 0) {
+    console.log('Previous versions will not be kept anymore')
+  } else {
+    console.log(`Up to ${saved.count} previous versions of each file will be kept for ${saved.days} days, up to ${saved.size} MB`)
+  }
+  return EXIT_OK
+}
+
+// List the previous versions of a file, or restore one of them, the latest
+// one when restore is true
+export async function versions (app: App, relPath: string, restore: ?(string|boolean)): Promise<number> {
+  const filePath = path.normalize(relPath)
+  try {
+    if (restore) {
+      const version = await app.restoreLocalVersion(filePath, restore === true ? null : restore)
+      console.log(`Restored the version of ${filePath} from ${version.savedAt}`)
+      return EXIT_OK
+    }
+    const list = await app.listLocalVersions(filePath)
+    if (list.length === 0) console.log(`No previous version of ${filePath}`)
+    for (const version of list) {
+      console.log(`${version.savedAt}  ${version.size} bytes`)
+    }
+    return EXIT_OK
+  } catch (err) {
+    console.error(err.message)
+    return EXIT_FAILURE
+  }
+}
+
+type ShareOptions = {
+  password?: string,
+  expires?: string,
+  list?: boolean
+}
+
+// Print a public link to a synchronized file or folder, optionally protected
+// by a password and expiring after the given number of days, or list the
+// existing ones
+export async function share (app: App, relPath: string, {password, expires, list}: ShareOptions): Promise<number> {
+  const filePath = path.normalize(relPath)
+  let expiresAt
+  if (expires != null) {
+    const days = Number(expires)
+    if (!Number.isInteger(days) || days <= 0) {
+      console.error(`Invalid number of days: ${expires}`)
+      return EXIT_USAGE
+    }
+    expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000)
+  }
+  try {
+    if (list) {
+      const links = await app.listSharingLinks(filePath)
+      if (links.length === 0) console.log(`No sharing link for ${filePath}`)
+      for (const link of links) {
+        const details = [
+          link.password ? 'password' : null,
+          link.expiresAt ? `expires ${link.expiresAt}` : null
+        ].filter(Boolean)
+        console.log(details.length > 0 ? `${link.url}  (${details.join(', ')})` : link.url)
+      }
+      return EXIT_OK
+    }
+    const link = await app.shareLink(filePath, {password, expiresAt})
+    console.log(link.url)
+    return EXIT_OK
+  } catch (err) {
+    console.error(err.message)
+    return EXIT_FAILURE
+  }
+}
+
+type BandwidthOptions = {
+  upload?: string,
+  download?: string,
+  during?: string,
+  clearSchedules?: boolean
+}
+
+const formatLimit = (limit: ?number): string =>
+  limit ? `${limit} kB/s` : 'unlimited'
+
+// Show the bandwidth limits, or change them. With during, the given limits
+// only apply on this schedule.
+export async function bandwidth (app: App, options: BandwidthOptions): Promise<number> {
+  const {config} = app
+  const {upload, download, during, clearSchedules} = options
+  if (upload == null && download == null && during != null) {
+    console.error('Give an upload or a download limit to apply on this schedule')
+    return EXIT_USAGE
+  }
+  if (upload == null && download == null && !clearSchedules) {
+    const limits = config.bandwidthLimits
+    console.log(`Upload:    ${formatLimit(limits.upload)}`)
+    console.log(`Download:  ${formatLimit(limits.download)}`)
+    for (const schedule of limits.schedules) {
+      const scheduled = ['upload', 'download']
+        .filter(direction => schedule[direction] != null)
+        .map(direction => `${direction} ${formatLimit(schedule[direction])}`)
+      console.log(`${formatSchedule(schedule)}: ${scheduled.join(', ')}`)
+    }
+    return EXIT_OK
+  }
+
+  const changes = {}
+  for (const [direction, value] of [['upload', upload], ['download', download]]) {
+    if (value == null) continue
+    const limit = Number(value)
+    if (!(limit >= 0)) {
+      console.error(`Invalid ${direction} limit: ${value} (expected kB/s, 0 for unlimited)`)
+      return EXIT_USAGE
+    }
+    changes[direction] = limit
+  }
+  let schedule
+  try {
+    schedule = during == null ? null : parseSchedule(during)
+  } catch (err) {
+    console.error(err.message)
+    return EXIT_USAGE
+  }
+  // The running synchronization would overwrite the config with its own
+  if (await runningStatus(app.basePath)) {
+    console.error('Stop the running synchronization before changing the bandwidth limits')
+    return EXIT_USAGE
+  }
+
+  const limits = config.bandwidthLimits
+  if (clearSchedules) limits.schedules = []
+  if (schedule) {
+    const same = (s) => _.isEqual(_.pick(s, ['days', 'from', 'to']), schedule)
+    const previous = limits.schedules.find(same)
+    limits.schedules = limits.schedules.filter(s => !same(s))
+      .concat({...previous, ...schedule, ...changes})
+  } else {
+    Object.assign(limits, changes)
+  }
+  config.saveBandwidthLimits(limits)
+  console.log('Bandwidth limits saved')
+  return EXIT_OK
+}
+
+export async function ls (app: App, ignored: boolean): Promise<number> {
+  if (!app.config.syncPath) {
+    console.error(NOT_CONFIGURED_MESSAGE)
+    return EXIT_NOT_CONFIGURED
+  }
+  try {
+    await app.walkFiles({ignored}, (relpath) => console.log(relpath))
+    return EXIT_OK
+  } catch (err) {
+    console.error(err.message)
+    return EXIT_FAILURE
+  }
+}
+
+export async function resetDatabase (app: App): Promise<number> {
+  try {
+    await app.resetDatabase()
+    console.log('Database recreated')
+    return EXIT_OK
+  } catch (err) {
+    console.error(err.message)
+    return EXIT_FAILURE
+  }
+}
+
+// Show the configuration and how many changes are waiting to be synchronized.
+// When a synchronization is running, its status is asked to its control API.
+export async function status (app: App): Promise<number> {
+  const {config} = app
+  if (!config.isValid()) {
+    console.log('Not configured')
+    return EXIT_NOT_CONFIGURED
+  }
+  console.log(`Cozy:      ${config.cozyUrl}`)
+  console.log(`Device:    ${config.deviceName}`)
+  console.log(`Sync path: ${config.syncPath}`)
+  console.log(`Mode:      ${config.config.mode || 'none yet'}`)
+  const running = await runningStatus(app.basePath)
+  if (running) {
+    const {label, remaining, online, pausedUntil} = running
+    console.log(`Status:    ${online ? label : 'offline'}`)
+    if (label === 'sync') console.log(`Remaining: ${remaining}`)
+    if (pausedUntil) console.log(`Until:     ${new Date(pausedUntil).toString()}`)
+    return EXIT_OK
+  }
+  const localSeq = await app.pouch.getLocalSeqAsync()
+  const lastSeq = (await app.pouch.db.changes({limit: 1, descending: true})).last_seq
+  const pending = Math.max(0, lastSeq - localSeq)
+  console.log(`Status:    ${pending === 0 ? 'uptodate' : `${pending} change(s) to apply`} (not running)`)
+  return EXIT_OK
+}
+
+// List the profiles, one per line, with their Cozy, sync dir, mode and status
+export async function profiles (root: string): Promise<number> {
+  const names = listProfiles(root)
+  const width = Math.max(...names.map(name => name.length)) + 2
+  for (const name of names) {
+    const basePath = profileDir(root, name)
+    const config = new Config(basePath)
+    if (!config.isValid()) {
+      console.log(`${_.padEnd(name, width)}not configured`)
+      continue
+    }
+    const running = await runningStatus(basePath)
+    const state = running
+      ? (running.online ? running.label : 'offline')
+      : 'not running'
+    console.log(`${_.padEnd(name, width)}${config.cozyUrl} ${config.syncPath} ` +
+                `(${config.config.mode || 'no mode yet'}, ${state})`)
+  }
+  return EXIT_OK
+}
+
+// Ask the running synchronization to stop applying changes, for the given
+// number of minutes or indefinitely
+export async function pause (app: App, minutes: ?string): Promise<number> {
+  let urlPath = '/pause'
+  if (minutes != null) {
+    const duration = parseInt(minutes)
+    if (!(duration > 0)) {
+      console.error(`Invalid duration: ${minutes} (expected a number of minutes)`)
+      return EXIT_USAGE
+    }
+    const until = new Date(Date.now() + duration * 60 * 1000)
+    urlPath += `?until=${until.toISOString()}`
+  }
+  return controlRunningSync(app, urlPath, 'Synchronization paused')
+}
+
+export async function resume (app: App): Promise<number> {
+  return controlRunningSync(app, '/resume', 'Synchronization resumed')
+}
+
+function validMode (mode: string): boolean {
+  if (SYNC_MODES.includes(mode)) return true
+  console.error(`Invalid mode: ${mode} (expected one of ${SYNC_MODES.join(', ')})`)
+  return false
+}
+
+// The status of the running synchronization of the profile saved in the given
+// dir if any, from its control API
+async function runningStatus (basePath: string): Promise<?Object> {
+  try {
+    return await controlRequest(controlAddress(basePath), 'GET', '/status')
+  } catch (err) {
+    log.debug({err}, 'No running synchronization')
+    return null
+  }
+}
+
+async function controlRunningSync (app: App, urlPath: string, done: string): Promise<number> {
+  try {
+    await controlRequest(controlAddress(app.basePath), 'POST', urlPath)
+    console.log(done)
+    return EXIT_OK
+  } catch (err) {
+    log.debug({err}, 'Could not reach the running synchronization')
+    console.error(err.status ? err.message : 'No running synchronization found')
+    return EXIT_UNAVAILABLE
+  }
+}
+
+// Parse the command-line arguments and run the matching command.
+// The process exits with the command exit code.
+export function run (argv: string[]) {
+  const program = new Command()
+  const root = path.resolve(process.env.COZY_DESKTOP_DIR || os.homedir())
+  // Named profiles are only created by add-remote-cozy, so typos don't leave
+  // empty profiles behind
+  const app = (create: boolean = false) => {
+    const profile = program.profile || DEFAULT_PROFILE
+    if (!validProfileName(profile)) {
+      console.error(`Invalid profile name: ${profile} (expected letters, digits, - or _)`)
+      process.exit(EXIT_USAGE)
+    }
+    if (!create && !listProfiles(root).includes(profile)) {
+      console.error(`No ${profile} profile, run add-remote-cozy --profile ${profile} first.`)
+      process.exit(EXIT_NOT_CONFIGURED)
+    }
+    return new App(root, profile)
+  }
+  let running = false
+  const exit = (pCode: Promise<number>) => {
+    running = true
+    pCode
+      .then(code => process.exit(code))
+      .catch(err => {
+        log.error({err})
+        console.error(err.message)
+        process.exit(EXIT_FAILURE)
+      })
+  }
+
+  program
+    .version(pkg.version)
+    .description(pkg.description)
+    .option('-p, --profile <name>', `profile to use, to synchronize several Cozy instances (defaults to ${DEFAULT_PROFILE})`)
+
+  program
+    .command('add-remote-cozy <url> <syncPath>')
+    .description('Register this device on the given Cozy and synchronize syncPath with it')
+    .option('-d, --deviceName <deviceName>', 'device name to register')
+    .action((url, syncPath, cmd) => exit(addRemoteCozy(app(true), url, syncPath, cmd.deviceName)))
+
+  program
+    .command('remove-remote-cozy')
+    .description('Unregister this device from its Cozy and remove its configuration')
+    .action(() => exit(removeRemoteCozy(app())))
+
+  program
+    .command('sync')
+    .description('Synchronize the local folder with the Cozy')
+    .option('-m, --mode <mode>', `one of ${SYNC_MODES.join(', ')} (defaults to the last mode used, or full)`)
+    .option('-c, --concurrency <files>', `how many files to transfer at the same time, kept for the next runs (defaults to ${DEFAULT_TRANSFER_CONCURRENCY})`)
+    .action((cmd) => {
+      const desktop = app()
+      const stop = () => {
+        desktop.stopSync()
+          .then(() => process.exit(EXIT_OK))
+          .catch(() => process.exit(EXIT_FAILURE))
+      }
+      process.on('SIGINT', stop)
+      process.on('SIGTERM', stop)
+      exit(sync(desktop, cmd.mode || desktop.config.config.mode || 'full', cmd.concurrency))
+    })
+
+  program
+    .command('switch-mode <mode>')
+    .description(`Switch to another mode (${SYNC_MODES.join(', ')}) after the first synchronization`)
+    .option('-n, --dry-run', 'only show what would be uploaded, downloaded or discarded')
+    .action((mode, cmd) => exit(switchMode(app(), mode, !!cmd.dryRun)))
+
+  program
+    .command('reconcile')
+    .description('Find the files which are out of sync, e.g. after missed changes or too many errors')
+    .option('-r, --repair', 'synchronize them again (periodically too with --every)')
+    .option('-e, --every <hours>', 'check periodically while synchronizing (0 to disable, defaults to 24)')
+    .action((cmd) => exit(reconcile(app(), {repair: !!cmd.repair, every: cmd.every})))
+
+  program
+    .command('conflict-strategy [strategy]')
+    .description(`Show or set how conflicts are resolved (${CONFLICT_STRATEGIES.join(', ')})`)
+    .option('-f, --folder <folder>', 'only in the given folder, relative to the synchronized one (inherit to remove)')
+    .action((strategy, cmd) => exit(conflictStrategy(app(), strategy, cmd.folder)))
+
+  program
+    .command('offline-deletion-threshold [percent]')
+    .description('Show or set the percentage of files deleted while stopped above which a confirmation is needed')
+    .action((percent) => exit(offlineDeletionThreshold(app(), percent)))
+
+  program
+    .command('suspicious-activity [changes]')
+    .description('Show or set how many deletions or updates in a row pause the synchronization until resume')
+    .option('-s, --seconds <seconds>', 'time window in which the changes are counted')
+    .action((changes, cmd) => exit(suspiciousActivity(app(), changes, cmd.seconds)))
+
+  program
+    .command('symlinks [policy]')
+    .description(`Show or set how symlinks are synchronized (${SYMLINK_POLICIES.join(', ')})`)
+    .action((policy) => exit(symlinks(app(), policy)))
+
+  program
+    .command('watcher [backend]')
+    .description(`Show or set how local changes are watched (${WATCHER_BACKENDS.join(', ')})`)
+    .action((backend) => exit(watcher(app(), backend)))
+
+  program
+    .command('bandwidth')
+    .description('Show or set the upload and download limits')
+    .option('-u, --upload <kB/s>', 'upload limit (0 for unlimited)')
+    .option('-d, --download <kB/s>', 'download limit (0 for unlimited)')
+    .option('-w, --during <schedule>', 'only apply the limits on schedule, e.g. "mon-fri 09:00-18:00"')
+    .option('--clear-schedules', 'remove the scheduled limits')
+    .action((cmd) => exit(bandwidth(app(), cmd)))
+
+  program
+    .command('local-versions [count]')
+    .description('Show or set how many previous versions of each file are kept before the synchronization replaces it (0 for none)')
+    .option('-d, --days <days>', 'how long the versions are kept')
+    .option('-s, --size <MB>', 'how much space all the versions can take')
+    .action((count, cmd) => exit(localVersions(app(), count, cmd)))
+
+  program
+    .command('versions <path>')
+    .description('List the previous versions of a file, relative to the synchronized folder')
+    .option('-r, --restore [date]', 'put back the version saved at date, the latest one by default')
+    .action((relPath, cmd) => exit(versions(app(), relPath, cmd.restore)))
+
+  program
+    .command('share <path>')
+    .description('Print a public link to a file or folder, relative to the synchronized folder')
+    // No short flag, -p is the profile
+    .option('--password <password>', 'protect the link with a password')
+    .option('-e, --expires <days>', 'make the link expire after the given number of days')
+    .option('-l, --list', 'list the existing links instead')
+    .action((relPath, cmd) => exit(share(app(), relPath, {
+      password: cmd.password,
+      expires: cmd.expires,
+      list: !!cmd.list
+    })))
+
+  program
+    .command('ls')
+    .description('List the synchronized files and folders')
+    .option('-i, --ignored', 'list the ignored ones instead')
+    .action((cmd) => exit(ls(app(), !!cmd.ignored)))
+
+  program
+    .command('reset-database')
+    .description('Recreate the local database (files will be analysed again)')
+    .action(() => exit(resetDatabase(app())))
+
+  program
+    .command('pause')
+    .description('Stop applying changes, while still watching them, until resume')
+    .option('-f, --for <minutes>', 'resume automatically after the given number of minutes')
+    .action((cmd) => exit(pause(app(), cmd.for)))
+
+  program
+    .command('resume')
+    .description('Apply changes again after pause')
+    .action(() => exit(resume(app())))
+
+  program
+    .command('status')
+    .description('Show the configuration and the pending changes')
+    .action(() => exit(status(app())))
+
+  program
+    .command('profiles')
+    .description('List the profiles and the status of their synchronization')
+    .action(() => exit(profiles(root)))
+
+  program.on('*', (args) => {
+    console.error(`Unknown command: ${args[0]}`)
+    program.outputHelp()
+    process.exit(EXIT_USAGE)
+  })
+
+  program.parse(argv)
+
+  if (!running) {
+    program.outputHelp()
+    process.exit(EXIT_USAGE)
+  }
+}
@@ -4,6 +4,55 @@ import path from 'path'
 
 import { hideOnWindows } from './utils/fs'
 
+// How Merge resolves conflicts (see ./merge.js)
+export const CONFLICT_STRATEGIES = [
+  'keep-both',
+  'newest-wins',
+  'local-wins',
+  'remote-wins',
+  'keep-remote-version'
+]
+const DEFAULT_CONFLICT_STRATEGY = 'keep-both'
+
+// What LocalWatcher does with the symlinks in the synchronized folder:
+// - skip: ignore them
+// - link: synchronize them as links, recreated by the other Linux clients
+// - follow: synchronize the content of their targets as regular files
+export const SYMLINK_POLICIES = ['skip', 'link', 'follow']
+const DEFAULT_SYMLINK_POLICY = 'skip'
+
+// How LocalWatcher is notified of the changes in the synchronized folder (see
+// ./local/backend.js):
+// - chokidar: the portable default
+// - inotify: GNU/Linux only, detects moves directly
+export const WATCHER_BACKENDS = ['chokidar', 'inotify']
+const DEFAULT_WATCHER_BACKEND = 'chokidar'
+
+// Percentage of the synchronized files and folders which can disappear while
+// the client is stopped before their deletion has to be confirmed (see
+// ./local/sync_dir_guard.js)
+export const DEFAULT_OFFLINE_DELETION_THRESHOLD = 50
+
+// How many deletions and content updates going to the Cozy within some
+// seconds look like a ransomware or a mistake (see ./activity_guard.js)
+export const DEFAULT_SUSPICIOUS_ACTIVITY_THRESHOLD = {changes: 100, seconds: 60}
+
+// How many files are transferred at the same time by default
+export const DEFAULT_TRANSFER_CONCURRENCY = 4
+
+// How often, in hours, the synchronized files are checked for divergences
+// between Pouch, the local folder and the Cozy (see ./reconciliation.js), and
+// whether they are repaired then. 0 disables the check.
+export const DEFAULT_RECONCILIATION = {interval: 24, repair: false}
+
+// How many previous versions of each file Local keeps before overwriting or
+// trashing it, for how many days, and up to how many MB in total (see
+// ./local/versions.js). No version is kept with a count of 0.
+export const DEFAULT_LOCAL_VERSIONS = {count: 0, days: 30, size: 1024}
+
+// setTimeout() and setInterval() can't wait longer than about 24 days
+const MAX_RECONCILIATION_INTERVAL = 24 * 24
+
 // Config can keep some configuration parameters in a JSON file,
 // like the devices credentials or the mount path
 export default class Config {
@@ -11,6 +60,7 @@ export default class Config {
   constructor (basePath) {
     this.configPath = path.join(basePath, 'config.json')
     this.dbPath = path.join(basePath, 'db')
+    this.versionsPath = path.join(basePath, 'versions')
     fs.ensureDirSync(this.dbPath)
     hideOnWindows(basePath)
     fs.ensureFileSync(this.configPath)
@@ -106,6 +156,199 @@ export default class Config {
     this.persist()
   }
 
+  // Set the mode even if another one was used before, once the database has
+  // been reconciled with it (see ./mode_switch.js)
+  switchMode (mode) {
+    this.config.mode = mode
+    this.persist()
+  }
+
+  // Remote folders which are not synchronized, with their content.
+  // They are saved as paths relative to the Cozy root, e.g. 'Photos/2017'.
+  get excludedDirs () {
+    return this.config.excludedDirs || []
+  }
+
+  // Save the remote folders which should not be synchronized.
+  // Folders inside other excluded ones are dropped since they are excluded
+  // anyway.
+  saveExcludedDirs (dirs) {
+    const normalized = _.uniq(dirs.map(dir => _.trim(dir, '/')).filter(dir => dir !== ''))
+    this.config.excludedDirs = normalized
+      .filter(dir => !normalized.some(other => dir.startsWith(other + '/')))
+      .sort()
+    this.persist()
+  }
+
+  // Return true if the given path, relative to the synchronized folder, is an
+  // excluded folder or is inside one.
+  isExcluded (relPath) {
+    const posixPath = relPath.split(path.sep).join('/')
+    return this.excludedDirs.some(dir =>
+      posixPath === dir || posixPath.startsWith(dir + '/'))
+  }
+
+  // The conflict strategy for the whole synchronized folder
+  get conflictStrategy () {
+    return this.config.conflictStrategy || DEFAULT_CONFLICT_STRATEGY
+  }
+
+  // Conflict strategies overriding the global one inside some folders, by
+  // path relative to the synchronized folder, e.g. {'Photos': 'remote-wins'}
+  get folderConflictStrategies () {
+    return this.config.folderConflictStrategies || {}
+  }
+
+  // Save the conflict strategy for the given folder, or the global one when
+  // no folder is given. A null strategy removes the one of the folder.
+  saveConflictStrategy (strategy, folder) {
+    if (strategy != null && !CONFLICT_STRATEGIES.includes(strategy)) {
+      throw new Error(`Unknown conflict strategy: ${strategy}`)
+    }
+    const dir = _.trim((folder || '').split(path.sep).join('/'), '/')
+    if (dir === '') {
+      this.config.conflictStrategy = strategy || DEFAULT_CONFLICT_STRATEGY
+    } else if (strategy) {
+      this.config.folderConflictStrategies = {...this.folderConflictStrategies, [dir]: strategy}
+    } else {
+      this.config.folderConflictStrategies = _.omit(this.folderConflictStrategies, dir)
+    }
+    this.persist()
+  }
+
+  // Return the strategy of the closest folder of the given path, relative to
+  // the synchronized folder, or the global one.
+  conflictStrategyFor (relPath) {
+    const posixPath = relPath.split(path.sep).join('/')
+    const folders = this.folderConflictStrategies
+    const closest = _.maxBy(
+      Object.keys(folders).filter(dir =>
+        posixPath === dir || posixPath.startsWith(dir + '/')),
+      dir => dir.length)
+    return closest ? folders[closest] : this.conflictStrategy
+  }
+
+  get symlinkPolicy () {
+    return this.config.symlinkPolicy || DEFAULT_SYMLINK_POLICY
+  }
+
+  saveSymlinkPolicy (policy) {
+    if (!SYMLINK_POLICIES.includes(policy)) {
+      throw new Error(`Unknown symlink policy: ${policy}`)
+    }
+    this.config.symlinkPolicy = policy
+    this.persist()
+  }
+
+  get watcherBackend () {
+    return this.config.watcherBackend || DEFAULT_WATCHER_BACKEND
+  }
+
+  saveWatcherBackend (backend) {
+    if (!WATCHER_BACKENDS.includes(backend)) {
+      throw new Error(`Unknown watcher backend: ${backend}`)
+    }
+    this.config.watcherBackend = backend
+    this.persist()
+  }
+
+  get offlineDeletionThreshold () {
+    return this.config.offlineDeletionThreshold || DEFAULT_OFFLINE_DELETION_THRESHOLD
+  }
+
+  saveOfflineDeletionThreshold (percent) {
+    if (!Number.isInteger(percent) || percent < 1 || percent > 100) {
+      throw new Error(`Invalid offline deletion threshold: ${percent}`)
+    }
+    this.config.offlineDeletionThreshold = percent
+    this.persist()
+  }
+
+  get suspiciousActivityThreshold () {
+    return {...DEFAULT_SUSPICIOUS_ACTIVITY_THRESHOLD, ...this.config.suspiciousActivityThreshold}
+  }
+
+  saveSuspiciousActivityThreshold (threshold) {
+    const {changes, seconds} = {...this.suspiciousActivityThreshold, ...threshold}
+    for (const value of [changes, seconds]) {
+      if (!Number.isInteger(value) || value < 1) {
+        throw new Error(`Invalid suspicious activity threshold: ${value}`)
+      }
+    }
+    this.config.suspiciousActivityThreshold = {changes, seconds}
+    this.persist()
+  }
+
+  // The id of the marker file and the device of the synchronized folder, as
+  // of the last initial scan
+  get syncDirMarker () {
+    return this.config.syncDirMarker || null
+  }
+
+  saveSyncDirMarker (marker) {
+    this.config.syncDirMarker = marker
+    this.persist()
+  }
+
+  // How many files can be uploaded or downloaded at the same time
+  get transferConcurrency () {
+    return this.config.transferConcurrency || DEFAULT_TRANSFER_CONCURRENCY
+  }
+
+  saveTransferConcurrency (concurrency) {
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+      throw new Error(`Invalid transfer concurrency: ${concurrency}`)
+    }
+    this.config.transferConcurrency = concurrency
+    this.persist()
+  }
+
+  get reconciliation () {
+    return {...DEFAULT_RECONCILIATION, ...this.config.reconciliation}
+  }
+
+  saveReconciliation (options) {
+    const {interval, repair} = {...this.reconciliation, ...options}
+    if (!Number.isInteger(interval) || interval < 0 || interval > MAX_RECONCILIATION_INTERVAL) {
+      throw new Error(`Invalid reconciliation interval: ${interval}`)
+    }
+    this.config.reconciliation = {interval, repair: !!repair}
+    this.persist()
+  }
+
+  get localVersions () {
+    return {...DEFAULT_LOCAL_VERSIONS, ...this.config.localVersions}
+  }
+
+  saveLocalVersions (options) {
+    const {count, days, size} = {...this.localVersions, ...options}
+    for (const [key, value] of [['count', count], ['days', days], ['size', size]]) {
+      if (!Number.isInteger(value) || value < 0) {
+        throw new Error(`Invalid local versions ${key}: ${value}`)
+      }
+    }
+    this.config.localVersions = {count, days, size}
+    this.persist()
+  }
+
+  // Upload & download limits in kB/s, and the schedules overriding them (see
+  // ./bandwidth.js)
+  get bandwidthLimits () {
+    const {upload = null, download = null, schedules = []} = this.config.bandwidth || {}
+    return {upload, download, schedules}
+  }
+
+  saveBandwidthLimits (limits) {
+    const {upload, download, schedules} = limits
+    for (const limit of [upload, download, ...schedules.map(s => s.upload), ...schedules.map(s => s.download)]) {
+      if (limit != null && (typeof limit !== 'number' || limit < 0)) {
+        throw new Error(`Invalid bandwidth limit: ${limit}`)
+      }
+    }
+    this.config.bandwidth = {upload, download, schedules}
+    this.persist()
+  }
+
   // Implement the Storage interface for cozy-client-js oauth
 
   save (key, value) {
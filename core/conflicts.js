@@ -0,0 +1,137 @@
+/* @flow */
+
+import fs from 'fs-extra'
+import _ from 'lodash'
+import path from 'path'
+import uuid from 'uuid/v4'
+
+import Config from './config'
+import Local from './local'
+import logger from './logger'
+import { id } from './metadata'
+import Pouch from './pouch'
+
+import type { Metadata, SideName } from './metadata'
+
+const log = logger({
+  component: 'Conflicts'
+})
+
+export type ConflictVersion = {
+  md5sum: string,
+  size?: number,
+  updated_at: string
+}
+
+// A conflict resolved by renaming one of the versions with the -conflict
+// suffix, so the user can choose which one to keep later.
+// The version from renamedSide is the one at conflictPath, the other one is
+// still at path.
+export type ConflictRecord = {
+  id: string,
+  path: string,
+  conflictPath: string,
+  renamedSide: SideName,
+  local: ConflictVersion,
+  remote: ConflictVersion,
+  createdAt: string
+}
+
+export type ConflictAction = 'keep-local' | 'keep-remote' | 'keep-both'
+
+export const CONFLICT_ACTIONS: ConflictAction[] = ['keep-local', 'keep-remote', 'keep-both']
+
+const version = (doc: Metadata): ConflictVersion =>
+  _.pick(doc, ['md5sum', 'size', 'updated_at'])
+
+// Build the record of a conflict, the renamed version coming from the given
+// side
+export function conflictRecord (renamedSide: SideName, renamed: Metadata, kept: Metadata, conflictPath: string): ConflictRecord {
+  return {
+    id: uuid(),
+    path: kept.path,
+    conflictPath,
+    renamedSide,
+    local: version(renamedSide === 'local' ? renamed : kept),
+    remote: version(renamedSide === 'remote' ? renamed : kept),
+    createdAt: new Date().toISOString()
+  }
+}
+
+// The conflicts waiting for the user to choose which version to keep.
+//
+// Choosing is done on the local filesystem, so the watchers pick up the
+// changes and synchronize them as usual: the kept version is moved back to
+// the original path, while the other one is moved to the OS trash (and to the
+// Cozy trash once synchronized).
+export default class Conflicts {
+  config: Config
+  pouch: Pouch
+  local: Local
+
+  constructor (config: Config, pouch: Pouch, local: Local) {
+    this.config = config
+    this.pouch = pouch
+    this.local = local
+  }
+
+  // The conflicts whose both versions are still there, oldest first.
+  // Records of conflicts the user resolved by hand are dropped.
+  async list (): Promise<ConflictRecord[]> {
+    const records = await this.pouch.getConflictsAsync()
+    const stale = []
+    for (const record of records) {
+      if (!await this.exists(record.path) || !await this.exists(record.conflictPath)) {
+        stale.push(record.id)
+      }
+    }
+    if (stale.length > 0) {
+      log.info({count: stale.length}, 'Forgetting conflicts resolved by hand')
+      await this.forget(stale)
+    }
+    return records.filter(record => !stale.includes(record.id))
+  }
+
+  // Keep the version from the given side, or both
+  async resolve (recordId: string, action: ConflictAction): Promise<void> {
+    const record = _.find(await this.pouch.getConflictsAsync(), {id: recordId})
+    if (!record) throw new Error(`No such conflict: ${recordId}`)
+    log.info({path: record.path, action}, 'Resolving conflict')
+
+    if (action !== 'keep-both') {
+      const [originalPath, copyPath] = this.fullPaths(record)
+      if (!await fs.exists(copyPath)) {
+        throw new Error(`${record.conflictPath} is not synchronized yet`)
+      }
+      const keptSide = action === 'keep-local' ? 'local' : 'remote'
+      if (record.renamedSide === keptSide) {
+        await fs.move(copyPath, originalPath, {overwrite: true})
+      } else {
+        const copy = await this.pouch.db.get(id(record.conflictPath))
+        await this.local.trashAsync(copy)
+      }
+    }
+    await this.forget([recordId])
+  }
+
+  // The full paths of the original file and of its conflict copy
+  fullPaths (record: ConflictRecord): [string, string] {
+    const {syncPath} = this.config
+    return [path.join(syncPath, record.path), path.join(syncPath, record.conflictPath)]
+  }
+
+  async exists (relPath: string): Promise<boolean> {
+    try {
+      await this.pouch.db.get(id(relPath))
+      return true
+    } catch (err) {
+      if (err.status !== 404) throw err
+      return false
+    }
+  }
+
+  forget (recordIds: string[]): Promise<void> {
+    return this.pouch.updateConflictsAsync(records =>
+      records.filter(record => !recordIds.includes(record.id)))
+  }
+}
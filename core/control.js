@@ -0,0 +1,263 @@
+/* @flow */
+
+import fs from 'fs-extra'
+import http from 'http'
+import path from 'path'
+import url from 'url'
+
+import logger from './logger'
+
+import type App from './app'
+
+const log = logger({
+  component: 'Control'
+})
+
+export const SOCKET_NAME = 'control.sock'
+
+// How many transfers & errors are kept for reporting
+export const HISTORY_SIZE = 50
+
+export type ControlAddress = {socketPath: string}
+
+type HistoryEntry = {path: string, at: string}
+
+type Route = (query: {[string]: string}) => Promise<*>
+
+export class ControlError extends Error {
+  status: number
+
+  constructor (status: number, message: string) {
+    super(message)
+    this.name = 'ControlError'
+    this.status = status
+  }
+}
+
+// Where the control API of the app using the given base path listens.
+//
+// It is a Unix socket (or a named pipe on Windows) inside the config dir, so
+// only the current user can reach it, and each profile has its own. There is
+// no TCP mode, which any local user could reach without authentication.
+export function controlAddress (basePath: string): ControlAddress {
+  if (process.platform === 'win32') {
+    return {socketPath: path.join('\\\\?\\pipe', basePath, SOCKET_NAME)}
+  }
+  return {socketPath: path.join(basePath, SOCKET_NAME)}
+}
+
+// Send a request to the control API of a running app
+export function controlRequest (address: ControlAddress, method: string, urlPath: string): Promise<*> {
+  return new Promise((resolve, reject) => {
+    const req = http.request({
+      ...address,
+      method,
+      path: urlPath,
+      headers: {'Accept': 'application/json'}
+    }, (res) => {
+      let data = ''
+      res.setEncoding('utf8')
+      res.on('data', (chunk) => { data += chunk })
+      res.on('end', () => {
+        let body
+        try {
+          body = JSON.parse(data)
+        } catch (err) {
+          return reject(err)
+        }
+        if (res.statusCode >= 400) {
+          reject(new ControlError(res.statusCode, body.error))
+        } else {
+          resolve(body)
+        }
+      })
+    })
+    req.on('error', reject)
+    req.end()
+  })
+}
+
+// A small JSON API to observe and steer a running synchronization without
+// the GUI, e.g. from monitoring or shell scripts:
+//
+//     curl --unix-socket ~/.cozy-desktop/control.sock http://localhost/status
+//
+// - GET  /status        SyncState status, paused/online flags and seq range
+// - GET  /transfers     recent transfers (most recent first)
+// - GET  /errors        recent errors (most recent first)
+// - POST /pause         stop applying changes (watchers keep running),
+//                       indefinitely or ?until=<ISO 8601 date>
+// - POST /resume        apply changes again
+// - POST /sync          apply the pending changes right now
+// - POST /remote/watch  fetch the remote changes right now
+// - POST /reconcile     check the consistency of the synchronized files,
+//                       repairing them with ?repair=true
+export default class ControlServer {
+  app: App
+  address: ControlAddress
+  server: ?http.Server
+  online: boolean
+  transfers: Array<HistoryEntry & {type: string, oldpath?: string}>
+  errors: Array<HistoryEntry & {message: string}>
+
+  constructor (app: App) {
+    this.app = app
+    this.address = controlAddress(app.basePath)
+    this.server = null
+    this.online = true
+    this.transfers = []
+    this.errors = []
+
+    const {events} = app
+    events.on('transfer-done', (doc, direction) => this.recordTransfer(direction, doc))
+    events.on('transfer-copy', doc => this.recordTransfer('copy', doc))
+    events.on('transfer-move', (doc, old) => this.recordTransfer('move', doc, old))
+    events.on('delete-file', doc => this.recordTransfer('delete', doc))
+    events.on('apply-error', ({path, err}) => this.recordError(path, err))
+    events.on('offline', () => { this.online = false })
+    events.on('online', () => { this.online = true })
+  }
+
+  recordTransfer (type: string, doc: {path: string}, old?: {path: string}) {
+    const transfer: Object = {type, path: doc.path, at: new Date().toISOString()}
+    if (old) transfer.oldpath = old.path
+    this.transfers.unshift(transfer)
+    this.transfers.length = Math.min(this.transfers.length, HISTORY_SIZE)
+  }
+
+  recordError (path: string, err: Error) {
+    this.errors.unshift({path, message: err.message, at: new Date().toISOString()})
+    this.errors.length = Math.min(this.errors.length, HISTORY_SIZE)
+  }
+
+  routes (): {[string]: Route} {
+    return {
+      'GET /status': this.status,
+      'GET /transfers': async () => this.transfers,
+      'GET /errors': async () => this.errors,
+      'POST /pause': async (query) => {
+        this.runningSync()
+        let until = null
+        if (query.until) {
+          until = new Date(query.until)
+          if (isNaN(until.getTime())) {
+            throw new ControlError(400, `Invalid date: ${query.until}`)
+          }
+        }
+        this.app.pauseSync(until)
+        return this.status()
+      },
+      'POST /resume': async () => {
+        this.runningSync()
+        this.app.resumeSync()
+        return this.status()
+      },
+      'POST /sync': async () => {
+        const sync = this.runningSync()
+        if (sync.paused) throw new ControlError(409, 'Synchronization is paused')
+        await sync.sync(false)
+        return this.status()
+      },
+      'POST /remote/watch': async () => {
+        this.runningSync()
+        await this.app.remote.watcher.watch()
+        return this.status()
+      },
+      'POST /reconcile': async (query) => {
+        this.runningSync()
+        return this.app.reconcile({repair: query.repair === 'true'})
+      }
+    }
+  }
+
+  runningSync () {
+    if (!this.app.sync) throw new ControlError(503, 'Synchronization is not running')
+    return this.app.sync
+  }
+
+  async status () {
+    const {events, pausedUntil, pouch, sync} = this.app
+    // $FlowFixMe
+    const {label, remaining} = events.status()
+    return {
+      label,
+      remaining,
+      running: sync != null && !sync.stopped,
+      paused: sync != null && !!sync.paused,
+      pausedUntil: pausedUntil || null,
+      online: this.online,
+      seq: {
+        local: await pouch.getLocalSeqAsync(),
+        // $FlowFixMe
+        current: events.syncCurrentSeq,
+        // $FlowFixMe
+        target: events.syncLastSeq
+      }
+    }
+  }
+
+  async handle (req: http.IncomingMessage, res: http.ServerResponse) {
+    const {pathname, query} = url.parse(req.url, true)
+    const route = this.routes()[`${req.method} ${pathname || ''}`]
+    let status = 200
+    let body
+    try {
+      if (!route) throw new ControlError(404, `No route for ${req.method} ${req.url}`)
+      body = await route.call(this, query || {})
+    } catch (err) {
+      status = err.status || 500
+      if (status === 500) log.error({err}, 'Control request failed')
+      body = {error: err.message}
+    }
+    res.writeHead(status, {'Content-Type': 'application/json'})
+    res.end(JSON.stringify(body))
+  }
+
+  async start (): Promise<void> {
+    if (this.server) return
+    const server = http.createServer((req, res) => { this.handle(req, res) })
+    this.server = server
+    const {address} = this
+    const {socketPath} = address
+    try {
+      await this.listen(server, address)
+    } catch (err) {
+      if (err.code !== 'EADDRINUSE') {
+        this.server = null
+        throw err
+      }
+      // Either another app is running or a previous one crashed
+      try {
+        await controlRequest(address, 'GET', '/status')
+      } catch (_) {
+        log.warn({path: socketPath}, 'Removing stale control socket')
+        await fs.remove(socketPath)
+        return this.listen(server, address)
+      }
+      this.server = null
+      throw new Error('Another app is already running with the same config')
+    }
+  }
+
+  listen (server: http.Server, address: ControlAddress): Promise<void> {
+    const {socketPath} = address
+    return new Promise((resolve, reject) => {
+      server.once('error', reject)
+      server.listen({path: socketPath}, () => {
+        server.removeListener('error', reject)
+        log.info({address}, 'Control API listening')
+        if (process.platform !== 'win32') {
+          fs.chmodSync(socketPath, 0o600)
+        }
+        resolve()
+      })
+    })
+  }
+
+  stop (): Promise<void> {
+    const {server} = this
+    this.server = null
+    if (!server) return Promise.resolve()
+    return new Promise((resolve) => server.close(() => resolve()))
+  }
+}
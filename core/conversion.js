@@ -2,6 +2,7 @@
 
 import path from 'path'
 
+import { SYMLINK_MIME } from './metadata'
 import { DIR_TYPE, FILE_TYPE } from './remote/constants'
 
 import type { RemoteDoc } from './remote/document'
@@ -29,6 +30,11 @@ export function createMetadata (remote: RemoteDoc): Metadata {
     }
   }
 
+  // Symlinks are uploaded as files holding their target (see LocalWatcher)
+  if (doc.docType === 'file' && remote.mime === SYMLINK_MIME) {
+    doc.docType = 'symlink'
+  }
+
   if (remote.size) {
     doc.size = parseInt(remote.size, 10)
   }
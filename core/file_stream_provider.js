@@ -13,7 +13,7 @@ export function withContentLength (s: stream.Readable, contentLength: ?number):
 }
 
 // Provides a stream.Readable for local or remote file corresponding to the
-// given metadata.
+// given metadata, optionally from the given byte to resume a transfer.
 export type FileStreamProvider = {
-  createReadStreamAsync: (Metadata) => Promise<ReadableWithContentLength>;
+  createReadStreamAsync: (Metadata, start?: number) => Promise<ReadableWithContentLength>;
 }
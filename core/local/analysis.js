@@ -5,6 +5,7 @@ import path from 'path'
 import { getInode } from './event'
 import * as localChange from './change'
 import logger from '../logger'
+import { isFile } from '../metadata'
 import measureTime from '../perftools'
 
 import type { LocalEvent } from './event'
@@ -25,10 +26,20 @@ log.chokidar = log.child({
   component: 'Chokidar'
 })
 
-export default function analysis (events: LocalEvent[], pendingChanges: LocalChange[]): LocalChange[] {
-  const changes: LocalChange[] = analyseEvents(events, pendingChanges)
-  sortBeforeSquash(changes)
-  squashMoves(changes)
+type AnalysisOptions = {
+  // Whether the events come from a watcher backend reporting the moves itself,
+  // as one move event per moved file or folder
+  detectsMoves?: boolean
+}
+
+export default function analysis (events: LocalEvent[], pendingChanges: LocalChange[], {detectsMoves = false}: AnalysisOptions = {}): LocalChange[] {
+  const changes: LocalChange[] = analyseEvents(events, pendingChanges, detectsMoves)
+  // The content of a folder moved with a single move event was not reported,
+  // so there are no descendant moves to squash
+  if (!detectsMoves) {
+    sortBeforeSquash(changes)
+    squashMoves(changes)
+  }
   finalSort(changes)
   return separatePendingChanges(changes, pendingChanges)
 }
@@ -38,7 +49,7 @@ const panic = (context, description) => {
   throw new Error(description)
 }
 
-function analyseEvents (events: LocalEvent[], pendingChanges: LocalChange[]): LocalChange[] {
+function analyseEvents (events: LocalEvent[], pendingChanges: LocalChange[], detectsMoves: boolean): LocalChange[] {
   const stopMeasure = measureTime('LocalWatcher#analyseEvents')
   // OPTIMIZE: new Array(events.length)
   const changes: LocalChange[] = []
@@ -57,6 +68,10 @@ function analyseEvents (events: LocalEvent[], pendingChanges: LocalChange[]): Lo
     if (c.ino) changesByInode.set(c.ino, c)
     else changes.push(c)
   }
+  const changeDropped = (c: LocalChange) => {
+    changesByPath.delete(c.path)
+    if (c.ino) changesByInode.delete(c.ino)
+  }
 
   if (pendingChanges.length > 0) {
     log.warn({changes: pendingChanges}, `Prepend ${pendingChanges.length} pending change(s)`)
@@ -69,7 +84,7 @@ function analyseEvents (events: LocalEvent[], pendingChanges: LocalChange[]): Lo
   for (let e: LocalEvent of events) {
     try {
       // chokidar make mistakes
-      if (e.type === 'unlinkDir' && e.old && e.old.docType === 'file') {
+      if (e.type === 'unlinkDir' && e.old && isFile(e.old)) {
         log.warn({event: e, old: e.old}, 'chokidar miscategorized event (was file, event unlinkDir)')
         // $FlowFixMe
         e.type = 'unlink'
@@ -137,8 +152,14 @@ function analyseEvents (events: LocalEvent[], pendingChanges: LocalChange[]): Lo
               break
             }
             const change: ?LocalFileMove = localChange.maybeMoveFile(getChangeByPath(e))
-            if (change && change.md5sum == null) { // FIXME: if change && change.wip?
+            if (change && (change.md5sum == null || detectsMoves)) { // FIXME: if change && change.wip?
               localChange.convertFileMoveToDeletion(change)
+              break
+            }
+            const added: ?LocalFileAddition = localChange.maybeAddFile(getChangeByPath(e))
+            if (added && detectsMoves) {
+              log.debug({path: e.path}, 'File was added then deleted')
+              changeDropped(added)
             }
             // Otherwise, skip unlink event by multiple moves
           }
@@ -159,10 +180,48 @@ function analyseEvents (events: LocalEvent[], pendingChanges: LocalChange[]): Lo
               changeFound(localChange.dirMoveFromAddUnlink(addChange, e))
             } else if (getInode(e)) {
               changeFound(localChange.fromEvent(e))
+            } else if (detectsMoves) {
+              const change: ?LocalDirMove = localChange.maybeMoveFolder(getChangeByPath(e))
+              if (change) localChange.convertDirMoveToDeletion(change)
+              const added: ?LocalDirAddition = localChange.maybePutFolder(getChangeByPath(e))
+              if (added) {
+                log.debug({path: e.path}, 'Folder was added then deleted')
+                changeDropped(added)
+              }
             } // else skip
           }
           // TODO: move & delete dir
           break
+        case 'move':
+          {
+            // The file may have been added or moved earlier in the batch, so it
+            // is not in Pouch yet
+            const change: ?(LocalFileAddition | LocalFileMove) = e.old == null
+              ? localChange.maybeAddFile(getChangeByInode(e)) || localChange.maybeMoveFile(getChangeByInode(e))
+              : null
+            if (change) {
+              changesByPath.delete(change.path)
+              localChange.includeMoveEventInFileChange(change, e)
+              changesByPath.set(change.path, change)
+            } else {
+              changeFound(localChange.fromEvent(e))
+            }
+          }
+          break
+        case 'moveDir':
+          {
+            const change: ?(LocalDirAddition | LocalDirMove) = e.old == null
+              ? localChange.maybePutFolder(getChangeByInode(e)) || localChange.maybeMoveFolder(getChangeByInode(e))
+              : null
+            if (change) {
+              changesByPath.delete(change.path)
+              localChange.includeMoveEventInDirChange(change, e)
+              changesByPath.set(change.path, change)
+            } else {
+              changeFound(localChange.fromEvent(e))
+            }
+          }
+          break
         default:
           throw new TypeError(`Unknown event type: ${e.type}`)
       }
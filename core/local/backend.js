@@ -0,0 +1,49 @@
+/* @flow */
+
+import ChokidarBackend from './chokidar_backend'
+import InotifyBackend, { loadInotify } from './inotify_backend'
+import logger from '../logger'
+
+import type Config from '../config'
+import type { ChokidarEvent } from './chokidar_event'
+
+const log = logger({
+  component: 'LocalWatcher'
+})
+
+// Receives the events of a backend, in order
+export type EventListener = (ChokidarEvent) => void
+
+// Notifies LocalWatcher of the changes in the synchronized folder.
+//
+// On start, a backend reports every file and folder it finds as add and addDir
+// events (the initial scan), then the changes as they happen. The backends
+// which detect moves report them as one move or moveDir event, instead of an
+// unlink and an add event for the moved file or folder and each of its
+// descendants.
+// eslint-disable-next-line no-undef
+export interface WatcherBackend {
+  // Whether moves are reported as move and moveDir events
+  detectsMoves: boolean;
+  // How long to wait without events before handling the buffered ones
+  bufferTimeout: number;
+
+  // Resolve once the events of the initial scan have been emitted
+  start (): Promise<void>;
+  stop (): void;
+  // Log the watched paths
+  debug (): void;
+}
+
+// The configured backend, or chokidar when it is not available here
+export function build (config: Config, syncPath: string, listener: EventListener): WatcherBackend {
+  if (config.watcherBackend === 'inotify') {
+    const Inotify = loadInotify()
+    if (Inotify != null) {
+      const followSymlinks = config.symlinkPolicy === 'follow'
+      return new InotifyBackend(syncPath, listener, Inotify, followSymlinks)
+    }
+    log.warn('inotify is not available, falling back to chokidar')
+  }
+  return new ChokidarBackend(syncPath, config, listener)
+}
@@ -9,9 +9,11 @@ import logger from '../logger'
 import type { Metadata } from '../metadata'
 import type {
   LocalDirAdded,
+  LocalDirMoved,
   LocalDirUnlinked,
   LocalEvent,
   LocalFileAdded,
+  LocalFileMoved,
   LocalFileUnlinked
 } from './event'
 
@@ -43,6 +45,7 @@ export const build = (type: string, path: string, opts?: {stats?: fs.Stats, md5s
   const change: Object = _.assign({sideName, type, path}, opts)
   if (change.wip == null) delete change.wip
   if (change.md5sum == null) delete change.md5sum
+  if (change.needRefetch == null) delete change.needRefetch
   return change
 }
 
@@ -99,6 +102,31 @@ export const fromEvent = (e: LocalEvent) : LocalChange => {
       return {sideName, type: 'FileUpdate', path: e.path, stats: e.stats, ino: e.stats.ino, md5sum: e.md5sum, wip: e.wip}
     case 'add':
       return {sideName, type: 'FileAddition', path: e.path, stats: e.stats, ino: e.stats.ino, md5sum: e.md5sum, wip: e.wip}
+    case 'move':
+      if (e.old == null) {
+        return build('FileAddition', e.path, {stats: e.stats, md5sum: e.md5sum, ino: e.stats.ino, wip: e.wip})
+      }
+      log.debug({oldpath: e.oldPath, path: e.path, ino: e.stats.ino}, 'File moved')
+      return build('FileMove', e.path, {
+        stats: e.stats,
+        md5sum: e.md5sum,
+        old: e.old,
+        ino: e.stats.ino,
+        wip: e.wip,
+        needRefetch: e.needRefetch
+      })
+    case 'moveDir':
+      if (e.old == null) {
+        return build('DirAddition', e.path, {stats: e.stats, ino: e.stats.ino, wip: e.wip})
+      }
+      log.debug({oldpath: e.oldPath, path: e.path}, 'moveFolder')
+      return build('DirMove', e.path, {
+        stats: e.stats,
+        old: e.old,
+        ino: e.stats.ino,
+        wip: e.wip,
+        needRefetch: e.needRefetch
+      })
     default:
       throw new TypeError(`wrong type ${e.type}`) // @TODO FlowFixMe
   }
@@ -185,6 +213,35 @@ export const includeAddDirEventInDirMove = (moveChange: LocalDirMove, e: LocalDi
    'Folder move completing')
 }
 
+// The file was added or moved earlier in the same batch of events, and moved
+// again: only its new path matters.
+export const includeMoveEventInFileChange = (change: LocalFileAddition | LocalFileMove, e: LocalFileMoved) => {
+  change.path = e.path
+  change.stats = e.stats
+  change.md5sum = e.md5sum
+  if (e.wip) change.wip = e.wip
+  else delete change.wip
+  log.debug({path: e.path, oldpath: e.oldPath, ino: e.stats.ino}, 'File moved again')
+}
+
+export const includeMoveEventInDirChange = (change: LocalDirAddition | LocalDirMove, e: LocalDirMoved) => {
+  change.path = e.path
+  change.stats = e.stats
+  if (e.wip) change.wip = e.wip
+  else delete change.wip
+  log.debug({path: e.path, oldpath: e.oldPath, ino: e.stats.ino}, 'Folder moved again')
+}
+
+export const convertDirMoveToDeletion = (change: LocalDirMove) => {
+  log.debug({path: change.old.path, ino: change.ino},
+    'Folder was moved then deleted. Deleting origin directly.')
+  // $FlowFixMe
+  change.type = 'DirDeletion'
+  change.path = change.old.path
+  delete change.stats
+  delete change.wip
+}
+
 export const convertFileMoveToDeletion = (change: LocalFileMove) => {
   log.debug({path: change.old.path, ino: change.ino},
     'File was moved then deleted. Deleting origin directly.')
@@ -0,0 +1,96 @@
+/* @flow */
+
+import fs from 'fs'
+
+import logger from '../logger'
+import measureTime from '../perftools'
+import Pouch from '../pouch'
+
+const log = logger({
+  component: 'ChecksumCache'
+})
+
+// A file modified this recently may be written again without its mtime
+// changing (FAT only has a 2 seconds resolution), so its checksum is not cached
+// yet.
+export const RACY_MTIME_DELAY = 2000
+
+// The checksum of a file, valid as long as the file keeps the same inode, size
+// and mtime. Saved in Pouch.
+export type ChecksumRecord = {
+  ino: number,
+  size: number,
+  mtime: number,
+  md5sum: string
+}
+
+// Remembers the checksums of the local files across restarts, so the initial
+// scan only reads the files which changed while the app was not running.
+//
+// A cached checksum is dropped as soon as the inode, size or mtime of its file
+// differ, e.g. when the file was modified or replaced by another one.
+// Failing to read or write the cache is not an error: the checksum is then
+// computed as usual.
+export default class ChecksumCache {
+  pouch: Pouch
+  hits: number
+  misses: number
+
+  constructor (pouch: Pouch) {
+    this.pouch = pouch
+    this.hits = 0
+    this.misses = 0
+  }
+
+  // Resolve with the cached checksum of the file with the given id, or null
+  // when there is none for its current stats
+  async get (id: string, stats: fs.Stats): Promise<?string> {
+    const stopMeasure = measureTime('LocalWatcher#checksumCache')
+    let record
+    try {
+      record = await this.pouch.getChecksumAsync(id)
+    } catch (err) {
+      log.warn({id, err}, 'Could not read the cached checksum')
+    }
+    stopMeasure()
+    if (record != null && matches(record, stats)) {
+      this.hits++
+      return record.md5sum
+    }
+    this.misses++
+    return null
+  }
+
+  async set (id: string, stats: fs.Stats, md5sum: string, now: number = Date.now()) {
+    const mtime = stats.mtime.getTime()
+    if (now - mtime < RACY_MTIME_DELAY) return
+    const {ino, size} = stats
+    try {
+      await this.pouch.setChecksumAsync(id, {ino, size, mtime, md5sum})
+    } catch (err) {
+      log.warn({id, err}, 'Could not cache the checksum')
+    }
+  }
+
+  async remove (id: string) {
+    try {
+      await this.pouch.removeChecksumAsync(id)
+    } catch (err) {
+      log.warn({id, err}, 'Could not remove the cached checksum')
+    }
+  }
+
+  // Log and reset the hits and misses since the last report
+  report () {
+    const {hits, misses} = this
+    if (hits + misses > 0) log.info({hits, misses}, 'Checksum cache usage')
+    this.hits = 0
+    this.misses = 0
+  }
+}
+
+function matches (record: ChecksumRecord, stats: fs.Stats): boolean {
+  return record.ino === stats.ino &&
+    record.size === stats.size &&
+    record.mtime === stats.mtime.getTime()
+}
@@ -27,6 +27,10 @@ const computeChecksum = (filePath: string, callback: Callback) => {
   stream.pipe(checksum)
 }
 
+// Get checksum for given string, e.g. the target of a symlink
+export const stringChecksum = (data: string): string =>
+  crypto.createHash('md5').update(data).digest('base64')
+
 const retryComputeChecksum = (filePath: string, callback: Callback) => {
   async.retry({
     times: 5,
@@ -0,0 +1,118 @@
+/* @flow */
+
+import Promise from 'bluebird'
+import chokidar from 'chokidar'
+import fs from 'fs'
+
+import * as chokidarEvent from './chokidar_event'
+import logger from '../logger'
+
+import type Config from '../config'
+import type { EventListener } from './backend'
+
+const log = logger({
+  component: 'LocalWatcher'
+})
+log.chokidar = log.child({
+  component: 'Chokidar'
+})
+
+// Watches the synchronized folder with chokidar, on every platform.
+// Moves show up as unlink and add events, paired by LocalWatcher.
+// https://github.com/paulmillr/chokidar
+export default class ChokidarBackend {
+  syncPath: string
+  config: Config
+  listener: EventListener
+  watcher: any // chokidar
+  detectsMoves: boolean
+  bufferTimeout: number
+
+  constructor (syncPath: string, config: Config, listener: EventListener) {
+    this.syncPath = syncPath
+    this.config = config
+    this.listener = listener
+    this.detectsMoves = false
+    // TODO: Read from config
+    this.bufferTimeout = process.env.NODE_ENV === 'test' ? 1000 : 10000
+  }
+
+  start (): Promise<void> {
+    this.watcher = chokidar.watch('.', {
+      // Let paths in events be relative to this base path
+      cwd: this.syncPath,
+      // Ignore our own .system-tmp-cozy-drive directory
+      ignored: /(^|[\/\\])\.system-tmp-cozy-drive/, // eslint-disable-line no-useless-escape
+      // Only look at the symlinks themselves unless their targets are
+      // synchronized (see LocalWatcher#prepareEvents() for the other policies)
+      followSymlinks: this.config.symlinkPolicy === 'follow',
+      // The stats object is used in LocalWatcher
+      alwaysStat: true,
+      // Watching on Windows seems to lock dirs with subdirs, preventing them
+      // from being renamed/moved/deleted.
+      usePolling: (process.platform === 'win32'),
+      // Filter out artifacts from editors with atomic writes
+      atomic: true,
+      // Poll newly created files to detect when the write is finished
+      awaitWriteFinish: {
+        pollInterval: 200,
+        stabilityThreshold: 1000
+      },
+      // With node 0.10 on linux, only polling is available
+      interval: 1000,
+      binaryInterval: 2000
+    })
+
+    for (let eventType of ['add', 'addDir', 'change', 'unlink', 'unlinkDir']) {
+      this.watcher.on(eventType, (path?: string, stats?: fs.Stats) => {
+        log.chokidar.debug({path}, eventType)
+        log.chokidar.trace({stats})
+        this.listener(chokidarEvent.build(eventType, path, stats))
+      })
+    }
+
+    this.watcher.on('error', (err) => {
+      if (err.message === 'watch ENOSPC') {
+        log.error('Sorry, the kernel is out of inotify watches! ' +
+          'See doc/usage/inotify.md for how to solve this issue.')
+      } else {
+        log.error({err})
+      }
+    })
+
+    return new Promise((resolve) => {
+      this.watcher.on('ready', resolve)
+    })
+  }
+
+  stop () {
+    if (this.watcher) {
+      this.watcher.close()
+      this.watcher = null
+    }
+  }
+
+  debug () {
+    if (this.watcher) {
+      log.info('This is the list of the paths watched by chokidar:')
+      const object = this.watcher.getWatched()
+      for (let dir in object) {
+        var file
+        const files = object[dir]
+        if (dir === '..') {
+          for (file of Array.from(files)) {
+            log.info(`- ${dir}/${file}`)
+          }
+        } else {
+          if (dir !== '.') { log.info(`- ${dir}`) }
+          for (file of Array.from(files)) {
+            log.info(`  * ${file}`)
+          }
+        }
+      }
+      log.info('--------------------------------------------------')
+    } else {
+      log.warn('The file system is not currrently watched')
+    }
+  }
+}
@@ -7,6 +7,9 @@ export type ChokidarAddDir = {type: 'addDir', path: string, stats: fs.Stats}
 export type ChokidarChange = {type: 'change', path: string, stats: fs.Stats}
 export type ChokidarUnlink = {type: 'unlink', path: string}
 export type ChokidarUnlinkDir = {type: 'unlinkDir', path: string}
+// Only emitted by the backends which detect moves (see ./inotify_backend.js)
+export type ChokidarMove = {type: 'move', path: string, oldPath: string, stats: fs.Stats}
+export type ChokidarMoveDir = {type: 'moveDir', path: string, oldPath: string, stats: fs.Stats}
 
 export type ChokidarEvent =
   | ChokidarAdd
@@ -14,6 +17,8 @@ export type ChokidarEvent =
   | ChokidarChange
   | ChokidarUnlink
   | ChokidarUnlinkDir
+  | ChokidarMove
+  | ChokidarMoveDir
 
 export const build = (type: string, path?: string, stats?: fs.Stats): ChokidarEvent => {
   const event: Object = {type}
@@ -5,6 +5,8 @@ import type {
   ChokidarAdd,
   ChokidarAddDir,
   ChokidarChange,
+  ChokidarMove,
+  ChokidarMoveDir,
   ChokidarUnlink,
   ChokidarUnlinkDir
 } from './chokidar_event'
@@ -14,6 +16,8 @@ export type LocalDirUnlinked = ChokidarUnlinkDir & {old: ?Metadata}
 export type LocalFileAdded = ChokidarAdd & {md5sum: string, wip?: true}
 export type LocalFileUnlinked = ChokidarUnlink & {old: ?Metadata}
 type LocalFileUpdated = ChokidarChange & {md5sum: string, wip?: true}
+export type LocalFileMoved = ChokidarMove & {old: ?Metadata, md5sum: string, wip?: true, needRefetch?: true}
+export type LocalDirMoved = ChokidarMoveDir & {old: ?Metadata, wip?: true, needRefetch?: true}
 
 export type LocalEvent =
   | LocalDirAdded
@@ -21,12 +25,16 @@ export type LocalEvent =
   | LocalFileAdded
   | LocalFileUnlinked
   | LocalFileUpdated
+  | LocalFileMoved
+  | LocalDirMoved
 
 export const getInode = (e: LocalEvent): ?number => {
   switch (e.type) {
     case 'add':
     case 'addDir':
     case 'change':
+    case 'move':
+    case 'moveDir':
       return e.stats.ino
     case 'unlink':
     case 'unlinkDir':
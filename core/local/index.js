@@ -1,20 +1,25 @@
 /* @flow */
 
 import async from 'async'
+import crypto from 'crypto'
 import EventEmitter from 'events'
 import fs from 'fs-extra'
 import path from 'path'
+import { PassThrough } from 'stream'
 import trash from 'trash'
 
 import bluebird from 'bluebird'
 
+import { BandwidthLimiter } from '../bandwidth'
 import Config from '../config'
 import { TMP_DIR_NAME } from './constants'
 import logger from '../logger'
-import { isUpToDate } from '../metadata'
+import { id, isSymlink, isUpToDate } from '../metadata'
 import Pouch from '../pouch'
 import Prep from '../prep'
 import { hideOnWindows } from '../utils/fs'
+import LocalTags from './tags'
+import LocalVersions from './versions'
 import Watcher from './watcher'
 import measureTime from '../perftools'
 import { withContentLength } from '../file_stream_provider'
@@ -29,6 +34,22 @@ bluebird.promisifyAll(fs)
 const log = logger({
   component: 'LocalWriter'
 })
+
+// Temporary files untouched for this long are left by downloads that will
+// probably never be resumed, e.g. for files deleted since then
+export const STALE_TMP_FILE_AGE = 7 * 24 * 60 * 60 * 1000
+
+// The version of a file being downloaded, saved in Pouch so the download can
+// be resumed from its temporary file
+export type DownloadRecord = {
+  md5sum: ?string,
+  size: ?number
+}
+
+// Downloads are recorded by doc id, or by the id its path would get when the
+// doc doesn't have one yet
+const downloadId = (doc: Metadata): string => doc._id || id(doc.path)
+
 // Local is the class that interfaces cozy-desktop with the local filesystem.
 // It uses a watcher, based on chokidar, to listen for file and folder changes.
 // It also applied changes from the remote cozy on the local filesystem.
@@ -40,6 +61,9 @@ class Local implements Side {
   tmpPath: string
   watcher: Watcher
   other: FileStreamProvider
+  downloads: BandwidthLimiter
+  versions: LocalVersions
+  tags: LocalTags
   _trash: (Array<string>) => Promise<void>
 
   constructor (config: Config, prep: Prep, pouch: Pouch, events: EventEmitter) {
@@ -51,14 +75,18 @@ class Local implements Side {
     this.watcher = new Watcher(this.syncPath, this.prep, this.pouch, events)
     // $FlowFixMe
     this.other = null
+    this.downloads = new BandwidthLimiter(config, 'download')
+    this.versions = new LocalVersions(config)
+    this.tags = new LocalTags()
     this._trash = trash
 
     bluebird.promisifyAll(this)
   }
 
   // Start initial replication + watching changes in live
-  start () {
+  async start () {
     this.watcher.ensureDirSync()
+    await this.cleanTmpDir()
     return this.watcher.start()
   }
 
@@ -69,17 +97,25 @@ class Local implements Side {
 
   // Create a readable stream for the given doc
   // adds a contentLength property to be used
-  async createReadStreamAsync (doc: Metadata): Promise<ReadableWithContentLength> {
+  //
+  // The content of a symlink is its target path, always read from the start.
+  async createReadStreamAsync (doc: Metadata, start: number = 0): Promise<ReadableWithContentLength> {
     try {
       let filePath = path.resolve(this.syncPath, doc.path)
+      if (isSymlink(doc)) {
+        const target = Buffer.from(await fs.readlinkAsync(filePath))
+        const targetStream = new PassThrough()
+        targetStream.end(target)
+        return withContentLength(targetStream, target.length)
+      }
       let pStats = fs.statAsync(filePath)
       let pStream = new Promise((resolve, reject) => {
-        let stream = fs.createReadStream(filePath)
+        let stream = fs.createReadStream(filePath, {start})
         stream.on('open', () => resolve(stream))
         stream.on('error', err => reject(err))
       })
       const [stream: ReadableWithContentLength, stat: fs.Stat] = await Promise.all([pStream, pStats])
-      return withContentLength(stream, stat.size)
+      return withContentLength(stream, stat.size - start)
     } catch (err) {
       return Promise.reject(err)
     }
@@ -87,8 +123,8 @@ class Local implements Side {
 
   /* Helpers */
 
-  // Return a function that will update last modification date
-  // and does a chmod +x if the file is executable
+  // Return a function that will update last modification date,
+  // does a chmod +x if the file is executable and writes its tags
   //
   // Note: UNIX has 3 timestamps for a file/folder:
   // - atime for last access
@@ -96,14 +132,22 @@ class Local implements Side {
   // - utime for update (content only)
   // This function updates utime and ctime according to the last
   // modification date.
+  //
+  // Symlinks are left untouched since both would change their targets.
   metadataUpdater (doc: Metadata) {
     let filePath = path.resolve(this.syncPath, doc.path)
+    const tags = this.tags
     return function (callback: Callback) {
+      if (isSymlink(doc)) return callback()
+      let tagged = function (err) {
+        if (err) return callback(err)
+        tags.write(filePath, doc.tags).then(() => callback())
+      }
       let next = function (err) {
         if (doc.executable) {
-          fs.chmod(filePath, '755', callback)
+          fs.chmod(filePath, '755', tagged)
         } else {
-          callback(err)
+          tagged(err)
         }
       }
       if (doc.updated_at) {
@@ -121,7 +165,7 @@ class Local implements Side {
   inodeSetter (doc: Metadata) {
     let abspath = path.resolve(this.syncPath, doc.path)
     return (callback: Callback) => {
-      fs.stat(abspath, (err, stats) => {
+      fs.lstat(abspath, (err, stats) => {
         if (err) {
           callback(err)
         } else {
@@ -132,6 +176,39 @@ class Local implements Side {
     }
   }
 
+  // The temporary file where the given doc is downloaded before being moved
+  // to its path. It is named after the doc id, so downloads of files with the
+  // same name in different folders don't collide, and an interrupted download
+  // can be found again.
+  tmpFilePath (doc: Metadata): string {
+    const hash = crypto.createHash('md5').update(downloadId(doc)).digest('hex')
+    return path.join(this.tmpPath, `${hash}.tmp`)
+  }
+
+  // Remove the temporary files left by downloads which were not resumed for
+  // a long time.
+  // Only .tmp files are removed, since the folder keeps other internal state.
+  async cleanTmpDir (now: number = Date.now()): Promise<void> {
+    let names
+    try {
+      names = await fs.readdirAsync(this.tmpPath)
+    } catch (err) {
+      if (err.code === 'ENOENT') return
+      throw err
+    }
+    for (const name of names.filter(name => name.endsWith('.tmp'))) {
+      const tmpFile = path.join(this.tmpPath, name)
+      try {
+        const {mtime} = await fs.statAsync(tmpFile)
+        if (now - mtime.getTime() < STALE_TMP_FILE_AGE) continue
+        log.info({tmpFile}, 'Removing stale temporary file')
+        await fs.removeAsync(tmpFile)
+      } catch (err) {
+        log.warn({tmpFile, err}, 'Could not clean temporary file')
+      }
+    }
+  }
+
   // Check if a file corresponding to given checksum already exists
   fileExistsLocally (checksum: string, callback: Callback) {
     this.pouch.byChecksum(checksum, (err, docs) => {
@@ -157,10 +234,12 @@ class Local implements Side {
   // Steps to create a file:
   //   * Try to find a similar file based on his checksum
   //     (in that case, it just requires a local copy)
-  //   * Or download the linked binary from remote
+  //   * Or download the linked binary from remote, resuming a previous
+  //     download of the same version when its temporary file is still there
   //   * Write to a temporary file
   //   * Ensure parent folder exists
   //   * Move the temporay file to its final destination
+  //     (or create a symlink to the target it contains)
   //   * Update creation and last modification dates
   //
   // Note: if no checksum was available for this file, we download the file
@@ -168,16 +247,18 @@ class Local implements Side {
   // file. The checksum will then be computed and added to the document, and
   // then pushed to CouchDB.
   addFile (doc: Metadata, callback: Callback) {
-    let tmpFile = path.resolve(this.tmpPath, `${path.basename(doc.path)}.tmp`)
+    let tmpFile = this.tmpFilePath(doc)
     let filePath = path.resolve(this.syncPath, doc.path)
     let parent = path.resolve(this.syncPath, path.dirname(doc.path))
+    // Whether an interrupted download can be resumed from tmpFile
+    let resumable = false
     const stopMeasure = measureTime('LocalWriter#addFile')
 
     log.info({path: doc.path}, 'Put file')
 
     async.waterfall([
       next => {
-        if (doc.md5sum != null) {
+        if (doc.md5sum != null && !isSymlink(doc)) {
           this.fileExistsLocally(doc.md5sum, next)
         } else {
           next(null, false)
@@ -192,17 +273,16 @@ class Local implements Side {
             this.events.emit('transfer-copy', doc)
             fs.copy(existingFilePath, tmpFile, next)
           } else {
-            this.other.createReadStreamAsync(doc).then(
-              (stream) => {
-                // Don't use async callback here!
-                // Async does some magic and the stream can throw an
-                // 'error' event before the next async is called...
-                let target = fs.createWriteStream(tmpFile)
-                stream.pipe(target)
-                target.on('finish', next)
-                target.on('error', next)
+            this.events.emit('transfer-started', doc, 'download')
+            this.download(doc, tmpFile).then(
+              () => {
+                this.events.emit('transfer-done', doc, 'download')
+                next()
               },
-              (err) => { next(err) }
+              (err) => {
+                resumable = doc.md5sum != null
+                next(err)
+              }
             )
           }
         })
@@ -225,20 +305,76 @@ class Local implements Side {
         }
       },
 
-      next => fs.ensureDir(parent, () => fs.rename(tmpFile, filePath, next)),
+      next => fs.ensureDir(parent, () => {
+        if (isSymlink(doc)) {
+          this.linkFromTmpFile(tmpFile, filePath, next)
+        } else {
+          fs.rename(tmpFile, filePath, next)
+        }
+      }),
 
       this.inodeSetter(doc),
       this.metadataUpdater(doc)
 
-    ], function (err) {
+    ], (err) => {
       stopMeasure()
       if (err) { log.warn({path: doc.path}, 'addFile failed:', err, doc) }
-      fs.unlink(tmpFile, () => callback(err))
+      if (resumable) return callback(err)
+      this.pouch.removeDownload(downloadId(doc), () => {
+        fs.unlink(tmpFile, () => callback(err))
+      })
+    })
+  }
+
+  // Download the content of the doc to tmpFile, resuming the previous
+  // download of the same version if any.
+  async download (doc: Metadata, tmpFile: string): Promise<void> {
+    const start = await this.partialDownloadSize(doc, tmpFile)
+    if (start > 0) {
+      log.info({path: doc.path, start}, 'Resuming download...')
+    } else {
+      await this.pouch.setDownloadAsync(downloadId(doc), {md5sum: doc.md5sum, size: doc.size})
+    }
+    const stream = this.downloads.throttle(await this.other.createReadStreamAsync(doc, start))
+    const target = fs.createWriteStream(tmpFile, {flags: start > 0 ? 'a' : 'w'})
+    await new Promise((resolve, reject) => {
+      stream.on('error', (err) => {
+        // Keep the bytes received so far for the next attempt
+        target.end()
+        reject(err)
+      })
+      target.on('finish', resolve)
+      target.on('error', reject)
+      stream.pipe(target)
     })
   }
 
+  // The number of bytes already downloaded in tmpFile for the same version of
+  // the doc, or 0 to download it from the start
+  async partialDownloadSize (doc: Metadata, tmpFile: string): Promise<number> {
+    const download: ?DownloadRecord = await this.pouch.getDownloadAsync(downloadId(doc))
+    if (download == null || download.md5sum !== doc.md5sum ||
+        download.size !== doc.size || isSymlink(doc)) {
+      return 0
+    }
+    try {
+      const {size} = await fs.statAsync(tmpFile)
+      return size < (doc.size || 0) ? size : 0
+    } catch (err) {
+      return 0
+    }
+  }
+
   addFileAsync: (Metadata) => Promise<*>
 
+  // Replace the given path with a symlink to the target read from tmpFile
+  linkFromTmpFile (tmpFile: string, linkPath: string, callback: Callback) {
+    fs.readFile(tmpFile, 'utf8', (err, target) => {
+      if (err) return callback(err)
+      fs.remove(linkPath, () => fs.symlink(target, linkPath, callback))
+    })
+  }
+
   // Create a new folder
   addFolder (doc: Metadata, callback: Callback) {
     let folderPath = path.join(this.syncPath, doc.path)
@@ -252,8 +388,9 @@ class Local implements Side {
 
   addFolderAsync: (Metadata) => Promise<*>
 
-  // Overwrite a file
-  overwriteFileAsync (doc: Metadata, old: ?Metadata): Promise<*> {
+  // Overwrite a file, keeping its previous version when configured to
+  async overwriteFileAsync (doc: Metadata, old: ?Metadata): Promise<*> {
+    await this.versions.save(doc.path, old && old.md5sum)
     return this.addFileAsync(doc)
   }
 
@@ -359,6 +496,7 @@ class Local implements Side {
     log.info({path: doc.path}, 'Moving to the OS trash...')
     this.events.emit('delete-file', doc)
     let fullpath = path.join(this.syncPath, doc.path)
+    if (doc.docType === 'file') await this.versions.save(doc.path, doc.md5sum)
     try {
       await this._trash([fullpath])
     } catch (err) {
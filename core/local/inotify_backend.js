@@ -0,0 +1,366 @@
+/* @flow */
+
+import Promise from 'bluebird'
+import fs from 'fs-extra'
+import path from 'path'
+
+import * as chokidarEvent from './chokidar_event'
+import { TMP_DIR_NAME } from './constants'
+import logger from '../logger'
+
+import type { EventListener } from './backend'
+
+const log = logger({
+  component: 'LocalWatcher'
+})
+log.inotify = log.child({
+  component: 'Inotify'
+})
+
+// How long an IN_MOVED_FROM event waits for the IN_MOVED_TO event with the
+// same cookie before the file or folder is considered moved out of the
+// synchronized folder. The kernel sends them one after the other.
+export const MOVE_TIMEOUT = 100
+
+// How long a new file which is not written to anymore can stay open before it
+// is reported anyway, e.g. a log file or a hard link which is never closed
+export const WRITE_TIMEOUT = 1000
+
+// The inotify module is native and only built on GNU/Linux
+export function loadInotify (): any {
+  if (process.platform !== 'linux') return null
+  try {
+    return require('inotify').Inotify
+  } catch (err) {
+    log.warn({err}, 'Could not load the inotify module')
+    return null
+  }
+}
+
+type InotifyEvent = {
+  watch: number,
+  mask: number,
+  cookie?: number,
+  name?: string
+}
+
+// A file or folder moved from a watched folder, waiting for its destination
+type MoveFrom = {
+  path: string,
+  isDir: boolean,
+  // The file was created but not reported yet
+  writing: boolean,
+  timeout: *
+}
+
+// Watches the synchronized folder with inotify, on GNU/Linux.
+//
+// Every folder is watched separately. The IN_MOVED_FROM and IN_MOVED_TO
+// events with the same cookie are reported as a single move or moveDir event,
+// and a moved folder keeps its watches, so its content is not reported again.
+// New files are only reported once closed after writing, as chokidar does
+// with awaitWriteFinish.
+//
+// Events are handled one at a time, in the order of the kernel, since most of
+// them need to stat the file or folder.
+export default class InotifyBackend {
+  syncPath: string
+  listener: EventListener
+  Inotify: any
+  inotify: any // inotify
+  followSymlinks: boolean
+  detectsMoves: boolean
+  bufferTimeout: number
+  mask: number
+  // The path of each watched folder, relative to the synchronized folder, by
+  // watch descriptor
+  paths: Map<number, string>
+  movesFrom: Map<number, MoveFrom>
+  // Files created and not written completely yet, by path
+  writes: Map<string, *>
+  queue: Promise<void>
+
+  constructor (syncPath: string, listener: EventListener, Inotify: any, followSymlinks: boolean = false) {
+    this.syncPath = syncPath
+    this.listener = listener
+    this.Inotify = Inotify
+    this.followSymlinks = followSymlinks
+    this.detectsMoves = true
+    // Moves don't need to wait for their unlink and add events to be paired
+    this.bufferTimeout = process.env.NODE_ENV === 'test' ? 500 : 2000
+    this.mask = Inotify.IN_CREATE | Inotify.IN_CLOSE_WRITE | Inotify.IN_MODIFY |
+      Inotify.IN_ATTRIB | Inotify.IN_DELETE | Inotify.IN_MOVED_FROM |
+      Inotify.IN_MOVED_TO | Inotify.IN_ONLYDIR
+    if (!followSymlinks) this.mask |= Inotify.IN_DONT_FOLLOW
+    this.paths = new Map()
+    this.movesFrom = new Map()
+    this.writes = new Map()
+    this.queue = Promise.resolve()
+  }
+
+  start (): Promise<void> {
+    this.inotify = new this.Inotify()
+    return this.enqueue(() => this.scan(''))
+  }
+
+  stop () {
+    for (const move of this.movesFrom.values()) clearTimeout(move.timeout)
+    for (const timeout of this.writes.values()) clearTimeout(timeout)
+    this.movesFrom.clear()
+    this.writes.clear()
+    this.paths.clear()
+    if (this.inotify) {
+      this.inotify.close()
+      this.inotify = null
+    }
+  }
+
+  debug () {
+    if (this.inotify) {
+      log.info('This is the list of the paths watched by inotify:')
+      for (const dir of Array.from(this.paths.values()).sort()) {
+        log.info(`- ${dir || '.'}`)
+      }
+      log.info('--------------------------------------------------')
+    } else {
+      log.warn('The file system is not currrently watched')
+    }
+  }
+
+  enqueue (handler: () => Promise<void> | void): Promise<void> {
+    this.queue = this.queue.then(handler).catch(err => { log.error({err}) })
+    return this.queue
+  }
+
+  emit (type: string, relPath: string, stats?: fs.Stats, oldPath?: string) {
+    if (oldPath != null) {
+      log.inotify.debug({path: relPath, oldpath: oldPath}, type)
+    } else {
+      log.inotify.debug({path: relPath}, type)
+    }
+    const event: Object = chokidarEvent.build(type, relPath, stats)
+    if (oldPath != null) event.oldPath = oldPath
+    this.listener(event)
+  }
+
+  // Only the symlinks themselves are reported unless their targets are
+  // synchronized (see LocalWatcher#prepareEvents() for the other policies)
+  async stat (relPath: string): Promise<?fs.Stats> {
+    const absPath = path.join(this.syncPath, relPath)
+    try {
+      return await (this.followSymlinks ? fs.stat(absPath) : fs.lstat(absPath))
+    } catch (err) {
+      if (err.code !== 'ENOENT') log.warn({path: relPath, err}, 'Could not stat')
+      return null
+    }
+  }
+
+  // Watch the given folder, then report its content, so nothing created
+  // meanwhile is missed
+  async scan (relPath: string) {
+    if (!this.watch(relPath)) return
+    let names
+    try {
+      names = await fs.readdir(path.join(this.syncPath, relPath))
+    } catch (err) {
+      log.warn({path: relPath, err}, 'Could not read folder')
+      return
+    }
+    for (const name of names.sort()) {
+      const childPath = path.join(relPath, name)
+      if (childPath === TMP_DIR_NAME) continue
+      const stats = await this.stat(childPath)
+      if (stats == null) continue
+      if (stats.isDirectory()) {
+        this.emit('addDir', childPath, stats)
+        await this.scan(childPath)
+      } else {
+        this.emit('add', childPath, stats)
+      }
+    }
+  }
+
+  watch (relPath: string): boolean {
+    let wd
+    try {
+      wd = this.inotify.addWatch({
+        path: path.join(this.syncPath, relPath),
+        watch_for: this.mask,
+        callback: (event) => { this.enqueue(() => this.handle(event)) }
+      })
+    } catch (err) {
+      if (err.code === 'ENOSPC' || /ENOSPC/.test(err.message)) {
+        log.error('Sorry, the kernel is out of inotify watches! ' +
+          'See doc/usage/inotify.md for how to solve this issue.')
+      } else {
+        log.error({path: relPath, err}, 'Could not watch folder')
+      }
+      return false
+    }
+    const watched = this.paths.get(wd)
+    if (watched != null && watched !== relPath) {
+      // Same folder, e.g. through a followed symlink
+      log.warn({path: relPath, watched}, 'Folder already watched')
+      return false
+    }
+    this.paths.set(wd, relPath)
+    return true
+  }
+
+  unwatch (relPath: string) {
+    for (const [wd, watched] of this.paths) {
+      if (watched === relPath || watched.startsWith(relPath + path.sep)) {
+        this.paths.delete(wd)
+        try {
+          this.inotify.removeWatch(wd)
+        } catch (err) {
+          log.debug({path: watched, err}, 'Could not remove watch')
+        }
+      }
+    }
+  }
+
+  async handle (event: InotifyEvent) {
+    const {Inotify} = this
+    const {watch, mask, cookie, name} = event
+    if (this.inotify == null) return
+    if (mask & Inotify.IN_Q_OVERFLOW) {
+      log.error('Too many changes at once for inotify, scanning everything again')
+      return this.scan('')
+    }
+    const dir = this.paths.get(watch)
+    if (dir == null) return
+    if (mask & Inotify.IN_IGNORED) {
+      this.paths.delete(watch)
+      return
+    }
+    // Changes of the watched folder itself are reported by its parent
+    if (name == null || name === '') return
+
+    const relPath = path.join(dir, name)
+    if (relPath === TMP_DIR_NAME) return
+    const isDir = (mask & Inotify.IN_ISDIR) !== 0
+
+    if (mask & Inotify.IN_CREATE) {
+      await this.onCreate(relPath, isDir)
+    } else if (mask & Inotify.IN_MODIFY) {
+      this.onModify(relPath)
+    } else if (mask & Inotify.IN_CLOSE_WRITE) {
+      await this.onWritten(relPath)
+    } else if (mask & Inotify.IN_ATTRIB) {
+      if (!isDir && !this.writes.has(relPath)) await this.onWritten(relPath)
+    } else if (mask & Inotify.IN_DELETE) {
+      this.onDelete(relPath, isDir)
+    } else if (mask & Inotify.IN_MOVED_FROM) {
+      this.onMovedFrom(relPath, isDir, cookie || 0)
+    } else if (mask & Inotify.IN_MOVED_TO) {
+      await this.onMovedTo(relPath, isDir, cookie || 0)
+    }
+  }
+
+  async onCreate (relPath: string, isDir: boolean) {
+    const stats = await this.stat(relPath)
+    if (stats == null) return
+    if (isDir || stats.isDirectory()) {
+      this.emit('addDir', relPath, stats)
+      await this.scan(relPath)
+    } else if (stats.isSymbolicLink()) {
+      this.emit('add', relPath, stats)
+    } else {
+      this.waitForWrite(relPath)
+    }
+  }
+
+  waitForWrite (relPath: string) {
+    clearTimeout(this.writes.get(relPath))
+    this.writes.set(relPath, setTimeout(() => {
+      this.enqueue(() => this.onWritten(relPath))
+    }, WRITE_TIMEOUT))
+  }
+
+  onModify (relPath: string) {
+    if (this.writes.has(relPath)) this.waitForWrite(relPath)
+  }
+
+  async onWritten (relPath: string) {
+    const created = this.writes.has(relPath)
+    clearTimeout(this.writes.get(relPath))
+    this.writes.delete(relPath)
+    const stats = await this.stat(relPath)
+    if (stats == null || stats.isDirectory()) return
+    this.emit(created ? 'add' : 'change', relPath, stats)
+  }
+
+  onDelete (relPath: string, isDir: boolean) {
+    if (this.writes.has(relPath)) {
+      // Never reported
+      clearTimeout(this.writes.get(relPath))
+      this.writes.delete(relPath)
+      return
+    }
+    this.emit(isDir ? 'unlinkDir' : 'unlink', relPath)
+  }
+
+  onMovedFrom (relPath: string, isDir: boolean, cookie: number) {
+    const writing = this.writes.has(relPath)
+    clearTimeout(this.writes.get(relPath))
+    this.writes.delete(relPath)
+    this.movesFrom.set(cookie, {
+      path: relPath,
+      isDir,
+      writing,
+      timeout: setTimeout(() => {
+        this.enqueue(() => this.onMovedOut(cookie))
+      }, MOVE_TIMEOUT)
+    })
+  }
+
+  onMovedOut (cookie: number) {
+    const from = this.movesFrom.get(cookie)
+    if (from == null) return
+    this.movesFrom.delete(cookie)
+    if (from.isDir) this.unwatch(from.path)
+    if (!from.writing) this.emit(from.isDir ? 'unlinkDir' : 'unlink', from.path)
+  }
+
+  async onMovedTo (relPath: string, isDir: boolean, cookie: number) {
+    const from = this.movesFrom.get(cookie)
+    if (from == null) {
+      // Moved in from outside the synchronized folder
+      const stats = await this.stat(relPath)
+      if (stats == null) return
+      if (stats.isDirectory()) {
+        this.emit('addDir', relPath, stats)
+        await this.scan(relPath)
+      } else {
+        this.emit('add', relPath, stats)
+      }
+      return
+    }
+    clearTimeout(from.timeout)
+    this.movesFrom.delete(cookie)
+
+    if (from.isDir) this.renameWatches(from.path, relPath)
+    if (from.writing) {
+      await this.onCreate(relPath, isDir)
+      return
+    }
+    const stats = await this.stat(relPath)
+    if (stats == null) {
+      // Moved again or deleted since, which will be reported next
+      this.emit(from.isDir ? 'unlinkDir' : 'unlink', from.path)
+      return
+    }
+    this.emit(from.isDir ? 'moveDir' : 'move', relPath, stats, from.path)
+  }
+
+  renameWatches (oldPath: string, newPath: string) {
+    for (const [wd, watched] of this.paths) {
+      if (watched === oldPath) {
+        this.paths.set(wd, newPath)
+      } else if (watched.startsWith(oldPath + path.sep)) {
+        this.paths.set(wd, newPath + watched.slice(oldPath.length))
+      }
+    }
+  }
+}
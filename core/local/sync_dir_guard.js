@@ -0,0 +1,107 @@
+/* @flow */
+
+import crypto from 'crypto'
+import fs from 'fs-extra'
+import path from 'path'
+
+import Config from '../config'
+import { TMP_DIR_NAME } from './constants'
+import logger from '../logger'
+import { hideOnWindows } from '../utils/fs'
+
+import type EventEmitter from 'events'
+
+const log = logger({
+  component: 'SyncDirGuard'
+})
+
+// The marker file is kept in the temporary folder, which is not synchronized
+export const MARKER_NAME = 'sync-dir-id'
+
+// Under this number of files and folders, losing most of them is common enough
+// not to ask for a confirmation
+export const MIN_OFFLINE_DELETIONS = 10
+
+export const OFFLINE_DELETIONS_REFUSED = 'Offline deletions were not confirmed'
+
+export type OfflineDeletions = {
+  deletions: number,
+  total: number,
+  syncDirChanged: boolean
+}
+
+// Protects the Cozy from the deletion of everything when the synchronized
+// folder is an unmounted mount point, or was replaced by another one, while
+// the client was stopped: LocalWatcher would take every missing file and
+// folder for a deletion.
+//
+// The folder is recognized by a marker file, recorded after each initial
+// scan. When it changed, or when too many files and folders disappeared, the
+// deletions go through only once confirmed by a listener of the
+// offline-deletions event. The device it lives on is recorded too, but only
+// logged when it changed: its number also changes when a removable or network
+// disk is mounted again, or when LVM or btrfs renumbers it.
+export default class SyncDirGuard {
+  config: Config
+  syncPath: string
+  events: EventEmitter
+
+  constructor (config: Config, events: EventEmitter) {
+    this.config = config
+    this.syncPath = config.syncPath
+    this.events = events
+  }
+
+  markerPath (): string {
+    return path.join(this.syncPath, TMP_DIR_NAME, MARKER_NAME)
+  }
+
+  // Whether the synchronized folder is not the one of the last initial scan
+  async syncDirChanged (): Promise<boolean> {
+    const marker = this.config.syncDirMarker
+    if (!marker) return false
+    try {
+      const id = await fs.readFile(this.markerPath(), 'utf8')
+      const {dev} = await fs.stat(this.syncPath)
+      if (dev !== marker.dev) {
+        log.warn({dev, was: marker.dev}, 'The device of the sync dir changed')
+      }
+      return id !== marker.id
+    } catch (err) {
+      log.debug({err}, 'Could not read the sync dir marker')
+      return true
+    }
+  }
+
+  // Mark the synchronized folder as the one of the last initial scan
+  async record (): Promise<void> {
+    const marker = this.config.syncDirMarker
+    const id = marker ? marker.id : crypto.randomBytes(16).toString('hex')
+    await fs.outputFile(this.markerPath(), id)
+    hideOnWindows(path.dirname(this.markerPath()))
+    const {dev} = await fs.stat(this.syncPath)
+    if (!marker || marker.dev !== dev) {
+      this.config.saveSyncDirMarker({id, dev})
+    }
+  }
+
+  // Resolve with whether the given number of files and folders, out of the
+  // total synchronized ones, can be deleted on the Cozy.
+  // Without any listener to ask the user, suspicious deletions are refused.
+  async confirm (deletions: number, total: number): Promise<boolean> {
+    if (deletions === 0) return true
+    const syncDirChanged = await this.syncDirChanged()
+    const tooMany = deletions >= MIN_OFFLINE_DELETIONS &&
+      deletions * 100 >= total * this.config.offlineDeletionThreshold
+    if (!syncDirChanged && !tooMany) return true
+
+    const info: OfflineDeletions = {deletions, total, syncDirChanged}
+    log.warn(info, 'Offline deletions need to be confirmed')
+    if (this.events.listenerCount('offline-deletions') === 0) return false
+    const confirmed = await new Promise((resolve) => {
+      this.events.emit('offline-deletions', info, resolve)
+    })
+    log.info({confirmed}, 'Offline deletions answered')
+    return confirmed
+  }
+}
@@ -0,0 +1,85 @@
+/* @flow */
+
+import Promise from 'bluebird'
+import _ from 'lodash'
+
+import logger from '../logger'
+
+const log = logger({
+  component: 'LocalTags'
+})
+
+// The extended attribute where file managers (e.g. Dolphin) keep the tags of
+// files and folders, as a comma-separated list
+export const TAGS_XATTR = 'user.xdg.tags'
+
+let xattrModule
+
+// The fs-xattr module is native and only used on GNU/Linux. It is loaded once,
+// so a missing module is only reported once.
+export function loadXattr (): any {
+  if (xattrModule !== undefined) return xattrModule
+  xattrModule = null
+  if (process.platform !== 'linux') return null
+  try {
+    xattrModule = require('fs-xattr')
+  } catch (err) {
+    log.warn({err}, 'Could not load the fs-xattr module')
+  }
+  return xattrModule
+}
+
+export function parseTags (value: string): string[] {
+  return _.uniq(value.split(',').map(tag => tag.trim()).filter(tag => tag !== ''))
+}
+
+export function formatTags (tags: string[]): string {
+  return tags.join(',')
+}
+
+// Reads and writes the tags of local files and folders in their extended
+// attributes, so the tags set in the file manager and the ones set in the Cozy
+// are the same.
+//
+// Tags are unknown without extended attributes, or when a file has no tags
+// attribute at all: the merge then keeps the ones from the Cozy, so files
+// synchronized before they could have tags are not untagged. This is why
+// removing all the tags of a file is written as an empty attribute.
+export default class LocalTags {
+  xattr: any
+
+  constructor (xattr: any = loadXattr()) {
+    this.xattr = xattr
+  }
+
+  get enabled (): boolean {
+    return this.xattr != null
+  }
+
+  async read (fullPath: string): Promise<?(string[])> {
+    if (!this.enabled) return null
+    try {
+      const value = await Promise.fromCallback(cb => this.xattr.get(fullPath, TAGS_XATTR, cb))
+      return parseTags(value.toString('utf8'))
+    } catch (err) {
+      if (!['ENODATA', 'ENOATTR', 'ENOTSUP', 'EOPNOTSUPP', 'ENOENT'].includes(err.code)) {
+        log.warn({path: fullPath, err}, 'Could not read tags')
+      }
+      return null
+    }
+  }
+
+  // Failing to write the tags is not an error: the file is there anyway
+  async write (fullPath: string, tags: ?(string[])): Promise<void> {
+    if (!this.enabled || tags == null) return
+    const value = formatTags(tags)
+    try {
+      const current = await this.read(fullPath)
+      if (current == null && tags.length === 0) return
+      if (current != null && _.isEqual(current, tags)) return
+      await Promise.fromCallback(cb => this.xattr.set(fullPath, TAGS_XATTR, value, cb))
+    } catch (err) {
+      log.warn({path: fullPath, err}, 'Could not write tags')
+    }
+  }
+}
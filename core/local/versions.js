@@ -0,0 +1,181 @@
+/* @flow */
+
+import Promise from 'bluebird'
+import crypto from 'crypto'
+import fs from 'fs-extra'
+import path from 'path'
+
+import Config from '../config'
+import { TMP_DIR_NAME } from './constants'
+import logger from '../logger'
+import { id } from '../metadata'
+
+const log = logger({
+  component: 'LocalVersions'
+})
+
+const INDEX_FILENAME = 'index.json'
+
+// A previous content of a file, saved when it was replaced. Its date is also
+// its identifier.
+export type LocalVersion = {
+  savedAt: string,
+  size: number,
+  md5sum: ?string
+}
+
+// The versions of a file, the most recent first
+type VersionsIndex = {
+  path: string,
+  versions: LocalVersion[]
+}
+
+// Keeps a copy of the local files before Local overwrites them with a remote
+// version or trashes them because of a remote deletion, so their previous
+// content can be restored.
+//
+// The versions of each file are saved in their own folder of the config dir,
+// named after the file id, with an index of their dates and sizes. The oldest
+// ones are removed once there are too many versions of the file, they are too
+// old or all the versions take too much space (see Config#localVersions).
+//
+// Nothing is saved when the count is 0, the default. Failing to save a version
+// is not an error: the file is replaced anyway.
+export default class LocalVersions {
+  config: Config
+  syncPath: string
+  versionsPath: string
+
+  constructor (config: Config) {
+    this.config = config
+    this.syncPath = config.syncPath
+    this.versionsPath = config.versionsPath
+  }
+
+  get enabled (): boolean {
+    return this.config.localVersions.count > 0
+  }
+
+  dirPath (relPath: string): string {
+    const hash = crypto.createHash('md5').update(id(relPath)).digest('hex')
+    return path.join(this.versionsPath, hash)
+  }
+
+  versionPath (relPath: string, version: LocalVersion): string {
+    // Colons are not allowed in Windows filenames
+    return path.join(this.dirPath(relPath), version.savedAt.replace(/[:.]/g, '-'))
+  }
+
+  async readIndex (dir: string): Promise<?VersionsIndex> {
+    try {
+      return await fs.readJson(path.join(dir, INDEX_FILENAME))
+    } catch (err) {
+      if (err.code === 'ENOENT') return null
+      throw err
+    }
+  }
+
+  writeIndex (dir: string, index: VersionsIndex): Promise<void> {
+    return fs.writeJson(path.join(dir, INDEX_FILENAME), index)
+  }
+
+  // Copy the current content of the file before it is replaced
+  async save (relPath: string, md5sum: ?string, now: Date = new Date()): Promise<?LocalVersion> {
+    if (!this.enabled) return null
+    const fullPath = path.join(this.syncPath, relPath)
+    try {
+      const stats = await fs.lstat(fullPath)
+      if (!stats.isFile()) return null
+      const dir = this.dirPath(relPath)
+      const index = (await this.readIndex(dir)) || {path: relPath, versions: []}
+      const version = {savedAt: now.toISOString(), size: stats.size, md5sum}
+      await fs.copy(fullPath, this.versionPath(relPath, version), {preserveTimestamps: true})
+      index.path = relPath
+      index.versions = [version].concat(index.versions.filter(v => v.savedAt !== version.savedAt))
+      await this.writeIndex(dir, index)
+      log.info({path: relPath, savedAt: version.savedAt}, 'Saved previous version')
+      await this.prune(now)
+      return version
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        log.warn({path: relPath, err}, 'Could not save previous version')
+      }
+      return null
+    }
+  }
+
+  async list (relPath: string): Promise<LocalVersion[]> {
+    const index = await this.readIndex(this.dirPath(relPath))
+    return index ? index.versions : []
+  }
+
+  // Put back the given version of the file, or the latest one. The current
+  // content is saved as a version first, so restoring can be undone. The
+  // watcher then synchronizes the restored file as any local change.
+  async restore (relPath: string, savedAt: ?string, now: Date = new Date()): Promise<LocalVersion> {
+    const versions = await this.list(relPath)
+    const version = savedAt == null
+      ? versions[0]
+      : versions.find(v => v.savedAt === savedAt)
+    if (version == null) {
+      throw new Error(`No such version of ${relPath}: ${savedAt || 'latest'}`)
+    }
+    log.info({path: relPath, savedAt: version.savedAt}, 'Restoring previous version...')
+    const tmpPath = path.join(this.syncPath, TMP_DIR_NAME)
+    const tmpFile = path.join(tmpPath, `${path.basename(this.dirPath(relPath))}.version`)
+    const fullPath = path.join(this.syncPath, relPath)
+    await fs.ensureDir(tmpPath)
+    await fs.copy(this.versionPath(relPath, version), tmpFile, {preserveTimestamps: true})
+    try {
+      await this.save(relPath, null, now)
+      await fs.ensureDir(path.dirname(fullPath))
+      await fs.rename(tmpFile, fullPath)
+    } catch (err) {
+      await fs.remove(tmpFile)
+      throw err
+    }
+    return version
+  }
+
+  // Remove the versions beyond the retention limits, the oldest first
+  async prune (now: Date = new Date()): Promise<void> {
+    const {count, days, size} = this.config.localVersions
+    const minDate = new Date(now.getTime() - days * 24 * 60 * 60 * 1000).toISOString()
+    const indexes = []
+    for (const name of await fs.readdir(this.versionsPath)) {
+      const dir = path.join(this.versionsPath, name)
+      const index = await this.readIndex(dir)
+      if (index != null) indexes.push({dir, index})
+    }
+
+    // The most recent versions are kept while they fit in the size limit
+    const all = []
+    for (const {index} of indexes) {
+      for (const version of index.versions) all.push({path: index.path, version})
+    }
+    all.sort((a, b) => a.version.savedAt < b.version.savedAt ? 1 : -1)
+    const kept = new Set()
+    let total = 0
+    for (const {version} of all) {
+      total += version.size
+      if (total > size * 1024 * 1024) break
+      kept.add(version)
+    }
+
+    await Promise.each(indexes, async ({dir, index}) => {
+      const versions = index.versions.filter((version, i) =>
+        i < count && version.savedAt >= minDate && kept.has(version))
+      if (versions.length === index.versions.length) return
+      for (const version of index.versions) {
+        if (versions.includes(version)) continue
+        log.debug({path: index.path, savedAt: version.savedAt}, 'Removing old version')
+        await fs.remove(this.versionPath(index.path, version))
+      }
+      if (versions.length === 0) {
+        await fs.remove(dir)
+      } else {
+        await this.writeIndex(dir, {...index, versions})
+      }
+    })
+  }
+}
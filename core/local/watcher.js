@@ -1,19 +1,22 @@
 /* @flow */
 
 import Promise from 'bluebird'
-import chokidar from 'chokidar'
 import fs from 'fs-extra'
 import path from 'path'
 
 import analysis from './analysis'
+import * as backend from './backend'
+import ChecksumCache from './checksum_cache'
 import * as checksumer from './checksumer'
-import * as chokidarEvent from './chokidar_event'
 import LocalEventBuffer from './event_buffer'
 import logger from '../logger'
 import * as metadata from '../metadata'
 import Pouch from '../pouch'
 import Prep from '../prep'
+import SyncDirGuard, { OFFLINE_DELETIONS_REFUSED } from './sync_dir_guard'
+import LocalTags from './tags'
 
+import type { WatcherBackend } from './backend'
 import type { Checksumer } from './checksumer'
 import type { ChokidarEvent } from './chokidar_event'
 import type { LocalEvent } from './event'
@@ -29,11 +32,39 @@ log.chokidar = log.child({
   component: 'Chokidar'
 })
 
+// The path of a file or folder once the following moves of the batch are
+// done, so it can be read
+const pathAfterMoves = (events: ChokidarEvent[], index: number, p: string): string => {
+  for (let i = index + 1; i < events.length; i++) {
+    const e = events[i]
+    if (e.type !== 'move' && e.type !== 'moveDir') continue
+    if (p === e.oldPath) {
+      p = e.path
+    } else if (e.type === 'moveDir' && p.startsWith(e.oldPath + path.sep)) {
+      p = e.path + p.slice(e.oldPath.length)
+    }
+  }
+  return p
+}
+
+// The path of a file or folder before the previous moves of folders in the
+// batch, as saved in Pouch
+const pathBeforeMoves = (events: ChokidarEvent[], index: number, p: string): string => {
+  for (let i = index - 1; i >= 0; i--) {
+    const e = events[i]
+    if (e.type === 'moveDir' && p.startsWith(e.path + path.sep)) {
+      p = e.oldPath + p.slice(e.path.length)
+    }
+  }
+  return p
+}
+
 const SIDE = 'local'
 
 type InitialScan = {
   ids: string[],
-  resolve: () => void
+  resolve: () => void,
+  reject: (Error) => void
 }
 
 // This file contains the filesystem watcher that will trigger operations when
@@ -47,7 +78,10 @@ class LocalWatcher {
   events: EventEmitter
   initialScan: ?InitialScan
   checksumer: Checksumer
-  watcher: any // chokidar
+  checksumCache: ChecksumCache
+  guard: SyncDirGuard
+  tags: LocalTags
+  backend: WatcherBackend
   buffer: LocalEventBuffer<ChokidarEvent>
   ensureDirInterval: *
   pendingChanges: LocalChange[]
@@ -57,10 +91,12 @@ class LocalWatcher {
     this.prep = prep
     this.pouch = pouch
     this.events = events
-     // TODO: Read from config
-    const timeoutInMs = process.env.NODE_ENV === 'test' ? 1000 : 10000
-    this.buffer = new LocalEventBuffer(timeoutInMs, this.onFlush)
+    this.backend = backend.build(prep.config, syncPath, this.onEvent)
+    this.buffer = new LocalEventBuffer(this.backend.bufferTimeout, this.onFlush)
     this.checksumer = checksumer.init()
+    this.checksumCache = new ChecksumCache(pouch)
+    this.guard = new SyncDirGuard(prep.config, events)
+    this.tags = new LocalTags()
     this.pendingChanges = []
   }
 
@@ -72,68 +108,31 @@ class LocalWatcher {
     }
   }
 
-  // Start chokidar, the filesystem watcher
-  // https://github.com/paulmillr/chokidar
+  // Start the backend watching the filesystem
   start () {
     log.debug('Starting...')
 
     this.ensureDirInterval = setInterval(this.ensureDirSync.bind(this), 5000)
 
-    this.watcher = chokidar.watch('.', {
-      // Let paths in events be relative to this base path
-      cwd: this.syncPath,
-      // Ignore our own .system-tmp-cozy-drive directory
-      ignored: /(^|[\/\\])\.system-tmp-cozy-drive/, // eslint-disable-line no-useless-escape
-      // Don't follow symlinks
-      followSymlinks: false,
-      // The stats object is used in methods below
-      alwaysStat: true,
-      // Watching on Windows seems to lock dirs with subdirs, preventing them
-      // from being renamed/moved/deleted.
-      usePolling: (process.platform === 'win32'),
-      // Filter out artifacts from editors with atomic writes
-      atomic: true,
-      // Poll newly created files to detect when the write is finished
-      awaitWriteFinish: {
-        pollInterval: 200,
-        stabilityThreshold: 1000
-      },
-      // With node 0.10 on linux, only polling is available
-      interval: 1000,
-      binaryInterval: 2000
-    })
-
-    return new Promise((resolve) => {
-      for (let eventType of ['add', 'addDir', 'change', 'unlink', 'unlinkDir']) {
-        this.watcher.on(eventType, (path?: string, stats?: fs.Stats) => {
-          log.chokidar.debug({path}, eventType)
-          log.chokidar.trace({stats})
-          const newEvent = chokidarEvent.build(eventType, path, stats)
-          this.buffer.push(newEvent)
-          this.events.emit('buffering-start')
-        })
-      }
-
+    return new Promise((resolve, reject) => {
       // To detect which files&folders have been removed since the last run of
-      // cozy-desktop, we keep all the paths seen by chokidar during its
+      // cozy-desktop, we keep all the paths seen by the backend during its
       // initial scan in @paths to compare them with pouchdb database.
-      this.initialScan = {ids: [], resolve}
-
-      this.watcher
-        .on('ready', () => this.buffer.switchMode('timeout'))
-        .on('error', (err) => {
-          if (err.message === 'watch ENOSPC') {
-            log.error('Sorry, the kernel is out of inotify watches! ' +
-              'See doc/usage/inotify.md for how to solve this issue.')
-          } else {
-            log.error({err})
-          }
-        })
+      this.initialScan = {ids: [], resolve, reject}
+
+      this.backend.start()
+        .then(() => this.buffer.switchMode('timeout'))
+        .catch(reject)
 
       log.info(`Now watching ${this.syncPath}`)
     })
   }
 
+  onEvent (event: ChokidarEvent) {
+    this.buffer.push(event)
+    this.events.emit('buffering-start')
+  }
+
   // TODO: Start checksuming as soon as an add/change event is buffered
   // TODO: Put flushed event batches in a queue
   async onFlush (events: ChokidarEvent[]) {
@@ -151,7 +150,15 @@ class LocalWatcher {
       events.filter((e) => e.type.startsWith('add'))
             .forEach((e) => ids.push(metadata.id(e.path)))
 
-      await this.prependOfflineUnlinkEvents(events, initialScan)
+      try {
+        await this.prependOfflineUnlinkEvents(events, initialScan)
+      } catch (err) {
+        log.error({err}, 'Initial scan aborted')
+        this.initialScan = null
+        await this.stop(true)
+        initialScan.reject(err)
+        return
+      }
 
       log.debug({initialEvents: events})
     }
@@ -160,7 +167,9 @@ class LocalWatcher {
     const preparedEvents : LocalEvent[] = await this.prepareEvents(events)
     log.trace('Done with events preparation.')
 
-    const changes : LocalChange[] = analysis(preparedEvents, this.pendingChanges)
+    const changes : LocalChange[] = analysis(preparedEvents, this.pendingChanges, {
+      detectsMoves: this.backend.detectsMoves
+    })
 
     // TODO: Don't even acquire lock changes list is empty
     // FIXME: Shouldn't we acquire the lock before preparing the events?
@@ -175,46 +184,65 @@ class LocalWatcher {
       this.events.emit('local-end')
     }
     if (initialScan != null) {
+      await this.guard.record()
+        .catch(err => log.warn({err}, 'Could not record the sync dir marker'))
+      this.checksumCache.report()
       initialScan.resolve()
       this.initialScan = null
     }
   }
 
+  // Deletions are only added once confirmed when they look suspicious, e.g.
+  // because the synchronized folder is an unmounted mount point.
   async prependOfflineUnlinkEvents (events: ChokidarEvent[], initialScan: InitialScan) {
     // Try to detect removed files & folders
-    const docs = await this.pouch.byRecursivePathAsync('')
+    const docs = (await this.pouch.byRecursivePathAsync('')).filter(doc => !doc.trashed)
     const inInitialScan = (doc) =>
       initialScan.ids.indexOf(metadata.id(doc.path)) !== -1
-    for (const doc of docs) {
-      if (inInitialScan(doc) || doc.trashed) continue
-
-      const event = (doc.docType === 'file')
+    const unlinkEvents = docs.filter(doc => !inInitialScan(doc)).map(doc =>
+      metadata.isFile(doc)
         ? {type: 'unlink', path: doc.path, old: doc}
-        : {type: 'unlinkDir', path: doc.path, old: doc}
+        : {type: 'unlinkDir', path: doc.path, old: doc})
+
+    if (!await this.guard.confirm(unlinkEvents.length, docs.length)) {
+      throw new Error(OFFLINE_DELETIONS_REFUSED)
+    }
 
-      log.chokidar.debug({path: doc.path}, event.type)
+    for (const event of unlinkEvents) {
+      log.chokidar.debug({path: event.path}, event.type)
       events.unshift(event)
     }
   }
 
   async prepareEvents (events: ChokidarEvent[]) : Promise<LocalEvent[]> {
+    const docByPath = async (p: string): Promise<?Metadata> => {
+      try {
+        return await this.pouch.db.get(metadata.id(p))
+      } catch (err) {
+        if (err.status !== 404) log.error({path: p, err})
+      }
+      return null
+    }
     const oldMetadata = async (e: ChokidarEvent): Promise<?Metadata> => {
       if (e.old) return e.old
-      if (e.type === 'unlink' || e.type === 'unlinkDir') {
-        try {
-          return await this.pouch.db.get(metadata.id(e.path))
-        } catch (err) {
-          if (err.status !== 404) log.error({path: e.path, err})
-        }
-      }
+      if (e.type === 'unlink' || e.type === 'unlinkDir') return docByPath(e.path)
+      if (e.type === 'move' || e.type === 'moveDir') return docByPath(e.oldPath)
       return null
     }
+    const hasMoves = events.some(e => e.type === 'move' || e.type === 'moveDir')
 
     // @PERFOPTIM ?
     //   - db.allDocs(keys: events.pick(path))
     //   - process.exec('md5sum ' + paths.join(' '))
 
-    return Promise.map(events, async (e: ChokidarEvent): Promise<?LocalEvent> => {
+    const symlinkPolicy = this.prep.config.symlinkPolicy
+
+    return Promise.map(events, async (event: ChokidarEvent, index: number): Promise<?LocalEvent> => {
+      // The moves reported later in the batch already happened, so the file
+      // or folder has to be read at its new path
+      const e: ChokidarEvent = hasMoves && event.type !== 'unlink' && event.type !== 'unlinkDir'
+        ? ({...event, path: pathAfterMoves(events, index, event.path)}: Object)
+        : event
       const abspath = path.join(this.syncPath, e.path)
 
       const e2: Object = {
@@ -222,9 +250,32 @@ class LocalWatcher {
         old: await oldMetadata(e)
       }
 
-      if (e.type === 'add' || e.type === 'change') {
+      if ((e.type === 'move' || e.type === 'moveDir') && e2.old == null) {
+        // Moved from a folder moved earlier in the batch, which is only saved
+        // at its new path once its own move is applied
+        const originalPath = pathBeforeMoves(events, index, e.oldPath)
+        const doc = originalPath !== e.oldPath ? await docByPath(originalPath) : null
+        if (doc != null) {
+          e2.old = {...doc, path: e.oldPath}
+          e2.needRefetch = true
+        }
+      }
+
+      if ((e.type === 'add' || e.type === 'change' || e.type === 'move') && symlinkPolicy !== 'follow') {
+        const linkStats = await this.symlinkStats(e.path)
+        if (linkStats && symlinkPolicy === 'skip') {
+          log.debug({path: e.path}, 'Skipping symlink')
+          return null
+        } else if (linkStats) {
+          e2.stats = linkStats
+          e2.md5sum = checksumer.stringChecksum(await fs.readlink(abspath))
+          return e2
+        }
+      }
+
+      if (e.type === 'add' || e.type === 'change' || e.type === 'move') {
         try {
-          e2.md5sum = await this.checksum(e.path)
+          e2.md5sum = await this.checksum(e.path, e.stats)
         } catch (err) {
           // FIXME: err.code === EISDIR => keep the event? (e.g. rm foo && mkdir foo)
           if (err.code.match(/ENOENT/)) {
@@ -237,6 +288,10 @@ class LocalWatcher {
         }
       }
 
+      if (e.type === 'unlink') {
+        await this.checksumCache.remove(metadata.id(e.path))
+      }
+
       if (e.type === 'addDir') {
         if (!await fs.exists(abspath)) {
           log.debug({path: e.path}, 'Dir does not exist anymore')
@@ -281,6 +336,10 @@ class LocalWatcher {
             await this.onMoveFile(c.path, c.stats, c.md5sum, c.old)
             break
           case 'DirMove':
+            if (c.needRefetch) {
+              c.old = await this.pouch.db.get(metadata.id(c.old.path))
+              c.old.childMove = false
+            }
             await this.onMoveFolder(c.path, c.stats, c.old)
             break
           default:
@@ -298,10 +357,7 @@ class LocalWatcher {
   }
 
   stop (force?: bool) {
-    if (this.watcher) {
-      this.watcher.close()
-      this.watcher = null
-    }
+    this.backend.stop()
     clearInterval(this.ensureDirInterval)
     this.buffer.switchMode('idle')
     if (force) return Promise.resolve()
@@ -313,62 +369,75 @@ class LocalWatcher {
 
   // Show watched paths
   debug () {
-    if (this.watcher) {
-      log.info('This is the list of the paths watched by chokidar:')
-      const object = this.watcher.getWatched()
-      for (let dir in object) {
-        var file
-        const files = object[dir]
-        if (dir === '..') {
-          for (file of Array.from(files)) {
-            log.info(`- ${dir}/${file}`)
-          }
-        } else {
-          if (dir !== '.') { log.info(`- ${dir}`) }
-          for (file of Array.from(files)) {
-            log.info(`  * ${file}`)
-          }
-        }
-      }
-      log.info('--------------------------------------------------')
-    } else {
-      log.warn('The file system is not currrently watched')
-    }
+    this.backend.debug()
   }
 
   /* Helpers */
-  async checksum (filePath: string): Promise<string> {
+  // The stats of the file, when given, allow to reuse its cached checksum
+  async checksum (filePath: string, stats?: fs.Stats): Promise<string> {
     const absPath = path.join(this.syncPath, filePath)
-    return this.checksumer.push(absPath)
+    if (stats == null) return this.checksumer.push(absPath)
+
+    const id = metadata.id(filePath)
+    const cached = await this.checksumCache.get(id, stats)
+    if (cached != null) return cached
+    const md5sum = await this.checksumer.push(absPath)
+    await this.checksumCache.set(id, stats, md5sum)
+    return md5sum
+  }
+
+  // The lstat of the given path when it is a symlink, null otherwise
+  async symlinkStats (filePath: string): Promise<?fs.Stats> {
+    try {
+      const stats = await fs.lstat(path.join(this.syncPath, filePath))
+      return stats.isSymbolicLink() ? stats : null
+    } catch (err) {
+      return null
+    }
+  }
+
+  buildFile (filePath: string, stats: fs.Stats, md5sum: string): Metadata {
+    return stats.isSymbolicLink()
+      ? metadata.buildSymlink(filePath, stats, md5sum)
+      : metadata.buildFile(filePath, stats, md5sum)
+  }
+
+  // The tags are left unset when they are unknown, so the merge keeps the
+  // ones from the Cozy
+  async readTags (doc: Metadata): Promise<Metadata> {
+    if (metadata.isSymlink(doc)) return doc
+    const tags = await this.tags.read(path.join(this.syncPath, doc.path))
+    if (tags != null) doc.tags = tags
+    return doc
   }
 
   /* Changes */
 
   // New file detected
-  onAddFile (filePath: string, stats: fs.Stats, md5sum: string) {
+  async onAddFile (filePath: string, stats: fs.Stats, md5sum: string) {
     const logError = (err) => log.error({err, path: filePath})
-    const doc = metadata.buildFile(filePath, stats, md5sum)
+    const doc = await this.readTags(this.buildFile(filePath, stats, md5sum))
     log.info({path: filePath}, 'file added')
     return this.prep.addFileAsync(SIDE, doc).catch(logError)
   }
 
   async onMoveFile (filePath: string, stats: fs.Stats, md5sum: string, old: Metadata) {
     const logError = (err) => log.error({err, path: filePath})
-    const doc = metadata.buildFile(filePath, stats, md5sum)
+    const doc = await this.readTags(this.buildFile(filePath, stats, md5sum))
     log.info({path: filePath}, `was moved from ${old.path}`)
     return this.prep.moveFileAsync(SIDE, doc, old).catch(logError)
   }
 
-  onMoveFolder (folderPath: string, stats: fs.Stats, old: Metadata) {
+  async onMoveFolder (folderPath: string, stats: fs.Stats, old: Metadata) {
     const logError = (err) => log.error({err, path: folderPath})
-    const doc = metadata.buildDir(folderPath, stats)
+    const doc = await this.readTags(metadata.buildDir(folderPath, stats))
     log.info({path: folderPath}, `was moved from ${old.path}`)
     return this.prep.moveFolderAsync(SIDE, doc, old).catch(logError)
   }
 
   // New directory detected
-  onAddDir (folderPath: string, stats: fs.Stats) {
-    const doc = metadata.buildDir(folderPath, stats)
+  async onAddDir (folderPath: string, stats: fs.Stats) {
+    const doc = await this.readTags(metadata.buildDir(folderPath, stats))
     log.info({path: folderPath}, 'folder added')
     return this.prep.putFolderAsync(SIDE, doc).catch(err => log.error({err, path: folderPath}))
   }
@@ -392,9 +461,9 @@ class LocalWatcher {
   }
 
   // File update detected
-  onChange (filePath: string, stats: fs.Stats, md5sum: string) {
+  async onChange (filePath: string, stats: fs.Stats, md5sum: string) {
     log.info({path: filePath}, 'File changed')
-    const doc = metadata.buildFile(filePath, stats, md5sum)
+    const doc = await this.readTags(this.buildFile(filePath, stats, md5sum))
     return this.prep.updateFileAsync(SIDE, doc)
   }
 }
@@ -1,11 +1,16 @@
 /* @flow */
 
+import EventEmitter from 'events'
 import { clone } from 'lodash'
 import { basename, dirname, extname, join } from 'path'
 
+import { conflictRecord } from './conflicts'
 import Local from './local'
 import logger from './logger'
-import { isUpToDate, markSide, sameBinary, sameFile, sameFolder, detectPlatformIncompatibilities } from './metadata'
+import {
+  detectPlatformIncompatibilities, extractRevNumber, isFile, isUpToDate,
+  markSide, sameBinary, sameFile, sameFolder
+} from './metadata'
 import Pouch from './pouch'
 import Remote from './remote'
 import { otherSide } from './side'
@@ -17,6 +22,10 @@ const log = logger({
   component: 'Merge'
 })
 
+// See CONFLICT_STRATEGIES in ./config.js
+export type ConflictStrategy =
+  'keep-both' | 'newest-wins' | 'local-wins' | 'remote-wins' | 'keep-remote-version'
+
 // When the local filesystem or the remote cozy detects a change, it calls this
 // class to inform it (via Prep). This class will check how to operate this
 // change against the data in pouchdb and then will update pouchdb. It avoids a
@@ -33,13 +42,28 @@ const log = logger({
 // isn't simple to implement. When the document is renamed, it fires some events
 // that are not in the normal flow (rename instead of add, bogus delete) and we
 // need to redirect them.
+//
+// Renaming is the default strategy (keep-both). When the content of a file was
+// changed on both sides, or a file was moved over another one, another
+// conflict strategy can be configured, globally or per folder:
+// - newest-wins: the version with the latest updated_at overwrites the other,
+// - local-wins / remote-wins: the version from this side overwrites the other,
+// - keep-remote-version: the local version is uploaded as a new revision of
+//   the remote file, so the remote version is kept in its history on the Cozy.
+// Conflicts between a file and a folder are always resolved by renaming.
+//
+// When two files are kept, the conflict is recorded in pouch and a conflict
+// event is emitted, so the user can choose which version to keep later (see
+// ./conflicts.js).
 class Merge {
   pouch: Pouch
+  events: EventEmitter
   local: Local
   remote: Remote
 
-  constructor (pouch: Pouch) {
+  constructor (pouch: Pouch, events: EventEmitter = new EventEmitter()) {
     this.pouch = pouch
+    this.events = events
     // $FlowFixMe
     this.local = this.remote = null
   }
@@ -84,24 +108,114 @@ class Merge {
     log.debug({path: doc.path}, 'resolveConflictAsync')
     log.trace({doc, was})
     let dst = clone(doc)
-    let date = fsutils.validName(new Date().toISOString())
-    let ext = extname(doc.path)
-    let dir = dirname(doc.path)
-    let base = basename(doc.path, ext)
-    // 180 is an arbitrary limit to avoid having files with too long names
-    if (base.length > 180) {
-      base = base.slice(0, 180)
-    }
-    dst.path = `${join(dir, base)}-conflict-${date}${ext}`
+    dst.path = conflictPath(doc.path)
     try {
       // $FlowFixMe
       await this[side].renameConflictingDocAsync(doc, dst.path)
     } catch (err) {
       throw err
     }
+    if (isFile(doc) && isFile(was)) {
+      await this.recordConflictAsync(side, doc, was, dst.path)
+    }
     return dst
   }
 
+  // Remember that the version from the given side was renamed, so the user
+  // can choose which version to keep later
+  async recordConflictAsync (renamedSide: SideName, renamed: Metadata, kept: Metadata, conflictPath: string) {
+    const record = conflictRecord(renamedSide, renamed, kept, conflictPath)
+    try {
+      await this.pouch.updateConflictsAsync(records => records.concat(record))
+    } catch (err) {
+      log.warn({path: kept.path, err}, 'Could not record the conflict')
+      return
+    }
+    this.events.emit('conflict', record)
+  }
+
+  // The conflict strategy configured for the path of the given doc
+  conflictStrategy (doc: Metadata): ConflictStrategy {
+    // FIXME: Find a cleaner way to pass the config to the Merge
+    return this.pouch.config.conflictStrategyFor(doc.path)
+  }
+
+  // Resolve a conflict between the content of the doc coming from the given
+  // side and the one of the file already in pouch, according to the conflict
+  // strategy. Both docs must have been marked for the side already.
+  async resolveContentConflictAsync (side: SideName, doc: Metadata, file: Metadata) {
+    const strategy = this.conflictStrategy(doc)
+    log.debug({path: doc.path, strategy}, 'resolveContentConflictAsync')
+    switch (strategy) {
+      case 'keep-both':
+        return this.resolveConflictAsync(side, doc, file)
+      case 'keep-remote-version':
+        return this.keepRemoteVersionAsync(side, doc, file)
+      default:
+        if (winningSide(strategy, side, doc, file) === side) {
+          return this.overwriteWithIncomingAsync(side, doc, file)
+        } else {
+          return this.overwriteWithExistingAsync(side, doc, file)
+        }
+    }
+  }
+
+  // The doc overwrites the file in pouch, and Sync will apply it to the
+  // other side
+  overwriteWithIncomingAsync (side: SideName, doc: Metadata, file: Metadata) {
+    log.info({path: doc.path}, `Conflict resolved: the ${side} version wins`)
+    doc._rev = file._rev
+    if (doc.tags == null) { doc.tags = file.tags || [] }
+    if (doc.remote == null) { doc.remote = file.remote }
+    if (doc.ino == null) { doc.ino = file.ino }
+    return this.pouch.put(doc)
+  }
+
+  // The incoming doc is dropped, and Sync will apply the file in pouch to the
+  // side it comes from
+  async overwriteWithExistingAsync (side: SideName, doc: Metadata, file: Metadata) {
+    if (side === 'local') {
+      if (!isUpToDate('local', file)) {
+        log.info({path: doc.path}, 'Conflict resolved: the remote version wins')
+        return null // Not downloaded yet
+      }
+      // The local version was overwritten, e.g. by a move, and can only be
+      // restored from the Cozy
+      if (!file.remote) return this.overwriteWithIncomingAsync(side, doc, file)
+      log.info({path: doc.path}, 'Conflict resolved: the remote version wins')
+      markSide('remote', file, file)
+      return this.pouch.put(file)
+    }
+    log.info({path: doc.path}, 'Conflict resolved: the local version wins')
+    // The remote file has to be overwritten with the new remote _rev as
+    // precondition: save first a revision with the new remote version, as if
+    // it was applied locally, so Sync finds it as the previous one.
+    const rev = extractRevNumber(file)
+    const {rev: remoteRev} = await this.pouch.put({
+      ...doc,
+      _rev: file._rev,
+      sides: {local: rev + 1, remote: rev + 1}
+    })
+    return this.pouch.put({
+      ...file,
+      _rev: remoteRev,
+      remote: doc.remote,
+      sides: {local: rev + 2, remote: rev + 1}
+    })
+  }
+
+  // The local version wins, and is uploaded over the same remote file: the
+  // Cozy keeps the remote version in the history of the file (see
+  // App#listRemoteVersions), so nothing is renamed
+  keepRemoteVersionAsync (side: SideName, doc: Metadata, file: Metadata) {
+    log.info({path: doc.path}, 'Conflict resolved: the remote version is kept in the file history')
+    if (side === 'local') {
+      return this.overwriteWithIncomingAsync(side, doc, file)
+    } else {
+      return this.overwriteWithExistingAsync(side, doc, file)
+    }
+  }
+
   /* Actions */
 
   // Add a file, if it doesn't already exist,
@@ -137,7 +251,7 @@ class Merge {
       if ((side === 'local') && (file.sides.local != null)) {
         return this.resolveInitialAddAsync(side, doc, file)
       } else {
-        return this.resolveConflictAsync(side, doc, file)
+        return this.resolveContentConflictAsync(side, doc, file)
       }
     }
     if (doc.tags == null) { doc.tags = [] }
@@ -166,7 +280,10 @@ class Merge {
       } catch (_) {}
       // It's safer to handle it as a conflict
       if (doc.remote == null) { doc.remote = file.remote }
-      return this.resolveConflictAsync('remote', doc, file)
+      if (this.conflictStrategy(doc) === 'keep-both') {
+        return this.resolveConflictAsync('remote', doc, file)
+      }
+      return this.resolveContentConflictAsync(side, doc, file)
     }
   }
 
@@ -194,7 +311,7 @@ class Merge {
         if (doc.class == null) { doc.class = file.class }
         if (doc.mime == null) { doc.mime = file.mime }
       } else if (!isUpToDate(side, file)) {
-        return this.resolveConflictAsync(side, doc, file)
+        return this.resolveContentConflictAsync(side, doc, file)
       }
       if (sameFile(file, doc)) {
         log.info({path}, 'up to date')
@@ -219,7 +336,7 @@ class Merge {
       if (err.status !== 404) { log.warn({path, err}) }
     }
     markSide(side, doc, folder)
-    if (folder && folder.docType === 'file') {
+    if (folder && isFile(folder)) {
       return this.resolveConflictAsync(side, doc, folder)
     }
     if (folder) {
@@ -266,6 +383,11 @@ class Merge {
       delete was.errors
       if (file && sameFile(file, doc)) {
         return null
+      } else if (file && isFile(file) && this.conflictStrategy(doc) !== 'keep-both') {
+        // The moved file doesn't exist at its former path anymore
+        delete was.moveTo
+        await this.pouch.put(was)
+        return this.resolveContentConflictAsync(side, doc, file)
       } else if (file) {
         const dst = await this.resolveConflictAsync(side, doc, file)
         was.moveTo = dst._id
@@ -388,7 +510,7 @@ class Merge {
       }
       throw err
     }
-    if (doc.docType !== oldMetadata.docType) {
+    if (isFile(doc) !== isFile(oldMetadata)) {
       await this.resolveConflictAsync(side, doc, oldMetadata)
       return
     }
@@ -425,7 +547,7 @@ class Merge {
     let children = await this.pouch.byRecursivePathAsync(was._id)
     children = children.reverse()
     for (let child of Array.from(children)) {
-      if (child.docType === 'file' && !isUpToDate(side, child)) {
+      if (isFile(child) && !isUpToDate(side, child)) {
         delete was.trashed
         delete was.errors
         if (was.sides) {
@@ -533,4 +655,32 @@ class Merge {
   }
 }
 
+// Add a -conflict suffix with the date to the given path
+function conflictPath (path: string): string {
+  const date = fsutils.validName(new Date().toISOString())
+  const ext = extname(path)
+  const dir = dirname(path)
+  let base = basename(path, ext)
+  // 180 is an arbitrary limit to avoid having files with too long names
+  if (base.length > 180) {
+    base = base.slice(0, 180)
+  }
+  return `${join(dir, base)}-conflict-${date}${ext}`
+}
+
+// The side whose version overwrites the other one, for the strategies picking
+// a winner
+function winningSide (strategy: ConflictStrategy, side: SideName, doc: Metadata, file: Metadata): SideName {
+  switch (strategy) {
+    case 'local-wins':
+      return 'local'
+    case 'remote-wins':
+      return 'remote'
+    default: // newest-wins
+      return new Date(doc.updated_at) >= new Date(file.updated_at)
+        ? side
+        : otherSide(side)
+  }
+}
+
 export default Merge
@@ -30,12 +30,29 @@ export type MetadataSidesInfo = {
   local?: number
 }
 
+export type BlockSignature = {
+  weak: number,
+  strong: string
+}
+
+// The signatures of the blocks of a file, for the content with the given
+// md5sum, as in rsync: the weak one finds candidate blocks at any offset, the
+// strong one confirms them (see remote/delta).
+export type Signature = {
+  md5sum: string,
+  size: number,
+  blockSize: number,
+  blocks: BlockSignature[]
+}
+
 // The files/dirs metadata, as stored in PouchDB
 export type Metadata = {
   _deleted?: true,
   _id: string,
   _rev?: string,
   md5sum?: string,
+  // Block signatures of large files, to upload only their changed blocks
+  blocks?: Signature,
   class?: string,
   docType: string,
   errors?: number,
@@ -54,8 +71,15 @@ export type Metadata = {
   ino?: ?number
 }
 
+// Symlinks synchronized as links are files whose content is their target
+export const SYMLINK_MIME = 'inode/symlink'
+
 export const isFile = (doc: Metadata): bool => {
-  return doc.docType === 'file'
+  return doc.docType === 'file' || doc.docType === 'symlink'
+}
+
+export const isSymlink = (doc: Metadata): bool => {
+  return doc.docType === 'symlink'
 }
 
 export let assignId: (doc: *) => void = (_) => {}
@@ -154,7 +178,7 @@ export function detectPlatformIncompatibilities (metadata: Metadata, syncPath: s
 // MD5 has 16 bytes.
 // Base64 encoding must include padding.
 export function invalidChecksum (doc: Metadata) {
-  if (doc.md5sum == null) return doc.docType === 'file'
+  if (doc.md5sum == null) return isFile(doc)
 
   const buffer = Buffer.from(doc.md5sum, 'base64')
 
@@ -266,3 +290,19 @@ export const buildFile = (filePath: string, stats: fs.Stats, md5sum: string): Me
   if ((stats.mode & EXECUTABLE_MASK) !== 0) { doc.executable = true }
   return doc
 }
+
+// The stats of a symlink come from lstat, and its checksum is the one of its
+// target path.
+export const buildSymlink = (linkPath: string, stats: fs.Stats, md5sum: string): Metadata => {
+  const doc: Object = {
+    path: linkPath,
+    docType: 'symlink',
+    md5sum,
+    ino: stats.ino,
+    updated_at: maxDate(stats.mtime, stats.ctime),
+    mime: SYMLINK_MIME,
+    class: SYMLINK_MIME.split('/')[0],
+    size: stats.size
+  }
+  return doc
+}
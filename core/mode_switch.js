@@ -0,0 +1,245 @@
+/* @flow */
+
+import _ from 'lodash'
+import path from 'path'
+import readdirp from 'readdirp'
+
+import Config from './config'
+import { localDocType } from './conversion'
+import Ignore from './ignore'
+import * as checksumer from './local/checksumer'
+import logger from './logger'
+import { extractRevNumber, id } from './metadata'
+import Pouch from './pouch'
+import RemoteCozy from './remote/cozy'
+import { inRemoteTrash } from './remote/document'
+import { sameDate } from './timestamp'
+
+import type { Checksumer } from './local/checksumer'
+import type { Metadata, SideName } from './metadata'
+import type { SyncMode } from './sync'
+
+const log = logger({
+  component: 'ModeSwitch'
+})
+
+export type ReportEntry = {path: string, type: 'add' | 'update' | 'delete'}
+
+// What switching mode does to the synchronized files:
+// - upload: local changes which will be applied to the Cozy
+// - download: remote changes which will be applied locally
+// - discard: changes saved while in the previous mode which won't be applied
+export type ModeSwitchReport = {
+  from: ?SyncMode,
+  to: SyncMode,
+  upload: ReportEntry[],
+  download: ReportEntry[],
+  discard: string[]
+}
+
+export type ModeSwitchPlan = {
+  report: ModeSwitchReport,
+  fixes: Metadata[],
+  refetchRemote: boolean
+}
+
+type LocalEntry = {path: string, fullPath: string, stat: *}
+
+// Local changes are only watched and applied in push & full modes, remote ones
+// in pull & full modes.
+export const watchesLocal = (mode: ?SyncMode): boolean =>
+  mode === 'push' || mode === 'full'
+export const watchesRemote = (mode: ?SyncMode): boolean =>
+  mode === 'pull' || mode === 'full'
+
+// Switch an already synchronized device to another mode.
+//
+// Pouch is reconciled with the new mode first:
+// - pending changes which the new mode won't apply are rolled back to the
+//   version last applied on the other side (or forgotten when they never
+//   reached it), so they are detected again when switching back later,
+// - when the remote side was not watched until now, its changes are fetched
+//   again from the start.
+//
+// Local changes are always detected by the initial scan of the local watcher,
+// so they only show up in the report.
+export default class ModeSwitch {
+  config: Config
+  pouch: Pouch
+  ignore: Ignore
+  remoteCozy: RemoteCozy
+
+  constructor (config: Config, pouch: Pouch, ignore: Ignore, remoteCozy: RemoteCozy) {
+    this.config = config
+    this.pouch = pouch
+    this.ignore = ignore
+    this.remoteCozy = remoteCozy
+  }
+
+  // Find out what switching to the given mode would do, without changing
+  // anything
+  async plan (to: SyncMode): Promise<ModeSwitchPlan> {
+    const from = this.config.config.mode
+    const plan = {
+      report: {from, to, upload: [], download: [], discard: []},
+      fixes: [],
+      refetchRemote: false
+    }
+    if (from == null || from === to) return plan
+
+    let docs = await this.pouch.byRecursivePathAsync('')
+    await this.reconcilePending(docs, plan)
+    const fixed = _.keyBy(plan.fixes, '_id')
+    docs = docs
+      .map(doc => fixed[doc._id] || doc)
+      .filter(doc => !doc._deleted)
+
+    if (!watchesLocal(from) && watchesLocal(to)) {
+      await this.scanLocal(docs, plan)
+    }
+    if (!watchesRemote(from) && watchesRemote(to)) {
+      plan.refetchRemote = true
+      await this.scanRemote(docs, plan)
+    }
+    return plan
+  }
+
+  // Actually switch mode, as planned
+  async apply (plan: ModeSwitchPlan): Promise<void> {
+    const {from, to} = plan.report
+    const release = await this.pouch.lock(this)
+    try {
+      if (plan.fixes.length > 0) await this.pouch.bulkDocs(plan.fixes)
+      if (plan.refetchRemote) await this.pouch.setRemoteSeqAsync('0')
+      this.config.switchMode(to)
+    } finally {
+      release()
+    }
+    log.info({from, to, discarded: plan.fixes.length}, 'Sync mode switched')
+  }
+
+  async reconcilePending (docs: Metadata[], plan: ModeSwitchPlan): Promise<void> {
+    const {report} = plan
+    for (const doc of docs) {
+      const local = doc.sides.local || 0
+      const remote = doc.sides.remote || 0
+      if (local === remote) continue
+
+      const lagging: SideName = local > remote ? 'remote' : 'local'
+      const applied = lagging === 'remote' ? watchesLocal(report.to) : watchesRemote(report.to)
+      if (applied) {
+        const entries = lagging === 'remote' ? report.upload : report.download
+        entries.push({path: doc.path, type: changeType(doc, lagging)})
+      } else {
+        report.discard.push(doc.path)
+        plan.fixes.push(await this.rollback(doc, lagging))
+      }
+    }
+  }
+
+  // Return the doc as last applied on the given side, marked as up-to-date on
+  // both sides
+  async rollback (doc: Metadata, side: SideName): Promise<Metadata> {
+    const rev = extractRevNumber(doc) + 1
+    const sides = {local: rev, remote: rev}
+    const shortRev = doc.sides[side]
+    if (shortRev) {
+      try {
+        const prev = await this.pouch.getPreviousRevAsync(doc._id, shortRev)
+        return {
+          ..._.omit(prev, ['errors', 'moveFrom', 'moveTo', 'childMove']),
+          _rev: doc._rev,
+          sides
+        }
+      } catch (err) {
+        log.warn({path: doc.path, err}, 'Could not find the last applied revision')
+      }
+    }
+    return {...doc, sides, _deleted: true}
+  }
+
+  // What the initial scan of the local watcher will find since local changes
+  // were not watched until now
+  async scanLocal (docs: Metadata[], plan: ModeSwitchPlan): Promise<void> {
+    const {upload} = plan.report
+    const known = _.keyBy(docs, '_id')
+    const found = new Set()
+    const queue = checksumer.init()
+    try {
+      for (const entry of await this.walkLocal()) {
+        const docId = id(entry.path)
+        const doc = known[docId]
+        found.add(docId)
+        if (doc == null || doc.trashed) {
+          upload.push({path: entry.path, type: 'add'})
+        } else if (entry.stat.isFile() && await fileChanged(doc, entry, queue)) {
+          upload.push({path: entry.path, type: 'update'})
+        }
+      }
+    } finally {
+      queue.kill()
+    }
+    for (const doc of docs) {
+      if (!found.has(doc._id) && !doc.trashed) {
+        upload.push({path: doc.path, type: 'delete'})
+      }
+    }
+  }
+
+  // What fetching again all the remote changes will find since they were not
+  // watched until now
+  async scanRemote (docs: Metadata[], plan: ModeSwitchPlan): Promise<void> {
+    const {download} = plan.report
+    const byRemoteId = _.keyBy(docs.filter(doc => doc.remote), 'remote._id')
+    const {docs: remoteDocs} = await this.remoteCozy.changes('0')
+    for (const remoteDoc of remoteDocs) {
+      const doc = byRemoteId[remoteDoc._id]
+      if (remoteDoc._deleted || inRemoteTrash(remoteDoc)) {
+        if (doc && !doc.trashed) download.push({path: doc.path, type: 'delete'})
+        continue
+      }
+      const relPath = path.normalize(remoteDoc.path.substring(1))
+      if (this.isSkipped(relPath, localDocType(remoteDoc.type))) continue
+      if (doc == null) {
+        download.push({path: relPath, type: 'add'})
+      } else if (id(doc.path) !== id(relPath) ||
+                 (remoteDoc.md5sum && remoteDoc.md5sum !== doc.md5sum)) {
+        download.push({path: relPath, type: 'update'})
+      }
+    }
+  }
+
+  isSkipped (relPath: string, docType: string): boolean {
+    return this.ignore.isIgnored({_id: relPath, docType}) ||
+      this.config.isExcluded(relPath)
+  }
+
+  walkLocal (): Promise<LocalEntry[]> {
+    const entries = []
+    const keep = (entry, docType) => !this.isSkipped(entry.path, docType)
+    return new Promise((resolve, reject) => {
+      readdirp({
+        root: this.config.syncPath,
+        entryType: 'both',
+        directoryFilter: entry => keep(entry, 'folder'),
+        fileFilter: entry => keep(entry, 'file')
+      })
+        .on('warn', err => log.warn({err}))
+        .on('error', reject)
+        .on('data', entry => entries.push(entry))
+        .on('end', () => resolve(entries))
+    })
+  }
+}
+
+function changeType (doc: Metadata, side: SideName): 'add' | 'update' | 'delete' {
+  if (doc.trashed) return 'delete'
+  return doc.sides[side] ? 'update' : 'add'
+}
+
+export async function fileChanged (doc: Metadata, entry: LocalEntry, queue: Checksumer): Promise<boolean> {
+  if (doc.docType !== 'file') return true
+  if (doc.size != null && doc.size !== entry.stat.size) return true
+  if (sameDate(doc.updated_at, entry.stat.mtime)) return false
+  return (await queue.push(entry.fullPath)) !== doc.md5sum
+}
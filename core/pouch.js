@@ -4,13 +4,19 @@ import Promise from 'bluebird'
 import PouchDB from 'pouchdb'
 import async from 'async'
 import fs from 'fs-extra'
-import { isEqual } from 'lodash'
+import { isEqual, pick } from 'lodash'
 import path from 'path'
 
 import Config from './config'
 import logger from './logger'
 
+import type { ConflictRecord } from './conflicts'
+import type { DownloadRecord } from './local'
+import type { ChecksumRecord } from './local/checksum_cache'
 import type { Metadata } from './metadata'
+import type { RetryRecord } from './retry_queue'
+import type { TrashRecord } from './trash'
+import type { UploadRecord } from './remote/upload'
 import type { Callback } from './utils/func'
 
 const log = logger({
@@ -67,6 +73,8 @@ class Pouch {
     })
   }
 
+  resetDatabaseAsync: () => Promise<*>
+
   lock (component: *): Promise<Function> {
     const id = this.nextLockId++
     if (typeof component !== 'string') component = component.constructor.name
@@ -362,6 +370,198 @@ class Pouch {
 
   setRemoteSeqAsync: (seq: string) => Promise<*>
 
+  /* Records */
+
+  // Get the records saved in the _local/<name> document, so they don't show
+  // up in the changes
+  getRecords (name, callback) {
+    this.db.get(`_local/${name}`, function (err, doc) {
+      if (err && err.status === 404) {
+        callback(null, [])
+      } else {
+        callback(err, doc && doc.records)
+      }
+    })
+  }
+
+  getRecordsAsync: (name: string) => Promise<Array<*>>
+
+  // Replace the records saved in the _local/<name> document with the result of
+  // the given function, called with the current ones
+  updateRecords (name, change, callback) {
+    const _id = `_local/${name}`
+    this.db.get(_id, (err, doc) => {
+      if (err && err.status !== 404) return callback(err)
+      doc = doc || {_id, records: []}
+      doc.records = change(doc.records)
+      this.db.put(doc, (err) => {
+        if (err && err.status === 409) {
+          this.updateRecords(name, change, callback)
+        } else {
+          callback(err)
+        }
+      })
+    })
+  }
+
+  updateRecordsAsync: (name: string, change: (Array<*>) => Array<*>) => Promise<void>
+
+  /* Conflicts */
+
+  // Get the records of the conflicts waiting for the user to choose a version
+  getConflicts (callback) {
+    this.getRecords('conflicts', callback)
+  }
+
+  getConflictsAsync: () => Promise<ConflictRecord[]>
+
+  updateConflicts (change, callback) {
+    this.updateRecords('conflicts', change, callback)
+  }
+
+  updateConflictsAsync: ((ConflictRecord[]) => ConflictRecord[]) => Promise<void>
+
+  /* Retries */
+
+  // Get the records of the changes which failed and are waiting to be applied
+  // again (see ./retry_queue.js)
+  getRetries (callback) {
+    this.getRecords('retries', callback)
+  }
+
+  getRetriesAsync: () => Promise<RetryRecord[]>
+
+  updateRetries (change, callback) {
+    this.updateRecords('retries', change, callback)
+  }
+
+  updateRetriesAsync: ((RetryRecord[]) => RetryRecord[]) => Promise<void>
+
+  /* Trash */
+
+  // Get the records of the files and folders this device moved to the Cozy
+  // trash (see ./trash.js)
+  getTrash (callback) {
+    this.getRecords('trash', callback)
+  }
+
+  getTrashAsync: () => Promise<TrashRecord[]>
+
+  updateTrash (change, callback) {
+    this.updateRecords('trash', change, callback)
+  }
+
+  updateTrashAsync: ((TrashRecord[]) => TrashRecord[]) => Promise<void>
+
+  /* Uploads */
+
+  // Get the record of the resumable upload of the file with the given id, or
+  // null when there is none.
+  // They are saved in local documents, so they don't show up in the changes
+  getUpload (id, callback) {
+    this.db.get(`_local/upload/${id}`, function (err, doc) {
+      if (err && err.status === 404) {
+        callback(null, null)
+      } else {
+        callback(err, doc && pick(doc, ['url', 'md5sum', 'size', 'offset']))
+      }
+    })
+  }
+
+  getUploadAsync: (id: string) => Promise<?UploadRecord>
+
+  setUpload (id, upload, callback) {
+    let task = {
+      ...upload,
+      _id: `_local/upload/${id}`
+    }
+    return this.updater.push(task, callback)
+  }
+
+  setUploadAsync: (id: string, upload: UploadRecord) => Promise<*>
+
+  removeUpload (id, callback) {
+    this.db.get(`_local/upload/${id}`, (err, doc) => {
+      if (err && err.status === 404) return callback(null)
+      if (err) return callback(err)
+      this.db.remove(doc, callback)
+    })
+  }
+
+  removeUploadAsync: (id: string) => Promise<*>
+
+  /* Downloads */
+
+  // Get the record of the interrupted download of the file with the given id,
+  // or null when there is none
+  getDownload (id, callback) {
+    this.db.get(`_local/download/${id}`, function (err, doc) {
+      if (err && err.status === 404) {
+        callback(null, null)
+      } else {
+        callback(err, doc && pick(doc, ['md5sum', 'size']))
+      }
+    })
+  }
+
+  getDownloadAsync: (id: string) => Promise<?DownloadRecord>
+
+  setDownload (id, download, callback) {
+    let task = {
+      ...download,
+      _id: `_local/download/${id}`
+    }
+    return this.updater.push(task, callback)
+  }
+
+  setDownloadAsync: (id: string, download: DownloadRecord) => Promise<*>
+
+  removeDownload (id, callback) {
+    this.db.get(`_local/download/${id}`, (err, doc) => {
+      if (err && err.status === 404) return callback(null)
+      if (err) return callback(err)
+      this.db.remove(doc, callback)
+    })
+  }
+
+  removeDownloadAsync: (id: string) => Promise<*>
+
+  /* Checksums */
+
+  // Get the cached checksum of the local file with the given id, or null when
+  // there is none
+  getChecksum (id, callback) {
+    this.db.get(`_local/checksum/${id}`, function (err, doc) {
+      if (err && err.status === 404) {
+        callback(null, null)
+      } else {
+        callback(err, doc && pick(doc, ['ino', 'size', 'mtime', 'md5sum']))
+      }
+    })
+  }
+
+  getChecksumAsync: (id: string) => Promise<?ChecksumRecord>
+
+  setChecksum (id, checksum, callback) {
+    let task = {
+      ...checksum,
+      _id: `_local/checksum/${id}`
+    }
+    return this.updater.push(task, callback)
+  }
+
+  setChecksumAsync: (id: string, checksum: ChecksumRecord) => Promise<*>
+
+  removeChecksum (id, callback) {
+    this.db.get(`_local/checksum/${id}`, (err, doc) => {
+      if (err && err.status === 404) return callback(null)
+      if (err) return callback(err)
+      this.db.remove(doc, callback)
+    })
+  }
+
+  removeChecksumAsync: (id: string) => Promise<*>
+
   tree (callback) {
     this.db.allDocs((err, result) => {
       if (err) return callback(err)
@@ -7,7 +7,7 @@ import Config from './config'
 import Ignore from './ignore'
 import logger from './logger'
 import Merge from './merge'
-import { assignId, ensureValidChecksum, ensureValidPath } from './metadata'
+import { assignId, ensureValidChecksum, ensureValidPath, isSymlink } from './metadata'
 import { TRASH_DIR_NAME } from './remote/constants'
 
 import type { SideName, Metadata } from './metadata'
@@ -17,6 +17,11 @@ const log = logger({
   component: 'Prep'
 })
 
+// Symlinks synchronized as links go through the same actions as files
+const setFileDocType = (doc: Metadata) => {
+  if (!isSymlink(doc)) doc.docType = 'file'
+}
+
 // When the local filesystem or the remote cozy detects a change, it calls this
 // class to inform it. This class will check this event, add some informations,
 // and give it to merge, so it can be saved in pouchdb.
@@ -35,6 +40,12 @@ class Prep {
     this.config = config
   }
 
+  // Local changes are not merged for ignored files and folders, nor for those
+  // inside remote folders which are not synchronized
+  isSkipped (doc: Metadata) {
+    return this.ignore.isIgnored(doc) || this.config.isExcluded(doc.path)
+  }
+
   /* Actions */
 
   // Expectations:
@@ -45,9 +56,9 @@ class Prep {
     ensureValidPath(doc)
     ensureValidChecksum(doc)
 
-    doc.docType = 'file'
+    setFileDocType(doc)
     assignId(doc)
-    if ((side === 'local') && this.ignore.isIgnored(doc)) { return }
+    if ((side === 'local') && this.isSkipped(doc)) { return }
     return this.merge.addFileAsync(side, doc)
   }
 
@@ -59,9 +70,9 @@ class Prep {
     ensureValidPath(doc)
     ensureValidChecksum(doc)
 
-    doc.docType = 'file'
+    setFileDocType(doc)
     assignId(doc)
-    if ((side === 'local') && this.ignore.isIgnored(doc)) { return }
+    if ((side === 'local') && this.isSkipped(doc)) { return }
     return this.merge.updateFileAsync(side, doc)
   }
 
@@ -73,7 +84,7 @@ class Prep {
 
     doc.docType = 'folder'
     assignId(doc)
-    if ((side === 'local') && this.ignore.isIgnored(doc)) { return }
+    if ((side === 'local') && this.isSkipped(doc)) { return }
     return this.merge.putFolderAsync(side, doc)
   }
 
@@ -106,11 +117,11 @@ class Prep {
   }
 
   doMoveFile (side: SideName, doc: Metadata, was: Metadata) {
-    doc.docType = 'file'
+    setFileDocType(doc)
     assignId(doc)
     assignId(was)
-    let docIgnored = this.ignore.isIgnored(doc)
-    let wasIgnored = this.ignore.isIgnored(was)
+    let docIgnored = this.isSkipped(doc)
+    let wasIgnored = this.isSkipped(was)
     if ((side === 'local') && docIgnored && wasIgnored) { return }
     if ((side === 'local') && docIgnored) {
       return this.merge.deleteFileAsync(side, was)
@@ -150,8 +161,8 @@ class Prep {
     doc.docType = 'folder'
     assignId(doc)
     assignId(was)
-    let docIgnored = this.ignore.isIgnored(doc)
-    let wasIgnored = this.ignore.isIgnored(was)
+    let docIgnored = this.isSkipped(doc)
+    let wasIgnored = this.isSkipped(was)
     if ((side === 'local') && docIgnored && wasIgnored) { return }
     if ((side === 'local') && docIgnored) {
       return this.merge.deleteFolderAsync(side, was)
@@ -170,7 +181,7 @@ class Prep {
     ensureValidChecksum(doc)
 
     delete doc.trashed
-    doc.docType = 'file'
+    setFileDocType(doc)
     assignId(doc)
     assignId(was)
     // TODO ignore.isIgnored
@@ -205,7 +216,7 @@ class Prep {
     ensureValidChecksum(doc)
 
     doc.trashed = true
-    doc.docType = 'file'
+    setFileDocType(doc)
     assignId(doc)
     assignId(was)
     // TODO ignore.isIgnored
@@ -238,9 +249,9 @@ class Prep {
     log.debug({path: doc.path}, 'deleteFileAsync')
     ensureValidPath(doc)
 
-    doc.docType = 'file'
+    setFileDocType(doc)
     assignId(doc)
-    if ((side === 'local') && this.ignore.isIgnored(doc)) { return }
+    if ((side === 'local') && this.isSkipped(doc)) { return }
     return this.merge.deleteFileAsync(side, doc)
   }
 
@@ -252,7 +263,7 @@ class Prep {
 
     doc.docType = 'folder'
     assignId(doc)
-    if ((side === 'local') && this.ignore.isIgnored(doc)) { return }
+    if ((side === 'local') && this.isSkipped(doc)) { return }
     return this.merge.deleteFolderAsync(side, doc)
   }
 }
@@ -0,0 +1,320 @@
+/* @flow */
+
+import EventEmitter from 'events'
+import _ from 'lodash'
+import path from 'path'
+import readdirp from 'readdirp'
+
+import Config from './config'
+import { localDocType } from './conversion'
+import Ignore from './ignore'
+import * as checksumer from './local/checksumer'
+import logger from './logger'
+import * as metadata from './metadata'
+import { fileChanged, watchesLocal, watchesRemote } from './mode_switch'
+import Pouch from './pouch'
+import Prep from './prep'
+import { inRemoteTrash } from './remote/document'
+import RemoteWatcher from './remote/watcher'
+
+import type { Checksumer } from './local/checksumer'
+import type { Metadata } from './metadata'
+import type { RemoteDeletion, RemoteDoc } from './remote/document'
+
+const log = logger({
+  component: 'Reconciliation'
+})
+
+// The paths of the files and folders which differ between Pouch and each side,
+// by category:
+// - localOnly / remoteOnly: not in Pouch, e.g. a missed addition
+// - localMissing / remoteMissing: synchronized but gone from this side
+// - localModified / remoteModified: another content or path on this side
+// - failed: changes which were given up after too many errors
+export type ReconciliationReport = {
+  localOnly: string[],
+  localMissing: string[],
+  localModified: string[],
+  remoteOnly: string[],
+  remoteMissing: string[],
+  remoteModified: string[],
+  failed: string[]
+}
+
+type LocalEntry = {path: string, fullPath: string, stat: *}
+
+export type ReconciliationPlan = {
+  report: ReconciliationReport,
+  localAdded: LocalEntry[],
+  localUpdated: LocalEntry[],
+  localDeleted: Metadata[],
+  remoteDocs: Array<RemoteDoc|RemoteDeletion>,
+  failed: Metadata[]
+}
+
+export const isConsistent = (report: ReconciliationReport): boolean =>
+  _.every(report, paths => paths.length === 0)
+
+// Compare the synchronized folder and the remote Cozy with Pouch, to find the
+// files and folders left out of sync by a missed event or a change which
+// failed too many times, and repair them by feeding the missed changes to
+// Prep, as if the watchers had detected them.
+//
+// Only the sides watched in the current sync mode are compared. Changes which
+// are still waiting to be applied are not divergences, and symlinks are left
+// out unless they are followed, since their metadata depend on the symlink
+// policy.
+export default class Reconciliation {
+  config: Config
+  pouch: Pouch
+  ignore: Ignore
+  prep: Prep
+  remoteWatcher: RemoteWatcher
+  events: EventEmitter
+  intervalID: *
+  running: boolean
+
+  constructor (config: Config, pouch: Pouch, ignore: Ignore, prep: Prep, remoteWatcher: RemoteWatcher, events: EventEmitter) {
+    this.config = config
+    this.pouch = pouch
+    this.ignore = ignore
+    this.prep = prep
+    this.remoteWatcher = remoteWatcher
+    this.events = events
+    this.running = false
+  }
+
+  // Check the consistency periodically, as configured, while synchronizing
+  start () {
+    this.stop()
+    const {interval} = this.config.reconciliation
+    if (interval === 0) return
+    this.intervalID = setInterval(() => { this.run() }, interval * 60 * 60 * 1000)
+  }
+
+  stop () {
+    if (this.intervalID) {
+      clearInterval(this.intervalID)
+      this.intervalID = null
+    }
+  }
+
+  // A scheduled check, repairing the divergences when configured to
+  async run (): Promise<void> {
+    if (this.running) return
+    this.running = true
+    try {
+      const {repair} = this.config.reconciliation
+      const plan = await this.check()
+      if (repair) await this.repair(plan)
+      this.events.emit('reconciliation', plan.report, repair)
+    } catch (err) {
+      log.error({err}, 'Could not check the consistency')
+    } finally {
+      this.running = false
+    }
+  }
+
+  // Find the divergences, without changing anything
+  async check (): Promise<ReconciliationPlan> {
+    const {mode} = this.config.config
+    const plan = {
+      report: {
+        localOnly: [],
+        localMissing: [],
+        localModified: [],
+        remoteOnly: [],
+        remoteMissing: [],
+        remoteModified: [],
+        failed: []
+      },
+      localAdded: [],
+      localUpdated: [],
+      localDeleted: [],
+      remoteDocs: [],
+      failed: []
+    }
+    log.info({mode}, 'Checking consistency...')
+
+    const docs = (await this.pouch.byRecursivePathAsync(''))
+      .filter(doc => !this.isSkipped(doc.path, doc.docType))
+    const pending = await this.pendingIds()
+    const synced = []
+    for (const doc of docs) {
+      if ((doc.sides.local || 0) === (doc.sides.remote || 0)) {
+        if (!doc.trashed) synced.push(doc)
+      } else if (!pending.has(doc._id)) {
+        // Sync went past the change without applying it
+        plan.report.failed.push(doc.path)
+        plan.failed.push(doc)
+      }
+    }
+
+    if (watchesLocal(mode)) await this.checkLocal(docs, synced, plan)
+    if (watchesRemote(mode)) await this.checkRemote(docs, synced, plan)
+
+    log.info(_.mapValues(plan.report, 'length'), isConsistent(plan.report)
+      ? 'Pouch, local and remote files are consistent'
+      : 'Divergences found')
+    return plan
+  }
+
+  // Feed the missed changes to Prep and retry the failed ones, holding the
+  // Pouch lock like the watchers do. The missed remote changes are pulled
+  // afterwards by the remote watcher, which takes the lock on its own.
+  async repair (plan: ReconciliationPlan): Promise<void> {
+    const release = await this.pouch.lock(this)
+    try {
+      await this.repairLocal(plan)
+      for (const doc of plan.failed) {
+        log.info({path: doc.path, errors: doc.errors}, 'Retrying failed change')
+        await this.pouch.db.put(_.omit(doc, 'errors'))
+      }
+    } finally {
+      release()
+    }
+    if (plan.remoteDocs.length > 0) {
+      log.info({count: plan.remoteDocs.length}, 'Repairing missed remote changes')
+      await this.remoteWatcher.pullMany(plan.remoteDocs)
+    }
+  }
+
+  async repairLocal (plan: ReconciliationPlan): Promise<void> {
+    // Children first, like the local watcher
+    for (const doc of _.sortBy(plan.localDeleted, 'path').reverse()) {
+      log.info({path: doc.path}, 'Repairing missed local deletion')
+      if (doc.docType === 'folder') {
+        await this.prep.trashFolderAsync('local', {path: doc.path})
+      } else {
+        await this.prep.trashFileAsync('local', {path: doc.path})
+      }
+    }
+    const queue = checksumer.init()
+    try {
+      for (const entry of plan.localAdded) {
+        await this.addLocal(entry, queue)
+      }
+      for (const entry of plan.localUpdated) {
+        const md5sum = await queue.push(entry.fullPath)
+        log.info({path: entry.path}, 'Repairing missed local update')
+        await this.prep.updateFileAsync('local', metadata.buildFile(entry.path, entry.stat, md5sum))
+      }
+    } finally {
+      queue.kill()
+    }
+  }
+
+  async addLocal (entry: LocalEntry, queue: Checksumer): Promise<void> {
+    log.info({path: entry.path}, 'Repairing missed local addition')
+    if (entry.stat.isDirectory()) {
+      await this.prep.putFolderAsync('local', metadata.buildDir(entry.path, entry.stat))
+    } else {
+      const md5sum = await queue.push(entry.fullPath)
+      await this.prep.addFileAsync('local', metadata.buildFile(entry.path, entry.stat, md5sum))
+    }
+  }
+
+  async checkLocal (docs: Metadata[], synced: Metadata[], plan: ReconciliationPlan): Promise<void> {
+    const {report} = plan
+    const known = _.keyBy(docs, '_id')
+    const syncedIds = new Set(synced.map(doc => doc._id))
+    const found = new Map()
+    const queue = checksumer.init()
+    try {
+      for (const entry of _.sortBy(await this.walkLocal(), 'path')) {
+        if (entry.stat.isSymbolicLink()) continue
+        const docId = metadata.id(entry.path)
+        const doc = known[docId]
+        found.set(docId, entry)
+        if (doc == null || (syncedIds.has(docId) && docTypeChanged(doc, entry))) {
+          report.localOnly.push(entry.path)
+          plan.localAdded.push(entry)
+        }
+      }
+      for (const doc of synced) {
+        if (doc.incompatibilities || metadata.isSymlink(doc)) continue
+        const entry = found.get(doc._id)
+        if (entry == null || docTypeChanged(doc, entry)) {
+          report.localMissing.push(doc.path)
+          plan.localDeleted.push(doc)
+        } else if (entry.stat.isFile() && await fileChanged(doc, entry, queue)) {
+          report.localModified.push(doc.path)
+          plan.localUpdated.push(entry)
+        }
+      }
+    } finally {
+      queue.kill()
+    }
+  }
+
+  async checkRemote (docs: Metadata[], synced: Metadata[], plan: ReconciliationPlan): Promise<void> {
+    const {report} = plan
+    const knownRemoteIds = new Set(docs.filter(doc => doc.remote).map(doc => doc.remote._id))
+    const remoteDocs: {[string]: RemoteDoc} = {}
+    const {docs: changedDocs} = await this.remoteWatcher.remoteCozy.changes('0')
+    for (const remoteDoc of changedDocs) {
+      if (remoteDoc._deleted) continue
+      remoteDocs[remoteDoc._id] = remoteDoc
+    }
+
+    for (const remoteDoc of _.sortBy(_.values(remoteDocs), 'path')) {
+      if (inRemoteTrash(remoteDoc) || knownRemoteIds.has(remoteDoc._id)) continue
+      const relPath = path.normalize(remoteDoc.path.substring(1))
+      if (this.isSkipped(relPath, localDocType(remoteDoc.type))) continue
+      report.remoteOnly.push(relPath)
+      plan.remoteDocs.push(remoteDoc)
+    }
+
+    for (const doc of synced) {
+      if (doc.remote == null) continue
+      const remoteDoc = remoteDocs[doc.remote._id]
+      if (remoteDoc == null) {
+        report.remoteMissing.push(doc.path)
+        plan.remoteDocs.push({_id: doc.remote._id, _rev: doc.remote._rev, _deleted: true})
+      } else if (inRemoteTrash(remoteDoc)) {
+        report.remoteMissing.push(doc.path)
+        plan.remoteDocs.push(remoteDoc)
+      } else if (metadata.id(doc.path) !== metadata.id(path.normalize(remoteDoc.path.substring(1))) ||
+                 (doc.docType === 'file' && remoteDoc.md5sum !== doc.md5sum)) {
+        report.remoteModified.push(doc.path)
+        plan.remoteDocs.push(remoteDoc)
+      }
+    }
+  }
+
+  // The ids of the docs with changes Sync did not reach yet
+  async pendingIds (): Promise<Set<string>> {
+    const since = await this.pouch.getLocalSeqAsync()
+    const {results} = await this.pouch.db.changes({since})
+    return new Set(results.map(change => change.id))
+  }
+
+  isSkipped (relPath: string, docType: string): boolean {
+    return this.ignore.isIgnored({_id: relPath, docType}) ||
+      this.config.isExcluded(relPath)
+  }
+
+  // Symlinks are only listed, not followed, unless their target is
+  // synchronized
+  walkLocal (): Promise<LocalEntry[]> {
+    const entries = []
+    const keep = (entry, docType) => !this.isSkipped(entry.path, docType)
+    return new Promise((resolve, reject) => {
+      readdirp({
+        root: this.config.syncPath,
+        entryType: 'both',
+        lstat: this.config.symlinkPolicy !== 'follow',
+        directoryFilter: entry => keep(entry, 'folder'),
+        fileFilter: entry => keep(entry, 'file')
+      })
+        .on('warn', err => log.warn({err}))
+        .on('error', reject)
+        .on('data', entry => entries.push(entry))
+        .on('end', () => resolve(entries))
+    })
+  }
+}
+
+function docTypeChanged (doc: Metadata, entry: LocalEntry): boolean {
+  return (doc.docType === 'folder') !== entry.stat.isDirectory()
+}
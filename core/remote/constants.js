@@ -2,6 +2,8 @@
 
 // Doctypes
 export const FILES_DOCTYPE = 'io.cozy.files'
+export const FILES_VERSIONS_DOCTYPE = 'io.cozy.files.versions'
+export const PERMISSIONS_DOCTYPE = 'io.cozy.permissions'
 
 // Files document type
 export const DIR_TYPE = 'directory'
@@ -3,14 +3,18 @@
 import { Client as CozyClient } from 'cozy-client-js'
 import path from 'path'
 import { Readable } from 'stream'
+import url from 'url'
 
 import Config from '../config'
-import { FILES_DOCTYPE, FILE_TYPE } from './constants'
+import {
+  DIR_TYPE, FILES_DOCTYPE, FILES_VERSIONS_DOCTYPE, FILE_TYPE, PERMISSIONS_DOCTYPE, TRASH_DIR_ID
+} from './constants'
 import { dropSpecialDocs, jsonApiToRemoteDoc, keepFiles, parentDirIds } from './document'
 import logger from '../logger'
 import { composeAsync } from '../utils/func'
 
-import type { RemoteDoc, RemoteDeletion } from './document'
+import type { DeltaOp } from './delta'
+import type { RemoteDoc, RemoteDeletion, RemoteSharingLink, RemoteVersion } from './document'
 
 const { posix } = path
 
@@ -18,6 +22,51 @@ const log = logger({
   component: 'RemoteCozy'
 })
 
+// The version of the tus protocol used for resumable uploads.
+// See https://tus.io/protocols/resumable-upload.html
+const TUS_VERSION = '1.0.0'
+
+// Encode the upload options as tus metadata: comma-separated keys and their
+// base64 values
+function uploadMetadata (options: Object): string {
+  return Object.keys(options)
+    .filter(key => options[key] != null)
+    .map(key => `${key} ${Buffer.from(String(options[key])).toString('base64')}`)
+    .join(',')
+}
+
+// The public page of the Drive app showing the file or folder shared with the
+// given code. Cozies are expected to use flat subdomains, e.g.
+// https://alice-drive.mycozy.cloud for https://alice.mycozy.cloud
+export function sharingLinkURL (cozyURL: string, code: string): string {
+  const {protocol, host} = url.parse(cozyURL)
+  const [instance, ...domain] = (host || '').split('.')
+  return url.format({
+    protocol,
+    host: [`${instance}-drive`, ...domain].join('.'),
+    pathname: '/public',
+    query: {sharecode: code}
+  })
+}
+
+// Build a sharing link from a permission of the Cozy, unless it does not
+// grant access to a file or folder
+function sharingLink (cozyURL: string, permission: Object): ?RemoteSharingLink {
+  const {codes = {}, permissions = {}, password} = permission.attributes
+  const code = codes.email || Object.keys(codes).map(key => codes[key])[0]
+  const rule = Object.keys(permissions)
+    .map(key => permissions[key])
+    .find(rule => rule.type === FILES_DOCTYPE && rule.values && rule.values.length > 0)
+  if (code == null || rule == null) return null
+  return {
+    _id: permission.id,
+    fileID: rule.values[0],
+    url: sharingLinkURL(cozyURL, code),
+    password: Boolean(password),
+    expiresAt: permission.attributes.expires_at || null
+  }
+}
+
 export function DirectoryNotFound (path: string, cozyURL: string) {
   this.name = 'DirectoryNotFound'
   this.message = `Directory ${path} was not found on Cozy ${cozyURL}`
@@ -54,6 +103,7 @@ export default class RemoteCozy {
     this.updateFileById = composeAsync(this.client.files.updateById, this.toRemoteDoc)
     this.updateAttributesById = composeAsync(this.client.files.updateAttributesById, this.toRemoteDoc)
     this.trashById = this.client.files.trashById
+    this.restoreById = composeAsync(this.client.files.restoreById, this.toRemoteDoc)
     this.destroyById = this.client.files.destroyById
   }
 
@@ -82,6 +132,9 @@ export default class RemoteCozy {
 
   trashById: (id: string, options?: {ifMatch: string}) => Promise<RemoteDoc>
 
+  // Move a file or directory out of the trash, back to where it was
+  restoreById: (id: string) => Promise<RemoteDoc>
+
   destroyById: (id: string, options?: {ifMatch: string}) => Promise<void>
 
   async changes (since: string = '0'): Promise<{last_seq: string, docs: Array<RemoteDoc|RemoteDeletion>}> {
@@ -158,6 +211,36 @@ export default class RemoteCozy {
     }
   }
 
+  // List the directories right inside the one with the given path, sorted by
+  // name. The trash is never listed.
+  async subDirectories (path: string): Promise<RemoteDoc[]> {
+    const parent = await this.findDirectoryByPath(path)
+    const index = await this.client.data.defineIndex(FILES_DOCTYPE, ['dir_id', 'type'])
+    const results = await this.client.data.query(index, {
+      selector: {dir_id: parent._id, type: DIR_TYPE}
+    })
+
+    return results
+      .filter(dir => dir._id !== TRASH_DIR_ID)
+      .map(dir => ({...dir, _type: FILES_DOCTYPE}))
+      .sort((a, b) => a.name.localeCompare(b.name))
+  }
+
+  // List the files and directories right inside the given one, with their
+  // paths
+  async contents (dir: RemoteDoc): Promise<RemoteDoc[]> {
+    const index = await this.client.data.defineIndex(FILES_DOCTYPE, ['dir_id'])
+    const results = await this.client.data.query(index, {
+      selector: {dir_id: dir._id}
+    })
+
+    return results.map(doc => ({
+      ...doc,
+      _type: FILES_DOCTYPE,
+      path: doc.type === FILE_TYPE ? posix.join(dir.path, doc.name) : doc.path
+    }))
+  }
+
   async isEmpty (id: string): Promise<boolean> {
     const dir = await this.client.files.statById(id)
     if (dir.attributes.type !== 'directory') {
@@ -168,11 +251,203 @@ export default class RemoteCozy {
     return dir.relations('contents').length === 0
   }
 
+  // Start a resumable upload of a new file, or of a new version of the file
+  // with the given fileID, and resolve with its URL.
+  // The file is created or updated once all of its bytes have been uploaded.
+  async createUpload (options: {size: number,
+                                name?: string,
+                                dirID?: ?string,
+                                fileID?: string,
+                                ifMatch?: string,
+                                checksum?: ?string,
+                                contentType?: ?string,
+                                executable?: boolean,
+                                lastModifiedDate?: ?Date}): Promise<string> {
+    const {size, ...rest} = options
+    const uploadsURL = await this.client.fullpath('/files/uploads')
+    const resp = await this.authorizedFetch('POST', uploadsURL, {
+      'Tus-Resumable': TUS_VERSION,
+      'Upload-Length': String(size),
+      'Upload-Metadata': uploadMetadata(rest)
+    })
+    return url.resolve(uploadsURL, resp.headers.get('Location'))
+  }
+
+  // Resolve with the number of bytes already received for the given upload
+  async uploadOffset (uploadURL: string): Promise<number> {
+    const resp = await this.authorizedFetch('HEAD', uploadURL, {
+      'Tus-Resumable': TUS_VERSION
+    })
+    return parseInt(resp.headers.get('Upload-Offset'))
+  }
+
+  // Send the next bytes of the given upload, starting at offset.
+  // Resolve with the new offset, and the remote doc once the upload is done.
+  async uploadChunk (uploadURL: string, offset: number, chunk: Buffer): Promise<{offset: number, doc: ?RemoteDoc}> {
+    const resp = await this.authorizedFetch('PATCH', uploadURL, {
+      'Tus-Resumable': TUS_VERSION,
+      'Content-Type': 'application/offset+octet-stream',
+      'Upload-Offset': String(offset)
+    }, chunk)
+    const newOffset = parseInt(resp.headers.get('Upload-Offset'))
+    if (resp.status !== 200) return {offset: newOffset, doc: null}
+
+    // The last chunk response includes the JSON-API doc of the file
+    const doc = await this.responseToRemoteDoc(resp)
+    return {offset: newOffset, doc}
+  }
+
+  // Start the upload of a new version of the file with the given fileID, as
+  // the differences with its version ifMatch, split in blocks of blockSize.
+  // Resolve with the URL where to send the operations rebuilding it.
+  async createDelta (options: {fileID: string,
+                               ifMatch?: string,
+                               size: number,
+                               blockSize: number,
+                               checksum?: ?string,
+                               contentType?: ?string,
+                               executable?: boolean,
+                               lastModifiedDate?: ?Date}): Promise<string> {
+    const {size, blockSize, ...rest} = options
+    const deltasURL = await this.client.fullpath('/files/deltas')
+    const resp = await this.authorizedFetch('POST', deltasURL, {
+      'Delta-Block-Size': String(blockSize),
+      'Upload-Length': String(size),
+      'Upload-Metadata': uploadMetadata(rest)
+    })
+    return url.resolve(deltasURL, resp.headers.get('Location'))
+  }
+
+  // Send the next operation of the given delta
+  async sendDeltaOperation (deltaURL: string, op: DeltaOp): Promise<void> {
+    if (op.data) {
+      await this.authorizedFetch('PATCH', deltaURL, {
+        'Content-Type': 'application/octet-stream',
+        'Delta-Operation': 'data'
+      }, op.data)
+    } else if (op.copy != null) {
+      await this.authorizedFetch('PATCH', deltaURL, {
+        'Delta-Operation': `copy ${op.copy} ${op.count}`
+      })
+    }
+  }
+
+  // Replace the content of the file with the one rebuilt by the delta, once
+  // its checksum is verified
+  async commitDelta (deltaURL: string): Promise<RemoteDoc> {
+    const resp = await this.authorizedFetch('POST', deltaURL)
+    return this.responseToRemoteDoc(resp)
+  }
+
+  async responseToRemoteDoc (resp: *): Promise<RemoteDoc> {
+    const {data} = await resp.json()
+    return this.toRemoteDoc({
+      _id: data.id,
+      _type: data.type,
+      _rev: data.meta.rev,
+      attributes: data.attributes
+    })
+  }
+
+  // Send a request with the OAuth token of the client, for the API calls
+  // missing from cozy-client-js
+  async authorizedFetch (method: string, requestURL: string, headers: {[string]: string} = {}, body?: Buffer): Promise<*> {
+    const {token} = await this.client.authorize()
+    // The same fetch as cozy-client-js, set up with the proxy by the GUI
+    const resp = await global.fetch(requestURL, {
+      method,
+      headers: {...headers, 'Authorization': token.toAuthHeader()},
+      body
+    })
+    if (!resp.ok) {
+      const err: Object = new Error(`${method} ${requestURL}: ${resp.status} ${resp.statusText}`)
+      err.status = resp.status
+      throw err
+    }
+    return resp
+  }
+
   async downloadBinary (id: string): Promise<Readable> {
     const resp = await this.client.files.downloadById(id)
     return resp.body
   }
 
+  // Download the binary from the given byte, to resume a previous download.
+  // Resolve with the start of the returned content, which is 0 when the
+  // range was not honored.
+  async downloadBinaryRange (id: string, start: number): Promise<{stream: Readable, start: number}> {
+    const downloadURL = await this.client.fullpath(`/files/download/${id}`)
+    const resp = await this.authorizedFetch('GET', downloadURL, {
+      'Range': `bytes=${start}-`
+    })
+    return {stream: resp.body, start: resp.status === 206 ? start : 0}
+  }
+
+  // List the previous versions of the content of a file, kept by the Cozy
+  // when it was updated, the most recent first
+  async listVersions (fileID: string): Promise<RemoteVersion[]> {
+    const fileURL = await this.client.fullpath(`/files/${fileID}`)
+    const resp = await this.authorizedFetch('GET', fileURL)
+    const {included = []} = await resp.json()
+    return included
+      .filter(doc => doc.type === FILES_VERSIONS_DOCTYPE)
+      .map(doc => ({...doc.attributes, _id: doc.id, _rev: doc.meta && doc.meta.rev}))
+      .sort((a, b) => a.updated_at < b.updated_at ? 1 : -1)
+  }
+
+  // The content of a previous version of a file. The version id includes the
+  // id of its file.
+  async downloadVersion (versionID: string): Promise<Readable> {
+    const downloadURL = await this.client.fullpath(`/files/download/${versionID}`)
+    const resp = await this.authorizedFetch('GET', downloadURL)
+    return resp.body
+  }
+
+  // Make a previous version the current content of its file. The replaced
+  // content is kept as a version too.
+  async restoreVersion (versionID: string): Promise<RemoteDoc> {
+    const revertURL = await this.client.fullpath(`/files/revert/${versionID}`)
+    const resp = await this.authorizedFetch('POST', revertURL)
+    return this.responseToRemoteDoc(resp)
+  }
+
+  // Create a public link to read a file or folder, optionally protected by a
+  // password and expiring at the given date
+  async createSharingLink (fileID: string, options: {password?: ?string, expiresAt?: ?Date} = {}): Promise<RemoteSharingLink> {
+    const permissionsURL = await this.client.fullpath('/permissions?codes=email')
+    const attributes: Object = {
+      permissions: {
+        files: {type: FILES_DOCTYPE, verbs: ['GET'], values: [fileID]}
+      }
+    }
+    if (options.password) attributes.password = options.password
+    if (options.expiresAt) attributes.expires_at = options.expiresAt.toISOString()
+    const body = JSON.stringify({data: {type: PERMISSIONS_DOCTYPE, attributes}})
+    const resp = await this.authorizedFetch('POST', permissionsURL,
+      {'Content-Type': 'application/vnd.api+json'}, Buffer.from(body))
+    const {data} = await resp.json()
+    const link = sharingLink(this.url, data)
+    if (link == null) throw new Error(`No sharing code for ${fileID}`)
+    return link
+  }
+
+  // List the public links to the files and folders of the Cozy, whichever
+  // device or app created them
+  async sharingLinks (): Promise<RemoteSharingLink[]> {
+    const links = []
+    let next = `/permissions/doctype/${FILES_DOCTYPE}/shared-by-link`
+    while (next) {
+      const resp = await this.authorizedFetch('GET', await this.client.fullpath(next))
+      const json = await resp.json()
+      for (const permission of json.data) {
+        const link = sharingLink(this.url, permission)
+        if (link) links.push(link)
+      }
+      next = json.links && json.links.next
+    }
+    return links
+  }
+
   async toRemoteDoc (doc: any): Promise<RemoteDoc> {
     if (doc.attributes) doc = jsonApiToRemoteDoc(doc)
     if (doc.type === FILE_TYPE) await this._setPath(doc)
@@ -0,0 +1,274 @@
+/* @flow */
+
+import Promise from 'bluebird'
+import crypto from 'crypto'
+import { Readable, Transform } from 'stream'
+
+import { BandwidthLimiter } from '../bandwidth'
+import logger from '../logger'
+import RemoteCozy from './cozy'
+import { ChunkReader } from './upload'
+
+import type { RemoteDoc } from './document'
+import type { BlockSignature, Metadata, Signature } from '../metadata'
+import type { UploadTarget } from './upload'
+
+const log = logger({
+  component: 'RemoteDelta'
+})
+
+export const MIN_BLOCK_SIZE = 1024 * 1024
+
+// Larger files get larger blocks, so their signatures stay small enough to be
+// saved in Pouch
+export const MAX_BLOCKS = 2048
+
+// An operation to rebuild the new content of a file: copy count blocks from
+// the previous version, starting with the given one, or append new data.
+export type DeltaOp = {|copy: number, count: number|} | {|data: Buffer|}
+
+export function blockSizeFor (size: number): number {
+  let blockSize = MIN_BLOCK_SIZE
+  while (blockSize * MAX_BLOCKS < size) blockSize *= 2
+  return blockSize
+}
+
+const md5 = (data: Buffer): string =>
+  crypto.createHash('md5').update(data).digest('base64')
+
+// The rsync weak checksum of a window of bytes, which can slide one byte
+// further in constant time
+export class RollingChecksum {
+  a: number
+  b: number
+  length: number
+
+  constructor (buffer: Buffer, start: number, end: number) {
+    let a = 0
+    let b = 0
+    for (let i = start; i < end; i++) {
+      a = (a + buffer[i]) & 0xffff
+      b = (b + a) & 0xffff
+    }
+    this.a = a
+    this.b = b
+    this.length = end - start
+  }
+
+  digest (): number {
+    return this.b * 0x10000 + this.a
+  }
+
+  // Drop the first byte of the window and append the next one
+  roll (first: number, next: number) {
+    this.a = (this.a - first + next) & 0xffff
+    this.b = (this.b - this.length * first + this.a) & 0xffff
+  }
+
+  // Drop the first byte of the window, at the end of the content
+  shrink (first: number) {
+    this.a = (this.a - first) & 0xffff
+    this.b = (this.b - this.length * first) & 0xffff
+    this.length--
+  }
+}
+
+// Computes the signature of a content read chunk by chunk
+export class Signer {
+  blockSize: number
+  size: number
+  blocks: BlockSignature[]
+  hash: Object
+  pending: Buffer
+
+  constructor (blockSize: number) {
+    this.blockSize = blockSize
+    this.size = 0
+    this.blocks = []
+    this.hash = crypto.createHash('md5')
+    this.pending = Buffer.alloc(0)
+  }
+
+  update (chunk: Buffer) {
+    this.size += chunk.length
+    this.hash.update(chunk)
+    this.pending = Buffer.concat([this.pending, chunk])
+    while (this.pending.length >= this.blockSize) {
+      this.addBlock(this.pending.slice(0, this.blockSize))
+      this.pending = this.pending.slice(this.blockSize)
+    }
+  }
+
+  addBlock (block: Buffer) {
+    this.blocks.push({
+      weak: new RollingChecksum(block, 0, block.length).digest(),
+      strong: md5(block)
+    })
+  }
+
+  digest (): Signature {
+    if (this.pending.length > 0) this.addBlock(this.pending)
+    this.pending = Buffer.alloc(0)
+    return {
+      md5sum: this.hash.digest('base64'),
+      size: this.size,
+      blockSize: this.blockSize,
+      blocks: this.blocks
+    }
+  }
+
+  // Sign the content going through the returned stream
+  observe (source: Readable): Readable {
+    const signer = this
+    const observed = new Transform({
+      transform (chunk, encoding, callback) {
+        signer.update(chunk)
+        callback(null, chunk)
+      }
+    })
+    source.on('error', err => observed.emit('error', err))
+    return source.pipe(observed)
+  }
+}
+
+// Compare the content of the source with the signature of its previous
+// version, and send the operations rebuilding it, in order.
+// Consecutive copies are merged, and new data is sent by blocks at most.
+export async function computeDelta (base: Signature, source: Readable, send: (DeltaOp) => Promise<void>): Promise<void> {
+  const {blockSize, blocks} = base
+  const lastBlockSize = base.size - (blocks.length - 1) * blockSize
+  const blockLength = (i) => i === blocks.length - 1 ? lastBlockSize : blockSize
+  const weakIndex: Map<number, number[]> = new Map()
+  blocks.forEach((block, i) => {
+    weakIndex.set(block.weak, (weakIndex.get(block.weak) || []).concat(i))
+  })
+
+  const reader = new ChunkReader(source)
+  let buffer = Buffer.alloc(0)
+  let ended = false
+  let pos = 0 // The start of the window
+  let literal = 0 // The start of the data not sent yet
+  let copy: ?{|copy: number, count: number|} = null
+  let rolling: ?RollingChecksum = null
+
+  const sendCopy = async () => {
+    if (copy == null) return
+    await send(copy)
+    copy = null
+  }
+  const sendData = async (end) => {
+    if (end <= literal) return
+    await sendCopy()
+    await send({data: buffer.slice(literal, end)})
+    literal = end
+  }
+  const findBlock = (window: RollingChecksum): ?number => {
+    const candidates = weakIndex.get(window.digest())
+    if (candidates == null) return null
+    const strong = md5(buffer.slice(pos, pos + window.length))
+    return candidates.find(i =>
+      blockLength(i) === window.length && blocks[i].strong === strong)
+  }
+
+  while (true) {
+    // Keep a whole window and the next byte, dropping the data already sent
+    while (!ended && buffer.length - pos <= blockSize) {
+      const chunk = await reader.read(blockSize)
+      if (chunk == null) {
+        ended = true
+      } else {
+        buffer = Buffer.concat([buffer.slice(literal), chunk])
+        pos -= literal
+        literal = 0
+      }
+    }
+
+    const length = Math.min(blockSize, buffer.length - pos)
+    if (length === 0) break
+    if (rolling == null) rolling = new RollingChecksum(buffer, pos, pos + length)
+
+    const match = findBlock(rolling)
+    if (match != null) {
+      await sendData(pos)
+      if (copy != null && copy.copy + copy.count === match) {
+        copy.count++
+      } else {
+        await sendCopy()
+        copy = {copy: match, count: 1}
+      }
+      pos += length
+      literal = pos
+      rolling = null
+      continue
+    }
+
+    if (pos + length < buffer.length) {
+      rolling.roll(buffer[pos], buffer[pos + length])
+    } else {
+      rolling.shrink(buffer[pos])
+    }
+    pos++
+    if (pos - literal >= blockSize) await sendData(pos)
+  }
+  await sendData(pos)
+  await sendCopy()
+}
+
+// The signature of the previous version of a file, if it describes its
+// content
+export function baseSignature (old: ?Metadata): ?Signature {
+  if (old == null || old.blocks == null) return null
+  return old.blocks.md5sum === old.md5sum ? old.blocks : null
+}
+
+// Uploads a new version of a file as the differences with the previous one,
+// so only its changed blocks go through the network.
+//
+// Cozies without support for it are remembered, and the upload falls back to
+// a full one.
+export default class DeltaUploader {
+  remoteCozy: RemoteCozy
+  limiter: BandwidthLimiter
+  // null until the Cozy accepted or refused a delta
+  supported: ?boolean
+
+  constructor (remoteCozy: RemoteCozy, limiter: BandwidthLimiter) {
+    this.remoteCozy = remoteCozy
+    this.limiter = limiter
+    this.supported = null
+  }
+
+  // Resolve with the updated remote doc, or null when the Cozy doesn't
+  // support deltas, without reading the source then.
+  async upload (doc: Metadata, base: Signature, source: Readable, target: UploadTarget): Promise<?RemoteDoc> {
+    if (this.supported === false) return null
+    const {path} = doc
+
+    let deltaURL
+    try {
+      deltaURL = await this.remoteCozy.createDelta({
+        ...target,
+        size: doc.size || 0,
+        checksum: doc.md5sum,
+        blockSize: base.blockSize
+      })
+    } catch (err) {
+      if (![404, 405, 501].includes(err.status)) throw err
+      log.info({path, status: err.status}, 'Cozy does not support deltas')
+      this.supported = false
+      return null
+    }
+    this.supported = true
+
+    let sent = 0
+    await computeDelta(base, source, async (op) => {
+      if (op.data) {
+        sent += op.data.length
+        await Promise.delay(this.limiter.reserve(op.data.length))
+      }
+      await this.remoteCozy.sendDeltaOperation(deltaURL, op)
+    })
+    log.info({path, sent, size: doc.size}, 'Changed blocks uploaded')
+    return this.remoteCozy.commitDelta(deltaURL)
+  }
+}
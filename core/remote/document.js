@@ -41,6 +41,27 @@ export type RemoteDeletion = {
   _deleted: true
 }
 
+// A previous content of a file, kept by the Cozy when the file was updated
+export type RemoteVersion = {
+  _id: string,
+  _rev: string,
+  file_id: string,
+  md5sum: string,
+  size: string,
+  tags: string[],
+  updated_at: string
+}
+
+// A public link to a file or folder, granted by a permission whose code is
+// part of the link
+export type RemoteSharingLink = {
+  _id: string,
+  fileID: string,
+  url: string,
+  password: boolean,
+  expiresAt: ?string
+}
+
 export function dropSpecialDocs (docs: RemoteDoc[]) {
   return docs.filter(doc => !specialId(doc._id))
 }
@@ -1,19 +1,25 @@
 /* @flow */
 
 import EventEmitter from 'events'
+import { isEqual } from 'lodash'
 import { posix, sep } from 'path'
+import { Readable } from 'stream'
 
+import { BandwidthLimiter } from '../bandwidth'
 import Config from '../config'
 import * as conversion from '../conversion'
 import RemoteCozy from './cozy'
+import DeltaUploader, { Signer, baseSignature, blockSizeFor } from './delta'
 import logger from '../logger'
 import Pouch from '../pouch'
 import Prep from '../prep'
+import { trashRecord } from '../trash'
+import ChunkedUploader, { CHUNK_SIZE, CHUNKED_UPLOAD_MIN_SIZE, ChunkReader } from './upload'
 import Watcher from './watcher'
 import measureTime from '../perftools'
 import { withContentLength } from '../file_stream_provider'
 
-import type { RemoteDoc } from './document'
+import type { RemoteDoc, RemoteSharingLink, RemoteVersion } from './document'
 import type { FileStreamProvider, ReadableWithContentLength } from '../file_stream_provider'
 import type { Metadata } from '../metadata'
 import type { Side } from '../side' // eslint-disable-line
@@ -22,17 +28,39 @@ const log = logger({
   component: 'RemoteWriter'
 })
 
+// Whether the file is large enough to be uploaded in resumable chunks, and
+// to keep block signatures so its next versions can be uploaded as deltas.
+// Both fall back to a single upload when the Cozy doesn't support them.
+const isChunked = (doc: Metadata): boolean =>
+  doc.size != null && doc.size >= CHUNKED_UPLOAD_MIN_SIZE
+
+// Devices registered before the sharing links were supported lack the
+// permissions scope (see Registration#clientParams)
+export const SHARING_NOT_ALLOWED = 'Client has wrong permissions (lack sharing links)'
+
+const sharingError = (err: Object): Error => {
+  if (err.status !== 403) return err
+  log.error({err}, SHARING_NOT_ALLOWED)
+  return new Error(SHARING_NOT_ALLOWED)
+}
+
 export default class Remote implements Side {
   other: FileStreamProvider
   pouch: Pouch
   events: EventEmitter
   watcher: Watcher
   remoteCozy: RemoteCozy
+  uploads: BandwidthLimiter
+  uploader: ChunkedUploader
+  deltaUploader: DeltaUploader
 
   constructor (config: Config, prep: Prep, pouch: Pouch, events: EventEmitter) {
     this.pouch = pouch
     this.events = events
+    this.uploads = new BandwidthLimiter(config, 'upload')
     this.remoteCozy = new RemoteCozy(config)
+    this.uploader = new ChunkedUploader(this.remoteCozy, pouch, this.uploads)
+    this.deltaUploader = new DeltaUploader(this.remoteCozy, this.uploads)
     this.watcher = new Watcher(pouch, prep, this.remoteCozy, events)
   }
 
@@ -52,10 +80,17 @@ export default class Remote implements Side {
     return this.remoteCozy.unregister()
   }
 
-  // Create a readable stream for the given doc
-  async createReadStreamAsync (doc: Metadata): Promise<ReadableWithContentLength> {
-    const stream = await this.remoteCozy.downloadBinary(doc.remote._id)
-    return withContentLength(stream, doc.size)
+  // Create a readable stream for the given doc, from the given byte
+  async createReadStreamAsync (doc: Metadata, start: number = 0): Promise<ReadableWithContentLength> {
+    if (start === 0) {
+      const stream = await this.remoteCozy.downloadBinary(doc.remote._id)
+      return withContentLength(stream, doc.size)
+    }
+    const range = await this.remoteCozy.downloadBinaryRange(doc.remote._id, start)
+    if (range.start < start) {
+      await new ChunkReader(range.stream).skip(start - range.start, CHUNK_SIZE)
+    }
+    return withContentLength(range.stream, doc.size == null ? null : doc.size - start)
   }
 
   // Create a folder on the remote cozy instance
@@ -80,6 +115,7 @@ export default class Remote implements Side {
       const remotePath = '/' + posix.join(...doc.path.split(sep))
       dir = await this.remoteCozy.findDirectoryByPath(remotePath)
     }
+    dir = await this.updateTagsAsync(doc, dir)
 
     doc.remote = {
       _id: dir._id,
@@ -109,14 +145,34 @@ export default class Remote implements Side {
     const [dirPath, name] = conversion.extractDirAndName(path)
     const dir = await this.remoteCozy.findOrCreateDirectoryByPath(dirPath)
 
-    const created = await this.remoteCozy.createFile(stream, {
+    const options = {
       name,
       dirID: dir._id,
       executable: doc.executable,
-      contentLength: stream.contentLength,
       contentType: doc.mime,
       lastModifiedDate: new Date(doc.updated_at)
-    })
+    }
+    this.events.emit('transfer-started', doc, 'upload')
+    let created
+    if (isChunked(doc)) {
+      const signer = new Signer(blockSizeFor(doc.size || 0))
+      const signed = withContentLength(signer.observe(stream), stream.contentLength)
+      created = await this.uploader.upload(doc, signed, options)
+      if (!created) {
+        created = await this.remoteCozy.createFile(this.uploads.throttle(signed), {
+          ...options,
+          contentLength: stream.contentLength
+        })
+      }
+      doc.blocks = signer.digest()
+    } else {
+      created = await this.remoteCozy.createFile(this.uploads.throttle(stream), {
+        ...options,
+        contentLength: stream.contentLength
+      })
+    }
+    this.events.emit('transfer-done', doc, 'upload')
+    created = await this.updateTagsAsync(doc, created)
 
     doc.remote = {
       _id: created._id,
@@ -153,20 +209,47 @@ export default class Remote implements Side {
     if (old && old.remote) {
       options.ifMatch = old.remote._rev
     }
-    const updated = await this.remoteCozy.updateFileById(doc.remote._id, stream, options)
+    this.events.emit('transfer-started', doc, 'upload')
+    let updated
+    if (isChunked(doc)) {
+      const target = {...options, fileID: doc.remote._id}
+      const signer = new Signer(blockSizeFor(doc.size || 0))
+      const signed = withContentLength(signer.observe(stream), stream.contentLength)
+      const base = baseSignature(old)
+      if (base) updated = await this.deltaUploader.upload(doc, base, signed, target)
+      if (!updated) updated = await this.uploader.upload(doc, signed, target)
+      if (!updated) {
+        updated = await this.remoteCozy.updateFileById(doc.remote._id, this.uploads.throttle(signed), options)
+      }
+      doc.blocks = signer.digest()
+    } else {
+      updated = await this.remoteCozy.updateFileById(doc.remote._id, this.uploads.throttle(stream), options)
+    }
+    this.events.emit('transfer-done', doc, 'upload')
+    updated = await this.updateTagsAsync(doc, updated)
 
     doc.remote._rev = updated._rev
 
     return conversion.createMetadata(updated)
   }
 
+  // Files and folders are created and uploaded without their tags, which are
+  // then updated on their own when they differ
+  async updateTagsAsync (doc: Metadata, remoteDoc: RemoteDoc): Promise<RemoteDoc> {
+    if (doc.tags == null || isEqual(doc.tags, remoteDoc.tags || [])) return remoteDoc
+    const attrs = {tags: doc.tags}
+    const opts = {ifMatch: remoteDoc._rev}
+    return this.remoteCozy.updateAttributesById(remoteDoc._id, attrs, opts)
+  }
+
   async updateFileMetadataAsync (doc: Metadata, old: any): Promise<Metadata> {
     const {path} = doc
     log.info({path}, 'Updating file metadata...')
 
     const attrs = {
       executable: doc.executable,
-      updated_at: doc.updated_at
+      updated_at: doc.updated_at,
+      tags: doc.tags
     }
     const opts = {
       ifMatch: old.remote._rev
@@ -221,7 +304,8 @@ export default class Remote implements Side {
     const attrs = {
       name: newName,
       dir_id: newParentDir._id,
-      updated_at: doc.updated_at
+      updated_at: doc.updated_at,
+      tags: doc.tags
     }
     const opts = {
       ifMatch: old.remote._rev
@@ -238,6 +322,7 @@ export default class Remote implements Side {
         dirID: newParentDir._id,
         lastModifiedDate: doc.updated_at
       })
+      newRemoteDoc = await this.updateTagsAsync(doc, newRemoteDoc)
     }
 
     doc.remote = {
@@ -264,6 +349,10 @@ export default class Remote implements Side {
       throw err
     }
     doc.remote._rev = newRemoteDoc._rev
+    // So the user can restore it or empty it from the trash (see ../trash.js)
+    const record = trashRecord(doc)
+    await this.pouch.updateTrashAsync(records =>
+      records.filter(r => r.id !== record.id).concat(record))
   }
 
   async deleteFolderAsync (doc: Metadata): Promise<void> {
@@ -275,6 +364,8 @@ export default class Remote implements Side {
         log.info({path}, 'Deleting folder from the Cozy trash...')
         const opts = doc.remote._rev ? { ifMatch: doc.remote._rev } : undefined
         await this.remoteCozy.destroyById(doc.remote._id, opts)
+        await this.pouch.updateTrashAsync(records =>
+          records.filter(r => r.id !== doc.remote._id))
       } else {
         log.warn({path}, 'Folder is not empty and cannot be deleted!')
       }
@@ -321,6 +412,42 @@ export default class Remote implements Side {
     return this.remoteCozy.diskUsage()
   }
 
+  // The previous versions of the file with the given remote id, the most
+  // recent first
+  listVersions (remoteID: string): Promise<RemoteVersion[]> {
+    return this.remoteCozy.listVersions(remoteID)
+  }
+
+  downloadVersion (versionID: string): Promise<Readable> {
+    return this.remoteCozy.downloadVersion(versionID)
+  }
+
+  // Make a previous version the current content of its file. The watcher then
+  // fetches the change, and the file is downloaded like any remote update.
+  async restoreVersion (versionID: string): Promise<RemoteDoc> {
+    log.info({versionID}, 'Restoring remote version...')
+    return this.remoteCozy.restoreVersion(versionID)
+  }
+
+  // The public links to the file or folder with the given remote id
+  async sharingLinks (remoteID: string): Promise<RemoteSharingLink[]> {
+    try {
+      const links = await this.remoteCozy.sharingLinks()
+      return links.filter(link => link.fileID === remoteID)
+    } catch (err) {
+      throw sharingError(err)
+    }
+  }
+
+  async createSharingLink (remoteID: string, options: {password?: ?string, expiresAt?: ?Date} = {}): Promise<RemoteSharingLink> {
+    log.info({remoteID, expiresAt: options.expiresAt}, 'Creating sharing link...')
+    try {
+      return await this.remoteCozy.createSharingLink(remoteID, options)
+    } catch (err) {
+      throw sharingError(err)
+    }
+  }
+
   // TODO add tests
   async renameConflictingDocAsync (doc: Metadata, newPath: string): Promise<void> {
     const {path} = doc
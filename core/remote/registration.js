@@ -60,6 +60,8 @@ export default class Registration {
       scopes: [
         // TODO: Implement existing config update in case we change permissions
         'io.cozy.files',
+        // To create and list the sharing links
+        'io.cozy.permissions',
         'io.cozy.settings:GET:io.cozy.settings.disk-usage',
         'io.cozy.jobs:POST:sendmail:worker'
       ]
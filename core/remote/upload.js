@@ -0,0 +1,196 @@
+/* @flow */
+
+import Promise from 'bluebird'
+import { Readable } from 'stream'
+
+import { BandwidthLimiter } from '../bandwidth'
+import logger from '../logger'
+import Pouch from '../pouch'
+import RemoteCozy from './cozy'
+
+import type { RemoteDoc } from './document'
+import type { Metadata } from '../metadata'
+
+const log = logger({
+  component: 'RemoteUpload'
+})
+
+// Files from this size are uploaded in chunks when the Cozy supports it, so an
+// upload interrupted by a connection loss or a restart resumes where it
+// stopped instead of from zero.
+export const CHUNKED_UPLOAD_MIN_SIZE = 32 * 1024 * 1024
+
+export const CHUNK_SIZE = 8 * 1024 * 1024
+
+// The progress of a resumable upload, saved in Pouch
+export type UploadRecord = {
+  url: string,
+  md5sum: ?string,
+  size: number,
+  offset: number
+}
+
+// The options to create the file, or to update the existing one
+export type UploadTarget = {
+  name?: string,
+  dirID?: ?string,
+  fileID?: string,
+  ifMatch?: string,
+  contentType?: ?string,
+  executable?: boolean,
+  lastModifiedDate?: ?Date
+}
+
+// Reads a stream in chunks of the given size (the last one may be smaller)
+export class ChunkReader {
+  stream: Readable
+  ended: boolean
+
+  constructor (stream: Readable) {
+    this.stream = stream
+    this.ended = false
+    stream.once('end', () => { this.ended = true })
+  }
+
+  // Resolve with the next chunk, or null at the end of the stream
+  read (size: number): Promise<?Buffer> {
+    return new Promise((resolve, reject) => {
+      if (this.ended) return resolve(null)
+      const cleanup = () => {
+        this.stream.removeListener('readable', onReadable)
+        this.stream.removeListener('end', onEnd)
+        this.stream.removeListener('error', onError)
+      }
+      const onReadable = () => {
+        const chunk = this.stream.read(size)
+        if (chunk == null) return
+        cleanup()
+        resolve(chunk)
+      }
+      const onEnd = () => {
+        cleanup()
+        resolve(null)
+      }
+      const onError = (err) => {
+        cleanup()
+        reject(err)
+      }
+      this.stream.on('readable', onReadable)
+      this.stream.on('end', onEnd)
+      this.stream.on('error', onError)
+      onReadable()
+    })
+  }
+
+  // Drop the given number of bytes from the start of the stream
+  async skip (bytes: number, chunkSize: number): Promise<void> {
+    let remaining = bytes
+    while (remaining > 0) {
+      const chunk = await this.read(Math.min(remaining, chunkSize))
+      if (chunk == null) throw new Error('Stream ended before the upload offset')
+      remaining -= chunk.length
+    }
+  }
+}
+
+// Uploads a file in chunks, recording the progress in Pouch.
+//
+// When the upload of a file stops halfway, e.g. because the connection was
+// lost or the client was stopped, the next attempt to synchronize the file
+// asks the Cozy how many bytes it already received and only sends the other
+// ones. The upload starts again from zero when the content of the file
+// changed meanwhile, or when the Cozy dropped the incomplete upload.
+//
+// Cozies which don't serve resumable uploads are remembered, and their files
+// are uploaded in one request by Remote instead.
+export default class ChunkedUploader {
+  remoteCozy: RemoteCozy
+  pouch: Pouch
+  limiter: BandwidthLimiter
+  chunkSize: number
+  // null until the Cozy accepted or refused a resumable upload
+  supported: ?boolean
+
+  constructor (remoteCozy: RemoteCozy, pouch: Pouch, limiter: BandwidthLimiter) {
+    this.remoteCozy = remoteCozy
+    this.pouch = pouch
+    this.limiter = limiter
+    this.chunkSize = CHUNK_SIZE
+    this.supported = null
+  }
+
+  // Resolve with the uploaded remote doc, or null when the Cozy doesn't
+  // support resumable uploads, without reading the source then.
+  async upload (doc: Metadata, source: Readable, target: UploadTarget): Promise<?RemoteDoc> {
+    if (this.supported === false) return null
+    try {
+      return await this.uploadChunks(doc, source, target)
+    } catch (err) {
+      // Don't keep the local file open until the next attempt
+      if (typeof source.destroy === 'function') source.destroy()
+      throw err
+    }
+  }
+
+  async uploadChunks (doc: Metadata, source: Readable, target: UploadTarget): Promise<?RemoteDoc> {
+    const {path} = doc
+    const size = doc.size || 0
+    const reader = new ChunkReader(source)
+
+    let upload = await this.resumableUpload(doc)
+    if (upload) {
+      log.info({path, offset: upload.offset, size}, 'Resuming upload...')
+      await reader.skip(upload.offset, this.chunkSize)
+    } else {
+      let url
+      try {
+        url = await this.remoteCozy.createUpload({
+          ...target, size, checksum: doc.md5sum
+        })
+      } catch (err) {
+        if (![404, 405, 501].includes(err.status)) throw err
+        log.info({path, status: err.status}, 'Cozy does not support resumable uploads')
+        this.supported = false
+        return null
+      }
+      this.supported = true
+      upload = {url, md5sum: doc.md5sum, size, offset: 0}
+      await this.pouch.setUploadAsync(doc._id, upload)
+    }
+
+    let chunk
+    while ((chunk = await reader.read(this.chunkSize)) != null) {
+      await Promise.delay(this.limiter.reserve(chunk.length))
+      const {offset, doc: uploaded} = await this.remoteCozy.uploadChunk(upload.url, upload.offset, chunk)
+      if (uploaded) {
+        await this.pouch.removeUploadAsync(doc._id)
+        return uploaded
+      }
+      upload.offset = offset
+      await this.pouch.setUploadAsync(doc._id, upload)
+      log.debug({path, offset, size}, 'Chunk uploaded')
+    }
+    throw new Error(`Upload of ${path} stopped at ${upload.offset}/${size} bytes`)
+  }
+
+  // The recorded upload of the doc if it can be resumed, with the offset
+  // known by the Cozy
+  async resumableUpload (doc: Metadata): Promise<?UploadRecord> {
+    const upload = await this.pouch.getUploadAsync(doc._id)
+    if (upload == null) return null
+    if (upload.md5sum !== doc.md5sum || upload.size !== doc.size) {
+      log.info({path: doc.path}, 'File changed since the upload started')
+      await this.pouch.removeUploadAsync(doc._id)
+      return null
+    }
+    try {
+      upload.offset = await this.remoteCozy.uploadOffset(upload.url)
+      return upload
+    } catch (err) {
+      if (err.status !== 404 && err.status !== 410) throw err
+      log.info({path: doc.path}, 'Upload expired on the Cozy')
+      await this.pouch.removeUploadAsync(doc._id)
+      return null
+    }
+  }
+}
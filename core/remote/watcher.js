@@ -5,7 +5,7 @@ import EventEmitter from 'events'
 import _ from 'lodash'
 
 import logger from '../logger'
-import { assignId, ensureValidPath, detectPlatformIncompatibilities } from '../metadata'
+import { assignId, ensureValidPath, detectPlatformIncompatibilities, isFile } from '../metadata'
 import Pouch from '../pouch'
 import Prep from '../prep'
 import RemoteCozy from './cozy'
@@ -165,10 +165,16 @@ export default class RemoteWatcher {
     } catch (error) {
       return {type: 'RemoteInvalidChange', doc, error}
     }
-    const {docType, path} = doc
     assignId(doc)
 
-    if (doc.docType !== 'file' && doc.docType !== 'folder') {
+    if (doc.docType === 'symlink' && this.prep.config.symlinkPolicy !== 'link') {
+      // Without the link policy, symlinks are downloaded as small files
+      // holding their target
+      doc.docType = 'file'
+    }
+    const {docType, path} = doc
+
+    if (!isFile(doc) && doc.docType !== 'folder') {
       return {
         type: 'RemoteInvalidChange',
         doc,
@@ -176,6 +182,19 @@ export default class RemoteWatcher {
       }
     }
 
+    if (!inRemoteTrash(remote) && this.prep.config.isExcluded(path)) {
+      if (was) {
+        // Moved into a folder which is not synchronized: the local copy goes
+        // away while the remote one stays untouched.
+        return remoteChange.deleted(was)
+      }
+      return {
+        type: 'RemoteIgnoredChange',
+        doc,
+        detail: `${docType} is inside a folder which is not synchronized`
+      }
+    }
+
     // TODO: Move to Prep?
     if (!inRemoteTrash(remote)) {
       const incompatibilities = detectPlatformIncompatibilities(
@@ -207,7 +226,7 @@ export default class RemoteWatcher {
       return remoteChange.restored(doc, was)
     }
     if (was._id === doc._id) {
-      if (doc.docType === 'file' && doc.md5sum === was.md5sum && doc.size !== was.size) {
+      if (isFile(doc) && doc.md5sum === was.md5sum && doc.size !== was.size) {
         return {
           type: 'RemoteInvalidChange',
           doc,
@@ -220,7 +239,7 @@ export default class RemoteWatcher {
         return remoteChange.updated(doc)
       }
     }
-    if ((doc.docType === 'file') && (was.md5sum === doc.md5sum)) {
+    if (isFile(doc) && (was.md5sum === doc.md5sum)) {
       const change: RemoteFileMove = {sideName, type: 'FileMove', doc, was}
       // Squash moves
       for (let previousChangeIndex = 0; previousChangeIndex < changeIndex; previousChangeIndex++) {
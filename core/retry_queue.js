@@ -0,0 +1,208 @@
+/* @flow */
+
+import EventEmitter from 'events'
+
+import logger from './logger'
+import Pouch from './pouch'
+
+import type { Metadata } from './metadata'
+
+const log = logger({
+  component: 'RetryQueue'
+})
+
+// The first retry happens after BASE_DELAY, then the delay doubles with each
+// failure, up to MAX_DELAY
+export const BASE_DELAY = 60 * 1000
+export const MAX_DELAY = 4 * 60 * 60 * 1000
+
+// After this many failures, a change is only applied again when retried by
+// the user, when the client goes back online or when the file changes
+export const MAX_ATTEMPTS = 10
+
+// How many errors are kept for each change
+export const ERROR_HISTORY_SIZE = 5
+
+// setTimeout() can't wait longer than this
+const MAX_TIMEOUT = 2147483647
+
+export type SyncError = {
+  code: ?string,
+  message: string,
+  at: string
+}
+
+// A change which failed, by doc id. Saved in Pouch.
+export type RetryRecord = {
+  id: string,
+  path: string,
+  md5sum: ?string,
+  attempts: number,
+  // null once given up, or while the change is waiting for Sync again
+  nextAttempt: ?string,
+  // The most recent first
+  errors: SyncError[]
+}
+
+export function backoff (attempts: number): number {
+  return Math.min(BASE_DELAY * Math.pow(2, attempts - 1), MAX_DELAY)
+}
+
+const errorCode = (err: any): ?string =>
+  err.code || (err.status ? String(err.status) : null)
+
+// Applies again the changes which failed, with an exponential backoff, instead
+// of giving up after a few attempts.
+//
+// Sync moves on to the next changes as soon as a change fails, and records it
+// here. Once its delay is over, the doc is saved again in Pouch, so Sync
+// meets it again in the changes feed. A new version of the file starts over
+// with the shortest delay.
+export default class RetryQueue {
+  pouch: Pouch
+  events: EventEmitter
+  timeout: *
+  // The ids of the recorded docs, once loaded
+  ids: ?Set<string>
+  // The same listener is added and removed
+  onOnline: () => Promise<void>
+
+  constructor (pouch: Pouch, events: EventEmitter) {
+    this.pouch = pouch
+    this.events = events
+    this.timeout = null
+    this.ids = null
+    this.onOnline = () => this.retryAll()
+  }
+
+  async start (): Promise<void> {
+    this.events.on('online', this.onOnline)
+    await this.update(records => records)
+  }
+
+  stop () {
+    this.events.removeListener('online', this.onOnline)
+    this.clearTimeout()
+  }
+
+  clearTimeout () {
+    if (this.timeout) {
+      clearTimeout(this.timeout)
+      this.timeout = null
+    }
+  }
+
+  list (): Promise<RetryRecord[]> {
+    return this.pouch.getRetriesAsync()
+  }
+
+  async update (change: (RetryRecord[]) => RetryRecord[]): Promise<void> {
+    let updated = []
+    await this.pouch.updateRetriesAsync(records => {
+      updated = change(records)
+      return updated
+    })
+    this.ids = new Set(updated.map(record => record.id))
+    this.schedule(updated)
+    this.events.emit('retry-queue', updated)
+  }
+
+  // Wait for the next change to retry
+  schedule (records: RetryRecord[]) {
+    this.clearTimeout()
+    const dates = records
+      .filter(record => record.nextAttempt != null)
+      .map(record => new Date(record.nextAttempt || 0).getTime())
+    if (dates.length === 0) return
+    const delay = Math.max(0, Math.min(...dates) - Date.now())
+    this.timeout = setTimeout(() => {
+      this.retryDue().catch(err => log.error({err}, 'Could not retry changes'))
+    }, Math.min(delay, MAX_TIMEOUT))
+  }
+
+  async recordFailure (doc: Metadata, err: Error, now: Date = new Date()): Promise<RetryRecord> {
+    let record = failedRecord(null, doc, err, now)
+    await this.update(records => {
+      const previous = records.find(r => r.id === doc._id)
+      record = failedRecord(previous, doc, err, now)
+      return records.filter(r => r.id !== doc._id).concat(record)
+    })
+    const {path, attempts, nextAttempt} = record
+    if (nextAttempt) {
+      log.warn({path, attempts, nextAttempt, err}, 'Change failed, will retry')
+    } else {
+      log.error({path, attempts, err}, 'Change failed too many times, giving up until retried')
+    }
+    return record
+  }
+
+  async succeeded (doc: Metadata): Promise<void> {
+    if (this.ids != null && !this.ids.has(doc._id)) return
+    await this.update(records => records.filter(r => r.id !== doc._id))
+  }
+
+  async retryDue (now: Date = new Date()): Promise<void> {
+    const due = (await this.list()).filter(record =>
+      record.nextAttempt != null && new Date(record.nextAttempt) <= now)
+    for (const record of due) await this.retry(record.id)
+  }
+
+  // Retry everything, e.g. when the network comes back
+  async retryAll (): Promise<void> {
+    try {
+      for (const record of await this.list()) await this.retry(record.id)
+    } catch (err) {
+      log.error({err}, 'Could not retry changes')
+    }
+  }
+
+  // Retried by the user, as if it never failed
+  async retryNow (id: string): Promise<void> {
+    await this.update(records => records.map(r =>
+      r.id === id ? {...r, attempts: 0} : r))
+    await this.retry(id)
+  }
+
+  // Save the doc again, so Sync applies its change again. The record is kept
+  // until it succeeds, or fails again.
+  async retry (id: string): Promise<void> {
+    const release = await this.pouch.lock(this)
+    try {
+      let doc
+      try {
+        doc = await this.pouch.db.get(id)
+      } catch (err) {
+        if (err.status !== 404) throw err
+      }
+      if (doc == null || (doc.sides.local || 0) === (doc.sides.remote || 0)) {
+        log.info({id}, 'Nothing to retry anymore')
+        await this.update(records => records.filter(r => r.id !== id))
+        return
+      }
+      log.info({path: doc.path}, 'Retrying change...')
+      await this.pouch.db.put(doc)
+      await this.update(records => records.map(r =>
+        r.id === id ? {...r, nextAttempt: null} : r))
+    } finally {
+      release()
+    }
+  }
+}
+
+// The attempts start over when the file was moved or its content changed
+function failedRecord (previous: ?RetryRecord, doc: Metadata, err: Error, now: Date): RetryRecord {
+  const sameVersion = previous != null &&
+    previous.path === doc.path && previous.md5sum === doc.md5sum
+  const attempts = previous != null && sameVersion ? previous.attempts + 1 : 1
+  const error = {code: errorCode(err), message: err.message, at: now.toISOString()}
+  return {
+    id: doc._id,
+    path: doc.path,
+    md5sum: doc.md5sum,
+    attempts,
+    nextAttempt: attempts < MAX_ATTEMPTS
+      ? new Date(now.getTime() + backoff(attempts)).toISOString()
+      : null,
+    errors: [error].concat(previous ? previous.errors : []).slice(0, ERROR_HISTORY_SIZE)
+  }
+}
@@ -4,16 +4,19 @@ import Promise from 'bluebird'
 import EventEmitter from 'events'
 import { dirname } from 'path'
 
+import ActivityGuard from './activity_guard'
 import Ignore from './ignore'
 import Local from './local'
 import logger from './logger'
-import { extractRevNumber, isUpToDate } from './metadata'
+import { extractRevNumber, id, isFile, isUpToDate } from './metadata'
 import Pouch from './pouch'
 import Remote from './remote'
 import { HEARTBEAT } from './remote/watcher'
+import RetryQueue from './retry_queue'
 import { PendingMap } from './utils/pending'
 import measureTime from './perftools'
 
+import type { ActivityKind } from './activity_guard'
 import type { SideName, Metadata } from './metadata'
 import type { Side } from './side' // eslint-disable-line
 
@@ -30,6 +33,11 @@ type MetadataChange = {
   seq: number
 };
 
+type Transfer = {
+  doc: Metadata,
+  promise: Promise<void>
+};
+
 export type SyncMode =
   | "pull"
   | "push"
@@ -38,6 +46,14 @@ export type SyncMode =
 // Sync listens to PouchDB about the metadata changes, and calls local and
 // remote sides to apply the changes on the filesystem and remote CouchDB
 // respectively.
+//
+// Changes are applied in the order of their seq, one at a time, except for
+// files added or updated which may be transferred in parallel, up to the
+// configured concurrency. Any other change waits for the transfers in
+// progress, so folders are created before the files inside them, and moves
+// and deletions don't happen while files of the same subtree are being
+// transferred.
+// The local seq is only saved once all the changes before it were applied.
 class Sync {
   changes: any
   events: EventEmitter
@@ -47,8 +63,26 @@ class Sync {
   pouch: Pouch
   remote: Remote
   stopped: ?boolean
+  paused: ?boolean
+  resumed: Promise<void>
+  resolveResumed: () => void
   moveFrom: ?Metadata
   moveTo: ?string
+  // Transfers in progress, by seq
+  transfers: Map<number, Transfer>
+  // Seqs of the changes applied while some before them are still in progress
+  appliedSeqs: number[]
+  transferError: ?Error
+  // The lowest seq of the changes left unapplied by a pause for a suspicious
+  // activity or by a failed transfer, so no seq after it is saved until they
+  // are applied again
+  unappliedSeq: ?number
+  // Whether the pause is for a suspicious activity, which resume() confirms
+  confirmingActivity: boolean
+  // Set up by the App, nothing is checked without it
+  activityGuard: ?ActivityGuard
+  // Set up by the App, failed changes are given up after 3 attempts without it
+  retryQueue: ?RetryQueue
 
   diskUsage: () => Promise<*>
 
@@ -63,6 +97,22 @@ class Sync {
     // $FlowFixMe
     this.remote.other = this.local
     this.pending = new PendingMap()
+    this.transfers = new Map()
+    this.appliedSeqs = []
+    this.transferError = null
+    this.unappliedSeq = null
+    this.confirmingActivity = false
+    this.activityGuard = null
+    this.retryQueue = null
+    this.paused = false
+    this.resumed = Promise.resolve()
+    this.resolveResumed = () => {}
+  }
+
+  // How many files can be transferred at the same time (see Sync#isTransfer),
+  // read each time so a new value applies right away
+  get concurrency (): number {
+    return this.pouch.config.transferConcurrency
   }
 
   // Start to synchronize the remote cozy with the local filesystem
@@ -107,28 +157,64 @@ class Sync {
       this.changes.cancel()
       this.changes = null
     }
+    this.resolveResumed()
     return Promise.all([this.local.stop(), this.remote.stop()])
   }
 
+  // Stop applying changes to both sides until resume() is called.
+  // The watchers keep running, so changes are still saved in Pouch and will
+  // be applied from the last local seq on resume.
+  pause () {
+    if (this.paused) return
+    log.info('Pausing synchronization...')
+    this.paused = true
+    this.resumed = new Promise((resolve) => { this.resolveResumed = resolve })
+    this.events.emit('sync-paused')
+  }
+
+  resume () {
+    if (!this.paused) return
+    log.info('Resuming synchronization...')
+    const guard = this.activityGuard
+    if (this.confirmingActivity && guard) {
+      log.info('Suspicious activity confirmed')
+      guard.allow()
+    }
+    this.confirmingActivity = false
+    this.paused = false
+    this.resolveResumed()
+    this.events.emit('sync-resumed')
+  }
+
   // TODO: remove waitForNewChanges to .start while(true)
   async sync (waitForNewChanges:boolean = true): Promise<*> {
     let seq = await this.pouch.getLocalSeqAsync()
     log.trace({seq}, 'Waiting for changes since seq')
     if (waitForNewChanges) await this.waitForNewChanges(seq)
+    await this.resumed
+    this.unappliedSeq = null
     this.events.emit('sync-start')
     const release = await this.pouch.lock(this)
     try {
       let lastSeq = null
+      let lastStarted = seq
       while (true) {
-        if (this.stopped) break
-        seq = await this.pouch.getLocalSeqAsync()
+        if (this.stopped || this.paused) break
+        // The local seq lags behind while transfers are in progress
+        seq = this.transfers.size > 0 ? lastStarted : await this.pouch.getLocalSeqAsync()
         // TODO: if (seq === lastSeq) throw new Error('Infinite loop!')
         if (seq === lastSeq) log.warn({seq}, 'Seq was already synced!')
         else lastSeq = seq
 
         let change = await this.getNextChange(seq)
         if (change == null) break
+        lastStarted = change.seq
         this.events.emit('sync-current', change.seq)
+        if (this.concurrency > 1 && this.isTransfer(change.doc)) {
+          await this.startTransfer(change)
+          continue
+        }
+        await this.waitForTransfers()
         try {
           await this.apply(change)
           // XXX: apply should call setLocalSeqAsync
@@ -136,6 +222,7 @@ class Sync {
           if (!this.stopped) throw err
         }
       }
+      await this.waitForTransfers()
     } finally {
       release()
       this.events.emit('sync-end')
@@ -143,6 +230,89 @@ class Sync {
     log.debug('No more metadata changes for now')
   }
 
+  // Whether the change is a file added or updated on one side, which only
+  // depends on its parent folder, so it can be transferred in parallel with
+  // other files
+  isTransfer (doc: Metadata): boolean {
+    const [, sideName] = this.selectSide(doc)
+    return sideName != null &&
+      isFile(doc) &&
+      !doc._deleted &&
+      !doc.trashed &&
+      doc.moveTo == null &&
+      doc.incompatibilities == null &&
+      this.moveFrom == null &&
+      !this.ignore.isIgnored(doc)
+  }
+
+  // Transfers of the same file must not overlap
+  dependsOn (doc: Metadata, transfer: Transfer): boolean {
+    return doc._id === transfer.doc._id
+  }
+
+  // Start applying the change once a transfer slot is available
+  async startTransfer (change: MetadataChange): Promise<void> {
+    const {doc, seq} = change
+    while (true) {
+      this.throwTransferError()
+      const transfers = Array.from(this.transfers.values())
+      const blocking = transfers.filter(t => this.dependsOn(doc, t))
+      if (blocking.length === 0 && transfers.length < this.concurrency) break
+      const waitFor = blocking.length > 0 ? blocking : transfers
+      await Promise.race(waitFor.map(t => t.promise))
+    }
+    const promise = (async () => {
+      try {
+        await this.apply(change)
+      } catch (err) {
+        if (!this.stopped && !this.transferError) this.transferError = err
+      } finally {
+        // A transfer which failed, e.g. while offline, is applied again from
+        // the saved seq, like the other changes
+        if (!this.appliedSeqs.includes(seq)) this.leaveUnapplied(seq)
+        await this.saveAppliedSeqs(seq)
+        this.transfers.delete(seq)
+      }
+    })()
+    this.transfers.set(seq, {doc, promise})
+  }
+
+  async waitForTransfers (): Promise<void> {
+    await Promise.all(Array.from(this.transfers.values(), t => t.promise))
+    this.throwTransferError()
+  }
+
+  throwTransferError () {
+    const err = this.transferError
+    if (err) {
+      this.transferError = null
+      throw err
+    }
+  }
+
+  leaveUnapplied (seq: number) {
+    if (this.unappliedSeq == null || seq < this.unappliedSeq) this.unappliedSeq = seq
+  }
+
+  // Save the seq of an applied change, or keep it for later when changes
+  // before it are still being transferred
+  async setLocalSeq (seq: number): Promise<void> {
+    this.appliedSeqs.push(seq)
+    await this.saveAppliedSeqs()
+  }
+
+  // Save the highest applied seq which has no transfer in progress before it,
+  // ignoring the given one which is done
+  async saveAppliedSeqs (done: ?number): Promise<void> {
+    const inProgress = Array.from(this.transfers.keys()).filter(seq => seq !== done)
+    if (this.unappliedSeq != null) inProgress.push(this.unappliedSeq)
+    const lowest = Math.min(...inProgress)
+    const ready = this.appliedSeqs.filter(seq => seq < lowest)
+    if (ready.length === 0) return
+    this.appliedSeqs = this.appliedSeqs.filter(seq => seq >= lowest)
+    await this.pouch.setLocalSeqAsync(Math.max(...ready))
+  }
+
   // We filter with the byPath view to reject design documents
   //
   // Note: it is difficult to pick only one change at a time because pouch can
@@ -212,7 +382,12 @@ class Sync {
     log.trace({change})
 
     if (this.ignore.isIgnored(doc)) {
-      return this.pouch.setLocalSeqAsync(change.seq)
+      return this.setLocalSeq(change.seq)
+    }
+
+    if (!(await this.confirmActivity(doc))) {
+      this.leaveUnapplied(seq)
+      return
     }
 
     // FIXME: Acquire lock for as many changes as possible to prevent next huge
@@ -224,7 +399,8 @@ class Sync {
 
       if (!side) {
         log.info({path: doc.path}, 'up to date')
-        return this.pouch.setLocalSeqAsync(change.seq)
+        await this.succeeded(doc)
+        return this.setLocalSeq(change.seq)
       } else if (doc.incompatibilities && sideName === 'local' && doc.moveTo == null) {
         const was = this.moveFrom
         this.moveFrom = null
@@ -246,7 +422,7 @@ class Sync {
         // File or folder was just deleted locally
         const byItself = await this.trashWithParentOrByItself(doc, side)
         if (!byItself) { return }
-      } else if (doc.docType === 'file') {
+      } else if (isFile(doc)) {
         await this.fileChangedAsync(doc, side, rev)
       } else if (doc.docType === 'folder') {
         await this.folderChangedAsync(doc, side, rev)
@@ -255,7 +431,8 @@ class Sync {
       }
 
       log.trace(changeInfo, `Applied change on ${sideName} side`)
-      await this.pouch.setLocalSeqAsync(change.seq)
+      await this.succeeded(doc)
+      await this.setLocalSeq(change.seq)
       if (!change.doc._deleted) {
         await this.updateRevs(change.doc, sideName)
       }
@@ -266,6 +443,44 @@ class Sync {
     }
   }
 
+  // Whether the change can be applied now. A burst of deletions or content
+  // updates going to the Cozy pauses the synchronization instead, until the
+  // user confirms it with resume(). The change is not applied meanwhile, so
+  // the sync loop stops and releases the Pouch lock: the watchers keep saving
+  // changes, and the change is applied again from the local seq on resume.
+  // Stopping the synchronization instead leaves it unapplied.
+  async confirmActivity (doc: Metadata): Promise<boolean> {
+    const guard = this.activityGuard
+    const [, sideName, rev] = this.selectSide(doc)
+    if (guard == null || sideName !== 'remote') return true
+    const kind = await this.activityKind(doc, rev)
+    if (kind == null) return true
+    // Another change in progress already paused the synchronization
+    if (this.confirmingActivity) return false
+    const activity = guard.record(kind)
+    if (activity == null) return true
+
+    log.warn(activity, 'Suspicious activity, waiting for a confirmation')
+    this.pause()
+    this.confirmingActivity = true
+    this.events.emit('suspicious-activity', activity)
+    return false
+  }
+
+  // Whether the change deletes a synchronized file or folder, or updates the
+  // content of a file
+  async activityKind (doc: Metadata, rev: number): Promise<?ActivityKind> {
+    if (doc.moveTo != null || this.moveFrom != null || rev === 0) return null
+    if (doc._deleted || doc.trashed) return 'deletion'
+    if (!isFile(doc)) return null
+    try {
+      const old = await this.pouch.getPreviousRevAsync(doc._id, rev)
+      return old.md5sum !== doc.md5sum ? 'update' : null
+    } catch (_) {
+      return null
+    }
+  }
+
   // Select which side will apply the change
   // It returns the side, its name, and also the last rev applied by this side
   selectSide (doc: Metadata) {
@@ -285,6 +500,7 @@ class Sync {
   async handleApplyError (change: MetadataChange, err: Error) {
     const {path} = change.doc
     log.error({path, err, change})
+    this.events.emit('apply-error', {path, err})
     if (err.code === 'ENOSPC') {
       throw new Error('No more disk space')
     } else if (err.status === 413) {
@@ -314,17 +530,37 @@ class Sync {
         }
       }
     }
-    await this.updateErrors(change)
+    await this.updateErrors(change, err)
   }
 
-  // Increment the counter of errors for this document
-  async updateErrors (change: MetadataChange): Promise<void> {
+  // Forget the previous failures of a change once applied
+  async succeeded (doc: Metadata): Promise<void> {
+    if (this.retryQueue == null) return
+    try {
+      await this.retryQueue.succeeded(doc)
+    } catch (err) {
+      log.warn({path: doc.path, err}, 'Could not remove the change to retry')
+    }
+  }
+
+  // Increment the counter of errors for this document, or let the retry queue
+  // apply it again later
+  async updateErrors (change: MetadataChange, err: ?Error): Promise<void> {
     let { doc } = change
+    if (this.retryQueue != null && err != null) {
+      try {
+        await this.retryQueue.recordFailure(doc, err)
+      } catch (err) {
+        log.error({path: doc.path, err}, 'Could not record the change to retry')
+      }
+      await this.setLocalSeq(change.seq)
+      return
+    }
     if (!doc.errors) doc.errors = 0
     doc.errors++
     // Don't try more than 3 times for the same operation
     if (doc.errors >= 3) {
-      await this.pouch.setLocalSeqAsync(change.seq)
+      await this.setLocalSeq(change.seq)
       return
     }
     try {
@@ -336,7 +572,7 @@ class Sync {
       // If the doc can't be saved, it's because of a new revision.
       // So, we can skip this revision
       log.info(`Ignored ${change.seq}`, err)
-      await this.pouch.setLocalSeqAsync(change.seq)
+      await this.setLocalSeq(change.seq)
     }
   }
 
@@ -492,6 +728,43 @@ class Sync {
     }
   }
 
+  // Forget about a folder which is not synchronized anymore and move its local
+  // copy to the OS trash. The remote folder is left untouched.
+  //
+  // Metadata are marked as up-to-date on both sides when deleted so the
+  // deletions are not applied to the remote Cozy.
+  async removeExcludedDir (dirPath: string): Promise<void> {
+    const release = await this.pouch.lock('removeExcludedDir')
+    let folder
+    try {
+      try {
+        folder = await this.pouch.db.get(id(dirPath))
+      } catch (err) {
+        if (err.status !== 404) throw err
+        log.debug({path: dirPath}, 'Excluded folder was not synchronized')
+        return
+      }
+      const docs = await this.pouch.byRecursivePathAsync(folder._id)
+      docs.reverse()
+      docs.push(folder)
+      for (const doc of docs) {
+        const rev = extractRevNumber(doc) + 1
+        doc.sides = {local: rev, remote: rev}
+        doc._deleted = true
+      }
+      log.info({path: dirPath, count: docs.length}, 'Forgetting excluded folder...')
+      await this.pouch.bulkDocs(docs)
+    } finally {
+      release()
+    }
+
+    try {
+      await this.local.trashAsync(folder)
+    } catch (err) {
+      log.warn({path: dirPath, err}, 'Could not trash local copy of excluded folder')
+    }
+  }
+
   // Trash a file or folder. If a folder was deleted on local, we try to trash
   // only this folder on the remote, not every files and folders inside it, to
   // preserve the tree in the trash.
@@ -7,21 +7,27 @@ export default class SyncState extends EventEmitter {
   syncSyncing: boolean
   localSyncing: boolean
   remoteSyncing: boolean
+  paused: boolean
 
   shouldSpin () {
     return this.localSyncing || this.remoteSyncing || this.syncSyncing
   }
 
-  emitStatus () {
-    const label = this.syncSyncing ? 'sync'
+  status () {
+    const label = this.paused ? 'paused'
+                   : this.syncSyncing ? 'sync'
                    : (this.localSyncing || this.remoteSyncing) ? 'squashprepmerge'
                    : this.buffering ? 'buffering'
                    : 'uptodate'
 
-    super.emit('sync-status', {
+    return {
       label: label,
       remaining: Math.max(1, this.syncLastSeq - this.syncCurrentSeq)
-    })
+    }
+  }
+
+  emitStatus () {
+    super.emit('sync-status', this.status())
 
     if (this.wasSpinning && !this.shouldSpin()) {
       this.emit('up-to-date')
@@ -67,6 +73,16 @@ export default class SyncState extends EventEmitter {
         this.syncSyncing = false
         this.emitStatus()
         break
+      case 'sync-paused':
+        this.paused = true
+        this.emitStatus()
+        super.emit(name, ...args)
+        break
+      case 'sync-resumed':
+        this.paused = false
+        this.emitStatus()
+        super.emit(name, ...args)
+        break
       case 'sync-target':
         if (args[0] !== -1) this.syncLastSeq = args[0]
         this.emitStatus()
@@ -0,0 +1,143 @@
+/* @flow */
+
+import path from 'path'
+
+import * as conversion from './conversion'
+import logger from './logger'
+import Pouch from './pouch'
+import Prep from './prep'
+import { DIR_TYPE, TRASH_DIR_NAME } from './remote/constants'
+import { inRemoteTrash } from './remote/document'
+
+import type { Metadata } from './metadata'
+import type Remote from './remote'
+import type { RemoteDoc } from './remote/document'
+
+const log = logger({
+  component: 'Trash'
+})
+
+// A file or folder this device moved to the Cozy trash, by remote id. Saved
+// in Pouch, since its doc is gone once the deletion is synchronized.
+export type TrashRecord = {
+  id: string,
+  // Where it was in the synchronized folder
+  path: string,
+  docType: string,
+  trashedAt: string
+}
+
+export function trashRecord (doc: Metadata, now: Date = new Date()): TrashRecord {
+  return {
+    id: doc.remote._id,
+    path: doc.path,
+    docType: doc.docType,
+    trashedAt: now.toISOString()
+  }
+}
+
+// The files and folders deleted from this device, which are still in the Cozy
+// trash.
+//
+// Restoring one moves it out of the trash on the Cozy, then merges it back as
+// a remote restoration, so the synchronization downloads it again. Emptying
+// it destroys it on the Cozy for good.
+export default class Trash {
+  pouch: Pouch
+  prep: Prep
+  remote: Remote
+
+  constructor (pouch: Pouch, prep: Prep, remote: Remote) {
+    this.pouch = pouch
+    this.prep = prep
+    this.remote = remote
+  }
+
+  // The most recently trashed first. Records of items which were restored or
+  // destroyed in the meantime, e.g. from the Cozy web app, are dropped.
+  async list (): Promise<TrashRecord[]> {
+    const records = await this.pouch.getTrashAsync()
+    const gone = []
+    for (const record of records) {
+      try {
+        const remoteDoc = await this.remote.remoteCozy.find(record.id)
+        if (!inRemoteTrash(remoteDoc)) gone.push(record.id)
+      } catch (err) {
+        if (err.status !== 404) throw err
+        gone.push(record.id)
+      }
+    }
+    if (gone.length > 0) await this.forget(gone)
+    return records
+      .filter(record => !gone.includes(record.id))
+      .sort((a, b) => a.trashedAt < b.trashedAt ? 1 : -1)
+  }
+
+  async find (id: string): Promise<TrashRecord> {
+    const records = await this.pouch.getTrashAsync()
+    const record = records.find(r => r.id === id)
+    if (record == null) throw new Error(`No such trashed file or folder: ${id}`)
+    return record
+  }
+
+  forget (ids: string[]): Promise<void> {
+    return this.pouch.updateTrashAsync(records =>
+      records.filter(r => !ids.includes(r.id)))
+  }
+
+  // Put back a file or folder where it was, with the content of the folder.
+  // The Pouch lock is held like the watchers do, since the restoration is
+  // merged as a remote change.
+  async restore (id: string): Promise<void> {
+    const record = await this.find(id)
+    const release = await this.pouch.lock(this)
+    try {
+      log.info({path: record.path}, 'Restoring from the Cozy trash...')
+      const restored = await this.remote.remoteCozy.restoreById(id)
+      const doc = conversion.createMetadata(restored)
+      // The trashed doc is still in Pouch when the deletion came from the Cozy
+      const was = (await this.pouch.byRemoteIdMaybeAsync(id)) || {
+        ...doc,
+        path: path.join(TRASH_DIR_NAME, path.basename(record.path)),
+        trashed: true
+      }
+      if (restored.type === DIR_TYPE) {
+        await this.prep.restoreFolderAsync('remote', was, doc)
+        await this.addContents(restored)
+      } else {
+        await this.prep.restoreFileAsync('remote', was, doc)
+      }
+    } finally {
+      release()
+    }
+    await this.forget([id])
+  }
+
+  // The content of a restored folder comes back with it, without any change
+  // on the Cozy which would tell the remote watcher
+  async addContents (dir: RemoteDoc): Promise<void> {
+    for (const remoteDoc of await this.remote.remoteCozy.contents(dir)) {
+      const doc = conversion.createMetadata(remoteDoc)
+      if (remoteDoc.type === DIR_TYPE) {
+        await this.prep.putFolderAsync('remote', doc)
+        await this.addContents(remoteDoc)
+      } else {
+        await this.prep.addFileAsync('remote', doc)
+      }
+    }
+  }
+
+  // Permanently delete files and folders from the Cozy trash
+  async destroy (ids: string[]): Promise<void> {
+    for (const id of ids) {
+      const record = await this.find(id)
+      log.info({path: record.path}, 'Destroying from the Cozy trash...')
+      try {
+        await this.remote.remoteCozy.destroyById(id)
+      } catch (err) {
+        if (err.status !== 404) throw err
+      }
+      await this.forget([id])
+    }
+  }
+}
@@ -1,10 +1,14 @@
-module Dashboard exposing (..)
+port module Dashboard exposing (..)
 
+import Date
 import Html exposing (..)
 import Html.Attributes exposing (..)
 import Html.Events exposing (..)
+import Json.Decode as Json
 import Time exposing (Time)
-import Helpers exposing (Helpers)
+import Helpers exposing (Helpers, interpolate)
+import Model exposing (Status(..))
+import StatusBar
 
 
 -- MODEL
@@ -19,10 +23,84 @@ type alias File =
     }
 
 
+type alias Profile =
+    { name : String
+    , cozyUrl : String
+    , syncPath : String
+    , label : String
+    , remaining : Int
+    , error : Maybe String
+    }
+
+
+type alias Conflict =
+    { id : String
+    , path : String
+    , conflictPath : String
+    , createdAt : String
+    }
+
+
+type alias FailureError =
+    { code : Maybe String
+    , message : String
+    , at : String
+    }
+
+
+type alias Failure =
+    { id : String
+    , path : String
+    , attempts : Int
+    , nextAttempt : Maybe String
+    , errors : List FailureError
+    }
+
+
+type alias Version =
+    { id : String
+    , updatedAt : String
+    , size : Int
+    }
+
+
+type alias FileVersions =
+    { path : String
+    , versions : List Version
+    }
+
+
+type alias TrashedItem =
+    { id : String
+    , path : String
+    , docType : String
+    , trashedAt : String
+    }
+
+
+type alias Trash =
+    { items : List TrashedItem
+    , selected : List String
+    }
+
+
+type alias SuspiciousActivity =
+    { deletions : Int
+    , updates : Int
+    , seconds : Int
+    }
+
+
 type alias Model =
     { now : Time
     , files : List File
     , page : Int
+    , profiles : List Profile
+    , conflicts : List Conflict
+    , failures : List Failure
+    , versions : Maybe FileVersions
+    , trash : Maybe Trash
+    , suspiciousActivity : Maybe SuspiciousActivity
     }
 
 
@@ -31,6 +109,12 @@ init =
     { now = 0
     , files = []
     , page = 1
+    , profiles = []
+    , conflicts = []
+    , failures = []
+    , versions = Nothing
+    , trash = Nothing
+    , suspiciousActivity = Nothing
     }
 
 
@@ -51,7 +135,64 @@ type Msg
     | Remove File
     | Tick Time
     | ShowMore
+    | RestoreVersion File
+    | ShareFile File
+    | ShowVersions File
+    | UpdateVersions FileVersions
+    | CloseVersions
+    | RestoreRemoteVersion Version
+    | DownloadRemoteVersion String Version
+    | ShowTrash
+    | UpdateTrash (List TrashedItem)
+    | CloseTrash
+    | ToggleTrashed TrashedItem
+    | RestoreTrashed TrashedItem
+    | DestroyTrashed
     | Reset
+    | UpdateProfiles (List Profile)
+    | UpdateConflicts (List Conflict)
+    | ResolveConflict Conflict String
+    | OpenConflict Conflict
+    | UpdateFailures (List Failure)
+    | RetryFailure Failure
+    | UpdateSuspiciousActivity (Maybe SuspiciousActivity)
+    | ConfirmActivity Bool
+
+
+port resolveConflict : ( String, String ) -> Cmd msg
+
+
+port openConflict : String -> Cmd msg
+
+
+port retryFailure : String -> Cmd msg
+
+
+port restoreLocalVersion : String -> Cmd msg
+
+
+port shareLink : String -> Cmd msg
+
+
+port showRemoteVersions : String -> Cmd msg
+
+
+port restoreRemoteVersion : String -> Cmd msg
+
+
+port downloadRemoteVersion : ( String, String ) -> Cmd msg
+
+
+port showTrash : () -> Cmd msg
+
+
+port restoreTrashed : String -> Cmd msg
+
+
+port destroyTrashed : List String -> Cmd msg
+
+
+port confirmActivity : Bool -> Cmd msg
 
 
 samePath : File -> File -> Bool
@@ -59,7 +200,7 @@ samePath a b =
     a.path == b.path
 
 
-update : Msg -> Model -> Model
+update : Msg -> Model -> ( Model, Cmd Msg )
 update msg model =
     case msg of
         Transfer file ->
@@ -69,29 +210,383 @@ update msg model =
                         :: (List.filter (samePath file >> not) model.files)
                         |> List.take maxActivities
             in
-                { model | files = files }
+                ( { model | files = files }, Cmd.none )
 
         Remove file ->
             let
                 files =
                     List.filter (samePath file >> not) model.files
             in
-                { model | files = files }
+                ( { model | files = files }, Cmd.none )
 
         Tick now ->
-            { model | now = now }
+            ( { model | now = now }, Cmd.none )
 
         ShowMore ->
-            { model | page = model.page + 1 }
+            ( { model | page = model.page + 1 }, Cmd.none )
 
         Reset ->
-            { model | page = 1 }
+            ( { model | page = 1 }, Cmd.none )
+
+        RestoreVersion file ->
+            ( model, restoreLocalVersion file.path )
+
+        ShareFile file ->
+            ( model, shareLink file.path )
+
+        ShowVersions file ->
+            ( { model | versions = Just { path = file.path, versions = [] } }
+            , showRemoteVersions file.path
+            )
+
+        UpdateVersions versions ->
+            ( { model | versions = Just versions }, Cmd.none )
+
+        CloseVersions ->
+            ( { model | versions = Nothing }, Cmd.none )
+
+        RestoreRemoteVersion version ->
+            ( { model | versions = Nothing }, restoreRemoteVersion version.id )
+
+        DownloadRemoteVersion path version ->
+            ( model, downloadRemoteVersion ( path, version.id ) )
+
+        ShowTrash ->
+            ( { model | trash = Just { items = [], selected = [] } }, showTrash () )
+
+        UpdateTrash items ->
+            ( { model | trash = Just { items = items, selected = [] } }, Cmd.none )
+
+        CloseTrash ->
+            ( { model | trash = Nothing }, Cmd.none )
+
+        ToggleTrashed item ->
+            let
+                toggle trash =
+                    if List.member item.id trash.selected then
+                        { trash | selected = List.filter ((/=) item.id) trash.selected }
+                    else
+                        { trash | selected = item.id :: trash.selected }
+            in
+                ( { model | trash = Maybe.map toggle model.trash }, Cmd.none )
+
+        RestoreTrashed item ->
+            let
+                remove trash =
+                    { items = List.filter (\i -> i.id /= item.id) trash.items
+                    , selected = List.filter ((/=) item.id) trash.selected
+                    }
+            in
+                ( { model | trash = Maybe.map remove model.trash }, restoreTrashed item.id )
+
+        DestroyTrashed ->
+            case model.trash of
+                Just trash ->
+                    ( model, destroyTrashed trash.selected )
+
+                Nothing ->
+                    ( model, Cmd.none )
+
+        UpdateProfiles profiles ->
+            ( { model | profiles = profiles }, Cmd.none )
+
+        UpdateConflicts conflicts ->
+            ( { model | conflicts = conflicts }, Cmd.none )
+
+        ResolveConflict conflict action ->
+            let
+                conflicts =
+                    List.filter (\c -> c.id /= conflict.id) model.conflicts
+            in
+                ( { model | conflicts = conflicts }, resolveConflict ( conflict.id, action ) )
+
+        OpenConflict conflict ->
+            ( model, openConflict conflict.id )
+
+        UpdateFailures failures ->
+            ( { model | failures = failures }, Cmd.none )
+
+        RetryFailure failure ->
+            ( model, retryFailure failure.id )
+
+        UpdateSuspiciousActivity activity ->
+            ( { model | suspiciousActivity = activity }, Cmd.none )
+
+        ConfirmActivity confirmed ->
+            ( { model | suspiciousActivity = Nothing }, confirmActivity confirmed )
+
+
+profileStatus : Profile -> Status
+profileStatus profile =
+    case ( profile.error, profile.label ) of
+        ( Just message, _ ) ->
+            Error message
+
+        ( Nothing, "uptodate" ) ->
+            UpToDate
+
+        ( Nothing, "offline" ) ->
+            Offline
+
+        ( Nothing, "paused" ) ->
+            Paused
+
+        ( Nothing, "squashprepmerge" ) ->
+            SquashPrepMerging
+
+        ( Nothing, "sync" ) ->
+            Syncing profile.remaining
+
+        _ ->
+            Buffering
 
 
 
 -- VIEW
 
 
+viewProfile : Helpers -> Profile -> Html Msg
+viewProfile helpers profile =
+    let
+        status =
+            profileStatus profile
+    in
+        li [ title profile.syncPath ]
+            [ span [ class "profile-status" ] [ StatusBar.icon status ]
+            , h3 [ class "profile-name" ] [ text profile.name ]
+            , span [ class "profile-cozy" ] [ text profile.cozyUrl ]
+            , span [ class "profile-message" ] (StatusBar.viewMessage helpers status)
+            ]
+
+
+viewProfiles : Helpers -> List Profile -> Html Msg
+viewProfiles helpers profiles =
+    -- Only worth it when several Cozy instances are synchronized
+    if List.length profiles < 2 then
+        text ""
+    else
+        div [ class "profiles" ]
+            [ h2 [] [ text (helpers.t "Dashboard Profiles") ]
+            , ul [] (List.map (viewProfile helpers) profiles)
+            ]
+
+
+viewConflict : Helpers -> Time -> Conflict -> Html Msg
+viewConflict helpers now conflict =
+    let
+        time_ago =
+            case Date.fromString conflict.createdAt of
+                Ok date ->
+                    helpers.distance_of_time_in_words (Date.toTime date) now
+
+                Err _ ->
+                    ""
+
+        actionButton action label =
+            a [ class "btn", href "#", onClick (ResolveConflict conflict action) ]
+                [ text (helpers.t label) ]
+    in
+        li [ title conflict.conflictPath ]
+            [ h3 [ class "conflict-path" ] [ text conflict.path ]
+            , span [ class "conflict-time-ago" ] [ text time_ago ]
+            , div [ class "conflict-actions" ]
+                [ actionButton "keep-local" "Dashboard Keep mine"
+                , actionButton "keep-remote" "Dashboard Keep theirs"
+                , actionButton "keep-both" "Dashboard Keep both"
+                , a [ class "btn", href "#", onClick (OpenConflict conflict) ]
+                    [ text (helpers.t "Dashboard Open both files") ]
+                ]
+            ]
+
+
+viewConflicts : Helpers -> Model -> Html Msg
+viewConflicts helpers model =
+    if List.isEmpty model.conflicts then
+        text ""
+    else
+        div [ class "conflicts" ]
+            [ h2 [] [ text (helpers.t "Dashboard Conflicts") ]
+            , ul [] (List.map (viewConflict helpers model.now) model.conflicts)
+            ]
+
+
+viewFailure : Helpers -> Time -> Failure -> Html Msg
+viewFailure helpers now failure =
+    let
+        ( lastError, time_ago ) =
+            case List.head failure.errors of
+                Just error ->
+                    case Date.fromString error.at of
+                        Ok date ->
+                            ( error.message, helpers.distance_of_time_in_words (Date.toTime date) now )
+
+                        Err _ ->
+                            ( error.message, "" )
+
+                Nothing ->
+                    ( "", "" )
+
+        retried =
+            case failure.nextAttempt of
+                Just _ ->
+                    interpolate (helpers.t "Dashboard {0} attempts") (toString failure.attempts)
+
+                Nothing ->
+                    helpers.t "Dashboard Not retried anymore"
+    in
+        li [ title lastError ]
+            [ h3 [ class "failure-path" ] [ text failure.path ]
+            , span [ class "failure-error" ] [ text lastError ]
+            , span [ class "failure-time-ago" ] [ text time_ago ]
+            , span [ class "failure-attempts" ] [ text retried ]
+            , div [ class "failure-actions" ]
+                [ a [ class "btn", href "#", onClick (RetryFailure failure) ]
+                    [ text (helpers.t "Dashboard Retry now") ]
+                ]
+            ]
+
+
+viewFailures : Helpers -> Model -> Html Msg
+viewFailures helpers model =
+    if List.isEmpty model.failures then
+        text ""
+    else
+        div [ class "failures" ]
+            [ h2 [] [ text (helpers.t "Dashboard Failed files") ]
+            , ul [] (List.map (viewFailure helpers model.now) model.failures)
+            ]
+
+
+viewVersion : Helpers -> Time -> String -> Version -> Html Msg
+viewVersion helpers now path version =
+    let
+        time_ago =
+            case Date.fromString version.updatedAt of
+                Ok date ->
+                    helpers.distance_of_time_in_words (Date.toTime date) now
+
+                Err _ ->
+                    ""
+    in
+        li []
+            [ span [ class "version-time-ago" ] [ text time_ago ]
+            , span [ class "version-size" ] [ text (helpers.number_to_human_size version.size) ]
+            , div [ class "version-actions" ]
+                [ a [ class "btn", href "#", onClick (RestoreRemoteVersion version) ]
+                    [ text (helpers.t "Dashboard Restore") ]
+                , a [ class "btn", href "#", onClick (DownloadRemoteVersion path version) ]
+                    [ text (helpers.t "Dashboard Download") ]
+                ]
+            ]
+
+
+viewVersions : Helpers -> Model -> Html Msg
+viewVersions helpers model =
+    case model.versions of
+        Nothing ->
+            text ""
+
+        Just { path, versions } ->
+            div [ class "versions" ]
+                [ a [ class "versions-close", href "#", onClick CloseVersions ] [ text "×" ]
+                , h2 [ title path ] [ text (interpolate (helpers.t "Dashboard Versions of {0}") path) ]
+                , if List.isEmpty versions then
+                    p [] [ text (helpers.t "Dashboard No previous version on your Cozy") ]
+                  else
+                    ul [] (List.map (viewVersion helpers model.now path) versions)
+                ]
+
+
+viewTrashedItem : Helpers -> Time -> List String -> TrashedItem -> Html Msg
+viewTrashedItem helpers now selected item =
+    let
+        time_ago =
+            case Date.fromString item.trashedAt of
+                Ok date ->
+                    helpers.distance_of_time_in_words (Date.toTime date) now
+
+                Err _ ->
+                    ""
+    in
+        li [ title item.path ]
+            [ input
+                [ type_ "checkbox"
+                , checked (List.member item.id selected)
+                , onClick (ToggleTrashed item)
+                ]
+                []
+            , h3 [ class ("trashed-path trashed-" ++ item.docType) ] [ text item.path ]
+            , span [ class "trashed-time-ago" ] [ text time_ago ]
+            , div [ class "trashed-actions" ]
+                [ a [ class "btn", href "#", onClick (RestoreTrashed item) ]
+                    [ text (helpers.t "Dashboard Restore") ]
+                ]
+            ]
+
+
+viewTrash : Helpers -> Model -> Html Msg
+viewTrash helpers model =
+    case model.trash of
+        Nothing ->
+            a [ class "show-trash", href "#", onClick ShowTrash ]
+                [ text (helpers.t "Dashboard Deleted files") ]
+
+        Just { items, selected } ->
+            div [ class "trash" ]
+                [ a [ class "trash-close", href "#", onClick CloseTrash ] [ text "×" ]
+                , h2 [] [ text (helpers.t "Dashboard Deleted files") ]
+                , if List.isEmpty items then
+                    p [] [ text (helpers.t "Dashboard No deleted file in your Cozy trash") ]
+                  else
+                    div []
+                        [ p [] [ text (helpers.t "Dashboard Deleted from this computer, still in your Cozy trash") ]
+                        , ul [] (List.map (viewTrashedItem helpers model.now selected) items)
+                        , a
+                            [ class "btn"
+                            , href "#"
+                            , if List.isEmpty selected then
+                                attribute "disabled" "true"
+                              else
+                                onClick DestroyTrashed
+                            ]
+                            [ text (helpers.t "Dashboard Delete forever") ]
+                        ]
+                ]
+
+
+onContextMenu : Msg -> Attribute Msg
+onContextMenu msg =
+    onWithOptions "contextmenu"
+        { preventDefault = True, stopPropagation = False }
+        (Json.succeed msg)
+
+
+viewSuspiciousActivity : Helpers -> Maybe SuspiciousActivity -> Html Msg
+viewSuspiciousActivity helpers suspiciousActivity =
+    case suspiciousActivity of
+        Nothing ->
+            text ""
+
+        Just activity ->
+            div [ class "suspicious-activity" ]
+                [ h2 [] [ text (helpers.t "Dashboard Suspicious activity") ]
+                , p []
+                    [ text (interpolate (helpers.t "Dashboard {0} deletions") (toString activity.deletions))
+                    , text ", "
+                    , text (interpolate (helpers.t "Dashboard {0} modifications") (toString activity.updates))
+                    , text " "
+                    , text (interpolate (helpers.t "Dashboard in {0} seconds.") (toString activity.seconds))
+                    ]
+                , p [] [ text (helpers.t "Dashboard The synchronization is paused until you confirm they can go to your Cozy.") ]
+                , div [ class "suspicious-activity-actions" ]
+                    [ a [ class "btn", href "#", onClick (ConfirmActivity True) ]
+                        [ text (helpers.t "Dashboard These changes are mine") ]
+                    , a [ class "btn", href "#", onClick (ConfirmActivity False) ]
+                        [ text (helpers.t "Dashboard Stop the synchronization") ]
+                    ]
+                ]
+
+
 view : Helpers -> Model -> Html Msg
 view helpers model =
     let
@@ -103,11 +598,25 @@ view helpers model =
                 time_ago =
                     helpers.distance_of_time_in_words file.updated model.now
             in
-                li [ title file.path ]
+                li [ title file.path, onContextMenu (ShowVersions file) ]
                     [ i [ class ("file-type file-type-" ++ file.icon) ] []
                     , h3 [ class "file-name" ] [ text file.filename ]
                     , span [ class "file-size" ] [ text file_size ]
                     , span [ class "file-time-ago" ] [ text time_ago ]
+                    , a
+                        [ class "file-restore"
+                        , href "#"
+                        , title (helpers.t "Dashboard Restore the previous version of this file")
+                        , onClick (RestoreVersion file)
+                        ]
+                        [ text (helpers.t "Dashboard Restore") ]
+                    , a
+                        [ class "file-share"
+                        , href "#"
+                        , title (helpers.t "Dashboard Copy a public link to this file")
+                        , onClick (ShareFile file)
+                        ]
+                        [ text (helpers.t "Dashboard Share") ]
                     ]
 
         nbFiles =
@@ -133,5 +642,11 @@ view helpers model =
                 recentList
     in
         section [ class "two-panes__content two-panes__content--dashboard" ]
-            [ ul [ class "recent-files" ] recentListWithMore
+            [ viewSuspiciousActivity helpers model.suspiciousActivity
+            , viewProfiles helpers model.profiles
+            , viewConflicts helpers model
+            , viewFailures helpers model
+            , viewVersions helpers model
+            , viewTrash helpers model
+            , ul [ class "recent-files" ] recentListWithMore
             ]
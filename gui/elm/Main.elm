@@ -142,6 +142,9 @@ type Msg
     | StartBuffering
     | StartSquashPrepMerging
     | GoOffline
+    | GoPaused
+    | PauseSync String
+    | ResumeSync
     | SetError String
     | DashboardMsg Dashboard.Msg
     | SettingsMsg Settings.Msg
@@ -185,6 +188,15 @@ update msg model =
         GoOffline ->
             ( { model | status = Offline }, Cmd.none )
 
+        GoPaused ->
+            ( { model | status = Paused }, Cmd.none )
+
+        PauseSync duration ->
+            ( model, pauseSync duration )
+
+        ResumeSync ->
+            ( model, resumeSync () )
+
         SetError error ->
             ( { model | status = Error error }, Cmd.none )
 
@@ -196,10 +208,10 @@ update msg model =
 
         GoToTab tab ->
             let
-                dashboard =
+                ( dashboard, cmd ) =
                     Dashboard.update Dashboard.Reset model.dashboard
             in
-                ( { model | page = (tab), dashboard = dashboard }, Cmd.none )
+                ( { model | page = (tab), dashboard = dashboard }, Cmd.map DashboardMsg cmd )
 
         GoToStrTab tabstr ->
             case
@@ -213,10 +225,10 @@ update msg model =
 
         DashboardMsg subMsg ->
             let
-                dashboard =
+                ( dashboard, cmd ) =
                     Dashboard.update subMsg model.dashboard
             in
-                ( { model | dashboard = dashboard }, Cmd.none )
+                ( { model | dashboard = dashboard }, Cmd.map DashboardMsg cmd )
 
         SettingsMsg subMsg ->
             let
@@ -289,15 +301,48 @@ port squashPrepMerge : (Bool -> msg) -> Sub msg
 port buffering : (Bool -> msg) -> Sub msg
 
 
+port paused : (Bool -> msg) -> Sub msg
+
+
+port pauseSync : String -> Cmd msg
+
+
+port resumeSync : () -> Cmd msg
+
+
 port transfer : (Dashboard.File -> msg) -> Sub msg
 
 
 port remove : (Dashboard.File -> msg) -> Sub msg
 
 
+port profiles : (List Dashboard.Profile -> msg) -> Sub msg
+
+
+port conflicts : (List Dashboard.Conflict -> msg) -> Sub msg
+
+
+port remoteVersions : (Dashboard.FileVersions -> msg) -> Sub msg
+
+
+port syncFailures : (List Dashboard.Failure -> msg) -> Sub msg
+
+
+port trash : (List Dashboard.TrashedItem -> msg) -> Sub msg
+
+
+port suspiciousActivity : (Maybe Dashboard.SuspiciousActivity -> msg) -> Sub msg
+
+
 port diskSpace : (Settings.DiskSpace -> msg) -> Sub msg
 
 
+port remoteFolders : (( String, List Settings.RemoteFolder ) -> msg) -> Sub msg
+
+
+port excludedFolders : (List String -> msg) -> Sub msg
+
+
 port syncError : (String -> msg) -> Sub msg
 
 
@@ -330,12 +375,21 @@ subscriptions model =
         , Time.every Time.second (DashboardMsg << Dashboard.Tick)
         , transfer (DashboardMsg << Dashboard.Transfer)
         , remove (DashboardMsg << Dashboard.Remove)
+        , profiles (DashboardMsg << Dashboard.UpdateProfiles)
+        , conflicts (DashboardMsg << Dashboard.UpdateConflicts)
+        , remoteVersions (DashboardMsg << Dashboard.UpdateVersions)
+        , syncFailures (DashboardMsg << Dashboard.UpdateFailures)
+        , trash (DashboardMsg << Dashboard.UpdateTrash)
+        , suspiciousActivity (DashboardMsg << Dashboard.UpdateSuspiciousActivity)
         , diskSpace (SettingsMsg << Settings.UpdateDiskSpace)
+        , remoteFolders (SettingsMsg << Settings.FoldersLoaded)
+        , excludedFolders (SettingsMsg << Settings.ExcludedFoldersSet)
         , syncError (SetError)
         , offline (always GoOffline)
         , buffering (always StartBuffering)
         , squashPrepMerge (always StartSquashPrepMerging)
         , updated (always Updated)
+        , paused (always GoPaused)
         , syncing StartSyncing
         , mail (HelpMsg << Help.MailSent)
         , autolaunch (SettingsMsg << Settings.AutoLaunchSet)
@@ -376,6 +430,9 @@ view model =
 
         helpers =
             Helpers.forLocale locale
+
+        statusActions =
+            { pause = PauseSync, resume = ResumeSync }
     in
         case
             model.page
@@ -392,7 +449,7 @@ view model =
             _ ->
                 div
                     [ class "container" ]
-                    [ (StatusBar.view helpers model.status)
+                    [ (StatusBar.view helpers statusActions model.status)
                     , section [ class "two-panes" ]
                         [ aside [ class "two-panes__menu" ]
                             [ menu_item helpers model "Recents" DashboardPage
@@ -8,4 +8,5 @@ type Status
     | Buffering
     | SquashPrepMerging
     | Syncing Int
+    | Paused
     | Error String
@@ -15,6 +15,20 @@ type alias DiskSpace =
     }
 
 
+type alias RemoteFolder =
+    { path : String
+    , name : String
+    }
+
+
+type FolderTree
+    = FolderTree
+        { folder : RemoteFolder
+        , expanded : Bool
+        , children : Maybe (List FolderTree)
+        }
+
+
 type alias Model =
     { version : String
     , newRelease : Maybe ( String, String )
@@ -24,6 +38,9 @@ type alias Model =
     , disk : DiskSpace
     , busyUnlinking : Bool
     , busyQuitting : Bool
+    , busyLoadingFolders : Bool
+    , folders : Maybe (List FolderTree)
+    , excludedFolders : List String
     }
 
 
@@ -40,6 +57,9 @@ init version =
         }
     , busyUnlinking = False
     , busyQuitting = False
+    , busyLoadingFolders = False
+    , folders = Nothing
+    , excludedFolders = []
     }
 
 
@@ -58,6 +78,11 @@ type Msg
     | CancelUnlink
     | ShowHelp
     | CloseApp
+    | LoadFolders
+    | FoldersLoaded ( String, List RemoteFolder )
+    | ToggleExpanded String
+    | ToggleFolder String Bool
+    | ExcludedFoldersSet (List String)
 
 
 port showHelp : () -> Cmd msg
@@ -75,6 +100,69 @@ port quitAndInstall : () -> Cmd msg
 port closeApp : () -> Cmd msg
 
 
+port loadRemoteFolders : String -> Cmd msg
+
+
+port excludeFolders : List String -> Cmd msg
+
+
+leaf : RemoteFolder -> FolderTree
+leaf folder =
+    FolderTree { folder = folder, expanded = False, children = Nothing }
+
+
+updateTree : String -> (FolderTree -> FolderTree) -> List FolderTree -> List FolderTree
+updateTree path fn trees =
+    List.map (updateNode path fn) trees
+
+
+updateNode : String -> (FolderTree -> FolderTree) -> FolderTree -> FolderTree
+updateNode path fn (FolderTree node) =
+    if node.folder.path == path then
+        fn (FolderTree node)
+    else
+        FolderTree { node | children = Maybe.map (updateTree path fn) node.children }
+
+
+findNode : String -> List FolderTree -> Maybe FolderTree
+findNode path trees =
+    case trees of
+        [] ->
+            Nothing
+
+        (FolderTree node) :: rest ->
+            if node.folder.path == path then
+                Just (FolderTree node)
+            else
+                case findNode path (Maybe.withDefault [] node.children) of
+                    Nothing ->
+                        findNode path rest
+
+                    found ->
+                        found
+
+
+childrenLoaded : Maybe FolderTree -> Bool
+childrenLoaded tree =
+    case tree of
+        Just (FolderTree { children }) ->
+            children /= Nothing
+
+        Nothing ->
+            True
+
+
+isExcluded : List String -> String -> Bool
+isExcluded excludedFolders path =
+    List.any (\dir -> dir == path) excludedFolders
+        || hasExcludedParent excludedFolders path
+
+
+hasExcludedParent : List String -> String -> Bool
+hasExcludedParent excludedFolders path =
+    List.any (\dir -> String.startsWith (dir ++ "/") path) excludedFolders
+
+
 update : Msg -> Model -> ( Model, Cmd Msg )
 update msg model =
     case
@@ -110,6 +198,54 @@ update msg model =
         CloseApp ->
             ( { model | busyQuitting = True }, closeApp () )
 
+        LoadFolders ->
+            ( { model | busyLoadingFolders = True }, loadRemoteFolders "" )
+
+        FoldersLoaded ( "", folders ) ->
+            ( { model | busyLoadingFolders = False, folders = Just (List.map leaf folders) }
+            , Cmd.none
+            )
+
+        FoldersLoaded ( parent, folders ) ->
+            let
+                setChildren (FolderTree node) =
+                    FolderTree { node | children = Just (List.map leaf folders) }
+            in
+                ( { model | folders = Maybe.map (updateTree parent setChildren) model.folders }
+                , Cmd.none
+                )
+
+        ToggleExpanded path ->
+            let
+                toggle (FolderTree node) =
+                    FolderTree { node | expanded = not node.expanded }
+
+                trees =
+                    Maybe.withDefault [] model.folders
+
+                cmd =
+                    if childrenLoaded (findNode path trees) then
+                        Cmd.none
+                    else
+                        loadRemoteFolders path
+            in
+                ( { model | folders = Just (updateTree path toggle trees) }, cmd )
+
+        ToggleFolder path synchronized ->
+            let
+                excludedFolders =
+                    if synchronized then
+                        List.filter (\dir -> dir /= path) model.excludedFolders
+                    else
+                        path :: model.excludedFolders
+            in
+                ( { model | excludedFolders = excludedFolders }
+                , excludeFolders excludedFolders
+                )
+
+        ExcludedFoldersSet excludedFolders ->
+            ( { model | excludedFolders = excludedFolders }, Cmd.none )
+
 
 
 -- VIEW
@@ -168,6 +304,65 @@ progressbar ratio =
             ]
 
 
+folderTreeView : List String -> FolderTree -> Html Msg
+folderTreeView excludedFolders (FolderTree node) =
+    let
+        path =
+            node.folder.path
+
+        children =
+            case ( node.expanded, node.children ) of
+                ( False, _ ) ->
+                    []
+
+                ( True, Nothing ) ->
+                    [ div [ class "folder-tree__loading", attribute "aria-busy" "true" ] [] ]
+
+                ( True, Just trees ) ->
+                    [ ul [ class "folder-tree" ] (List.map (folderTreeView excludedFolders) trees) ]
+    in
+        li [ class "folder-tree__item" ]
+            ([ span
+                [ classList
+                    [ ( "folder-tree__toggle", True )
+                    , ( "folder-tree__toggle--expanded", node.expanded )
+                    ]
+                , onClick (ToggleExpanded path)
+                ]
+                []
+             , label [ class "folder-tree__label" ]
+                [ input
+                    [ type_ "checkbox"
+                    , checked (not (isExcluded excludedFolders path))
+                    , disabled (hasExcludedParent excludedFolders path)
+                    , onCheck (ToggleFolder path)
+                    ]
+                    []
+                , text node.folder.name
+                ]
+             ]
+                ++ children
+            )
+
+
+selectiveSyncView : Helpers -> Model -> Html Msg
+selectiveSyncView helpers model =
+    case model.folders of
+        Nothing ->
+            a
+                [ class "btn"
+                , href "#"
+                , if model.busyLoadingFolders then
+                    attribute "aria-busy" "true"
+                  else
+                    onClick LoadFolders
+                ]
+                [ text (helpers.t "Settings Choose the folders to synchronize") ]
+
+        Just trees ->
+            ul [ class "folder-tree" ] (List.map (folderTreeView model.excludedFolders) trees)
+
+
 view : Helpers -> Model -> Html Msg
 view helpers model =
     section [ class "two-panes__content two-panes__content--settings" ]
@@ -190,6 +385,12 @@ view helpers model =
                 ]
             , text (helpers.t "Settings Startup")
             ]
+        , h2 [] [ text (helpers.t "Settings Selective synchronization") ]
+        , p []
+            [ text ((helpers.t "Settings Only the checked folders of your Cozy are synchronized on this computer.") ++ " ")
+            , text (helpers.t "Settings Unchecked folders are removed from this computer but stay on your Cozy.")
+            ]
+        , selectiveSyncView helpers model
         , h2 [] [ text (helpers.t "Account About") ]
         , p []
             [ strong [] [ text ((helpers.t "Account Account") ++ " ") ]
@@ -3,6 +3,7 @@ module StatusBar exposing (..)
 import Html exposing (..)
 import Html.Attributes exposing (..)
 import Html.Events exposing (..)
+import Json.Decode as Json
 import Icons
 import Helpers exposing (..)
 import Model exposing (Status(..))
@@ -11,6 +12,12 @@ import Model exposing (Status(..))
 -- Status line component
 
 
+type alias Actions msg =
+    { pause : String -> msg
+    , resume : msg
+    }
+
+
 imgIcon : String -> String -> Html msg
 imgIcon srcPath className =
     img
@@ -29,6 +36,9 @@ icon status =
         Offline ->
             imgIcon "images/tray-icon-osx/pauseTemplate@2x.png" "offline"
 
+        Paused ->
+            imgIcon "images/tray-icon-osx/pauseTemplate@2x.png" "paused"
+
         Error _ ->
             imgIcon "images/tray-icon-osx/errorTemplate@2x.png" "error"
 
@@ -63,6 +73,9 @@ viewMessage helpers status =
             , text ")"
             ]
 
+        Paused ->
+            [ text (helpers.t "Dashboard Paused") ]
+
         Error message ->
             [ text (helpers.t "Dashboard Error:")
             , text " "
@@ -70,9 +83,40 @@ viewMessage helpers status =
             ]
 
 
-view : Helpers -> Status -> Html msg
-view helpers status =
+pauseOption : Helpers -> String -> Html msg
+pauseOption helpers duration =
+    option [ value duration ] [ text (helpers.t ("Dashboard Pause " ++ duration)) ]
+
+
+viewActions : Helpers -> Actions msg -> Status -> Html msg
+viewActions helpers actions status =
+    case
+        status
+    of
+        Paused ->
+            a [ class "status_action", href "#", onClick actions.resume ]
+                [ text (helpers.t "Dashboard Resume") ]
+
+        Error _ ->
+            text ""
+
+        _ ->
+            select
+                [ class "status_action"
+                , on "change" (Json.map actions.pause targetValue)
+                ]
+                [ option [ value "", selected True, disabled True ]
+                    [ text (helpers.t "Dashboard Pause") ]
+                , pauseOption helpers "hour"
+                , pauseOption helpers "tomorrow"
+                , pauseOption helpers "indefinitely"
+                ]
+
+
+view : Helpers -> Actions msg -> Status -> Html msg
+view helpers actions status =
     div [ class "status" ]
         [ span [ class "status_img" ] [ icon status ]
         , span [ class "status_text" ] (viewMessage helpers status)
+        , viewActions helpers actions status
         ]
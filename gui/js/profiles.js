@@ -0,0 +1,86 @@
+const {default: Desktop, listProfiles} = require('../../core-built/app.js')
+
+const log = Desktop.logger({
+  component: 'GUI'
+})
+
+// The windows only deal with the default profile. The other configured ones
+// are synchronized in the background and the dashboard lists the status of
+// each one of them.
+let profiles = []
+let onChange = () => {}
+// Set up by main.js, so the background profiles are guarded like the default
+// one: {confirmOfflineDeletions, confirmActivity}
+let guards = null
+
+const track = (desktop) => {
+  const profile = {desktop, label: 'buffering', remaining: 0, error: null}
+  profiles.push(profile)
+  const update = (changes) => {
+    Object.assign(profile, changes)
+    onChange(module.exports.list())
+  }
+  desktop.events.on('sync-status', ({label, remaining}) => {
+    update({label, remaining: remaining || 0, error: null})
+  })
+  desktop.events.on('online', () => update({label: 'uptodate', error: null}))
+  desktop.events.on('offline', () => update({label: 'offline'}))
+}
+
+const startInBackground = (root, name) => {
+  const desktop = new Desktop(root, name)
+  if (!desktop.config.isValid() || !desktop.config.syncPath) {
+    log.warn({profile: name}, 'Profile is not configured, skipping it')
+    return
+  }
+  track(desktop)
+  desktop.events.on('offline-deletions', (info, answer) => {
+    guards.confirmOfflineDeletions(desktop, info, answer)
+  })
+  desktop.events.on('suspicious-activity', (activity) => {
+    guards.confirmActivity(desktop, activity)
+  })
+  desktop.synchronize(desktop.config.config.mode)
+    .catch((err) => {
+      log.error({err, profile: name}, 'Synchronization stopped')
+      module.exports.failed(desktop, err.message)
+    })
+  desktop.startControlServer()
+    .catch((err) => log.warn({err, profile: name}, 'Could not start the control API'))
+}
+
+module.exports.start = (desktop, listener, profileGuards) => {
+  if (profiles.length > 0) return
+  onChange = listener
+  guards = profileGuards
+  track(desktop)
+  for (const name of listProfiles(desktop.root)) {
+    if (name !== desktop.profile) startInBackground(desktop.root, name)
+  }
+  onChange(module.exports.list())
+}
+
+// Stop the synchronization of the background profiles, e.g. before quitting.
+// The first one is the default one, stopped by its windows.
+module.exports.stop = () => Promise.all(
+  profiles.slice(1)
+    .map(({desktop}) => desktop.stopSync()
+      .then(() => desktop.pouch.db.close())
+      .catch((err) => log.error({err, profile: desktop.profile}, 'Could not stop the synchronization')))
+)
+
+module.exports.failed = (desktop, message) => {
+  const profile = profiles.find(p => p.desktop === desktop)
+  if (!profile) return
+  profile.error = message
+  onChange(module.exports.list())
+}
+
+module.exports.list = () => profiles.map(({desktop, label, remaining, error}) => ({
+  name: desktop.profile,
+  cozyUrl: desktop.config.cozyUrl,
+  syncPath: desktop.config.syncPath,
+  label,
+  remaining,
+  error
+}))
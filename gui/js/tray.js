@@ -107,6 +107,9 @@ var setState = module.exports.setState = (state, filename) => {
   } else if (state === 'offline') {
     icon = 'pause'
     statusLabel = translate('Tray Offline')
+  } else if (state === 'paused') {
+    icon = 'pause'
+    statusLabel = translate('Tray Paused')
   }
 
   tray.setToolTip(statusLabel)
@@ -1,11 +1,13 @@
 const electron = require('electron')
-const {dialog, shell} = electron
+const {Notification, dialog, shell} = electron
 const {spawn} = require('child_process')
+const path = require('path')
 const autoLaunch = require('./autolaunch')
+const profiles = require('./profiles')
 const DASHBOARD_SCREEN_WIDTH = 330
 const DASHBOARD_SCREEN_HEIGHT = 830
 
-const {translate} = require('./i18n')
+const {translate, interpolate} = require('./i18n')
 
 const log = require('../../core-built/app.js').default.logger({
   component: 'GUI'
@@ -65,6 +67,19 @@ const popoverBounds = (wantedWidth, wantedHeight, trayposition, workArea, displa
   return newBounds
 }
 
+// When to resume a synchronization paused from the tray for the given
+// duration (null means it won't resume automatically)
+const pauseUntil = (duration, now) => {
+  switch (duration) {
+    case 'hour':
+      return new Date(now.getTime() + 60 * 60 * 1000)
+    case 'tomorrow':
+      return new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1)
+    default:
+      return null
+  }
+}
+
 const WindowManager = require('./window_manager')
 
 module.exports = class TrayWM extends WindowManager {
@@ -146,11 +161,201 @@ module.exports = class TrayWM extends WindowManager {
       'go-to-cozy': () => shell.openExternal(this.desktop.config.cozyUrl),
       'go-to-folder': () => shell.openItem(this.desktop.config.syncPath),
       'auto-launcher': (event, enabled) => autoLaunch.setEnabled(enabled),
-      'close-app': () => this.desktop.stopSync().then(() => this.app.quit()),
+      'close-app': () => Promise.all([this.desktop.stopSync(), profiles.stop()]).then(() => this.app.quit()),
+      'pause-sync': (event, duration) => this.onPauseSync(duration),
+      'resume-sync': () => this.desktop.resumeSync(),
+      'load-remote-folders': (event, parentPath) => this.onLoadRemoteFolders(parentPath),
+      'exclude-folders': (event, excludedDirs) => this.onExcludeFolders(excludedDirs),
+      'resolve-conflict': (event, id, action) => this.onResolveConflict(id, action),
+      'open-conflict': (event, id) => this.onOpenConflict(id),
+      'retry-failure': (event, id) => this.onRetryFailure(id),
+      'restore-local-version': (event, path) => this.onRestoreLocalVersion(path),
+      'share-link': (event, filePath) => this.onShareLink(filePath),
+      'show-remote-versions': (event, filePath) => this.onShowRemoteVersions(filePath),
+      'restore-remote-version': (event, id) => this.onRestoreRemoteVersion(id),
+      'download-remote-version': (event, filePath, id) => this.onDownloadRemoteVersion(filePath, id),
+      'show-trash': () => this.sendTrash(),
+      'restore-trashed': (event, id) => this.onRestoreTrashed(id),
+      'destroy-trashed': (event, ids) => this.onDestroyTrashed(ids),
+      'confirm-activity': (event, confirmed) => this.onConfirmActivity(confirmed),
       'unlink-cozy': this.onUnlink
     }
   }
 
+  // The synchronization can't be paused while it is not running, e.g. during
+  // the onboarding or once stopped
+  onPauseSync (duration) {
+    try {
+      this.desktop.pauseSync(pauseUntil(duration, new Date()))
+    } catch (err) {
+      log.warn({err, duration}, 'Could not pause the synchronization')
+      this.send('sync-error', err.message)
+    }
+  }
+
+  onLoadRemoteFolders (parentPath) {
+    this.desktop.listRemoteDirs(parentPath)
+      .catch((err) => {
+        log.error({err, parentPath}, 'Could not list remote folders')
+        return []
+      })
+      .then((folders) => this.send('remote-folders', parentPath, folders))
+  }
+
+  onExcludeFolders (excludedDirs) {
+    this.desktop.setExcludedDirs(excludedDirs)
+      .catch((err) => log.error({err, excludedDirs}, 'Could not exclude folders'))
+      .then(() => this.send('excluded-folders', this.desktop.config.excludedDirs))
+  }
+
+  sendConflicts () {
+    this.desktop.listConflicts()
+      .catch((err) => {
+        log.error({err}, 'Could not list conflicts')
+        return []
+      })
+      .then((conflicts) => this.send('conflicts', conflicts))
+  }
+
+  onResolveConflict (id, action) {
+    this.desktop.resolveConflict(id, action)
+      .catch((err) => log.error({err, id, action}, 'Could not resolve conflict'))
+      .then(() => this.sendConflicts())
+  }
+
+  onOpenConflict (id) {
+    this.desktop.conflictPaths(id)
+      .then((paths) => paths.forEach((p) => shell.openItem(p)))
+      .catch((err) => log.error({err, id}, 'Could not open conflicting files'))
+  }
+
+  sendFailures () {
+    this.desktop.listSyncFailures()
+      .catch((err) => {
+        log.error({err}, 'Could not list failed changes')
+        return []
+      })
+      .then((failures) => this.send('sync-failures', failures))
+  }
+
+  onRetryFailure (id) {
+    this.desktop.retrySyncFailure(id)
+      .catch((err) => log.error({err, id}, 'Could not retry failed change'))
+      .then(() => this.sendFailures())
+  }
+
+  // Put back the version of the file saved before the synchronization
+  // replaced it. The restored file is then synchronized as any local change.
+  onRestoreLocalVersion (path) {
+    this.desktop.restoreLocalVersion(path)
+      .catch((err) => {
+        log.error({err, path}, 'Could not restore previous version')
+        dialog.showMessageBox(this.win, {
+          type: 'warning',
+          message: translate('Dashboard No previous version of this file was kept'),
+          buttons: ['OK']
+        })
+      })
+  }
+
+  // The link is copied to the clipboard by the App
+  onShareLink (filePath) {
+    this.desktop.shareLink(filePath)
+      .then(() => {
+        const notif = new Notification({
+          title: 'Cozy Drive',
+          body: interpolate(translate('Dashboard The link to {0} was copied to the clipboard'), path.basename(filePath))
+        })
+        notif.show()
+      })
+      .catch((err) => {
+        log.error({err, path: filePath}, 'Could not share file')
+        dialog.showMessageBox(this.win, {
+          type: 'warning',
+          message: translate('Dashboard This file could not be shared'),
+          detail: err.message,
+          buttons: ['OK']
+        })
+      })
+  }
+
+  onShowRemoteVersions (filePath) {
+    this.desktop.listRemoteVersions(filePath)
+      .catch((err) => {
+        log.error({err, path: filePath}, 'Could not list remote versions')
+        return []
+      })
+      .then((versions) => this.send('remote-versions', {
+        path: filePath,
+        versions: versions.map((v) => ({id: v._id, updatedAt: v.updated_at, size: Number(v.size) || 0}))
+      }))
+  }
+
+  // The restored version is then downloaded by the synchronization
+  onRestoreRemoteVersion (id) {
+    this.desktop.restoreRemoteVersion(id)
+      .catch((err) => log.error({err, id}, 'Could not restore remote version'))
+  }
+
+  onDownloadRemoteVersion (filePath, id) {
+    const options = {defaultPath: path.basename(filePath)}
+    dialog.showSaveDialog(this.win, options, (destination) => {
+      if (!destination) return
+      this.desktop.downloadRemoteVersion(id, destination)
+        .catch((err) => log.error({err, id, destination}, 'Could not download remote version'))
+    })
+  }
+
+  sendTrash () {
+    this.desktop.listTrash()
+      .catch((err) => {
+        log.error({err}, 'Could not list the Cozy trash')
+        return []
+      })
+      .then((items) => this.send('trash', items))
+  }
+
+  // The restored file or folder is then downloaded by the synchronization
+  onRestoreTrashed (id) {
+    this.desktop.restoreTrashed(id)
+      .catch((err) => {
+        log.error({err, id}, 'Could not restore from the Cozy trash')
+        dialog.showMessageBox(this.win, {
+          type: 'warning',
+          message: translate('Dashboard This file could not be restored from your Cozy trash'),
+          buttons: ['OK']
+        })
+      })
+      .then(() => this.sendTrash())
+  }
+
+  onDestroyTrashed (ids) {
+    const options = {
+      type: 'question',
+      message: translate('Dashboard Delete the selected files forever?'),
+      detail: translate('Dashboard They will be removed from your Cozy trash and cannot be restored anymore.'),
+      buttons: [translate('Dashboard Cancel'), translate('Dashboard Delete forever')],
+      cancelId: 0,
+      defaultId: 0
+    }
+    dialog.showMessageBox(this.win, options, (response) => {
+      if (response === 0) return
+      this.desktop.destroyTrashed(ids)
+        .catch((err) => log.error({err, ids}, 'Could not empty the Cozy trash'))
+        .then(() => this.sendTrash())
+    })
+  }
+
+  // Go on with the suspicious changes, or stop before they reach the Cozy
+  onConfirmActivity (confirmed) {
+    if (confirmed) {
+      this.desktop.resumeSync()
+    } else {
+      this.desktop.stopSync()
+        .catch((err) => log.error({err}, 'Could not stop the synchronization'))
+    }
+  }
+
   onUnlink () {
     if (!this.desktop.config.isValid()) {
       log.error('No client!')
@@ -189,3 +394,4 @@ module.exports = class TrayWM extends WindowManager {
 }
 
 module.exports.popoverBounds = popoverBounds
+module.exports.pauseUntil = pauseUntil
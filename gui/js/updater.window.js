@@ -1,4 +1,5 @@
 const WindowManager = require('./window_manager')
+const profiles = require('./profiles')
 const {autoUpdater} = require('electron-updater')
 
 const log = require('../../core-built/app.js').default.logger({
@@ -40,7 +41,7 @@ module.exports = class UpdaterWM extends WindowManager {
     autoUpdater.on('update-downloaded', (info) => {
       log.info({update: info}, 'Update downloaded. Exit and install...')
       setImmediate(() =>
-        this.desktop.stopSync()
+        Promise.all([this.desktop.stopSync(), profiles.stop()])
         .then(() => this.desktop.pouch.db.close())
         .then(() => autoUpdater.quitAndInstall())
         .then(() => this.app.quit())
@@ -13,6 +13,7 @@ const setupProxy = require('./js/proxy')
 
 const autoLaunch = require('./js/autolaunch')
 const lastFiles = require('./js/lastfiles')
+const profiles = require('./js/profiles')
 const tray = require('./js/tray')
 const TrayWM = require('./js/tray.window.js')
 const UpdaterWM = require('./js/updater.window.js')
@@ -22,9 +23,9 @@ const OnboardingWM = require('./js/onboarding.window.js')
 const {selectIcon} = require('./js/fileutils')
 const {buildAppMenu} = require('./js/appmenu')
 const i18n = require('./js/i18n')
-const {translate} = i18n
+const {translate, interpolate} = i18n
 const {incompatibilitiesErrorMessage} = require('./js/incompatibilitiesmsg')
-const {app, Menu, Notification, ipcMain, dialog} = require('electron')
+const {app, Menu, Notification, clipboard, ipcMain, dialog} = require('electron')
 
 const log = Desktop.logger({
   component: 'GUI'
@@ -131,6 +132,53 @@ const sendErrorToMainWindow = (msg) => {
   notif.show()
 }
 
+// Files and folders which disappeared in a suspicious way while the app was
+// stopped are only deleted on the Cozy once confirmed
+const confirmOfflineDeletions = ({deletions, total, syncDirChanged}, answer, profileDesktop = desktop) => {
+  let detail = translate('OfflineDeletions If your Cozy folder is on a disk which is not mounted, mount it before starting the synchronization again.')
+  // Tell which one of the synchronized folders it is about
+  if (profileDesktop !== desktop) detail = `${profileDesktop.config.syncPath}\n\n${detail}`
+  const options = {
+    type: 'warning',
+    title: translate('OfflineDeletions Title'),
+    message: syncDirChanged
+      ? translate('OfflineDeletions Your Cozy folder does not look like the one synchronized before.')
+      : interpolate(translate('OfflineDeletions {0} of your {1} files and folders disappeared while Cozy Drive was stopped.'), deletions, total),
+    detail,
+    buttons: [
+      translate('OfflineDeletions Stop the synchronization'),
+      interpolate(translate('OfflineDeletions Delete {0} files and folders on my Cozy'), deletions)
+    ],
+    cancelId: 0,
+    defaultId: 0
+  }
+  trayWindow.hide()
+  answer(dialog.showMessageBox(null, options) === 1)
+}
+
+// The profiles synchronized in the background have no window to show a
+// suspicious activity in, so it is confirmed right away
+const confirmBackgroundActivity = (profileDesktop, activity) => {
+  const options = {
+    type: 'warning',
+    title: translate('Dashboard Suspicious activity'),
+    message: translate('SuspiciousActivity Many files were deleted or modified at once, the synchronization is paused.'),
+    detail: `${profileDesktop.config.syncPath}\n\n${translate('Dashboard The synchronization is paused until you confirm they can go to your Cozy.')}`,
+    buttons: [
+      translate('Dashboard Stop the synchronization'),
+      translate('Dashboard These changes are mine')
+    ],
+    cancelId: 0,
+    defaultId: 0
+  }
+  if (dialog.showMessageBox(null, options) === 1) {
+    profileDesktop.resumeSync()
+  } else {
+    profileDesktop.stopSync()
+      .catch((err) => log.error({err, profile: profileDesktop.profile}, 'Could not stop the synchronization'))
+  }
+}
+
 const updateState = (newState, filename) => {
   if (newState === 'error') errorMessage = filename
   if (state === 'error' && newState === 'offline') return
@@ -187,6 +235,7 @@ const sendDiskUsage = () => {
 
 const startSync = (force, ...args) => {
   trayWindow.send('synchronization', desktop.config.cozyUrl, desktop.config.deviceName)
+  trayWindow.send('excluded-folders', desktop.config.excludedDirs)
   for (let file of lastFiles.list()) {
     trayWindow.send('transfer', file)
   }
@@ -195,14 +244,21 @@ const startSync = (force, ...args) => {
       trayWindow.send('up-to-date')
     } else if (state === 'offline') {
       trayWindow.send('offline')
+    } else if (state === 'paused') {
+      trayWindow.send('sync-status', {label: 'paused'})
     } else if (state === 'error') {
       sendErrorToMainWindow(errorMessage)
     }
+    trayWindow.send('profiles', profiles.list())
+    trayWindow.sendConflicts()
+    trayWindow.sendFailures()
     sendDiskUsage()
   } else {
     updateState('syncing')
     desktop.events.on('sync-status', (status) => {
-      updateState(status.label === 'uptodate' ? 'online' : 'syncing')
+      updateState(status.label === 'uptodate' ? 'online'
+        : status.label === 'paused' ? 'paused'
+        : 'syncing')
       trayWindow.send('sync-status', status)
     })
 
@@ -235,15 +291,37 @@ const startSync = (force, ...args) => {
     desktop.events.on('syncdir-unlinked', () => {
       sendErrorToMainWindow('Syncdir has been unlinked')
     })
+    desktop.events.on('offline-deletions', confirmOfflineDeletions)
+    desktop.events.on('suspicious-activity', (activity) => {
+      trayWindow.send('suspicious-activity', activity)
+      showWindow()
+      const notif = new Notification({
+        title: 'Cozy Drive',
+        body: translate('SuspiciousActivity Many files were deleted or modified at once, the synchronization is paused.')
+      })
+      notif.show()
+    })
+    desktop.events.on('sync-resumed', () => trayWindow.send('suspicious-activity', null))
     desktop.events.on('delete-file', removeFile)
+    desktop.events.on('conflict', () => trayWindow.sendConflicts())
+    desktop.events.on('retry-queue', (failures) => trayWindow.send('sync-failures', failures))
     desktop.synchronize(desktop.config.config.mode)
       .then(() => sendErrorToMainWindow('stopped'))
       .catch((err) => {
         log.error(err)
         updateState('error', err.message)
+        profiles.failed(desktop, err.message)
         sendDiskUsage()
         sendErrorToMainWindow(err.message)
       })
+    desktop.startControlServer()
+      .catch((err) => log.warn({err}, 'Could not start the control API'))
+    profiles.start(desktop, (list) => trayWindow.send('profiles', list), {
+      confirmOfflineDeletions: (profileDesktop, info, answer) => confirmOfflineDeletions(info, answer, profileDesktop),
+      confirmActivity: confirmBackgroundActivity
+    })
+    trayWindow.sendConflicts()
+    trayWindow.sendFailures()
     sendDiskUsage()
   }
   autoLaunch.isEnabled().then((enabled) => {
@@ -274,6 +352,7 @@ app.on('ready', () => {
     i18n.init(app)
     try {
       desktop = new Desktop(process.env.COZY_DESKTOP_DIR)
+      desktop.clipboard = clipboard
     } catch (err) {
       if (err.message.match(/GLIBCXX/)) {
         dialog.showMessageBox({
@@ -138,8 +138,79 @@ ipcRenderer.on('sync-status', (event, {label, remaining}) => {
     case 'uptodate':
       elmectron.ports.updated.send(true)
       break
+    case 'paused':
+      elmectron.ports.paused.send(true)
+      break
   }
 })
+elmectron.ports.pauseSync.subscribe((duration) => {
+  ipcRenderer.send('pause-sync', duration)
+})
+elmectron.ports.resumeSync.subscribe(() => {
+  ipcRenderer.send('resume-sync')
+})
+
+ipcRenderer.on('profiles', (event, profiles) => {
+  elmectron.ports.profiles.send(profiles)
+})
+
+ipcRenderer.on('conflicts', (event, conflicts) => {
+  elmectron.ports.conflicts.send(conflicts)
+})
+elmectron.ports.resolveConflict.subscribe(([id, action]) => {
+  ipcRenderer.send('resolve-conflict', id, action)
+})
+elmectron.ports.openConflict.subscribe((id) => {
+  ipcRenderer.send('open-conflict', id)
+})
+
+ipcRenderer.on('sync-failures', (event, failures) => {
+  elmectron.ports.syncFailures.send(failures)
+})
+elmectron.ports.retryFailure.subscribe((id) => {
+  ipcRenderer.send('retry-failure', id)
+})
+
+elmectron.ports.restoreLocalVersion.subscribe((path) => {
+  ipcRenderer.send('restore-local-version', path)
+})
+
+elmectron.ports.shareLink.subscribe((path) => {
+  ipcRenderer.send('share-link', path)
+})
+
+ipcRenderer.on('remote-versions', (event, versions) => {
+  elmectron.ports.remoteVersions.send(versions)
+})
+elmectron.ports.showRemoteVersions.subscribe((path) => {
+  ipcRenderer.send('show-remote-versions', path)
+})
+elmectron.ports.restoreRemoteVersion.subscribe((id) => {
+  ipcRenderer.send('restore-remote-version', id)
+})
+elmectron.ports.downloadRemoteVersion.subscribe(([path, id]) => {
+  ipcRenderer.send('download-remote-version', path, id)
+})
+
+ipcRenderer.on('trash', (event, items) => {
+  elmectron.ports.trash.send(items)
+})
+elmectron.ports.showTrash.subscribe(() => {
+  ipcRenderer.send('show-trash')
+})
+elmectron.ports.restoreTrashed.subscribe((id) => {
+  ipcRenderer.send('restore-trashed', id)
+})
+elmectron.ports.destroyTrashed.subscribe((ids) => {
+  ipcRenderer.send('destroy-trashed', ids)
+})
+
+ipcRenderer.on('suspicious-activity', (event, activity) => {
+  elmectron.ports.suspiciousActivity.send(activity)
+})
+elmectron.ports.confirmActivity.subscribe((confirmed) => {
+  ipcRenderer.send('confirm-activity', confirmed)
+})
 
 ipcRenderer.on('transfer', (event, info) => {
   elmectron.ports.transfer.send(info)
@@ -152,6 +223,19 @@ ipcRenderer.on('disk-space', (event, info) => {
   elmectron.ports.diskSpace.send(info)
 })
 
+ipcRenderer.on('remote-folders', (event, parentPath, folders) => {
+  elmectron.ports.remoteFolders.send([parentPath, folders])
+})
+elmectron.ports.loadRemoteFolders.subscribe((parentPath) => {
+  ipcRenderer.send('load-remote-folders', parentPath)
+})
+ipcRenderer.on('excluded-folders', (event, excludedDirs) => {
+  elmectron.ports.excludedFolders.send(excludedDirs)
+})
+elmectron.ports.excludeFolders.subscribe((excludedDirs) => {
+  ipcRenderer.send('exclude-folders', excludedDirs)
+})
+
 ipcRenderer.on('sync-error', (event, err) => {
   elmectron.ports.syncError.send(err)
 })
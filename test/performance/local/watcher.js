@@ -13,9 +13,11 @@ import pouchHelpers from '../../support/helpers/pouch'
 
 class SpyPrep {
   calls: *
+  config: *
 
-  constructor () {
+  constructor (config: *) {
     this.calls = []
+    this.config = config
 
     this.stub('addFileAsync')
     this.stub('moveFileAsync')
@@ -84,7 +86,7 @@ describe('LocalWatcher charge', () => {
     await fs.emptyDir(path.resolve(path.join(this.syncPath, '..', 'outside')))
   })
   before('instanciate local watcher', async function () {
-    prep = new SpyPrep()
+    prep = new SpyPrep(this.config)
     const events = {emit: () => {}}
     // $FlowFixMe
     watcher = new Watcher(this.syncPath, prep, this.pouch, events)
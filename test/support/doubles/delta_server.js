@@ -0,0 +1,108 @@
+// Handles the deltas sent to the cozy-stack double, rebuilding the new
+// versions of the files kept in memory.
+//
+// Usage: cozyStackDouble.stub(deltaServer.handle)
+export default class DeltaServerDouble {
+  constructor (files = {}) {
+    // The content of the files by id
+    this.files = files
+    this.deltas = {}
+    this.created = 0
+    // The number of bytes received in data operations
+    this.received = 0
+    // Answer like a Cozy without support for deltas
+    this.unsupported = false
+    this.dir = {id: 'delta-dir-id', path: '/delta-dir'}
+    this.handle = this.handle.bind(this)
+  }
+
+  handle (req, res) {
+    const [pathname] = req.url.split('?')
+    const match = pathname.match(/^\/files\/deltas\/(\d+)$/)
+    if (req.method === 'GET' && pathname === '/status/') {
+      // cozy-client-js asks for the version of the Cozy first
+      res.writeHead(200, {'Content-Type': 'application/json'})
+      res.end(JSON.stringify({message: 'OK'}))
+    } else if (req.method === 'POST' && pathname === '/files/deltas' && !this.unsupported) {
+      this.create(req, res)
+    } else if (match && req.method === 'PATCH') {
+      this.patch(this.deltas[match[1]], req, res)
+    } else if (match && req.method === 'POST') {
+      this.commit(this.deltas[match[1]], res)
+    } else if (req.method === 'GET' && pathname === `/files/${this.dir.id}`) {
+      this.json(res, {
+        type: 'io.cozy.files',
+        id: this.dir.id,
+        meta: {rev: '1-dir'},
+        attributes: {type: 'directory', name: 'delta-dir', path: this.dir.path}
+      })
+    } else {
+      res.writeHead(404)
+      res.end()
+    }
+  }
+
+  create (req, res) {
+    const metadata = {}
+    for (const pair of req.headers['upload-metadata'].split(',')) {
+      const [key, value = ''] = pair.split(' ')
+      metadata[key] = Buffer.from(value, 'base64').toString()
+    }
+    const id = String(++this.created)
+    this.deltas[id] = {
+      base: this.files[metadata.fileID],
+      blockSize: parseInt(req.headers['delta-block-size']),
+      size: parseInt(req.headers['upload-length']),
+      metadata,
+      data: Buffer.alloc(0)
+    }
+    res.writeHead(201, {'Location': `/files/deltas/${id}`})
+    res.end()
+  }
+
+  patch (delta, req, res) {
+    const [operation, start, count] = req.headers['delta-operation'].split(' ')
+    const chunks = []
+    req.on('data', chunk => chunks.push(chunk))
+    req.on('end', () => {
+      if (operation === 'copy') {
+        const {base, blockSize} = delta
+        const from = parseInt(start) * blockSize
+        const to = from + parseInt(count) * blockSize
+        delta.data = Buffer.concat([delta.data, base.slice(from, to)])
+      } else {
+        const data = Buffer.concat(chunks)
+        this.received += data.length
+        delta.data = Buffer.concat([delta.data, data])
+      }
+      res.writeHead(204)
+      res.end()
+    })
+  }
+
+  commit (delta, res) {
+    const {fileID, contentType} = delta.metadata
+    if (delta.data.length !== delta.size) {
+      res.writeHead(422)
+      return res.end()
+    }
+    this.files[fileID] = delta.data
+    this.json(res, {
+      type: 'io.cozy.files',
+      id: fileID,
+      meta: {rev: '2-delta'},
+      attributes: {
+        type: 'file',
+        name: 'big-file',
+        dir_id: this.dir.id,
+        mime: contentType,
+        size: String(delta.size)
+      }
+    })
+  }
+
+  json (res, data) {
+    res.writeHead(200, {'Content-Type': 'application/vnd.api+json'})
+    res.end(JSON.stringify({data}))
+  }
+}
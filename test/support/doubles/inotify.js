@@ -0,0 +1,58 @@
+// Stands for the Inotify class of the inotify module, so the events of the
+// kernel can be simulated on any platform.
+//
+// Usage: new InotifyBackend(syncPath, listener, InotifyDouble)
+export default class InotifyDouble {
+  constructor () {
+    this.watches = new Map()
+    this.nextWatch = 1
+    this.closed = false
+    InotifyDouble.instance = this
+  }
+
+  addWatch ({path, watch_for: mask, callback}) {
+    for (const [wd, watch] of this.watches) {
+      if (watch.path === path) return wd
+    }
+    const wd = this.nextWatch++
+    this.watches.set(wd, {path, mask, callback})
+    return wd
+  }
+
+  removeWatch (wd) {
+    this.watches.delete(wd)
+  }
+
+  close () {
+    this.closed = true
+  }
+
+  // Send an event about the child with the given name of a watched folder.
+  // Like the watch descriptors of the kernel, watches are found by the path
+  // they were added with, even when their folder was moved since.
+  emit (dirPath, mask, name, cookie) {
+    for (const [wd, watch] of this.watches) {
+      if (watch.path === dirPath) {
+        watch.callback({watch: wd, mask, cookie, name})
+        return
+      }
+    }
+    throw new Error(`Not watched: ${dirPath}`)
+  }
+}
+
+// See inotify(7)
+Object.assign(InotifyDouble, {
+  IN_MODIFY: 0x2,
+  IN_ATTRIB: 0x4,
+  IN_CLOSE_WRITE: 0x8,
+  IN_MOVED_FROM: 0x40,
+  IN_MOVED_TO: 0x80,
+  IN_CREATE: 0x100,
+  IN_DELETE: 0x200,
+  IN_Q_OVERFLOW: 0x4000,
+  IN_IGNORED: 0x8000,
+  IN_ONLYDIR: 0x1000000,
+  IN_DONT_FOLLOW: 0x2000000,
+  IN_ISDIR: 0x40000000
+})
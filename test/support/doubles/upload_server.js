@@ -0,0 +1,112 @@
+// Handles the resumable uploads sent to the cozy-stack double, keeping the
+// received bytes in memory. It can drop the connection in the middle of an
+// upload to simulate network failures.
+//
+// Usage: cozyStackDouble.stub(uploadServer.handle)
+export default class UploadServerDouble {
+  constructor () {
+    this.uploads = {}
+    this.created = 0
+    // When set, the connection is dropped once this number of bytes of the
+    // upload have been received
+    this.dropAfter = null
+    // Answer like a Cozy without support for resumable uploads
+    this.unsupported = false
+    this.dir = {id: 'upload-dir-id', path: '/upload-dir'}
+    this.handle = this.handle.bind(this)
+  }
+
+  handle (req, res) {
+    const [pathname] = req.url.split('?')
+    const match = pathname.match(/^\/files\/uploads\/(\d+)$/)
+    if (req.method === 'GET' && pathname === '/status/') {
+      // cozy-client-js asks for the version of the Cozy first
+      res.writeHead(200, {'Content-Type': 'application/json'})
+      res.end(JSON.stringify({message: 'OK'}))
+    } else if (req.method === 'POST' && pathname === '/files/uploads' && !this.unsupported) {
+      this.create(req, res)
+    } else if (match && req.method === 'HEAD') {
+      this.head(this.uploads[match[1]], res)
+    } else if (match && req.method === 'PATCH') {
+      this.patch(this.uploads[match[1]], req, res)
+    } else if (req.method === 'GET' && pathname === `/files/${this.dir.id}`) {
+      this.json(res, 200, {
+        type: 'io.cozy.files',
+        id: this.dir.id,
+        meta: {rev: '1-dir'},
+        attributes: {type: 'directory', name: 'upload-dir', path: this.dir.path}
+      })
+    } else {
+      res.writeHead(404)
+      res.end()
+    }
+  }
+
+  create (req, res) {
+    const metadata = {}
+    for (const pair of req.headers['upload-metadata'].split(',')) {
+      const [key, value = ''] = pair.split(' ')
+      metadata[key] = Buffer.from(value, 'base64').toString()
+    }
+    const id = String(++this.created)
+    this.uploads[id] = {
+      size: parseInt(req.headers['upload-length']),
+      metadata,
+      data: Buffer.alloc(0)
+    }
+    res.writeHead(201, {'Location': `/files/uploads/${id}`})
+    res.end()
+  }
+
+  head (upload, res) {
+    if (upload == null) {
+      res.writeHead(404)
+    } else {
+      res.writeHead(200, {'Upload-Offset': String(upload.data.length)})
+    }
+    res.end()
+  }
+
+  patch (upload, req, res) {
+    if (upload == null) {
+      res.writeHead(404)
+      return res.end()
+    }
+    if (parseInt(req.headers['upload-offset']) !== upload.data.length) {
+      res.writeHead(409)
+      return res.end()
+    }
+    req.on('data', (chunk) => {
+      upload.data = Buffer.concat([upload.data, chunk])
+      if (this.dropAfter != null && upload.data.length >= this.dropAfter) {
+        upload.data = upload.data.slice(0, this.dropAfter)
+        this.dropAfter = null
+        req.socket.destroy()
+      }
+    })
+    req.on('end', () => {
+      if (upload.data.length < upload.size) {
+        res.writeHead(204, {'Upload-Offset': String(upload.data.length)})
+        return res.end()
+      }
+      const {name, fileID, contentType} = upload.metadata
+      this.json(res, 200, {
+        type: 'io.cozy.files',
+        id: fileID || 'uploaded-file-id',
+        meta: {rev: '1-uploaded'},
+        attributes: {
+          type: 'file',
+          name: name || 'updated',
+          dir_id: this.dir.id,
+          mime: contentType,
+          size: String(upload.size)
+        }
+      }, {'Upload-Offset': String(upload.data.length)})
+    })
+  }
+
+  json (res, status, data, headers = {}) {
+    res.writeHead(status, {...headers, 'Content-Type': 'application/vnd.api+json'})
+    res.end(JSON.stringify({data}))
+  }
+}
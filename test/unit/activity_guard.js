@@ -0,0 +1,41 @@
+/* eslint-env mocha */
+
+import should from 'should'
+
+import ActivityGuard from '../../core/activity_guard'
+
+describe('ActivityGuard', function () {
+  beforeEach(function () {
+    this.config = {suspiciousActivityThreshold: {changes: 3, seconds: 10}}
+    this.guard = new ActivityGuard(this.config)
+  })
+
+  it('lets a few changes through', function () {
+    should(this.guard.record('deletion', 0)).be.null()
+    should(this.guard.record('update', 1000)).be.null()
+  })
+
+  it('reports a burst of changes within the time window', function () {
+    this.guard.record('deletion', 0)
+    this.guard.record('update', 1000)
+    should(this.guard.record('deletion', 2000)).deepEqual({deletions: 2, updates: 1, seconds: 10})
+  })
+
+  it('forgets the changes older than the time window', function () {
+    this.guard.record('deletion', 0)
+    this.guard.record('deletion', 1000)
+    should(this.guard.record('deletion', 10000)).be.null()
+  })
+
+  it('lets an allowed burst go on until it calms down', function () {
+    this.guard.record('deletion', 0)
+    this.guard.record('deletion', 1000)
+    should(this.guard.record('deletion', 2000)).not.be.null()
+    this.guard.allow()
+    should(this.guard.record('deletion', 3000)).be.null()
+
+    should(this.guard.record('deletion', 20000)).be.null()
+    this.guard.record('deletion', 21000)
+    should(this.guard.record('deletion', 22000)).not.be.null()
+  })
+})
@@ -4,12 +4,17 @@ import fs from 'fs-extra'
 import os from 'os'
 import path from 'path'
 import should from 'should'
+import sinon from 'sinon'
+import { Readable } from 'stream'
 
-import App from '../../core/app'
+import App, {
+  DEFAULT_PROFILE, PROFILES_DIR, listProfiles, profileDir, validProfileName
+} from '../../core/app'
 import { LOG_FILENAME } from '../../core/logger'
 import { version } from '../../package.json'
 
 import configHelpers from '../support/helpers/config'
+import pouchHelpers from '../support/helpers/pouch'
 
 describe('App', function () {
   describe('parseCozyUrl', function () {
@@ -124,6 +129,211 @@ describe('App', function () {
     }
   })
 
+  describe('profiles', function () {
+    beforeEach(function () {
+      this.root = fs.mkdtempSync(path.join(os.tmpdir(), 'root-dir-'))
+    })
+
+    afterEach(function () {
+      fs.removeSync(this.root)
+    })
+
+    it('accepts only names which are safe as directory names', function () {
+      should(['work', 'Perso_2', 'my-cozy'].map(validProfileName))
+        .deepEqual([true, true, true])
+      should(['', '..', '-work', 'a/b', 'a b'].map(validProfileName))
+        .deepEqual([false, false, false, false, false])
+      should(() => new App(this.root, '../foo')).throw(/Invalid profile name/)
+    })
+
+    it('saves the default profile where there were no profiles yet', function () {
+      const app = new App(this.root)
+      should(app.profile).equal(DEFAULT_PROFILE)
+      should(app.basePath).equal(path.join(this.root, '.cozy-desktop'))
+    })
+
+    it('saves the named profiles in their own dir', function () {
+      const app = new App(this.root, 'work')
+      should(app.basePath).equal(path.join(this.root, PROFILES_DIR, 'work'))
+      should(app.basePath).equal(profileDir(this.root, 'work'))
+      should(app.config.configPath).startWith(app.basePath)
+    })
+
+    it('lists the default profile first, then the named ones', function () {
+      should(listProfiles(this.root)).deepEqual([DEFAULT_PROFILE])
+
+      for (const name of ['work', 'perso', 'not valid']) {
+        fs.ensureDirSync(path.join(this.root, PROFILES_DIR, name))
+      }
+      should(listProfiles(this.root)).deepEqual([DEFAULT_PROFILE, 'perso', 'work'])
+    })
+
+    it('cannot synchronize the dir of another profile', function () {
+      const other = new App(this.root, 'work')
+      other.config.syncPath = path.join(this.root, 'Work')
+      other.config.persist()
+      const app = new App(this.root)
+
+      for (const syncPath of ['Work', path.join('Work', 'sub'), '']) {
+        const result = app.checkSyncPath(path.join(this.root, syncPath))
+        should(result.error).match(/work profile/)
+      }
+      should(app.checkSyncPath(path.join(this.root, 'Workshop'))).not.have.property('error')
+      should(other.checkSyncPath(other.config.syncPath)).not.have.property('error')
+    })
+
+    it('removes the whole dir of a named profile with its config', async function () {
+      const app = new App(this.root, 'work')
+      await app.removeConfig()
+      should(fs.existsSync(app.basePath)).be.false()
+      should(listProfiles(this.root)).deepEqual([DEFAULT_PROFILE])
+    })
+  })
+
+  describe('pauseSync', function () {
+    beforeEach(function () {
+      this.clock = sinon.useFakeTimers()
+      this.app = new App(fs.mkdtempSync(path.join(os.tmpdir(), 'base-dir-')))
+      this.app.sync = {pause: sinon.spy(), resume: sinon.spy()}
+    })
+
+    afterEach(function () {
+      this.clock.restore()
+      fs.removeSync(path.dirname(this.app.basePath))
+    })
+
+    it('fails when the synchronization is not running', function () {
+      this.app.sync = undefined
+      should(() => this.app.pauseSync()).throw()
+    })
+
+    it('pauses until resumeSync() is called when no date is given', function () {
+      this.app.pauseSync()
+      should(this.app.sync.pause).have.been.calledOnce()
+      this.clock.tick(365 * 24 * 3600 * 1000)
+      should(this.app.sync.resume).not.have.been.called()
+
+      this.app.resumeSync()
+      should(this.app.sync.resume).have.been.calledOnce()
+    })
+
+    it('resumes automatically at the given date', function () {
+      const until = new Date(Date.now() + 3600 * 1000)
+      this.app.pauseSync(until)
+      should(this.app.pausedUntil).equal(until)
+      this.clock.tick(3599 * 1000)
+      should(this.app.sync.resume).not.have.been.called()
+
+      this.clock.tick(1000)
+      should(this.app.sync.resume).have.been.calledOnce()
+      should(this.app.pausedUntil).be.null()
+    })
+
+    it('can wait for more than setTimeout() allows', function () {
+      const month = 31 * 24 * 3600 * 1000
+      this.app.pauseSync(new Date(Date.now() + month))
+      this.clock.tick(month - 1000)
+      should(this.app.sync.resume).not.have.been.called()
+
+      this.clock.tick(1000)
+      should(this.app.sync.resume).have.been.calledOnce()
+    })
+
+    it('forgets the previous date when paused again', function () {
+      this.app.pauseSync(new Date(Date.now() + 1000))
+      this.app.pauseSync()
+      this.clock.tick(2000)
+      should(this.app.sync.resume).not.have.been.called()
+    })
+  })
+
+  describe('remote versions', function () {
+    beforeEach('instanciate config', configHelpers.createConfig)
+    beforeEach('instanciate pouch', pouchHelpers.createDatabase)
+    afterEach('clean pouch', pouchHelpers.cleanDatabase)
+    afterEach('clean config directory', configHelpers.cleanConfig)
+
+    beforeEach(async function () {
+      this.app = new App(this.basePath)
+      this.app.pouch = this.pouch
+      this.app.remote = {
+        listVersions: sinon.stub().resolves([{_id: 'foo-id/1-abc'}]),
+        downloadVersion: sinon.stub()
+      }
+      await this.pouch.db.put({
+        _id: 'foo', path: 'foo', docType: 'file', remote: {_id: 'foo-id', _rev: '2-def'}, sides: {local: 1, remote: 1}
+      })
+      await this.pouch.db.put({_id: 'bar', path: 'bar', docType: 'file', sides: {local: 1}})
+    })
+
+    it('lists the versions of a synchronized file', async function () {
+      should(await this.app.listRemoteVersions('foo')).deepEqual([{_id: 'foo-id/1-abc'}])
+      should(this.app.remote.listVersions).have.been.calledWith('foo-id')
+      await should(this.app.listRemoteVersions('bar')).be.rejectedWith(/Not a synchronized file/)
+    })
+
+    it('saves the content of a version to the given path', async function () {
+      const content = new Readable()
+      content._read = () => {}
+      content.push('old content')
+      content.push(null)
+      this.app.remote.downloadVersion.resolves(content)
+      const destination = path.join(this.basePath, 'foo.old')
+
+      await this.app.downloadRemoteVersion('foo-id/1-abc', destination)
+
+      should(this.app.remote.downloadVersion).have.been.calledWith('foo-id/1-abc')
+      should(fs.readFileSync(destination, 'utf8')).equal('old content')
+    })
+  })
+
+  describe('sharing links', function () {
+    beforeEach('instanciate config', configHelpers.createConfig)
+    beforeEach('instanciate pouch', pouchHelpers.createDatabase)
+    afterEach('clean pouch', pouchHelpers.cleanDatabase)
+    afterEach('clean config directory', configHelpers.cleanConfig)
+
+    beforeEach(async function () {
+      this.app = new App(this.basePath)
+      this.app.pouch = this.pouch
+      this.app.remote = {
+        sharingLinks: sinon.stub().resolves([
+          {_id: '1', fileID: 'foo-id', url: 'https://protected', password: true, expiresAt: null},
+          {_id: '2', fileID: 'foo-id', url: 'https://public', password: false, expiresAt: null}
+        ]),
+        createSharingLink: sinon.stub().resolves({_id: '3', fileID: 'foo-id', url: 'https://new'})
+      }
+      this.app.clipboard = {writeText: sinon.spy()}
+      await this.pouch.db.put({
+        _id: 'foo', path: 'foo', docType: 'folder', remote: {_id: 'foo-id', _rev: '2-def'}, sides: {local: 1, remote: 1}
+      })
+      await this.pouch.db.put({_id: 'bar', path: 'bar', docType: 'file', sides: {local: 1}})
+    })
+
+    it('reuses the public link of a synchronized file or folder', async function () {
+      const link = await this.app.shareLink('foo')
+
+      should(link._id).equal('2')
+      should(this.app.remote.sharingLinks).have.been.calledWith('foo-id')
+      should(this.app.remote.createSharingLink).not.have.been.called()
+      should(this.app.clipboard.writeText).have.been.calledWith('https://public')
+    })
+
+    it('creates a new link with a password or an expiration date', async function () {
+      const expiresAt = new Date('2017-11-01T12:00:00Z')
+      const link = await this.app.shareLink('foo', {expiresAt})
+
+      should(link._id).equal('3')
+      should(this.app.remote.createSharingLink).have.been.calledWith('foo-id', {expiresAt})
+      should(this.app.clipboard.writeText).have.been.calledWith('https://new')
+    })
+
+    it('does not share what is not synchronized', async function () {
+      await should(this.app.shareLink('bar')).be.rejectedWith(/Not a synchronized file or folder/)
+      await should(this.app.listSharingLinks('bar')).be.rejectedWith(/Not a synchronized file or folder/)
+    })
+  })
+
   describe('debugInformations', () => {
     it('works when app is not configured', () => {
       const basePath = fs.mkdtempSync(path.join(os.tmpdir(), 'base-dir-'))
@@ -0,0 +1,116 @@
+/* eslint-env mocha */
+
+import should from 'should'
+import sinon from 'sinon'
+import { Readable } from 'stream'
+
+import {
+  BandwidthLimiter, currentRate, formatSchedule, inSchedule, parseSchedule
+} from '../../core/bandwidth'
+
+const workHours = {days: [1, 2, 3, 4, 5], from: '09:00', to: '18:00'}
+const nights = {days: [5], from: '22:00', to: '06:00'}
+
+describe('bandwidth', function () {
+  describe('inSchedule', function () {
+    it('matches the days and hours of the schedule', function () {
+      should(inSchedule(workHours, new Date(2018, 0, 8, 9, 0))).be.true() // monday
+      should(inSchedule(workHours, new Date(2018, 0, 8, 18, 0))).be.false()
+      should(inSchedule(workHours, new Date(2018, 0, 7, 10, 0))).be.false() // sunday
+    })
+
+    it('goes on the next day when ending before it starts', function () {
+      should(inSchedule(nights, new Date(2018, 0, 12, 23, 0))).be.true() // friday
+      should(inSchedule(nights, new Date(2018, 0, 13, 5, 59))).be.true() // saturday
+      should(inSchedule(nights, new Date(2018, 0, 12, 5, 0))).be.false()
+    })
+  })
+
+  describe('currentRate', function () {
+    const limits = {
+      upload: 100,
+      download: null,
+      schedules: [{...workHours, upload: 10}, {...workHours, download: 50}]
+    }
+
+    it('is the default limit outside of the schedules', function () {
+      const sunday = new Date(2018, 0, 7, 10, 0)
+      should(currentRate(limits, 'upload', sunday)).equal(100 * 1024)
+      should(currentRate(limits, 'download', sunday)).be.null()
+    })
+
+    it('is the limit of the first matching schedule for the direction', function () {
+      const monday = new Date(2018, 0, 8, 10, 0)
+      should(currentRate(limits, 'upload', monday)).equal(10 * 1024)
+      should(currentRate(limits, 'download', monday)).equal(50 * 1024)
+    })
+
+    it('is unlimited for 0', function () {
+      should(currentRate({upload: 0, download: 0, schedules: []}, 'upload', new Date())).be.null()
+    })
+  })
+
+  describe('parseSchedule', function () {
+    it('parses days and hours', function () {
+      should(parseSchedule('mon-fri 09:00-18:00')).deepEqual(workHours)
+      should(parseSchedule('sat,sun 10:00-12:00')).deepEqual({days: [0, 6], from: '10:00', to: '12:00'})
+      should(parseSchedule('fri-mon 22:00-06:00').days).deepEqual([0, 1, 5, 6])
+    })
+
+    it('applies every day without days', function () {
+      should(parseSchedule('22:00-06:00').days).have.length(7)
+    })
+
+    it('rejects invalid schedules', function () {
+      should(() => parseSchedule('weekdays 09:00-18:00')).throw(/Invalid days/)
+      should(() => parseSchedule('mon-fri 9h-18h')).throw(/Invalid schedule/)
+    })
+
+    it('formats them back', function () {
+      should(formatSchedule(workHours)).equal('mon,tue,wed,thu,fri 09:00-18:00')
+      should(formatSchedule({...nights, days: [0, 1, 2, 3, 4, 5, 6]})).equal('every day 22:00-06:00')
+    })
+  })
+
+  describe('BandwidthLimiter', function () {
+    beforeEach(function () {
+      this.config = {bandwidthLimits: {upload: null, download: null, schedules: []}}
+      this.limiter = new BandwidthLimiter(this.config, 'upload')
+      this.clock = sinon.useFakeTimers(Date.now())
+    })
+
+    afterEach(function () {
+      this.clock.restore()
+    })
+
+    it('does not delay anything without limit', function () {
+      should(this.limiter.reserve(1024 * 1024)).equal(0)
+      should(this.limiter.reserve(1024 * 1024)).equal(0)
+    })
+
+    it('delays the chunks to stay below the limit', function () {
+      this.config.bandwidthLimits.upload = 1 // kB/s
+      should(this.limiter.reserve(512)).equal(0)
+      should(this.limiter.reserve(512)).equal(500)
+      should(this.limiter.reserve(1024)).equal(1000)
+      this.clock.tick(3000)
+      should(this.limiter.reserve(1024)).equal(0)
+    })
+
+    it('keeps the content length of the throttled streams', function (done) {
+      const source = new Readable({read () {}})
+      source.contentLength = 3
+      const throttled = this.limiter.throttle(source)
+      should(throttled.contentLength).equal(3)
+
+      let data = ''
+      throttled.on('data', chunk => { data += chunk })
+      throttled.on('end', () => {
+        should(data).equal('foo')
+        done()
+      })
+      source.push('foo')
+      source.push(null)
+    })
+  })
+})
@@ -0,0 +1,367 @@
+/* eslint-env mocha */
+
+import EventEmitter from 'events'
+import fs from 'fs-extra'
+import os from 'os'
+import path from 'path'
+import should from 'should'
+import sinon from 'sinon'
+
+import App from '../../core/app'
+import * as cli from '../../core/cli'
+
+import configHelpers from '../support/helpers/config'
+
+describe('cli', function () {
+  beforeEach('silence output', function () {
+    sinon.stub(console, 'log')
+    sinon.stub(console, 'error')
+  })
+
+  afterEach('restore output', function () {
+    console.log.restore()
+    console.error.restore()
+  })
+
+  describe('exitCodeFor', function () {
+    it('tells revoked clients apart', function () {
+      should(cli.exitCodeFor(new Error('Client has been revoked'))).equal(cli.EXIT_REVOKED)
+    })
+
+    it('tells a missing sync dir apart', function () {
+      should(cli.exitCodeFor(new Error('Syncdir has been unlinked'))).equal(cli.EXIT_NO_SYNC_DIR)
+    })
+
+    it('tells a full disk or Cozy apart', function () {
+      should(cli.exitCodeFor(new Error('No more disk space'))).equal(cli.EXIT_IO)
+      should(cli.exitCodeFor(new Error('Cozy is full'))).equal(cli.EXIT_IO)
+    })
+
+    it('tells an unreachable Cozy apart', function () {
+      const err = new Error('getaddrinfo ENOTFOUND')
+      err.code = 'ENOTFOUND'
+      should(cli.exitCodeFor(err)).equal(cli.EXIT_UNAVAILABLE)
+    })
+
+    it('tells a forbidden mode switch apart', function () {
+      const err = new Error('Once you set mode to "pull", you cannot switch to "push"')
+      should(cli.exitCodeFor(err)).equal(cli.EXIT_USAGE)
+    })
+
+    it('fails generically otherwise', function () {
+      should(cli.exitCodeFor(new Error('Whatever'))).equal(cli.EXIT_FAILURE)
+    })
+  })
+
+  describe('reportSyncState', function () {
+    it('prints status changes only once', function () {
+      const events = new EventEmitter()
+      const out = sinon.spy()
+      cli.reportSyncState(events, out)
+
+      events.emit('sync-status', {label: 'buffering', remaining: 1})
+      events.emit('sync-status', {label: 'buffering', remaining: 1})
+      events.emit('sync-status', {label: 'sync', remaining: 3})
+      events.emit('sync-status', {label: 'sync', remaining: 2})
+      events.emit('sync-status', {label: 'uptodate', remaining: 1})
+
+      should(out.args.map(args => args[0])).deepEqual([
+        'buffering',
+        'sync (3 remaining)',
+        'sync (2 remaining)',
+        'uptodate'
+      ])
+    })
+
+    it('prints the transfers with their direction', function () {
+      const events = new EventEmitter()
+      const out = sinon.spy()
+      cli.reportSyncState(events, out)
+
+      events.emit('transfer-started', {path: 'foo'}, 'download')
+      events.emit('transfer-started', {path: 'bar'}, 'upload')
+
+      should(out.args.map(args => args[0])).deepEqual(['download foo', 'upload bar'])
+    })
+  })
+
+  describe('confirmOfflineDeletions', function () {
+    it('answers with the reply of the user', async function () {
+      const events = new EventEmitter()
+      const ask = sinon.stub()
+      ask.onFirstCall().resolves('y')
+      ask.onSecondCall().resolves('')
+      cli.confirmOfflineDeletions(events, ask)
+
+      const answers = []
+      for (let i = 0; i < 2; i++) {
+        await new Promise(resolve => {
+          events.emit('offline-deletions', {deletions: 60, total: 100, syncDirChanged: false}, (confirmed) => {
+            answers.push(confirmed)
+            resolve()
+          })
+        })
+      }
+
+      should(ask.args[0][0]).match(/60 of 100 files and folders disappeared/)
+      should(answers).deepEqual([true, false])
+    })
+  })
+
+  describe('profiles', function () {
+    beforeEach(function () {
+      this.root = fs.mkdtempSync(path.join(os.tmpdir(), 'root-dir-'))
+    })
+
+    afterEach(function () {
+      fs.removeSync(this.root)
+    })
+
+    it('lists the profiles with their configuration', async function () {
+      const work = new App(this.root, 'work')
+      work.config.cozyUrl = 'https://work.example.com'
+      work.config.syncPath = path.join(this.root, 'Work')
+      work.config.config.creds = {client: {clientName: 'desktop'}}
+      work.config.saveMode('pull')
+
+      should(await cli.profiles(this.root)).equal(cli.EXIT_OK)
+      should(console.log.args.map(args => args[0])).deepEqual([
+        'default  not configured',
+        `work     https://work.example.com ${work.config.syncPath} (pull, not running)`
+      ])
+    })
+  })
+
+  describe('run', function () {
+    beforeEach(function () {
+      this.root = fs.mkdtempSync(path.join(os.tmpdir(), 'root-dir-'))
+      this.desktopDir = process.env.COZY_DESKTOP_DIR
+      process.env.COZY_DESKTOP_DIR = this.root
+      sinon.stub(App.prototype, 'shareLink').resolves({url: 'https://alice-drive.cozy.tools/public?sharecode=abc'})
+      this.exited = new Promise(resolve => { sinon.stub(process, 'exit').callsFake(resolve) })
+    })
+
+    afterEach(function () {
+      process.exit.restore()
+      App.prototype.shareLink.restore()
+      if (this.desktopDir == null) delete process.env.COZY_DESKTOP_DIR
+      else process.env.COZY_DESKTOP_DIR = this.desktopDir
+      fs.removeSync(this.root)
+    })
+
+    it('protects a sharing link with --password, since -p is the profile', async function () {
+      cli.run(['node', 'cozy-desktop', 'share', 'foo', '--password', 'secret'])
+
+      should(await this.exited).equal(cli.EXIT_OK)
+      should(App.prototype.shareLink).have.been.calledWithMatch('foo', {password: 'secret'})
+    })
+
+    it('does not take -p for the password of a sharing link', function () {
+      // Stop there, like the real exit
+      process.exit.withArgs(cli.EXIT_NOT_CONFIGURED).throws(new Error('exited'))
+
+      should(() => cli.run(['node', 'cozy-desktop', 'share', 'foo', '-p', 'secret'])).throw('exited')
+      should(console.error).have.been.calledWith('No secret profile, run add-remote-cozy --profile secret first.')
+      should(App.prototype.shareLink).not.have.been.called()
+    })
+  })
+
+  context('when the app is not configured', function () {
+    beforeEach(function () {
+      this.basePath = fs.mkdtempSync(path.join(os.tmpdir(), 'base-dir-'))
+      this.app = new App(this.basePath)
+    })
+
+    afterEach(function () {
+      fs.removeSync(this.basePath)
+    })
+
+    it('refuses to sync', async function () {
+      should(await cli.sync(this.app, 'full')).equal(cli.EXIT_NOT_CONFIGURED)
+    })
+
+    it('refuses to remove the remote', async function () {
+      should(await cli.removeRemoteCozy(this.app)).equal(cli.EXIT_NOT_CONFIGURED)
+    })
+
+    it('sets the bandwidth limits and their schedules', async function () {
+      should(await cli.bandwidth(this.app, {upload: '100'})).equal(cli.EXIT_OK)
+      should(await cli.bandwidth(this.app, {upload: '10', during: 'mon-fri 09:00-18:00'})).equal(cli.EXIT_OK)
+      should(await cli.bandwidth(this.app, {download: '50', during: 'mon-fri 09:00-18:00'})).equal(cli.EXIT_OK)
+      should(this.app.config.bandwidthLimits).deepEqual({
+        upload: 100,
+        download: null,
+        schedules: [{days: [1, 2, 3, 4, 5], from: '09:00', to: '18:00', upload: 10, download: 50}]
+      })
+
+      console.log.reset()
+      should(await cli.bandwidth(this.app, {})).equal(cli.EXIT_OK)
+      should(console.log).have.been.calledWith('Upload:    100 kB/s')
+      should(console.log).have.been.calledWith('mon,tue,wed,thu,fri 09:00-18:00: upload 10 kB/s, download 50 kB/s')
+
+      should(await cli.bandwidth(this.app, {clearSchedules: true})).equal(cli.EXIT_OK)
+      should(this.app.config.bandwidthLimits.schedules).be.empty()
+      should(await cli.bandwidth(this.app, {upload: 'fast'})).equal(cli.EXIT_USAGE)
+      should(await cli.bandwidth(this.app, {during: 'mon 09:00-10:00'})).equal(cli.EXIT_USAGE)
+    })
+
+    it('reports the status', async function () {
+      should(await cli.status(this.app)).equal(cli.EXIT_NOT_CONFIGURED)
+    })
+
+    it('rejects an invalid Cozy URL', async function () {
+      const syncPath = path.join(this.basePath, 'Cozy Drive')
+      should(await cli.addRemoteCozy(this.app, 'ftp://cozy.example.com', syncPath)).equal(cli.EXIT_USAGE)
+    })
+
+    it('rejects the user home dir as sync dir', async function () {
+      should(await cli.addRemoteCozy(this.app, 'cozy.example.com', os.homedir())).equal(cli.EXIT_USAGE)
+    })
+
+    it('cannot pause nor resume without a running synchronization', async function () {
+      should(await cli.pause(this.app)).equal(cli.EXIT_UNAVAILABLE)
+      should(await cli.resume(this.app)).equal(cli.EXIT_UNAVAILABLE)
+    })
+
+    it('refuses to switch mode', async function () {
+      should(await cli.switchMode(this.app, 'pull', true)).equal(cli.EXIT_NOT_CONFIGURED)
+    })
+
+    it('rejects an invalid pause duration', async function () {
+      should(await cli.pause(this.app, 'soon')).equal(cli.EXIT_USAGE)
+      should(await cli.pause(this.app, '-5')).equal(cli.EXIT_USAGE)
+    })
+  })
+
+  context('when the app is configured', function () {
+    beforeEach(configHelpers.createConfig)
+    beforeEach(configHelpers.registerClient)
+    beforeEach(function () {
+      this.app = new App(this.basePath)
+      this.app.config = this.config
+    })
+    afterEach(configHelpers.cleanConfig)
+
+    it('refuses an unknown sync mode', async function () {
+      should(await cli.sync(this.app, 'both')).equal(cli.EXIT_USAGE)
+      should(await cli.switchMode(this.app, 'both', false)).equal(cli.EXIT_USAGE)
+    })
+
+    it('reports what switching mode would do without switching', async function () {
+      this.config.saveMode('full')
+      sinon.stub(this.app, 'switchMode').resolves({
+        from: 'full',
+        to: 'pull',
+        upload: [],
+        download: [{path: 'foo', type: 'add'}],
+        discard: ['bar']
+      })
+
+      should(await cli.switchMode(this.app, 'pull', true)).equal(cli.EXIT_OK)
+      should(this.app.switchMode).have.been.calledWith('pull', {dryRun: true})
+      should(console.log).have.been.calledWith('download add    foo')
+      should(console.log).have.been.calledWith('discard         bar')
+      should(console.log).have.been.calledWith('0 to upload, 1 to download, 1 to discard')
+    })
+
+    it('reports the divergences found by a reconciliation', async function () {
+      sinon.stub(this.app, 'reconcile').resolves({
+        localOnly: ['foo'],
+        localMissing: [],
+        localModified: [],
+        remoteOnly: [],
+        remoteMissing: [],
+        remoteModified: ['bar'],
+        failed: []
+      })
+
+      should(await cli.reconcile(this.app, {repair: true})).equal(cli.EXIT_OK)
+      should(this.app.reconcile).have.been.calledWith({repair: true})
+      should(console.log).have.been.calledWith('localOnly       foo')
+      should(console.log).have.been.calledWith('remoteModified  bar')
+      should(console.log).have.been.calledWith('2 divergences')
+    })
+
+    it('schedules the reconciliation', async function () {
+      should(await cli.reconcile(this.app, {every: '6', repair: true})).equal(cli.EXIT_OK)
+      should(this.config.reconciliation).deepEqual({interval: 6, repair: true})
+      should(await cli.reconcile(this.app, {every: 'daily'})).equal(cli.EXIT_USAGE)
+    })
+
+    it('sets the retention of the previous versions', async function () {
+      should(await cli.localVersions(this.app, '3', {days: '7'})).equal(cli.EXIT_OK)
+      should(this.config.localVersions).deepEqual({count: 3, days: 7, size: 1024})
+      should(await cli.localVersions(this.app, '-1', {})).equal(cli.EXIT_USAGE)
+      should(await cli.localVersions(this.app, null, {size: 'lots'})).equal(cli.EXIT_USAGE)
+    })
+
+    it('lists and restores the previous versions of a file', async function () {
+      sinon.stub(this.app, 'listLocalVersions').resolves([
+        {savedAt: '2017-10-01T12:00:00.000Z', size: 42, md5sum: null}
+      ])
+      sinon.stub(this.app, 'restoreLocalVersion').resolves({savedAt: '2017-10-01T12:00:00.000Z'})
+
+      should(await cli.versions(this.app, 'foo')).equal(cli.EXIT_OK)
+      should(console.log).have.been.calledWith('2017-10-01T12:00:00.000Z  42 bytes')
+      should(await cli.versions(this.app, 'foo', true)).equal(cli.EXIT_OK)
+      should(this.app.restoreLocalVersion).have.been.calledWith('foo', null)
+      should(await cli.versions(this.app, 'foo', '2017-10-01T12:00:00.000Z')).equal(cli.EXIT_OK)
+      should(this.app.restoreLocalVersion).have.been.calledWith('foo', '2017-10-01T12:00:00.000Z')
+
+      this.app.restoreLocalVersion.rejects(new Error('No such version'))
+      should(await cli.versions(this.app, 'foo', true)).equal(cli.EXIT_FAILURE)
+    })
+
+    it('prints or lists the sharing links of a file', async function () {
+      sinon.stub(this.app, 'shareLink').resolves({url: 'https://alice-drive.cozy.tools/public?sharecode=abc'})
+      sinon.stub(this.app, 'listSharingLinks').resolves([
+        {url: 'https://alice-drive.cozy.tools/public?sharecode=abc', password: false, expiresAt: null},
+        {url: 'https://alice-drive.cozy.tools/public?sharecode=def', password: true, expiresAt: '2017-11-01T12:00:00Z'}
+      ])
+
+      should(await cli.share(this.app, 'foo', {password: 'secret', expires: '7'})).equal(cli.EXIT_OK)
+      should(console.log).have.been.calledWith('https://alice-drive.cozy.tools/public?sharecode=abc')
+      const [, options] = this.app.shareLink.firstCall.args
+      should(options.password).equal('secret')
+      should(options.expiresAt).be.a.Date()
+
+      should(await cli.share(this.app, 'foo', {list: true})).equal(cli.EXIT_OK)
+      should(console.log).have.been.calledWith('https://alice-drive.cozy.tools/public?sharecode=def  (password, expires 2017-11-01T12:00:00Z)')
+
+      should(await cli.share(this.app, 'foo', {expires: 'soon'})).equal(cli.EXIT_USAGE)
+      this.app.shareLink.rejects(new Error('Not a synchronized file or folder: foo'))
+      should(await cli.share(this.app, 'foo', {})).equal(cli.EXIT_FAILURE)
+    })
+
+    it('lists synchronized and ignored files', async function () {
+      fs.ensureFileSync(path.join(this.syncPath, 'foo'))
+      fs.ensureFileSync(path.join(this.syncPath, 'bar.tmp'))
+
+      should(await cli.ls(this.app, false)).equal(cli.EXIT_OK)
+      should(console.log).have.been.calledOnce()
+      should(console.log).have.been.calledWith('foo')
+
+      console.log.reset()
+      should(await cli.ls(this.app, true)).equal(cli.EXIT_OK)
+      should(console.log).have.been.calledOnce()
+      should(console.log).have.been.calledWith('bar.tmp')
+    })
+
+    it('sets the conflict strategies', async function () {
+      should(await cli.conflictStrategy(this.app, 'remote-wins', 'Photos')).equal(cli.EXIT_OK)
+      should(await cli.conflictStrategy(this.app, 'newest-wins')).equal(cli.EXIT_OK)
+      should(this.config.conflictStrategyFor(path.join('Photos', 'foo.jpg'))).equal('remote-wins')
+      should(this.config.conflictStrategyFor('foo.jpg')).equal('newest-wins')
+
+      should(await cli.conflictStrategy(this.app, 'inherit', 'Photos')).equal(cli.EXIT_OK)
+      should(this.config.folderConflictStrategies).deepEqual({})
+      should(await cli.conflictStrategy(this.app, 'inherit')).equal(cli.EXIT_USAGE)
+      should(await cli.conflictStrategy(this.app, 'mine')).equal(cli.EXIT_USAGE)
+    })
+
+    it('reports the status', async function () {
+      should(await cli.status(this.app)).equal(cli.EXIT_OK)
+      should(console.log).have.been.calledWith('Status:    uptodate (not running)')
+    })
+  })
+})
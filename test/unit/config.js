@@ -1,11 +1,14 @@
 /* eslint-env mocha */
 
+import fs from 'fs-extra'
 import path from 'path'
 import should from 'should'
 
 import configHelpers from '../support/helpers/config'
 
-import Config from '../../core/config'
+import Config, {
+  DEFAULT_LOCAL_VERSIONS, DEFAULT_RECONCILIATION, DEFAULT_TRANSFER_CONCURRENCY
+} from '../../core/config'
 
 describe('Config', function () {
   before('instanciate config', configHelpers.createConfig)
@@ -60,4 +63,235 @@ describe('Config', function () {
       should.throws(() => this.config.saveMode('full'), /you cannot switch/)
     })
   })
+
+  describe('switchMode', function () {
+    beforeEach('forget the mode saved by other tests', function () {
+      delete this.config.config.mode
+    })
+
+    it('replaces the previous mode', function () {
+      this.config.saveMode('pull')
+      this.config.switchMode('full')
+      should(this.config.config.mode).equal('full')
+      const saved = JSON.parse(fs.readFileSync(this.config.configPath))
+      should(saved.mode).equal('full')
+    })
+  })
+
+  describe('saveExcludedDirs', function () {
+    it('normalizes and persists the excluded folders', function () {
+      this.config.saveExcludedDirs(['/Work/', 'Photos/2017', 'Work/Archives', 'Photos/2017', ''])
+      should(this.config.excludedDirs).deepEqual(['Photos/2017', 'Work'])
+      const saved = JSON.parse(fs.readFileSync(this.config.configPath))
+      should(saved.excludedDirs).deepEqual(['Photos/2017', 'Work'])
+    })
+  })
+
+  describe('isExcluded', function () {
+    beforeEach(function () {
+      this.config.saveExcludedDirs(['Photos/2017'])
+    })
+
+    it('is true for excluded folders and their content', function () {
+      should(this.config.isExcluded(path.join('Photos', '2017'))).be.true()
+      should(this.config.isExcluded(path.join('Photos', '2017', 'foo.jpg'))).be.true()
+    })
+
+    it('is false for other paths', function () {
+      should(this.config.isExcluded('Photos')).be.false()
+      should(this.config.isExcluded(path.join('Photos', '2017-bis'))).be.false()
+      should(this.config.isExcluded(path.join('Work', 'Photos', '2017'))).be.false()
+    })
+  })
+
+  describe('conflict strategies', function () {
+    afterEach(function () {
+      delete this.config.config.conflictStrategy
+      delete this.config.config.folderConflictStrategies
+    })
+
+    it('keeps both versions by default', function () {
+      should(this.config.conflictStrategy).equal('keep-both')
+      should(this.config.conflictStrategyFor('foo')).equal('keep-both')
+    })
+
+    it('applies the strategy of the closest folder, or the global one', function () {
+      this.config.saveConflictStrategy('newest-wins')
+      this.config.saveConflictStrategy('remote-wins', '/Photos/')
+      this.config.saveConflictStrategy('local-wins', path.join('Photos', 'Mine'))
+
+      should(this.config.conflictStrategyFor(path.join('Photos', 'foo.jpg'))).equal('remote-wins')
+      should(this.config.conflictStrategyFor(path.join('Photos', 'Mine', 'bar.jpg'))).equal('local-wins')
+      should(this.config.conflictStrategyFor(path.join('Photos-bis', 'baz.jpg'))).equal('newest-wins')
+      const saved = JSON.parse(fs.readFileSync(this.config.configPath))
+      should(saved.folderConflictStrategies).deepEqual({
+        'Photos': 'remote-wins',
+        'Photos/Mine': 'local-wins'
+      })
+    })
+
+    it('removes the strategy of a folder', function () {
+      this.config.saveConflictStrategy('remote-wins', 'Photos')
+      this.config.saveConflictStrategy(null, 'Photos')
+      should(this.config.conflictStrategyFor(path.join('Photos', 'foo.jpg'))).equal('keep-both')
+    })
+
+    it('rejects unknown strategies', function () {
+      should(() => this.config.saveConflictStrategy('whatever')).throw(/Unknown/)
+    })
+  })
+
+  describe('offlineDeletionThreshold', function () {
+    afterEach(function () {
+      delete this.config.config.offlineDeletionThreshold
+    })
+
+    it('asks before deleting half of the files by default', function () {
+      should(this.config.offlineDeletionThreshold).equal(50)
+    })
+
+    it('persists a percentage', function () {
+      this.config.saveOfflineDeletionThreshold(80)
+      should(this.config.offlineDeletionThreshold).equal(80)
+      should(() => this.config.saveOfflineDeletionThreshold(101)).throw(/Invalid/)
+    })
+  })
+
+  describe('suspiciousActivityThreshold', function () {
+    afterEach(function () {
+      delete this.config.config.suspiciousActivityThreshold
+    })
+
+    it('has a default threshold', function () {
+      should(this.config.suspiciousActivityThreshold).deepEqual({changes: 100, seconds: 60})
+    })
+
+    it('persists the changes and seconds', function () {
+      this.config.saveSuspiciousActivityThreshold({changes: 20})
+      should(this.config.suspiciousActivityThreshold).deepEqual({changes: 20, seconds: 60})
+      should(() => this.config.saveSuspiciousActivityThreshold({seconds: 0})).throw(/Invalid/)
+    })
+  })
+
+  describe('symlinkPolicy', function () {
+    afterEach(function () {
+      delete this.config.config.symlinkPolicy
+    })
+
+    it('skips symlinks by default', function () {
+      should(this.config.symlinkPolicy).equal('skip')
+    })
+
+    it('persists the policy', function () {
+      this.config.saveSymlinkPolicy('link')
+      should(JSON.parse(fs.readFileSync(this.config.configPath)).symlinkPolicy).equal('link')
+      should(() => this.config.saveSymlinkPolicy('whatever')).throw(/Unknown/)
+    })
+  })
+
+  describe('watcherBackend', function () {
+    afterEach(function () {
+      delete this.config.config.watcherBackend
+    })
+
+    it('uses chokidar by default', function () {
+      should(this.config.watcherBackend).equal('chokidar')
+    })
+
+    it('persists the backend', function () {
+      this.config.saveWatcherBackend('inotify')
+      should(JSON.parse(fs.readFileSync(this.config.configPath)).watcherBackend).equal('inotify')
+      should(() => this.config.saveWatcherBackend('whatever')).throw(/Unknown/)
+    })
+  })
+
+  describe('reconciliation', function () {
+    afterEach(function () {
+      delete this.config.config.reconciliation
+    })
+
+    it('checks once a day without repairing by default', function () {
+      should(this.config.reconciliation).deepEqual(DEFAULT_RECONCILIATION)
+    })
+
+    it('persists the interval and the repair flag', function () {
+      this.config.saveReconciliation({interval: 6, repair: true})
+      should(JSON.parse(fs.readFileSync(this.config.configPath)).reconciliation)
+        .deepEqual({interval: 6, repair: true})
+      this.config.saveReconciliation({interval: 0})
+      should(this.config.reconciliation).deepEqual({interval: 0, repair: true})
+    })
+
+    it('rejects invalid intervals', function () {
+      should(() => this.config.saveReconciliation({interval: -1})).throw(/Invalid/)
+      should(() => this.config.saveReconciliation({interval: 1.5})).throw(/Invalid/)
+      should(() => this.config.saveReconciliation({interval: 1000})).throw(/Invalid/)
+    })
+  })
+
+  describe('localVersions', function () {
+    afterEach(function () {
+      delete this.config.config.localVersions
+    })
+
+    it('keeps no version by default', function () {
+      should(this.config.localVersions).deepEqual(DEFAULT_LOCAL_VERSIONS)
+      should(this.config.localVersions.count).equal(0)
+    })
+
+    it('persists the retention', function () {
+      this.config.saveLocalVersions({count: 5, size: 100})
+      should(JSON.parse(fs.readFileSync(this.config.configPath)).localVersions)
+        .deepEqual({count: 5, days: DEFAULT_LOCAL_VERSIONS.days, size: 100})
+    })
+
+    it('rejects invalid values', function () {
+      should(() => this.config.saveLocalVersions({count: -1})).throw(/Invalid/)
+      should(() => this.config.saveLocalVersions({days: 1.5})).throw(/Invalid/)
+    })
+  })
+
+  describe('transferConcurrency', function () {
+    afterEach(function () {
+      delete this.config.config.transferConcurrency
+    })
+
+    it('transfers a few files at the same time by default', function () {
+      should(this.config.transferConcurrency).equal(DEFAULT_TRANSFER_CONCURRENCY)
+    })
+
+    it('persists the concurrency', function () {
+      this.config.saveTransferConcurrency(8)
+      should(this.config.transferConcurrency).equal(8)
+      should(() => this.config.saveTransferConcurrency(0)).throw(/Invalid/)
+    })
+  })
+
+  describe('bandwidth limits', function () {
+    afterEach(function () {
+      delete this.config.config.bandwidth
+    })
+
+    it('is unlimited by default', function () {
+      should(this.config.bandwidthLimits).deepEqual({upload: null, download: null, schedules: []})
+    })
+
+    it('persists the limits and schedules', function () {
+      const limits = {
+        upload: 100,
+        download: 0,
+        schedules: [{days: [1, 2, 3, 4, 5], from: '09:00', to: '18:00', upload: 10}]
+      }
+      this.config.saveBandwidthLimits(limits)
+      should(this.config.bandwidthLimits).deepEqual(limits)
+      should(JSON.parse(fs.readFileSync(this.config.configPath)).bandwidth).deepEqual(limits)
+    })
+
+    it('rejects negative or non numeric limits', function () {
+      should(() => this.config.saveBandwidthLimits({upload: -1, download: null, schedules: []}))
+        .throw(/Invalid bandwidth limit/)
+      should(() => this.config.saveBandwidthLimits({upload: null, download: '10', schedules: []}))
+        .throw(/Invalid bandwidth limit/)
+    })
+  })
 })
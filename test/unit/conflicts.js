@@ -0,0 +1,106 @@
+/* eslint-env mocha */
+
+import fs from 'fs-extra'
+import path from 'path'
+import should from 'should'
+import sinon from 'sinon'
+
+import Conflicts, { conflictRecord } from '../../core/conflicts'
+import * as metadata from '../../core/metadata'
+
+import configHelpers from '../support/helpers/config'
+import pouchHelpers from '../support/helpers/pouch'
+
+describe('Conflicts', function () {
+  beforeEach('instanciate config', configHelpers.createConfig)
+  beforeEach('instanciate pouch', pouchHelpers.createDatabase)
+  afterEach('clean pouch', pouchHelpers.cleanDatabase)
+  afterEach('clean config directory', configHelpers.cleanConfig)
+
+  beforeEach('record a conflict', async function () {
+    this.local = {trashAsync: sinon.stub().resolves()}
+    this.conflicts = new Conflicts(this.config, this.pouch, this.local)
+
+    const file = (relPath, md5sum) => ({
+      _id: metadata.id(relPath),
+      path: relPath,
+      docType: 'file',
+      md5sum,
+      size: 3,
+      updated_at: '2018-01-01T00:00:00.000Z',
+      sides: {local: 1, remote: 1}
+    })
+    this.kept = file('foo.txt', 'local')
+    this.renamed = file('foo-conflict-2018-01-02T00_00_00.000Z.txt', 'remote')
+    for (const doc of [this.kept, this.renamed]) {
+      await this.pouch.db.put(doc)
+      fs.outputFileSync(path.join(this.syncPath, doc.path), doc.md5sum)
+    }
+    this.record = conflictRecord('remote', this.renamed, this.kept, this.renamed.path)
+    await this.pouch.updateConflictsAsync(records => records.concat(this.record))
+  })
+
+  it('builds a record with the metadata of both versions', function () {
+    should(this.record).have.properties({
+      path: 'foo.txt',
+      conflictPath: this.renamed.path,
+      renamedSide: 'remote',
+      local: {md5sum: 'local', size: 3, updated_at: '2018-01-01T00:00:00.000Z'},
+      remote: {md5sum: 'remote', size: 3, updated_at: '2018-01-01T00:00:00.000Z'}
+    })
+    should(this.record.id).be.a.String()
+  })
+
+  describe('list', function () {
+    it('lists the recorded conflicts', async function () {
+      should(await this.conflicts.list()).deepEqual([this.record])
+    })
+
+    it('forgets the conflicts resolved by hand', async function () {
+      await this.pouch.db.put({...this.renamed, _rev: (await this.pouch.db.get(this.renamed._id))._rev, _deleted: true})
+
+      should(await this.conflicts.list()).be.empty()
+      should(await this.pouch.getConflictsAsync()).be.empty()
+    })
+  })
+
+  describe('resolve', function () {
+    it('moves the kept version back to the original path', async function () {
+      await this.conflicts.resolve(this.record.id, 'keep-remote')
+
+      should(fs.readFileSync(path.join(this.syncPath, 'foo.txt'), 'utf8')).equal('remote')
+      should(fs.existsSync(path.join(this.syncPath, this.renamed.path))).be.false()
+      should(this.local.trashAsync).not.have.been.called()
+      should(await this.pouch.getConflictsAsync()).be.empty()
+    })
+
+    it('trashes the conflict copy when keeping the other version', async function () {
+      await this.conflicts.resolve(this.record.id, 'keep-local')
+
+      should(this.local.trashAsync).have.been.calledOnce()
+      should(this.local.trashAsync.args[0][0]).have.properties({path: this.renamed.path})
+      should(fs.readFileSync(path.join(this.syncPath, 'foo.txt'), 'utf8')).equal('local')
+      should(await this.pouch.getConflictsAsync()).be.empty()
+    })
+
+    it('only forgets the conflict when keeping both versions', async function () {
+      await this.conflicts.resolve(this.record.id, 'keep-both')
+
+      should(fs.existsSync(path.join(this.syncPath, this.renamed.path))).be.true()
+      should(this.local.trashAsync).not.have.been.called()
+      should(await this.pouch.getConflictsAsync()).be.empty()
+    })
+
+    it('fails for an unknown conflict', async function () {
+      await should(this.conflicts.resolve('unknown', 'keep-both'))
+        .be.rejectedWith(/No such conflict/)
+    })
+  })
+
+  it('gives the full paths of both versions', function () {
+    should(this.conflicts.fullPaths(this.record)).deepEqual([
+      path.join(this.syncPath, 'foo.txt'),
+      path.join(this.syncPath, this.renamed.path)
+    ])
+  })
+})
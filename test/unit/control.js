@@ -0,0 +1,218 @@
+/* eslint-env mocha */
+
+import fs from 'fs-extra'
+import os from 'os'
+import path from 'path'
+import should from 'should'
+import sinon from 'sinon'
+
+import ControlServer, { HISTORY_SIZE, controlAddress, controlRequest } from '../../core/control'
+import SyncState from '../../core/syncstate'
+
+describe('ControlServer', function () {
+  beforeEach('fake a running app', async function () {
+    this.basePath = fs.mkdtempSync(path.join(os.tmpdir(), 'control-'))
+    this.app = {
+      basePath: this.basePath,
+      events: new SyncState(),
+      pouch: {getLocalSeqAsync: sinon.stub().resolves(3)},
+      remote: {watcher: {watch: sinon.stub().resolves()}},
+      reconcile: sinon.stub().resolves({localOnly: ['foo']}),
+      sync: {
+        stopped: false,
+        paused: false,
+        sync: sinon.stub().resolves()
+      },
+      pauseSync: sinon.spy(function (until) {
+        this.pausedUntil = until
+        this.sync.paused = true
+      }),
+      resumeSync: sinon.spy(function () {
+        this.pausedUntil = null
+        this.sync.paused = false
+      })
+    }
+    this.control = new ControlServer(this.app)
+    await this.control.start()
+    this.request = (method, urlPath) =>
+      controlRequest(this.control.address, method, urlPath)
+  })
+
+  afterEach('stop server', async function () {
+    await this.control.stop()
+    fs.removeSync(this.basePath)
+  })
+
+  if (process.platform !== 'win32') {
+    it('listens on a socket only the user can access', function () {
+      const {mode} = fs.statSync(path.join(this.basePath, 'control.sock'))
+      should(mode & 0o777).equal(0o600)
+    })
+
+    it('replaces a stale socket', async function () {
+      await this.control.stop()
+      fs.writeFileSync(path.join(this.basePath, 'control.sock'), '')
+      await this.control.start()
+      await should(this.request('GET', '/status')).be.fulfilled()
+    })
+
+    it('refuses to start twice for the same config', async function () {
+      const other = new ControlServer(this.app)
+      await should(other.start()).be.rejectedWith(/already running/)
+    })
+
+    it('runs side by side with the one of another profile', async function () {
+      const otherPath = fs.mkdtempSync(path.join(os.tmpdir(), 'control-'))
+      const other = new ControlServer({...this.app, basePath: otherPath})
+      try {
+        await should(other.start()).be.fulfilled()
+        should(other.address).deepEqual({socketPath: path.join(otherPath, 'control.sock')})
+      } finally {
+        await other.stop()
+        fs.removeSync(otherPath)
+      }
+    })
+  }
+
+  describe('controlAddress', function () {
+    afterEach(function () {
+      delete process.env.COZY_DESKTOP_CONTROL_PORT
+    })
+
+    it('never listens over TCP', function () {
+      process.env.COZY_DESKTOP_CONTROL_PORT = '4242'
+      should(Object.keys(controlAddress(this.basePath))).deepEqual(['socketPath'])
+    })
+  })
+
+  describe('GET /status', function () {
+    it('reports the sync state and seq range', async function () {
+      this.app.events.emit('sync-start')
+      this.app.events.emit('sync-target', 12)
+      this.app.events.emit('sync-current', 5)
+      this.app.events.emit('offline')
+
+      should(await this.request('GET', '/status')).deepEqual({
+        label: 'sync',
+        remaining: 7,
+        running: true,
+        paused: false,
+        pausedUntil: null,
+        online: false,
+        seq: {local: 3, current: 5, target: 12}
+      })
+    })
+
+    it('works while the sync is not instanciated', async function () {
+      this.app.sync = undefined
+      should(await this.request('GET', '/status')).have.properties({
+        running: false,
+        paused: false
+      })
+    })
+  })
+
+  describe('GET /transfers', function () {
+    it('lists the most recent transfers first', async function () {
+      this.app.events.emit('transfer-started', {path: 'foo'}, 'download')
+      this.app.events.emit('transfer-done', {path: 'foo'}, 'download')
+      this.app.events.emit('transfer-done', {path: 'bar'}, 'upload')
+      this.app.events.emit('transfer-move', {path: 'baz'}, {path: 'bar'})
+      this.app.events.emit('delete-file', {path: 'qux'})
+
+      const transfers = await this.request('GET', '/transfers')
+      should(transfers.map(({type, path, oldpath}) => ({type, path, oldpath}))).deepEqual([
+        {type: 'delete', path: 'qux', oldpath: undefined},
+        {type: 'move', path: 'baz', oldpath: 'bar'},
+        {type: 'upload', path: 'bar', oldpath: undefined},
+        {type: 'download', path: 'foo', oldpath: undefined}
+      ])
+    })
+
+    it('keeps only the most recent ones', async function () {
+      for (let i = 0; i < HISTORY_SIZE + 5; i++) {
+        this.app.events.emit('transfer-copy', {path: `file-${i}`})
+      }
+      const transfers = await this.request('GET', '/transfers')
+      should(transfers).have.length(HISTORY_SIZE)
+      should(transfers[0].path).equal(`file-${HISTORY_SIZE + 4}`)
+    })
+  })
+
+  describe('GET /errors', function () {
+    it('lists the errors met while applying changes', async function () {
+      this.app.events.emit('apply-error', {path: 'foo', err: new Error('EACCES')})
+      const errors = await this.request('GET', '/errors')
+      should(errors).have.length(1)
+      should(errors[0]).have.properties({path: 'foo', message: 'EACCES'})
+    })
+  })
+
+  describe('POST /pause & /resume', function () {
+    it('pauses and resumes the sync', async function () {
+      should(await this.request('POST', '/pause')).have.properties({
+        paused: true,
+        pausedUntil: null
+      })
+      should(this.app.pauseSync).have.been.calledWith(null)
+      should(await this.request('POST', '/resume')).have.properties({paused: false})
+      should(this.app.resumeSync).have.been.calledOnce()
+    })
+
+    it('pauses the sync until the given date', async function () {
+      const until = '2030-01-01T08:00:00.000Z'
+      should(await this.request('POST', `/pause?until=${until}`)).have.properties({
+        paused: true,
+        pausedUntil: until
+      })
+      should(this.app.pauseSync.args[0][0]).deepEqual(new Date(until))
+    })
+
+    it('rejects an invalid date', async function () {
+      await should(this.request('POST', '/pause?until=soon')).be.rejectedWith({status: 400})
+      should(this.app.pauseSync).not.have.been.called()
+    })
+
+    it('fails while the sync is not instanciated', async function () {
+      this.app.sync = undefined
+      await should(this.request('POST', '/pause')).be.rejectedWith({status: 503})
+    })
+  })
+
+  describe('POST /sync', function () {
+    it('applies the pending changes without waiting', async function () {
+      await this.request('POST', '/sync')
+      should(this.app.sync.sync).have.been.calledOnce()
+      should(this.app.sync.sync).have.been.calledWith(false)
+    })
+
+    it('refuses to run while paused', async function () {
+      this.app.sync.paused = true
+      await should(this.request('POST', '/sync')).be.rejectedWith({status: 409})
+      should(this.app.sync.sync).not.have.been.called()
+    })
+  })
+
+  describe('POST /remote/watch', function () {
+    it('fetches the remote changes', async function () {
+      await this.request('POST', '/remote/watch')
+      should(this.app.remote.watcher.watch).have.been.calledOnce()
+    })
+  })
+
+  describe('POST /reconcile', function () {
+    it('reports the divergences', async function () {
+      should(await this.request('POST', '/reconcile')).deepEqual({localOnly: ['foo']})
+      should(this.app.reconcile).have.been.calledWith({repair: false})
+    })
+
+    it('repairs them on demand', async function () {
+      await this.request('POST', '/reconcile?repair=true')
+      should(this.app.reconcile).have.been.calledWith({repair: true})
+    })
+  })
+
+  it('answers 404 to unknown routes', async function () {
+    await should(this.request('GET', '/unknown')).be.rejectedWith({status: 404})
+  })
+})
@@ -5,6 +5,7 @@ import should from 'should'
 import path from 'path'
 
 import * as conversion from '../../core/conversion'
+import { SYMLINK_MIME } from '../../core/metadata'
 import { FILES_DOCTYPE } from '../../core/remote/constants'
 import timestamp from '../../core/timestamp'
 
@@ -52,6 +53,31 @@ describe('conversion', function () {
       should(metadata.executable).equal(true)
     })
 
+    it('builds the metadata for a remote symlink', () => {
+      const remoteDoc: RemoteDoc = {
+        _id: '12',
+        _rev: '34',
+        _type: FILES_DOCTYPE,
+        class: 'inode',
+        dir_id: '56',
+        executable: false,
+        md5sum: 'N7UdGUp1E+RbVvZSTy1R8g==',
+        mime: SYMLINK_MIME,
+        name: 'bar',
+        path: '/foo/bar',
+        size: '8',
+        tags: [],
+        type: 'file',
+        updated_at: timestamp.stringify(timestamp.build(2017, 9, 8, 7, 6, 5))
+      }
+
+      should(conversion.createMetadata(remoteDoc)).have.properties({
+        docType: 'symlink',
+        mime: SYMLINK_MIME,
+        size: 8
+      })
+    })
+
     it('builds the metadata for a remote dir', () => {
       const remoteDoc: RemoteDoc = {
         _id: '12',
@@ -2,7 +2,7 @@
 
 import should from 'should'
 
-import { popoverBounds } from '../../../gui/js/tray.window'
+import { pauseUntil, popoverBounds } from '../../../gui/js/tray.window'
 
 describe('tray.window', () => {
   describe('popoverBounds', () => {
@@ -270,4 +270,20 @@ describe('tray.window', () => {
       // TODO: KDE
     })
   })
+
+  describe('pauseUntil', () => {
+    const now = new Date(2017, 11, 31, 22, 30)
+
+    it('resumes in one hour', () => {
+      should(pauseUntil('hour', now)).deepEqual(new Date(2017, 11, 31, 23, 30))
+    })
+
+    it('resumes at the beginning of the next day', () => {
+      should(pauseUntil('tomorrow', now)).deepEqual(new Date(2018, 0, 1))
+    })
+
+    it('does not resume indefinitely', () => {
+      should(pauseUntil('indefinitely', now)).be.null()
+    })
+  })
 })
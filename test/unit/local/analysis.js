@@ -216,4 +216,70 @@ describe('core/local/analysis', function () {
       {sideName, type: 'DirMove', path: 'other-dir-dst', stats: otherDirStats, ino: otherDirStats.ino, old: otherDirMetadata}
     ])
   })
+
+  describe('with a backend detecting moves', () => {
+    const options = {detectsMoves: true}
+
+    it('handles move', () => {
+      const old: Metadata = metadataBuilders.file().ino(1).build()
+      const stats = {ino: 1}
+      const events: LocalEvent[] = [
+        {type: 'move', oldPath: 'src', path: 'dst', stats, md5sum: 'yolo', old}
+      ]
+
+      should(analysis(events, [], options)).deepEqual([
+        {sideName, type: 'FileMove', path: 'dst', stats, ino: 1, md5sum: 'yolo', old}
+      ])
+    })
+
+    it('handles moveDir without squashing the moves of its content', () => {
+      const old: Metadata = metadataBuilders.dir().ino(1).build()
+      const subdirOld: Metadata = metadataBuilders.dir().ino(2).build()
+      const stats = {ino: 1}
+      const subdirStats = {ino: 2}
+      const events: LocalEvent[] = [
+        {type: 'moveDir', oldPath: 'src', path: 'dst', stats, old},
+        {type: 'moveDir', oldPath: 'dst/subdir', path: 'dst/renamed', stats: subdirStats, old: subdirOld, needRefetch: true}
+      ]
+
+      should(analysis(events, [], options)).deepEqual([
+        {sideName, type: 'DirMove', path: 'dst', stats, ino: 1, old},
+        {sideName, type: 'DirMove', path: 'dst/renamed', stats: subdirStats, ino: 2, old: subdirOld, needRefetch: true}
+      ])
+    })
+
+    it('handles add+move as an addition at the destination', () => {
+      const stats = {ino: 1}
+      const events: LocalEvent[] = [
+        {type: 'add', path: 'dst', stats, md5sum: 'yolo'},
+        {type: 'move', oldPath: 'src', path: 'dst', stats, md5sum: 'yolo', old: null}
+      ]
+
+      should(analysis(events, [], options)).deepEqual([
+        {sideName, type: 'FileAddition', path: 'dst', stats, ino: 1, md5sum: 'yolo'}
+      ])
+    })
+
+    it('handles move+unlink as a deletion of the source', () => {
+      const old: Metadata = metadataBuilders.file().path('src').ino(1).build()
+      const stats = {ino: 1}
+      const events: LocalEvent[] = [
+        {type: 'move', oldPath: 'src', path: 'dst', stats, md5sum: 'yolo', old},
+        {type: 'unlink', path: 'dst', old: null}
+      ]
+
+      should(analysis(events, [], options)).deepEqual([
+        {sideName, type: 'FileDeletion', path: 'src', ino: 1, md5sum: 'yolo', old}
+      ])
+    })
+
+    it('drops add+unlink', () => {
+      const events: LocalEvent[] = [
+        {type: 'add', path: 'tmp', stats: {ino: 1}, md5sum: 'yolo'},
+        {type: 'unlink', path: 'tmp', old: null}
+      ]
+
+      should(analysis(events, [], options)).deepEqual([])
+    })
+  })
 })
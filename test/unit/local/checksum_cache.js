@@ -0,0 +1,62 @@
+/* eslint-env mocha */
+
+import should from 'should'
+
+import ChecksumCache, { RACY_MTIME_DELAY } from '../../../core/local/checksum_cache'
+
+import configHelpers from '../../support/helpers/config'
+import pouchHelpers from '../../support/helpers/pouch'
+
+describe('ChecksumCache', function () {
+  before('instanciate config', configHelpers.createConfig)
+  before('instanciate pouch', pouchHelpers.createDatabase)
+  after('clean pouch', pouchHelpers.cleanDatabase)
+  after('clean config directory', configHelpers.cleanConfig)
+
+  const now = Date.now()
+  const stats = {ino: 123, size: 3, mtime: new Date(now - 60000)}
+
+  beforeEach('instanciate cache', async function () {
+    this.cache = new ChecksumCache(this.pouch)
+    await this.cache.remove('FOO')
+  })
+
+  it('gives back the checksum of a file with the same stats', async function () {
+    await this.cache.set('FOO', stats, 'md5', now)
+    should(await this.cache.get('FOO', {...stats})).equal('md5')
+    should(this.cache).have.properties({hits: 1, misses: 0})
+  })
+
+  it('misses files without a cached checksum', async function () {
+    should(await this.cache.get('FOO', stats)).be.null()
+    should(this.cache).have.properties({hits: 0, misses: 1})
+  })
+
+  for (const [change, changed] of [
+    ['inode', {ino: 456}],
+    ['size', {size: 4}],
+    ['mtime', {mtime: new Date(now - 30000)}]
+  ]) {
+    it(`misses files with another ${change}`, async function () {
+      await this.cache.set('FOO', stats, 'md5', now)
+      should(await this.cache.get('FOO', {...stats, ...changed})).be.null()
+    })
+  }
+
+  it('does not cache the checksum of a file modified too recently', async function () {
+    await this.cache.set('FOO', stats, 'md5', stats.mtime.getTime() + RACY_MTIME_DELAY - 1)
+    should(await this.cache.get('FOO', stats)).be.null()
+  })
+
+  it('forgets removed files', async function () {
+    await this.cache.set('FOO', stats, 'md5', now)
+    await this.cache.remove('FOO')
+    should(await this.cache.get('FOO', stats)).be.null()
+  })
+
+  it('resets its usage on report', async function () {
+    await this.cache.get('FOO', stats)
+    this.cache.report()
+    should(this.cache).have.properties({hits: 0, misses: 0})
+  })
+})
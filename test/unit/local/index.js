@@ -8,8 +8,9 @@ import sinon from 'sinon'
 import should from 'should'
 import { Readable } from 'stream'
 
-import Local from '../../../core/local'
+import Local, { STALE_TMP_FILE_AGE } from '../../../core/local'
 import { TMP_DIR_NAME } from '../../../core/local/constants'
+import { id } from '../../../core/metadata'
 import { PendingMap } from '../../../core/utils/pending'
 
 import MetadataBuilders from '../../support/builders/metadata'
@@ -25,8 +26,8 @@ describe('Local', function () {
   before('instanciate config', configHelpers.createConfig)
   before('instanciate pouch', pouchHelpers.createDatabase)
   before('instanciate local', function () {
-    this.prep = {}
-    this.events = {}
+    this.prep = {config: this.config}
+    this.events = {emit: sinon.spy()}
     this.local = new Local(this.config, this.prep, this.pouch, this.events)
     this.local.watcher.pending = new PendingMap()
 
@@ -75,6 +76,18 @@ describe('Local', function () {
         })
       })
     })
+
+    if (process.platform !== 'win32') {
+      it('streams the target of a symlink', async function () {
+        fs.symlinkSync('read-stream.jpg', syncDir.abspath('read-stream-link'))
+        const stream = await this.local.createReadStreamAsync({path: 'read-stream-link', docType: 'symlink'})
+        should(stream.contentLength).equal('read-stream.jpg'.length)
+        let content = ''
+        stream.on('data', chunk => { content += chunk })
+        await new Promise(resolve => stream.on('end', resolve))
+        should(content).equal('read-stream.jpg')
+      })
+    }
   })
 
   describe('metadataUpdater', function () {
@@ -150,6 +163,36 @@ describe('Local', function () {
       })
     })
 
+    if (process.platform !== 'win32') {
+      it('creates a symlink to the downloaded target', function (done) {
+        let doc = {
+          _id: 'FILES/LINK-FROM-REMOTE',
+          path: 'files/link-from-remote',
+          docType: 'symlink',
+          updated_at: new Date('2015-10-09T04:05:06Z'),
+          md5sum: 'TW8zPSvCT/3cyjRBSgyxLQ=='
+        }
+        this.local.other = {
+          createReadStreamAsync (docToStream) {
+            let stream = new Readable()
+            stream._read = function () {}
+            stream.push('target.txt')
+            stream.push(null)
+            return Promise.resolve(stream)
+          }
+        }
+        let linkPath = syncDir.abspath(doc.path)
+        this.local.addFile(doc, err => {
+          this.local.other = null
+          should.not.exist(err)
+          fs.lstatSync(linkPath).isSymbolicLink().should.be.true()
+          fs.readlinkSync(linkPath).should.equal('target.txt')
+          should(doc.ino).equal(fs.lstatSync(linkPath).ino)
+          done()
+        })
+      })
+    }
+
     it('sets ino for a directory', function (done) {
       const doc = {path: 'dir-needs-ino'}
       fs.ensureDirSync(fullPath(doc))
@@ -216,6 +259,7 @@ describe('Local', function () {
     it('creates the file by downloading it', function (done) {
       this.events.emit = sinon.spy()
       let doc = {
+        _id: 'FILES/FILE-FROM-REMOTE',
         path: 'files/file-from-remote',
         updated_at: new Date('2015-10-09T04:05:06Z'),
         md5sum: 'OFj2IjCsPJFfMAxmQxLGPw=='
@@ -242,12 +286,15 @@ describe('Local', function () {
         let mtime = +fs.statSync(filePath).mtime
         mtime.should.equal(+doc.updated_at)
         should(doc.ino).be.a.Number()
+        should(this.events.emit).have.been.calledWith('transfer-started', doc, 'download')
+        should(this.events.emit).have.been.calledWith('transfer-done', doc, 'download')
         done()
       })
     })
 
     it('creates the file from another file with same checksum', function (done) {
       let doc = {
+        _id: 'FILES/FILE-WITH-SAME-CHECKSUM',
         path: 'files/file-with-same-checksum',
         updated_at: new Date('2015-10-09T04:05:07Z'),
         md5sum: 'qwesux5JaAGTet+nckJL9w=='
@@ -271,6 +318,7 @@ describe('Local', function () {
 
     it('can create a file in the root', function (done) {
       let doc = {
+        _id: 'FILE-IN-ROOT',
         path: 'file-in-root',
         updated_at: new Date('2015-10-09T04:05:19Z'),
         md5sum: 'gDOOedLKm5wJDrqqLvKTxw=='
@@ -303,6 +351,7 @@ describe('Local', function () {
     it('aborts when the download is incorrect', function (done) {
       this.events.emit = sinon.spy()
       let doc = {
+        _id: 'FILES/FILE-FROM-REMOTE-2',
         path: 'files/file-from-remote-2',
         updated_at: new Date('2015-10-09T04:05:16Z'),
         md5sum: '8843d7f92416211de9ebb963ff4ce28125932878'
@@ -325,9 +374,89 @@ describe('Local', function () {
         should.exist(err)
         err.message.should.equal('Invalid checksum')
         fs.existsSync(filePath).should.be.false()
+        fs.existsSync(this.local.tmpFilePath(doc)).should.be.false()
         done()
       })
     })
+
+    it('names the temporary file of a doc without id after its path', function () {
+      const doc = {path: path.normalize('files/without-id')}
+      should(this.local.tmpFilePath(doc)).equal(this.local.tmpFilePath({...doc, _id: id(doc.path)}))
+    })
+
+    it('resumes an interrupted download', async function () {
+      const doc = {
+        _id: 'FILES/RESUMED-DOWNLOAD',
+        path: 'files/resumed-download',
+        updated_at: new Date('2015-10-09T04:05:06Z'),
+        md5sum: 'OFj2IjCsPJFfMAxmQxLGPw==',
+        size: 6
+      }
+      this.local.other = {
+        async createReadStreamAsync (docToStream, start) {
+          should(start).equal(0)
+          let stream = new Readable()
+          stream._read = function () {}
+          stream.push('foo')
+          setTimeout(() => stream.emit('error', new Error('Connection lost')), 100)
+          return stream
+        }
+      }
+      await should(this.local.addFileAsync(doc)).be.rejectedWith('Connection lost')
+      should(fs.readFileSync(this.local.tmpFilePath(doc), 'utf8')).equal('foo')
+
+      this.local.other = {
+        async createReadStreamAsync (docToStream, start) {
+          should(start).equal(3)
+          let stream = new Readable()
+          stream._read = function () {}
+          stream.push('bar')
+          stream.push(null)
+          return stream
+        }
+      }
+      await this.local.addFileAsync(doc)
+      this.local.other = null
+
+      should(fs.readFileSync(syncDir.abspath(doc.path), 'utf8')).equal('foobar')
+      should(await this.pouch.getDownloadAsync(doc._id)).be.null()
+    })
+
+    it('downloads a new version from the start', async function () {
+      const doc = {_id: 'FILES/NEW-VERSION', path: 'files/new-version', md5sum: 'v2', size: 6}
+      await this.pouch.setDownloadAsync(doc._id, {md5sum: 'v1', size: 6})
+      await fs.outputFileAsync(this.local.tmpFilePath(doc), 'foo')
+
+      should(await this.local.partialDownloadSize(doc, this.local.tmpFilePath(doc))).equal(0)
+      await this.pouch.removeDownloadAsync(doc._id)
+    })
+  })
+
+  describe('tmpFilePath', function () {
+    it('differs for files with the same name in different folders', function () {
+      const foo = this.local.tmpFilePath({_id: 'FOO/FILE', path: 'foo/file'})
+      const bar = this.local.tmpFilePath({_id: 'BAR/FILE', path: 'bar/file'})
+      should(path.dirname(foo)).equal(this.local.tmpPath)
+      should(foo).not.equal(bar)
+    })
+  })
+
+  describe('cleanTmpDir', function () {
+    it('removes the stale temporary files only', async function () {
+      const tmpPath = this.local.tmpPath
+      const old = new Date(Date.now() - STALE_TMP_FILE_AGE - 1000)
+      for (const name of ['stale.tmp', 'fresh.tmp', 'sync-dir-id']) {
+        await fs.outputFileAsync(path.join(tmpPath, name), '')
+      }
+      fs.utimesSync(path.join(tmpPath, 'stale.tmp'), old, old)
+      fs.utimesSync(path.join(tmpPath, 'sync-dir-id'), old, old)
+
+      await this.local.cleanTmpDir()
+
+      should(fs.existsSync(path.join(tmpPath, 'stale.tmp'))).be.false()
+      should(fs.existsSync(path.join(tmpPath, 'fresh.tmp'))).be.true()
+      should(fs.existsSync(path.join(tmpPath, 'sync-dir-id'))).be.true()
+    })
   })
 
   describe('addFolder', function () {
@@ -397,6 +526,22 @@ describe('Local', function () {
         done()
       })
     })
+
+    it('keeps the previous version when configured to', async function () {
+      this.config.saveLocalVersions({count: 1})
+      const doc = {path: 'versioned-file', docType: 'file', md5sum: 'new-md5sum'}
+      fs.writeFileSync(syncDir.abspath(doc.path), 'old content')
+      sinon.stub(this.local, 'addFileAsync').resolves()
+      try {
+        await this.local.overwriteFileAsync(doc, {md5sum: 'old-md5sum'})
+      } finally {
+        this.local.addFileAsync.restore()
+        this.config.saveLocalVersions({count: 0})
+      }
+      const [version] = await this.local.versions.list(doc.path)
+      should(version).have.properties({size: 11, md5sum: 'old-md5sum'})
+      should(fs.readFileSync(this.local.versions.versionPath(doc.path, version), 'utf8')).equal('old content')
+    })
   })
 
   describe('updateFileMetadata', () => {
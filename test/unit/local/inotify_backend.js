@@ -0,0 +1,167 @@
+/* eslint-env mocha */
+
+import Promise from 'bluebird'
+import fs from 'fs-extra'
+import path from 'path'
+import should from 'should'
+
+import InotifyBackend, { MOVE_TIMEOUT, WRITE_TIMEOUT } from '../../../core/local/inotify_backend'
+
+import configHelpers from '../../support/helpers/config'
+import InotifyDouble from '../../support/doubles/inotify'
+
+const {IN_CLOSE_WRITE, IN_CREATE, IN_DELETE, IN_ISDIR, IN_MODIFY, IN_MOVED_FROM, IN_MOVED_TO} = InotifyDouble
+
+describe('InotifyBackend', function () {
+  before('instanciate config', configHelpers.createConfig)
+  after('clean config directory', configHelpers.cleanConfig)
+
+  let events, inotify
+
+  // Send an event about the given path, relative to the synchronized folder,
+  // to the watch of its parent folder
+  const emit = function (relPath, mask, cookie) {
+    const dir = path.dirname(relPath)
+    inotify.emit(path.join(this.syncPath, dir === '.' ? '' : dir), mask, path.basename(relPath), cookie)
+  }
+
+  // Resolve with the events reported so far, once the backend handled the
+  // simulated ones
+  const reported = async function () {
+    await this.backend.queue
+    return events.map(e => e.oldPath ? [e.type, e.oldPath, e.path] : [e.type, e.path])
+  }
+
+  beforeEach('start backend', async function () {
+    await fs.emptyDir(this.syncPath)
+    await fs.ensureDir(path.join(this.syncPath, 'dir/subdir'))
+    await fs.outputFile(path.join(this.syncPath, 'dir/file'), 'content')
+    await fs.ensureDir(path.join(this.syncPath, '.system-tmp-cozy-drive'))
+    events = []
+    this.backend = new InotifyBackend(this.syncPath, e => events.push(e), InotifyDouble)
+    this.emit = emit.bind(this)
+    this.reported = reported.bind(this)
+    await this.backend.start()
+    inotify = InotifyDouble.instance
+    events = []
+  })
+
+  afterEach('stop backend', function () {
+    this.backend.stop()
+  })
+
+  describe('start', function () {
+    it('reports the content of the synchronized folder', async function () {
+      events = []
+      this.backend.stop()
+      await this.backend.start()
+      should(await this.reported()).deepEqual([
+        ['addDir', 'dir'],
+        ['add', path.normalize('dir/file')],
+        ['addDir', path.normalize('dir/subdir')]
+      ])
+      should(events[0].stats.isDirectory()).be.true()
+    })
+
+    it('watches every folder except the temporary one', function () {
+      should(Array.from(this.backend.paths.values()).sort()).deepEqual([
+        '', 'dir', path.normalize('dir/subdir')
+      ])
+    })
+  })
+
+  describe('new files', function () {
+    it('are reported once written', async function () {
+      await fs.outputFile(path.join(this.syncPath, 'file'), 'foo')
+      this.emit('file', IN_CREATE)
+      this.emit('file', IN_MODIFY)
+      should(await this.reported()).be.empty()
+      this.emit('file', IN_CLOSE_WRITE)
+      should(await this.reported()).deepEqual([['add', 'file']])
+    })
+
+    it('are reported when left open without being written to', async function () {
+      this.timeout(WRITE_TIMEOUT + 2000)
+      await fs.outputFile(path.join(this.syncPath, 'file'), 'foo')
+      this.emit('file', IN_CREATE)
+      await Promise.delay(WRITE_TIMEOUT + 100)
+      should(await this.reported()).deepEqual([['add', 'file']])
+    })
+
+    it('are not reported when deleted before being written', async function () {
+      await fs.outputFile(path.join(this.syncPath, 'file'), 'foo')
+      this.emit('file', IN_CREATE)
+      should(await this.reported()).be.empty()
+      await fs.remove(path.join(this.syncPath, 'file'))
+      this.emit('file', IN_DELETE)
+      should(await this.reported()).be.empty()
+    })
+  })
+
+  it('reports the content of new folders and watches them', async function () {
+    await fs.outputFile(path.join(this.syncPath, 'new/file'), 'foo')
+    this.emit('new', IN_CREATE | IN_ISDIR)
+    should(await this.reported()).deepEqual([
+      ['addDir', 'new'],
+      ['add', path.normalize('new/file')]
+    ])
+    should(Array.from(this.backend.paths.values())).containEql('new')
+  })
+
+  it('reports updates and deletions', async function () {
+    this.emit('dir/file', IN_CLOSE_WRITE)
+    await this.reported()
+    await fs.remove(path.join(this.syncPath, 'dir/file'))
+    this.emit('dir/file', IN_DELETE)
+    should(await this.reported()).deepEqual([
+      ['change', path.normalize('dir/file')],
+      ['unlink', path.normalize('dir/file')]
+    ])
+  })
+
+  describe('moves', function () {
+    it('reports files moved inside the synchronized folder', async function () {
+      await fs.rename(path.join(this.syncPath, 'dir/file'), path.join(this.syncPath, 'moved'))
+      this.emit('dir/file', IN_MOVED_FROM, 42)
+      this.emit('moved', IN_MOVED_TO, 42)
+      should(await this.reported()).deepEqual([
+        ['move', path.normalize('dir/file'), 'moved']
+      ])
+      should(events[0].stats.isFile()).be.true()
+    })
+
+    it('reports folders moved inside the synchronized folder with their watches', async function () {
+      await fs.rename(path.join(this.syncPath, 'dir'), path.join(this.syncPath, 'moved'))
+      this.emit('dir', IN_MOVED_FROM | IN_ISDIR, 42)
+      this.emit('moved', IN_MOVED_TO | IN_ISDIR, 42)
+      should(await this.reported()).deepEqual([['moveDir', 'dir', 'moved']])
+
+      await fs.remove(path.join(this.syncPath, 'moved/file'))
+      this.emit('dir/file', IN_DELETE)
+      should(await this.reported()).deepEqual([
+        ['moveDir', 'dir', 'moved'],
+        ['unlink', path.normalize('moved/file')]
+      ])
+    })
+
+    it('reports files moved out of the synchronized folder as deleted', async function () {
+      await fs.remove(path.join(this.syncPath, 'dir'))
+      this.emit('dir', IN_MOVED_FROM | IN_ISDIR, 42)
+      should(await this.reported()).be.empty()
+      await Promise.delay(MOVE_TIMEOUT + 50)
+      should(await this.reported()).deepEqual([['unlinkDir', 'dir']])
+      should(Array.from(this.backend.paths.values())).deepEqual([''])
+    })
+
+    it('reports files moved into the synchronized folder as added', async function () {
+      await fs.outputFile(path.join(this.syncPath, 'moved'), 'foo')
+      this.emit('moved', IN_MOVED_TO, 42)
+      should(await this.reported()).deepEqual([['add', 'moved']])
+    })
+  })
+
+  it('ignores the temporary folder', async function () {
+    this.emit('.system-tmp-cozy-drive', IN_CREATE | IN_ISDIR)
+    should(await this.reported()).be.empty()
+  })
+})
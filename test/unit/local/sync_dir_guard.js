@@ -0,0 +1,81 @@
+/* eslint-env mocha */
+
+import EventEmitter from 'events'
+import fs from 'fs-extra'
+import should from 'should'
+
+import SyncDirGuard from '../../../core/local/sync_dir_guard'
+
+import configHelpers from '../../support/helpers/config'
+
+describe('SyncDirGuard', function () {
+  beforeEach('instanciate config', configHelpers.createConfig)
+  afterEach('clean config directory', configHelpers.cleanConfig)
+
+  beforeEach('instanciate guard', function () {
+    this.events = new EventEmitter()
+    this.guard = new SyncDirGuard(this.config, this.events)
+  })
+
+  describe('syncDirChanged', function () {
+    it('is false before the first initial scan', async function () {
+      should(await this.guard.syncDirChanged()).be.false()
+    })
+
+    it('is false for the recorded sync dir', async function () {
+      await this.guard.record()
+      should(this.config.syncDirMarker).have.properties(['id', 'dev'])
+      should(await this.guard.syncDirChanged()).be.false()
+    })
+
+    it('is true when the marker is missing, e.g. on an unmounted mount point', async function () {
+      await this.guard.record()
+      await fs.remove(this.guard.markerPath())
+      should(await this.guard.syncDirChanged()).be.true()
+    })
+
+    it('is true when the marker is another one', async function () {
+      await this.guard.record()
+      await fs.outputFile(this.guard.markerPath(), 'another-id')
+      should(await this.guard.syncDirChanged()).be.true()
+    })
+
+    it('is false when only the device changed, e.g. after a remount', async function () {
+      await this.guard.record()
+      this.config.saveSyncDirMarker({...this.config.syncDirMarker, dev: -1})
+      should(await this.guard.syncDirChanged()).be.false()
+    })
+  })
+
+  describe('confirm', function () {
+    beforeEach(async function () {
+      await this.guard.record()
+    })
+
+    it('lets a few deletions through', async function () {
+      should(await this.guard.confirm(9, 10)).be.true()
+      should(await this.guard.confirm(10, 100)).be.true()
+    })
+
+    it('refuses deletions above the threshold without anybody to ask', async function () {
+      should(await this.guard.confirm(50, 100)).be.false()
+    })
+
+    it('asks the listeners of offline-deletions', async function () {
+      this.events.on('offline-deletions', (info, answer) => {
+        should(info).deepEqual({deletions: 60, total: 100, syncDirChanged: false})
+        answer(true)
+      })
+      should(await this.guard.confirm(60, 100)).be.true()
+    })
+
+    it('asks for any deletion when the sync dir changed', async function () {
+      await fs.remove(this.guard.markerPath())
+      this.events.on('offline-deletions', (info, answer) => {
+        should(info.syncDirChanged).be.true()
+        answer(false)
+      })
+      should(await this.guard.confirm(1, 100)).be.false()
+    })
+  })
+})
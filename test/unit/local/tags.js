@@ -0,0 +1,85 @@
+/* eslint-env mocha */
+
+import should from 'should'
+
+import LocalTags, { TAGS_XATTR, formatTags, parseTags } from '../../../core/local/tags'
+
+// Same API as fs-xattr, with the attributes kept in memory
+class FakeXattr {
+  constructor () {
+    this.attrs = new Map()
+    this.error = null
+  }
+
+  get (fullPath, name, callback) {
+    if (this.error) return callback(this.error)
+    const value = this.attrs.get(`${fullPath}:${name}`)
+    if (value == null) return callback(Object.assign(new Error('No data'), {code: 'ENODATA'}))
+    callback(null, Buffer.from(value))
+  }
+
+  set (fullPath, name, value, callback) {
+    if (this.error) return callback(this.error)
+    this.attrs.set(`${fullPath}:${name}`, value)
+    callback(null)
+  }
+}
+
+describe('LocalTags', function () {
+  beforeEach('instanciate tags', function () {
+    this.xattr = new FakeXattr()
+    this.tags = new LocalTags(this.xattr)
+    this.attr = (fullPath) => this.xattr.attrs.get(`${fullPath}:${TAGS_XATTR}`)
+  })
+
+  describe('parseTags', function () {
+    it('splits the comma-separated list', function () {
+      should(parseTags('work, 2017,,work ,')).deepEqual(['work', '2017'])
+      should(parseTags('')).deepEqual([])
+    })
+  })
+
+  describe('formatTags', function () {
+    it('joins the tags with commas', function () {
+      should(formatTags(['work', '2017'])).equal('work,2017')
+    })
+  })
+
+  describe('read', function () {
+    it('reads the tags from the extended attribute', async function () {
+      this.xattr.attrs.set(`/sync/foo:${TAGS_XATTR}`, 'work,2017')
+      this.xattr.attrs.set(`/sync/bar:${TAGS_XATTR}`, '')
+
+      should(await this.tags.read('/sync/foo')).deepEqual(['work', '2017'])
+      should(await this.tags.read('/sync/bar')).deepEqual([])
+    })
+
+    it('does not know the tags without the attribute or its support', async function () {
+      should(await this.tags.read('/sync/foo')).be.null()
+      this.xattr.error = Object.assign(new Error('Not supported'), {code: 'ENOTSUP'})
+      should(await this.tags.read('/sync/foo')).be.null()
+      should(await new LocalTags(null).read('/sync/foo')).be.null()
+    })
+  })
+
+  describe('write', function () {
+    it('writes the tags to the extended attribute', async function () {
+      await this.tags.write('/sync/foo', ['work', '2017'])
+      should(this.attr('/sync/foo')).equal('work,2017')
+
+      await this.tags.write('/sync/foo', [])
+      should(this.attr('/sync/foo')).equal('')
+    })
+
+    it('does not add an attribute without tags', async function () {
+      await this.tags.write('/sync/foo', [])
+      await this.tags.write('/sync/foo', undefined)
+      should(this.attr('/sync/foo')).be.undefined()
+    })
+
+    it('does not fail when the tags cannot be written', async function () {
+      this.xattr.error = Object.assign(new Error('Permission denied'), {code: 'EACCES'})
+      await should(this.tags.write('/sync/foo', ['work'])).be.fulfilled()
+    })
+  })
+})
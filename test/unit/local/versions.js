@@ -0,0 +1,122 @@
+/* eslint-env mocha */
+
+import fs from 'fs-extra'
+import path from 'path'
+import should from 'should'
+
+import LocalVersions from '../../../core/local/versions'
+
+import configHelpers from '../../support/helpers/config'
+
+describe('LocalVersions', function () {
+  beforeEach('instanciate config', configHelpers.createConfig)
+  afterEach('clean config directory', configHelpers.cleanConfig)
+
+  beforeEach('instanciate versions', function () {
+    this.config.saveLocalVersions({count: 3})
+    this.versions = new LocalVersions(this.config)
+    this.write = (relPath, content) =>
+      fs.outputFile(path.join(this.syncPath, relPath), content)
+    this.read = (relPath) =>
+      fs.readFile(path.join(this.syncPath, relPath), 'utf8')
+    this.at = (minutes) => new Date(Date.UTC(2017, 9, 1, 12, minutes))
+  })
+
+  describe('save', function () {
+    it('copies the current content of the file, the most recent first', async function () {
+      await this.write('foo', 'first')
+      await this.versions.save('foo', 'md5-1', this.at(0))
+      await this.write('foo', 'second!')
+      await this.versions.save('foo', 'md5-2', this.at(1))
+
+      const versions = await this.versions.list('foo')
+      should(versions).deepEqual([
+        {savedAt: '2017-10-01T12:01:00.000Z', size: 7, md5sum: 'md5-2'},
+        {savedAt: '2017-10-01T12:00:00.000Z', size: 5, md5sum: 'md5-1'}
+      ])
+      should(await fs.readFile(this.versions.versionPath('foo', versions[1]), 'utf8')).equal('first')
+    })
+
+    it('does nothing when disabled or without a file to save', async function () {
+      await this.write('foo', 'foo')
+      await fs.ensureDir(path.join(this.syncPath, 'dir'))
+
+      should(await this.versions.save('missing', null)).be.null()
+      should(await this.versions.save('dir', null)).be.null()
+      this.config.saveLocalVersions({count: 0})
+      should(await this.versions.save('foo', null)).be.null()
+
+      should(await fs.exists(this.config.versionsPath)).be.false()
+    })
+  })
+
+  describe('prune', function () {
+    it('keeps at most the configured count of versions per file', async function () {
+      await this.write('foo', 'foo')
+      for (let i = 0; i < 5; i++) await this.versions.save('foo', null, this.at(i))
+
+      const versions = await this.versions.list('foo')
+      should(versions.map(v => v.savedAt)).deepEqual([
+        '2017-10-01T12:04:00.000Z', '2017-10-01T12:03:00.000Z', '2017-10-01T12:02:00.000Z'
+      ])
+      should(await fs.readdir(this.versions.dirPath('foo'))).have.length(4) // + index
+    })
+
+    it('removes the versions which are too old', async function () {
+      this.config.saveLocalVersions({days: 1})
+      await this.write('foo', 'foo')
+      await this.write('bar', 'bar')
+      await this.versions.save('foo', null, this.at(0))
+      await this.versions.save('bar', null, new Date(this.at(0).getTime() + 24 * 60 * 60 * 1000 + 1))
+
+      should(await this.versions.list('foo')).be.empty()
+      should(await fs.exists(this.versions.dirPath('foo'))).be.false()
+      should(await this.versions.list('bar')).have.length(1)
+    })
+
+    it('removes the oldest versions beyond the size limit', async function () {
+      this.config.saveLocalVersions({size: 1})
+      const halfMB = Buffer.alloc(512 * 1024)
+      await this.write('foo', halfMB)
+      await this.write('bar', halfMB)
+      await this.versions.save('foo', null, this.at(0))
+      await this.versions.save('bar', null, this.at(1))
+      await this.versions.save('foo', null, this.at(2))
+
+      should((await this.versions.list('foo')).map(v => v.savedAt)).deepEqual(['2017-10-01T12:02:00.000Z'])
+      should(await this.versions.list('bar')).have.length(1)
+    })
+  })
+
+  describe('restore', function () {
+    it('puts back the latest version and saves the current one', async function () {
+      await this.write('dir/foo', 'old')
+      await this.versions.save(path.normalize('dir/foo'), null, this.at(0))
+      await this.write('dir/foo', 'new')
+
+      const restored = await this.versions.restore(path.normalize('dir/foo'), null, this.at(1))
+
+      should(restored.savedAt).equal('2017-10-01T12:00:00.000Z')
+      should(await this.read('dir/foo')).equal('old')
+      should((await this.versions.list(path.normalize('dir/foo'))).map(v => v.savedAt)).deepEqual([
+        '2017-10-01T12:01:00.000Z', '2017-10-01T12:00:00.000Z'
+      ])
+    })
+
+    it('puts back a file which was trashed', async function () {
+      await this.write('foo', 'first')
+      await this.versions.save('foo', null, this.at(0))
+      await this.write('foo', 'second')
+      await this.versions.save('foo', null, this.at(1))
+      await fs.remove(path.join(this.syncPath, 'foo'))
+
+      await this.versions.restore('foo', '2017-10-01T12:00:00.000Z')
+
+      should(await this.read('foo')).equal('first')
+    })
+
+    it('fails when there is no such version', async function () {
+      await should(this.versions.restore('foo', null)).be.rejectedWith(/No such version/)
+    })
+  })
+})
@@ -1,6 +1,7 @@
 /* eslint-env mocha */
 
 import fs from 'fs-extra'
+import _ from 'lodash'
 import path from 'path'
 import sinon from 'sinon'
 import should from 'should'
@@ -16,8 +17,8 @@ describe('LocalWatcher Tests', function () {
   before('instanciate config', configHelpers.createConfig)
   before('instanciate pouch', pouchHelpers.createDatabase)
   beforeEach('instanciate local watcher', function () {
-    this.prep = {}
-    const events = {emit: sinon.stub()}
+    this.prep = {config: this.config}
+    const events = {emit: sinon.stub(), listenerCount: () => 0}
     this.watcher = new Watcher(this.syncPath, this.prep, this.pouch, events)
   })
   afterEach('stop watcher and clean path', function (done) {
@@ -84,6 +85,16 @@ describe('LocalWatcher Tests', function () {
       await should(this.watcher.checksum(relpath))
         .be.rejectedWith({code: 'ENOENT'})
     })
+
+    it('reuses the cached checksum of a file with the same stats', async function () {
+      await fs.outputFile(abspath, 'foo')
+      const stats = await fs.stat(abspath)
+      await this.watcher.checksumCache.set(metadata.id(relpath), stats, 'cached', stats.mtime.getTime() + 60000)
+      await should(this.watcher.checksum(relpath, stats))
+        .be.fulfilledWith('cached')
+      await should(this.watcher.checksum(relpath, {...stats, size: 4}))
+        .be.fulfilledWith('rL0Y20zC+Fzt72VPzMSk2A==') // foo
+    })
   })
 
   describe('onAddFile', () => {
@@ -112,6 +123,17 @@ describe('LocalWatcher Tests', function () {
     })
   })
 
+  describe('readTags', function () {
+    it('sets the tags of the file when they are known', async function () {
+      this.watcher.tags = {read: sinon.stub()}
+      this.watcher.tags.read.withArgs(path.join(this.syncPath, 'foo')).resolves(['work'])
+      this.watcher.tags.read.withArgs(path.join(this.syncPath, 'bar')).resolves(null)
+
+      should(await this.watcher.readTags({path: 'foo', docType: 'file'})).have.property('tags', ['work'])
+      should(await this.watcher.readTags({path: 'bar', docType: 'file'})).not.have.property('tags')
+    })
+  })
+
   describe('onAddDir', function () {
     if (process.env.APPVEYOR) {
       it('is unstable on AppVeyor')
@@ -360,6 +382,10 @@ describe('LocalWatcher Tests', function () {
       this.pouch.resetDatabase(done)
     })
 
+    before('forget the sync dir of the previous scans', function () {
+      delete this.config.config.syncDirMarker
+    })
+
     it('detects deleted files and folders', async function () {
       let folder1 = {
         _id: 'folder1',
@@ -412,5 +438,89 @@ describe('LocalWatcher Tests', function () {
         {type: 'add', path: 'file1'}
       ])
     })
+
+    it('refuses to delete most files without a confirmation', async function () {
+      const docs = _.range(10).map(i => ({_id: `gone${i}`, path: `gone${i}`, docType: 'file'}))
+      for (const doc of docs) await this.pouch.db.put(doc)
+      const events = []
+
+      await should(this.watcher.prependOfflineUnlinkEvents(events, {ids: []}))
+        .be.rejectedWith(/not confirmed/)
+      should(events).be.empty()
+    })
+  })
+
+  describe('prepareEvents with moves', function () {
+    it('finds the source of moves from folders moved earlier in the batch', async function () {
+      await this.pouch.db.put({_id: metadata.id('parent'), path: 'parent', docType: 'folder'})
+      await this.pouch.db.put({_id: metadata.id('parent/child'), path: 'parent/child', docType: 'folder'})
+      await fs.ensureDir(path.join(this.syncPath, 'moved/renamed'))
+      const stats = await fs.stat(path.join(this.syncPath, 'moved/renamed'))
+      const events = [
+        {type: 'moveDir', oldPath: 'parent', path: 'moved', stats},
+        {type: 'moveDir', oldPath: path.normalize('moved/child'), path: path.normalize('moved/renamed'), stats}
+      ]
+
+      const [parent, child] = await this.watcher.prepareEvents(events)
+
+      should(parent.old).have.properties({path: 'parent'})
+      should(parent).not.have.property('needRefetch')
+      should(child.old).have.properties({_id: metadata.id('parent/child'), path: path.normalize('moved/child')})
+      should(child.needRefetch).be.true()
+    })
+
+    it('reads the files at their path after the next moves of the batch', async function () {
+      await fs.outputFile(path.join(this.syncPath, 'dst/file'), 'foo')
+      const stats = await fs.stat(path.join(this.syncPath, 'dst/file'))
+      const events = [
+        {type: 'add', path: path.normalize('src/file'), stats},
+        {type: 'moveDir', oldPath: 'src', path: 'dst', stats: await fs.stat(path.join(this.syncPath, 'dst'))}
+      ]
+
+      const [added] = await this.watcher.prepareEvents(events)
+
+      should(added).have.properties({
+        path: path.normalize('dst/file'),
+        md5sum: 'rL0Y20zC+Fzt72VPzMSk2A==' // foo
+      })
+      should(added).not.have.property('wip')
+    })
   })
+
+  if (process.platform !== 'win32') {
+    describe('prepareEvents with symlinks', function () {
+      beforeEach('create a symlink', async function () {
+        await fs.outputFile(path.join(this.syncPath, 'target.txt'), 'foo')
+        await fs.symlink('target.txt', path.join(this.syncPath, 'link'))
+        this.events = [{type: 'add', path: 'link', stats: await fs.stat(path.join(this.syncPath, 'link'))}]
+      })
+
+      afterEach(function () {
+        delete this.config.config.symlinkPolicy
+      })
+
+      it('drops the symlinks with the skip policy', async function () {
+        should(await this.watcher.prepareEvents(this.events)).be.empty()
+      })
+
+      it('keeps the symlinks with their target checksum with the link policy', async function () {
+        this.config.saveSymlinkPolicy('link')
+
+        const [event] = await this.watcher.prepareEvents(this.events)
+
+        should(event.md5sum).equal('TW8zPSvCT/3cyjRBSgyxLQ==') // target.txt
+        should(event.stats.isSymbolicLink()).be.true()
+        should(this.watcher.buildFile('link', event.stats, event.md5sum))
+          .have.properties({docType: 'symlink', size: 'target.txt'.length})
+      })
+
+      it('computes the checksum of the target content with the follow policy', async function () {
+        this.config.saveSymlinkPolicy('follow')
+
+        const [event] = await this.watcher.prepareEvents(this.events)
+
+        should(event.md5sum).equal('rL0Y20zC+Fzt72VPzMSk2A==') // foo
+      })
+    })
+  }
 })
@@ -460,6 +460,171 @@ describe('Merge', function () {
     })
   })
 
+  describe('conflict strategies', function () {
+    let count = 0
+
+    beforeEach('save a file changed locally but not uploaded yet', async function () {
+      const name = `conflicting-${++count}.txt`
+      this.base = {
+        _id: metadata.id(name),
+        path: name,
+        docType: 'file',
+        tags: [],
+        remote: {_id: 'foo-id', _rev: '1-a'}
+      }
+      const {rev} = await this.pouch.db.put({
+        ...this.base,
+        md5sum: 'base',
+        updated_at: '2018-01-01T00:00:00.000Z',
+        sides: {local: 1, remote: 1}
+      })
+      await this.pouch.db.put({
+        ...this.base,
+        _rev: rev,
+        md5sum: 'local',
+        updated_at: '2018-01-02T00:00:00.000Z',
+        sides: {local: 2, remote: 1}
+      })
+      this.remoteUpdate = (updatedAt) => ({
+        ...this.base,
+        md5sum: 'remote',
+        updated_at: updatedAt,
+        remote: {_id: 'foo-id', _rev: '2-b'}
+      })
+      this.merge.remote = {renameConflictingDocAsync: sinon.stub().resolves()}
+    })
+
+    afterEach(function () {
+      delete this.config.config.conflictStrategy
+    })
+
+    it('renames the incoming version by default', async function () {
+      await this.merge.updateFileAsync('remote', this.remoteUpdate('2018-01-03T00:00:00.000Z'))
+
+      should(this.merge.remote.renameConflictingDocAsync).have.been.calledOnce()
+      const [, newPath] = this.merge.remote.renameConflictingDocAsync.args[0]
+      should(newPath).match(/^conflicting-\d+-conflict-.*\.txt$/)
+      should(await this.pouch.db.get(this.base._id)).have.properties({md5sum: 'local'})
+    })
+
+    it('records the conflict and emits an event', async function () {
+      const listener = sinon.spy()
+      this.merge.events.on('conflict', listener)
+      await this.merge.updateFileAsync('remote', this.remoteUpdate('2018-01-03T00:00:00.000Z'))
+
+      const [, newPath] = this.merge.remote.renameConflictingDocAsync.args[0]
+      const records = await this.pouch.getConflictsAsync()
+      const record = records.find(record => record.path === this.base.path)
+      should(record).have.properties({
+        conflictPath: newPath,
+        renamedSide: 'remote',
+        local: {md5sum: 'local', updated_at: '2018-01-02T00:00:00.000Z'},
+        remote: {md5sum: 'remote', updated_at: '2018-01-03T00:00:00.000Z'}
+      })
+      should(listener).have.been.calledWith(record)
+    })
+
+    it('overwrites the local version with remote-wins', async function () {
+      this.config.saveConflictStrategy('remote-wins')
+      await this.merge.updateFileAsync('remote', this.remoteUpdate('2018-01-01T12:00:00.000Z'))
+
+      const saved = await this.pouch.db.get(this.base._id)
+      should(saved).have.properties({md5sum: 'remote', sides: {local: 2, remote: 3}})
+    })
+
+    it('uploads the local version over the new remote one with local-wins', async function () {
+      this.config.saveConflictStrategy('local-wins')
+      await this.merge.updateFileAsync('remote', this.remoteUpdate('2018-01-03T00:00:00.000Z'))
+
+      const saved = await this.pouch.db.get(this.base._id)
+      should(saved).have.properties({
+        md5sum: 'local',
+        remote: {_id: 'foo-id', _rev: '2-b'},
+        sides: {local: 4, remote: 3}
+      })
+      // Sync compares the local version with this one and uses its remote
+      // _rev as precondition
+      const prev = await this.pouch.getPreviousRevAsync(this.base._id, saved.sides.remote)
+      should(prev).have.properties({md5sum: 'remote', remote: {_id: 'foo-id', _rev: '2-b'}})
+      should(this.merge.remote.renameConflictingDocAsync).not.have.been.called()
+    })
+
+    it('keeps the latest version with newest-wins', async function () {
+      this.config.saveConflictStrategy('newest-wins')
+      await this.merge.updateFileAsync('remote', this.remoteUpdate('2018-01-01T12:00:00.000Z'))
+      should(await this.pouch.db.get(this.base._id)).have.properties({md5sum: 'local'})
+
+      await this.merge.updateFileAsync('remote', this.remoteUpdate('2018-01-03T00:00:00.000Z'))
+      should(await this.pouch.db.get(this.base._id)).have.properties({md5sum: 'remote'})
+    })
+
+    it('uploads the local version over the remote one with keep-remote-version', async function () {
+      this.config.saveConflictStrategy('keep-remote-version')
+      await this.merge.updateFileAsync('remote', this.remoteUpdate('2018-01-03T00:00:00.000Z'))
+
+      // Uploaded as a new revision of the same remote file, so the Cozy keeps
+      // the remote version in its history
+      const saved = await this.pouch.db.get(this.base._id)
+      should(saved).have.properties({
+        md5sum: 'local',
+        remote: {_id: 'foo-id', _rev: '2-b'},
+        sides: {local: 4, remote: 3}
+      })
+      const prev = await this.pouch.getPreviousRevAsync(this.base._id, saved.sides.remote)
+      should(prev).have.properties({md5sum: 'remote', remote: {_id: 'foo-id', _rev: '2-b'}})
+      // No -conflict file
+      should(this.merge.remote.renameConflictingDocAsync).not.have.been.called()
+      const {rows} = await this.pouch.db.allDocs()
+      should(rows.filter(row => row.id.includes('-conflict-'))).be.empty()
+      should((await this.pouch.getConflictsAsync()).filter(r => r.path === this.base.path)).be.empty()
+    })
+
+    it('uploads a local change over a remote one not downloaded yet with keep-remote-version', async function () {
+      this.config.saveConflictStrategy('keep-remote-version')
+      const current = await this.pouch.db.get(this.base._id)
+      await this.pouch.db.put({
+        ...this.remoteUpdate('2018-01-03T00:00:00.000Z'),
+        _rev: current._rev,
+        sides: {local: 2, remote: 3}
+      })
+      const localUpdate = {...this.base, md5sum: 'local2', updated_at: '2018-01-04T00:00:00.000Z'}
+      delete localUpdate.remote
+
+      await this.merge.updateFileAsync('local', localUpdate)
+
+      const saved = await this.pouch.db.get(this.base._id)
+      should(saved).have.properties({md5sum: 'local2', remote: {_id: 'foo-id', _rev: '2-b'}})
+      should(metadata.isUpToDate('local', saved)).be.true()
+      should(metadata.isUpToDate('remote', saved)).be.false()
+      should(this.merge.remote.renameConflictingDocAsync).not.have.been.called()
+    })
+
+    it('overwrites the destination of a move with the moved file', async function () {
+      this.config.saveConflictStrategy('local-wins')
+      const was = {
+        _id: metadata.id('bar.txt'),
+        path: 'bar.txt',
+        docType: 'file',
+        md5sum: 'bar',
+        tags: [],
+        remote: {_id: 'bar-id', _rev: '1-c'},
+        updated_at: '2018-01-01T00:00:00.000Z',
+        sides: {local: 1, remote: 1}
+      }
+      const {rev} = await this.pouch.db.put(was)
+      const doc = {...was, _id: this.base._id, path: this.base.path}
+      delete doc.remote
+      delete doc.sides
+
+      await this.merge.moveFileAsync('local', doc, {...was, _rev: rev})
+
+      await should(this.pouch.db.get(was._id)).be.rejectedWith({status: 404})
+      const saved = await this.pouch.db.get(this.base._id)
+      should(saved).have.properties({md5sum: 'bar', remote: this.base.remote})
+      should(metadata.isUpToDate('local', saved)).be.true()
+    })
+  })
+
   describe('trashFolderAsync', () => {
     it('does not trash a folder if the other side has added a new file in it', async function () {
       const dir = await builders.dir().path('trashed-folder').trashed().create()
@@ -10,7 +10,7 @@ import { onPlatform } from '../support/helpers/platform'
 import {
   assignId, extractRevNumber, invalidChecksum, invalidPath, markSide,
   detectPlatformIncompatibilities, sameBinary, sameFile, sameFolder, buildDir,
-  buildFile
+  buildFile, buildSymlink, isFile, SYMLINK_MIME
 } from '../../core/metadata'
 
 describe('metadata', function () {
@@ -470,6 +470,28 @@ describe('metadata', function () {
     }
   })
 
+  if (process.platform !== 'win32') {
+    describe('buildSymlink', function () {
+      it('creates a file-like document for an existing symlink', async function () {
+        const linkPath = path.join(__dirname, '../../tmp/test/link')
+        await fs.remove(linkPath)
+        await fs.ensureDir(path.dirname(linkPath))
+        await fs.symlink('../fixtures/chat-mignon.jpg', linkPath)
+        const stats = await fs.lstat(linkPath)
+        const doc = buildSymlink('link', stats, '1B2M2Y8AsgTpgAmY7PhCfg==')
+        should(doc).have.properties({
+          path: 'link',
+          docType: 'symlink',
+          mime: SYMLINK_MIME,
+          ino: stats.ino,
+          size: '../fixtures/chat-mignon.jpg'.length
+        })
+        should.not.exist(doc.executable)
+        should(isFile(doc)).be.true()
+      })
+    })
+  }
+
   describe('buildDir', () => {
     it('sets the latest of ctime & mtime as #updated_at', () => {
       const path = 'whatever'
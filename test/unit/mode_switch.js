@@ -0,0 +1,177 @@
+/* eslint-env mocha */
+
+import fs from 'fs-extra'
+import path from 'path'
+import should from 'should'
+import sinon from 'sinon'
+
+import Ignore from '../../core/ignore'
+import * as metadata from '../../core/metadata'
+import ModeSwitch, { watchesLocal, watchesRemote } from '../../core/mode_switch'
+
+import configHelpers from '../support/helpers/config'
+import pouchHelpers from '../support/helpers/pouch'
+
+describe('ModeSwitch', function () {
+  beforeEach('instanciate config', configHelpers.createConfig)
+  beforeEach('instanciate pouch', pouchHelpers.createDatabase)
+  afterEach('clean pouch', pouchHelpers.cleanDatabase)
+  afterEach('clean config directory', configHelpers.cleanConfig)
+
+  beforeEach('instanciate mode switch', function () {
+    this.remoteCozy = {changes: sinon.stub().resolves({last_seq: '42', docs: []})}
+    this.modeSwitch = new ModeSwitch(this.config, this.pouch, new Ignore([]), this.remoteCozy)
+
+    // Save the doc as if it was synchronized, then apply the given changes
+    // on the given side only.
+    this.save = async (doc, side, changes) => {
+      const {rev} = await this.pouch.db.put({...doc, sides: {local: 1, remote: 1}})
+      if (!side) return
+      const updated = {...doc, ...changes, _rev: rev, sides: {local: 1, remote: 1}}
+      updated.sides[side] = 2
+      await this.pouch.db.put(updated)
+    }
+    this.get = (relPath) => this.pouch.db.get(metadata.id(relPath))
+  })
+
+  it('tells which sides each mode watches', function () {
+    should([watchesLocal('pull'), watchesLocal('push'), watchesLocal('full')])
+      .deepEqual([false, true, true])
+    should([watchesRemote('pull'), watchesRemote('push'), watchesRemote('full')])
+      .deepEqual([true, false, true])
+  })
+
+  it('does nothing without a previous mode', async function () {
+    const plan = await this.modeSwitch.plan('pull')
+    should(plan.report).deepEqual({from: undefined, to: 'pull', upload: [], download: [], discard: []})
+    await this.modeSwitch.apply(plan)
+    should(this.config.config.mode).equal('pull')
+  })
+
+  describe('from full to pull', function () {
+    beforeEach(async function () {
+      this.config.saveMode('full')
+      await this.pouch.db.put({_id: metadata.id('new'), path: 'new', docType: 'file', sides: {local: 1}})
+      await this.save({_id: metadata.id('edited'), path: 'edited', docType: 'file', md5sum: 'old'},
+        'local', {md5sum: 'new'})
+      await this.save({_id: metadata.id('remote'), path: 'remote', docType: 'file', md5sum: 'old'},
+        'remote', {md5sum: 'new'})
+    })
+
+    it('keeps pending downloads and discards pending uploads', async function () {
+      const {report} = await this.modeSwitch.plan('pull')
+
+      should(report.download).deepEqual([{path: 'remote', type: 'update'}])
+      should(report.upload).be.empty()
+      should(report.discard.sort()).deepEqual(['edited', 'new'])
+    })
+
+    it('rolls back or forgets pending uploads', async function () {
+      await this.modeSwitch.apply(await this.modeSwitch.plan('pull'))
+
+      await should(this.get('new')).be.rejectedWith({status: 404})
+      const edited = await this.get('edited')
+      should(edited.md5sum).equal('old')
+      should(edited.sides.local).equal(edited.sides.remote)
+      should((await this.get('remote')).md5sum).equal('new')
+      should(this.config.config.mode).equal('pull')
+    })
+
+    it('changes nothing on a dry run', async function () {
+      const rev = (await this.get('edited'))._rev
+      await this.modeSwitch.plan('pull')
+
+      should((await this.get('edited'))._rev).equal(rev)
+      should(this.config.config.mode).equal('full')
+    })
+  })
+
+  describe('from pull to full', function () {
+    beforeEach(async function () {
+      this.config.saveMode('pull')
+      const stats = (relPath, content) => {
+        const fullPath = path.join(this.syncPath, relPath)
+        fs.outputFileSync(fullPath, content)
+        return fs.statSync(fullPath)
+      }
+      const unchanged = stats('unchanged', 'foo')
+      await this.save({
+        _id: metadata.id('unchanged'),
+        path: 'unchanged',
+        docType: 'file',
+        size: unchanged.size,
+        updated_at: unchanged.mtime
+      })
+      stats('changed', 'bar')
+      await this.save({
+        _id: metadata.id('changed'),
+        path: 'changed',
+        docType: 'file',
+        size: 42,
+        updated_at: new Date()
+      })
+      stats('added', 'baz')
+      await this.save({_id: metadata.id('removed'), path: 'removed', docType: 'file'})
+    })
+
+    it('reports the local changes which will be uploaded', async function () {
+      const {report} = await this.modeSwitch.plan('full')
+
+      should(report.upload).containDeep([
+        {path: 'changed', type: 'update'},
+        {path: 'added', type: 'add'},
+        {path: 'removed', type: 'delete'}
+      ])
+      should(report.upload).have.length(3)
+      should(this.remoteCozy.changes).not.have.been.called()
+    })
+  })
+
+  describe('from push to full', function () {
+    beforeEach(async function () {
+      this.config.saveMode('push')
+      await this.pouch.setRemoteSeqAsync('42')
+      await this.save({
+        _id: metadata.id('known'),
+        path: 'known',
+        docType: 'file',
+        md5sum: 'same',
+        remote: {_id: 'known-id', _rev: '1-abc'}
+      })
+      await this.save({
+        _id: metadata.id('trashed'),
+        path: 'trashed',
+        docType: 'file',
+        md5sum: 'same',
+        remote: {_id: 'trashed-id', _rev: '1-abc'}
+      })
+      this.remoteCozy.changes.resolves({
+        last_seq: '42',
+        docs: [
+          {_id: 'known-id', path: '/known', type: 'file', md5sum: 'same'},
+          {_id: 'trashed-id', path: '/.cozy_trash/trashed', type: 'file', md5sum: 'same'},
+          {_id: 'new-id', path: '/dir', type: 'directory'},
+          {_id: 'new-file-id', path: '/dir/new', type: 'file', md5sum: 'whatever'}
+        ]
+      })
+    })
+
+    it('reports the remote changes which will be downloaded', async function () {
+      const {report} = await this.modeSwitch.plan('full')
+
+      should(this.remoteCozy.changes).have.been.calledWith('0')
+      should(report.download).deepEqual([
+        {path: 'trashed', type: 'delete'},
+        {path: 'dir', type: 'add'},
+        {path: path.normalize('dir/new'), type: 'add'}
+      ])
+    })
+
+    it('fetches the remote changes again from the start', async function () {
+      await this.modeSwitch.apply(await this.modeSwitch.plan('full'))
+
+      should(await this.pouch.getRemoteSeqAsync()).equal('0')
+      should(this.config.config.mode).equal('full')
+    })
+  })
+})
@@ -453,6 +453,48 @@ if (doc.docType === 'folder') {
     })
   })
 
+  describe('Records', function () {
+    it('keeps the records of each name apart', async function () {
+      should(await this.pouch.getRecordsAsync('retries')).deepEqual([])
+      await this.pouch.updateRecordsAsync('retries', records => records.concat({id: 'foo'}))
+      await this.pouch.updateRecordsAsync('retries', records => records.concat({id: 'bar'}))
+      should(await this.pouch.getRetriesAsync()).deepEqual([{id: 'foo'}, {id: 'bar'}])
+      should(await this.pouch.getTrashAsync()).deepEqual([])
+    })
+
+    it('applies concurrent updates one after the other', async function () {
+      await Promise.all([
+        this.pouch.updateTrashAsync(records => records.concat({id: 'foo'})),
+        this.pouch.updateTrashAsync(records => records.concat({id: 'bar'}))
+      ])
+      should((await this.pouch.getTrashAsync()).map(r => r.id).sort()).deepEqual(['bar', 'foo'])
+    })
+  })
+
+  describe('Uploads', function () {
+    it('saves, updates and removes the upload record of a file', async function () {
+      const upload = {url: 'http://cozy.tools/files/uploads/1', md5sum: 'md5', size: 9, offset: 0}
+      should(await this.pouch.getUploadAsync('FOO')).be.null()
+      await this.pouch.setUploadAsync('FOO', upload)
+      await this.pouch.setUploadAsync('FOO', {...upload, offset: 4})
+      should(await this.pouch.getUploadAsync('FOO')).deepEqual({...upload, offset: 4})
+      await this.pouch.removeUploadAsync('FOO')
+      should(await this.pouch.getUploadAsync('FOO')).be.null()
+    })
+  })
+
+  describe('Checksums', function () {
+    it('saves, updates and removes the cached checksum of a file', async function () {
+      const checksum = {ino: 1, size: 3, mtime: 1500000000000, md5sum: 'md5'}
+      should(await this.pouch.getChecksumAsync('FOO')).be.null()
+      await this.pouch.setChecksumAsync('FOO', checksum)
+      await this.pouch.setChecksumAsync('FOO', {...checksum, size: 4})
+      should(await this.pouch.getChecksumAsync('FOO')).deepEqual({...checksum, size: 4})
+      await this.pouch.removeChecksumAsync('FOO')
+      should(await this.pouch.getChecksumAsync('FOO')).be.null()
+    })
+  })
+
   // Disable this test on travis because it can be really slow...
   if (process.env.CI) { return }
   describe('byRecursivePath (bis)', function () {
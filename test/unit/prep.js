@@ -1,12 +1,18 @@
 /* eslint-env mocha */
 
+import path from 'path'
 import sinon from 'sinon'
 import should from 'should'
 
 import Ignore from '../../core/ignore'
 import Prep from '../../core/prep'
 
+import configHelpers from '../support/helpers/config'
+
 describe('Prep', function () {
+  before('instanciate config', configHelpers.createConfig)
+  after('clean config directory', configHelpers.cleanConfig)
+
   beforeEach('instanciate prep', function () {
     this.side = 'local'
     this.merge = {
@@ -23,7 +29,8 @@ describe('Prep', function () {
     this.merge.trashFileAsync.resolves()
     this.merge.trashFolderAsync.resolves()
     this.ignore = new Ignore(['ignored'])
-    this.prep = new Prep(this.merge, this.ignore)
+    this.config.saveExcludedDirs([])
+    this.prep = new Prep(this.merge, this.ignore, this.config)
   })
 
   describe('Helpers', function () {
@@ -530,6 +537,36 @@ describe('Prep', function () {
     })
   })
 
+  describe('excluded folders', () => {
+    beforeEach(function () {
+      this.config.saveExcludedDirs(['Photos/2017'])
+    })
+
+    it('does nothing for local changes inside them', async function () {
+      await this.prep.addFileAsync('local', {path: path.join('Photos', '2017', 'foo.jpg')})
+      await this.prep.putFolderAsync('local', {path: path.join('Photos', '2017')})
+
+      should(this.merge.addFileAsync).not.be.called()
+      should(this.merge.putFolderAsync).not.be.called()
+    })
+
+    it('merges local changes outside of them', async function () {
+      await this.prep.addFileAsync('local', {path: path.join('Photos', '2018', 'foo.jpg')})
+
+      should(this.merge.addFileAsync).be.calledOnce()
+    })
+
+    it('deletes local files moved inside them', async function () {
+      const was = {path: path.join('Photos', 'foo.jpg'), _rev: '1-abc'}
+      const doc = {path: path.join('Photos', '2017', 'foo.jpg')}
+
+      await this.prep.moveFileAsync('local', doc, was)
+
+      should(this.merge.moveFileAsync).not.be.called()
+      should(this.merge.deleteFileAsync).be.calledWith('local', was)
+    })
+  })
+
   describe('trashFileAsync', () => {
     it('merges the metadata with an _id and a docType', async function () {
       const doc = {path: 'file-to-be-trashed', md5sum: 'rcg7GeeTSRscbqD9i0bNnw=='}
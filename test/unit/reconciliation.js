@@ -0,0 +1,243 @@
+/* eslint-env mocha */
+
+import EventEmitter from 'events'
+import fs from 'fs-extra'
+import path from 'path'
+import should from 'should'
+import sinon from 'sinon'
+
+import Ignore from '../../core/ignore'
+import * as metadata from '../../core/metadata'
+import Reconciliation, { isConsistent } from '../../core/reconciliation'
+
+import configHelpers from '../support/helpers/config'
+import pouchHelpers from '../support/helpers/pouch'
+
+describe('Reconciliation', function () {
+  beforeEach('instanciate config', configHelpers.createConfig)
+  beforeEach('instanciate pouch', pouchHelpers.createDatabase)
+  afterEach('clean pouch', pouchHelpers.cleanDatabase)
+  afterEach('clean config directory', configHelpers.cleanConfig)
+
+  beforeEach('instanciate reconciliation', function () {
+    this.config.saveMode('full')
+    this.prep = {
+      addFileAsync: sinon.stub().resolves(),
+      updateFileAsync: sinon.stub().resolves(),
+      putFolderAsync: sinon.stub().resolves(),
+      trashFileAsync: sinon.stub().resolves(),
+      trashFolderAsync: sinon.stub().resolves()
+    }
+    this.remoteWatcher = {
+      remoteCozy: {changes: sinon.stub().resolves({last_seq: '42', docs: []})},
+      pullMany: sinon.stub().resolves()
+    }
+    this.events = new EventEmitter()
+    this.reconciliation = new Reconciliation(this.config, this.pouch,
+      new Ignore([]), this.prep, this.remoteWatcher, this.events)
+
+    // Save a synchronized file, with the same content locally unless
+    // content is null
+    this.saveFile = async (relPath, content, remote) => {
+      const doc = {
+        _id: metadata.id(relPath),
+        path: relPath,
+        docType: 'file',
+        md5sum: `${relPath}-md5sum`,
+        remote,
+        sides: {local: 1, remote: 1}
+      }
+      if (content != null) {
+        const fullPath = path.join(this.syncPath, relPath)
+        await fs.outputFile(fullPath, content)
+        const stats = await fs.stat(fullPath)
+        doc.size = stats.size
+        doc.updated_at = stats.mtime
+      }
+      await this.pouch.db.put(doc)
+    }
+    this.markAllApplied = async () => {
+      const {last_seq: seq} = await this.pouch.db.changes({limit: 1, descending: true})
+      await this.pouch.setLocalSeqAsync(seq)
+    }
+  })
+
+  describe('check', function () {
+    it('finds nothing when everything is synchronized', async function () {
+      await this.saveFile('foo', 'foo', {_id: 'foo-id', _rev: '1-abc'})
+      this.remoteWatcher.remoteCozy.changes.resolves({
+        last_seq: '42',
+        docs: [{_id: 'foo-id', _rev: '1-abc', path: '/foo', type: 'file', md5sum: 'foo-md5sum'}]
+      })
+      await this.markAllApplied()
+
+      const {report} = await this.reconciliation.check()
+
+      should(isConsistent(report)).be.true()
+      should(this.remoteWatcher.remoteCozy.changes).have.been.calledWith('0')
+    })
+
+    it('finds the missed local changes', async function () {
+      await this.saveFile('unchanged', 'foo')
+      await this.saveFile('changed', 'foo')
+      await this.saveFile('removed', null)
+      await fs.outputFile(path.join(this.syncPath, 'changed'), 'changed')
+      await fs.outputFile(path.join(this.syncPath, 'dir/added'), 'bar')
+      await this.markAllApplied()
+
+      const {report} = await this.reconciliation.check()
+
+      should(report).have.properties({
+        localOnly: ['dir', path.normalize('dir/added')],
+        localMissing: ['removed'],
+        localModified: ['changed']
+      })
+    })
+
+    it('finds the missed remote changes', async function () {
+      await this.saveFile('moved', null, {_id: 'moved-id', _rev: '1-abc'})
+      await this.saveFile('trashed', null, {_id: 'trashed-id', _rev: '1-abc'})
+      await this.saveFile('destroyed', null, {_id: 'destroyed-id', _rev: '1-abc'})
+      await this.saveFile('updated', null, {_id: 'updated-id', _rev: '1-abc'})
+      this.remoteWatcher.remoteCozy.changes.resolves({
+        last_seq: '42',
+        docs: [
+          {_id: 'moved-id', path: '/dir/moved', type: 'file', md5sum: 'moved-md5sum'},
+          {_id: 'trashed-id', path: '/.cozy_trash/trashed', type: 'file', md5sum: 'trashed-md5sum'},
+          {_id: 'updated-id', path: '/updated', type: 'file', md5sum: 'new-md5sum'},
+          {_id: 'dir-id', path: '/dir', type: 'directory'},
+          {_id: 'gone-id', _rev: '2-abc', _deleted: true}
+        ]
+      })
+      this.config.switchMode('pull')
+      await this.markAllApplied()
+
+      const {report} = await this.reconciliation.check()
+
+      should(report).have.properties({
+        remoteOnly: ['dir'],
+        remoteMissing: ['destroyed', 'trashed'],
+        remoteModified: ['moved', 'updated']
+      })
+    })
+
+    it('finds the changes given up after too many errors', async function () {
+      await this.pouch.db.put({_id: 'failed', path: 'failed', docType: 'folder', sides: {local: 1}, errors: 2})
+      await this.markAllApplied()
+      await this.pouch.db.put({_id: 'pending', path: 'pending', docType: 'folder', sides: {local: 1}})
+      this.config.switchMode('pull')
+
+      const {report} = await this.reconciliation.check()
+
+      should(report.failed).deepEqual(['failed'])
+    })
+
+    it('only compares the sides watched in the current mode', async function () {
+      await fs.outputFile(path.join(this.syncPath, 'added'), 'bar')
+      this.config.switchMode('push')
+
+      const {report} = await this.reconciliation.check()
+
+      should(report.localOnly).deepEqual(['added'])
+      should(this.remoteWatcher.remoteCozy.changes).not.have.been.called()
+    })
+
+    it('skips ignored files and symlinks which are not followed', async function () {
+      await fs.outputFile(path.join(this.syncPath, '.hidden'), 'bar')
+      this.reconciliation.ignore.addDefaultRules()
+      if (process.platform !== 'win32') {
+        await fs.symlink('/tmp', path.join(this.syncPath, 'link'))
+      }
+      this.config.switchMode('push')
+
+      const {report} = await this.reconciliation.check()
+
+      should(isConsistent(report)).be.true()
+    })
+  })
+
+  describe('repair', function () {
+    it('feeds the missed changes to Prep and retries the failed ones', async function () {
+      await this.saveFile('changed', 'foo', {_id: 'changed-id', _rev: '1-abc'})
+      await this.saveFile('removed', null, {_id: 'removed-id', _rev: '1-abc'})
+      await fs.outputFile(path.join(this.syncPath, 'changed'), 'changed')
+      await fs.outputFile(path.join(this.syncPath, 'added'), 'bar')
+      await this.pouch.db.put({_id: 'failed', path: 'failed', docType: 'folder', sides: {local: 1}, errors: 2})
+      this.remoteWatcher.remoteCozy.changes.resolves({
+        last_seq: '42',
+        docs: [{_id: 'changed-id', path: '/changed', type: 'file', md5sum: 'changed-md5sum'}]
+      })
+      await this.markAllApplied()
+
+      await this.reconciliation.repair(await this.reconciliation.check())
+
+      should(this.prep.trashFileAsync).have.been.calledWith('local', {path: 'removed'})
+      should(this.prep.addFileAsync).have.been.calledWithMatch('local', {
+        path: 'added', md5sum: 'N7UdGUp1E+RbVvZSTy1R8g==' // bar
+      })
+      should(this.prep.updateFileAsync).have.been.calledWithMatch('local', {path: 'changed'})
+      should(this.remoteWatcher.pullMany).have.been.calledWith([
+        {_id: 'removed-id', _rev: '1-abc', _deleted: true}
+      ])
+      const failed = await this.pouch.db.get('failed')
+      should(failed).not.have.property('errors')
+      should(failed.sides).deepEqual({local: 1})
+    })
+
+    it('holds the Pouch lock while repairing, but not while pulling', async function () {
+      await this.saveFile('removed', null, {_id: 'removed-id', _rev: '1-abc'})
+      await this.pouch.db.put({_id: 'failed', path: 'failed', docType: 'folder', sides: {local: 1}, errors: 2})
+      await this.markAllApplied()
+      const plan = await this.reconciliation.check()
+      // The remote watcher takes the lock itself
+      this.remoteWatcher.pullMany.callsFake(async () => {
+        const release = await this.pouch.lock('remote watcher')
+        release()
+      })
+
+      const releaseOther = await this.pouch.lock('other')
+      const repaired = this.reconciliation.repair(plan)
+      await Promise.delay(50)
+      should(this.prep.trashFileAsync).not.have.been.called()
+      should(await this.pouch.db.get('failed')).have.property('errors')
+      releaseOther()
+      await repaired
+
+      should(this.prep.trashFileAsync).have.been.calledOnce()
+      should(this.remoteWatcher.pullMany).have.been.calledOnce()
+      should(await this.pouch.db.get('failed')).not.have.property('errors')
+    })
+  })
+
+  describe('run', function () {
+    it('reports the divergences and repairs them when configured to', async function () {
+      const reported = sinon.spy()
+      this.events.on('reconciliation', reported)
+      await fs.outputFile(path.join(this.syncPath, 'added'), 'bar')
+      this.config.saveReconciliation({repair: true})
+
+      await this.reconciliation.run()
+
+      should(reported).have.been.calledOnce()
+      should(reported.args[0][0].localOnly).deepEqual(['added'])
+      should(reported.args[0][1]).be.true()
+      should(this.prep.addFileAsync).have.been.calledOnce()
+    })
+
+    it('is scheduled as configured', function () {
+      const clock = sinon.useFakeTimers()
+      try {
+        sinon.stub(this.reconciliation, 'run').resolves()
+        this.config.saveReconciliation({interval: 2})
+        this.reconciliation.start()
+        clock.tick(2 * 60 * 60 * 1000)
+        should(this.reconciliation.run).have.been.calledOnce()
+        this.reconciliation.stop()
+        clock.tick(2 * 60 * 60 * 1000)
+        should(this.reconciliation.run).have.been.calledOnce()
+      } finally {
+        clock.restore()
+      }
+    })
+  })
+})
@@ -3,7 +3,7 @@
 
 import should from 'should'
 
-import RemoteCozy, { DirectoryNotFound } from '../../../core/remote/cozy'
+import RemoteCozy, { DirectoryNotFound, sharingLinkURL } from '../../../core/remote/cozy'
 
 import configHelpers from '../../support/helpers/config'
 import { COZY_URL, builders, deleteAll } from '../../support/helpers/cozy'
@@ -198,6 +198,55 @@ describe('RemoteCozy', function () {
     })
   })
 
+  describe('subDirectories', () => {
+    it('lists the directories right inside the given one by name', async function () {
+      const dir = await builders.remote.dir().named('dir').create()
+      const bar = await builders.remote.dir().named('bar').inDir(dir).create()
+      const foo = await builders.remote.dir().named('foo').inDir(dir).create()
+      await builders.remote.dir().named('baz').inDir(foo).create()
+      await builders.remote.file().named('qux').inDir(dir).create()
+
+      const subdirs = await remoteCozy.subDirectories('/dir')
+      should(subdirs.map(d => d.path)).deepEqual([bar.path, foo.path])
+    })
+
+    it('does not list the trash', async function () {
+      const dir = await builders.remote.dir().named('dir').inRootDir().create()
+
+      const subdirs = await remoteCozy.subDirectories('/')
+      should(subdirs.map(d => d._id)).deepEqual([dir._id])
+    })
+
+    it('rejects when the directory does not exist remotely', async function () {
+      await should(remoteCozy.subDirectories('/missing'))
+        .be.rejectedWith(DirectoryNotFound)
+    })
+  })
+
+  describe('contents', () => {
+    it('lists the files and directories right inside the given one', async function () {
+      const dir = await builders.remote.dir().named('dir').create()
+      const subdir = await builders.remote.dir().named('subdir').inDir(dir).create()
+      await builders.remote.file().named('foo').inDir(subdir).create()
+      const bar = await builders.remote.file().named('bar').inDir(dir).create()
+
+      const contents = await remoteCozy.contents(dir)
+      should(contents.map(doc => doc._id).sort()).deepEqual([bar._id, subdir._id].sort())
+      should(contents.map(doc => doc.path).sort()).deepEqual(['/dir/bar', '/dir/subdir'])
+    })
+  })
+
+  describe('restoreById', () => {
+    it('moves the file back to where it was before being trashed', async function () {
+      const dir = await builders.remote.dir().named('dir').create()
+      const file = await builders.remote.file().named('foo').inDir(dir).create()
+      await remoteCozy.trashById(file._id)
+
+      const restored = await remoteCozy.restoreById(file._id)
+      should(restored).have.properties({_id: file._id, dir_id: dir._id, path: '/dir/foo'})
+    })
+  })
+
   describe('isEmpty', () => {
     it('is true when the folder with the given id is empty', async function () {
       const dir = await builders.remote.dir().create()
@@ -226,6 +275,176 @@ describe('RemoteCozy', function () {
     })
   })
 
+  describe('versions', function () {
+    beforeEach(function () {
+      this.config.cozyUrl = cozyStackDouble.url()
+      remoteCozy = new RemoteCozy(this.config)
+    })
+
+    it('lists the previous versions of a file, the most recent first', async function () {
+      cozyStackDouble.stub((req, res) => {
+        should(req.method).equal('GET')
+        should(req.url).equal('/files/file-id')
+        res.writeHead(200, {'Content-Type': 'application/vnd.api+json'})
+        res.end(JSON.stringify({
+          data: {type: 'io.cozy.files', id: 'file-id', attributes: {}},
+          included: [
+            {
+              type: 'io.cozy.files.versions',
+              id: 'file-id/1-abc',
+              meta: {rev: '1-v1'},
+              attributes: {file_id: 'file-id', md5sum: 'md5-1', size: '3', updated_at: '2017-10-01T12:00:00Z'}
+            },
+            {
+              type: 'io.cozy.files.versions',
+              id: 'file-id/2-def',
+              meta: {rev: '1-v2'},
+              attributes: {file_id: 'file-id', md5sum: 'md5-2', size: '6', updated_at: '2017-10-02T12:00:00Z'}
+            },
+            {type: 'io.cozy.files', id: 'dir-id', attributes: {}}
+          ]
+        }))
+      })
+
+      const versions = await remoteCozy.listVersions('file-id')
+
+      should(versions.map(v => v._id)).deepEqual(['file-id/2-def', 'file-id/1-abc'])
+      should(versions[0]).have.properties({_rev: '1-v2', md5sum: 'md5-2', size: '6'})
+    })
+
+    it('downloads a previous version', async function () {
+      cozyStackDouble.stub((req, res) => {
+        should(req.url).equal('/files/download/file-id/1-abc')
+        res.writeHead(200, {'Content-Type': 'text/plain'})
+        res.end('old')
+      })
+
+      const stream = await remoteCozy.downloadVersion('file-id/1-abc')
+
+      let data = ''
+      stream.on('data', chunk => { data += chunk })
+      await new Promise(resolve => stream.on('end', resolve))
+      should(data).equal('old')
+    })
+
+    it('restores a previous version', async function () {
+      cozyStackDouble.stub((req, res) => {
+        if (req.method === 'POST') {
+          should(req.url).equal('/files/revert/file-id/1-abc')
+          res.writeHead(200, {'Content-Type': 'application/vnd.api+json'})
+          res.end(JSON.stringify({data: {
+            type: 'io.cozy.files',
+            id: 'file-id',
+            meta: {rev: '3-ghi'},
+            attributes: {type: 'file', name: 'foo', dir_id: 'io.cozy.files.root-dir', md5sum: 'md5-1'}
+          }}))
+        } else {
+          res.writeHead(200, {'Content-Type': 'application/vnd.api+json'})
+          res.end(JSON.stringify({data: {
+            type: 'io.cozy.files',
+            id: 'io.cozy.files.root-dir',
+            meta: {rev: '1-root'},
+            attributes: {type: 'directory', name: '', path: '/', dir_id: ''}
+          }}))
+        }
+      })
+
+      const doc = await remoteCozy.restoreVersion('file-id/1-abc')
+
+      should(doc).have.properties({_id: 'file-id', _rev: '3-ghi', path: '/foo', md5sum: 'md5-1'})
+    })
+
+    it('does not swallow errors', async function () {
+      cozyStackDouble.stub((req, res) => {
+        res.writeHead(404, {'Content-Type': 'text/plain'})
+        res.end('Not found')
+      })
+
+      await should(remoteCozy.listVersions('missing')).be.rejectedWith({status: 404})
+      await should(remoteCozy.restoreVersion('missing/1-abc')).be.rejectedWith({status: 404})
+    })
+  })
+
+  describe('sharing links', function () {
+    beforeEach(function () {
+      this.config.cozyUrl = cozyStackDouble.url()
+      remoteCozy = new RemoteCozy(this.config)
+    })
+
+    const permission = (id, fileID, attributes = {}) => ({
+      type: 'io.cozy.permissions',
+      id,
+      attributes: {
+        type: 'share',
+        permissions: {files: {type: 'io.cozy.files', verbs: ['GET'], values: [fileID]}},
+        codes: {email: `code-${id}`},
+        ...attributes
+      }
+    })
+
+    it('builds the link to the public page of the Drive app', function () {
+      should(sharingLinkURL('https://alice.mycozy.cloud', 'abc'))
+        .equal('https://alice-drive.mycozy.cloud/public?sharecode=abc')
+      should(sharingLinkURL('http://alice.cozy.tools:8080/', 'abc'))
+        .equal('http://alice-drive.cozy.tools:8080/public?sharecode=abc')
+    })
+
+    it('creates a link with a password and an expiration date', async function () {
+      let body = {}
+      cozyStackDouble.stub((req, res) => {
+        should(req.method).equal('POST')
+        should(req.url).equal('/permissions?codes=email')
+        let data = ''
+        req.on('data', chunk => { data += chunk })
+        req.on('end', () => {
+          body = JSON.parse(data)
+          res.writeHead(200, {'Content-Type': 'application/vnd.api+json'})
+          res.end(JSON.stringify({data: permission('perm-id', 'file-id', {
+            password: true,
+            expires_at: '2017-11-01T12:00:00Z'
+          })}))
+        })
+      })
+
+      const link = await remoteCozy.createSharingLink('file-id', {
+        password: 'secret',
+        expiresAt: new Date('2017-11-01T12:00:00Z')
+      })
+
+      should(body.data.attributes).deepEqual({
+        permissions: {files: {type: 'io.cozy.files', verbs: ['GET'], values: ['file-id']}},
+        password: 'secret',
+        expires_at: '2017-11-01T12:00:00.000Z'
+      })
+      should(link).have.properties({
+        _id: 'perm-id',
+        fileID: 'file-id',
+        password: true,
+        expiresAt: '2017-11-01T12:00:00Z'
+      })
+      should(link.url).endWith('/public?sharecode=code-perm-id')
+    })
+
+    it('lists the links to files and folders, page after page', async function () {
+      cozyStackDouble.stub((req, res) => {
+        res.writeHead(200, {'Content-Type': 'application/vnd.api+json'})
+        if (req.url === '/permissions/doctype/io.cozy.files/shared-by-link') {
+          res.end(JSON.stringify({
+            data: [permission('1', 'foo-id'), permission('2', 'bar-id', {codes: {}})],
+            links: {next: '/permissions/doctype/io.cozy.files/shared-by-link?page[cursor]=2'}
+          }))
+        } else {
+          res.end(JSON.stringify({data: [permission('3', 'baz-id')], links: {}}))
+        }
+      })
+
+      const links = await remoteCozy.sharingLinks()
+
+      should(links.map(link => link.fileID)).deepEqual(['foo-id', 'baz-id'])
+      should(links[0]).have.properties({password: false, expiresAt: null})
+    })
+  })
+
   describe('downloadBinary', function () {
     it('resolves with a Readable stream of the file content', async function () {
       const remoteFile = await builders.remote.file().data('foo').create()
@@ -0,0 +1,159 @@
+/* eslint-env mocha */
+
+import crypto from 'crypto'
+import should from 'should'
+import { Readable } from 'stream'
+
+import { BandwidthLimiter } from '../../../core/bandwidth'
+import RemoteCozy from '../../../core/remote/cozy'
+import DeltaUploader, {
+  RollingChecksum, Signer, baseSignature, blockSizeFor, computeDelta, MIN_BLOCK_SIZE
+} from '../../../core/remote/delta'
+
+import configHelpers from '../../support/helpers/config'
+import CozyStackDouble from '../../support/doubles/cozy_stack'
+import DeltaServerDouble from '../../support/doubles/delta_server'
+
+const cozyStackDouble = new CozyStackDouble()
+
+const streamOf = (data, chunkSize = 3) => {
+  const stream = new Readable({read () {}})
+  for (let i = 0; i < data.length; i += chunkSize) {
+    stream.push(data.slice(i, i + chunkSize))
+  }
+  stream.push(null)
+  return stream
+}
+
+const sign = (data, blockSize) => {
+  const signer = new Signer(blockSize)
+  signer.update(Buffer.from(data))
+  return signer.digest()
+}
+
+// Rebuild the new content from the old one and the operations
+const rebuild = (old, ops, blockSize) => Buffer.concat(ops.map(op =>
+  op.data || old.slice(op.copy * blockSize, (op.copy + op.count) * blockSize)))
+
+describe('delta', function () {
+  describe('blockSizeFor', function () {
+    it('keeps the number of blocks under the maximum', function () {
+      should(blockSizeFor(10)).equal(MIN_BLOCK_SIZE)
+      should(blockSizeFor(4 * 1024 * MIN_BLOCK_SIZE)).equal(2 * MIN_BLOCK_SIZE)
+    })
+  })
+
+  describe('RollingChecksum', function () {
+    it('slides one byte further like it was computed again', function () {
+      const data = crypto.randomBytes(64)
+      const rolling = new RollingChecksum(data, 0, 16)
+      for (let i = 1; i + 16 <= data.length; i++) {
+        rolling.roll(data[i - 1], data[i + 15])
+        should(rolling.digest()).equal(new RollingChecksum(data, i, i + 16).digest())
+      }
+      rolling.shrink(data[48])
+      should(rolling.digest()).equal(new RollingChecksum(data, 49, 64).digest())
+    })
+  })
+
+  describe('Signer', function () {
+    it('signs each block and the whole content', function () {
+      const signature = sign('foobarbaz', 4)
+      should(signature).have.properties({
+        md5sum: crypto.createHash('md5').update('foobarbaz').digest('base64'),
+        size: 9,
+        blockSize: 4
+      })
+      should(signature.blocks.map(b => b.strong)).deepEqual(['foob', 'arba', 'z'].map(block =>
+        crypto.createHash('md5').update(block).digest('base64')))
+    })
+  })
+
+  describe('computeDelta', function () {
+    const delta = async (oldData, newData, blockSize) => {
+      const ops = []
+      await computeDelta(sign(oldData, blockSize), streamOf(Buffer.from(newData)), async (op) => {
+        ops.push(op)
+      })
+      should(String(rebuild(Buffer.from(oldData), ops, blockSize))).equal(newData)
+      return ops
+    }
+
+    it('copies the whole unchanged content at once', async function () {
+      should(await delta('aaaabbbbcc', 'aaaabbbbcc', 4)).deepEqual([{copy: 0, count: 3}])
+    })
+
+    it('finds the blocks moved by inserted data', async function () {
+      const ops = await delta('aaaabbbbcccc', 'XXaaaabbbbYcccc', 4)
+      should(ops.map(op => op.data ? String(op.data) : op)).deepEqual([
+        'XX', {copy: 0, count: 2}, 'Y', {copy: 2, count: 1}
+      ])
+    })
+
+    it('sends the changed and removed parts as data', async function () {
+      await delta('aaaabbbbcccc', 'aaaaccc', 4)
+      await delta('aaaabbbb', 'aaaabbbbccccddd', 4)
+      should(await delta('', 'foo', 4)).deepEqual([{data: Buffer.from('foo')}])
+    })
+
+    it('rebuilds randomly changed contents', async function () {
+      for (let i = 0; i < 20; i++) {
+        const old = crypto.randomBytes(500).toString('hex')
+        const at = Math.floor(Math.random() * old.length)
+        await delta(old, old.slice(0, at) + 'changed' + old.slice(at + 10), 16)
+      }
+    })
+  })
+
+  describe('baseSignature', function () {
+    it('is the signature of the previous version if up to date', function () {
+      const blocks = sign('foo', 4)
+      should(baseSignature({md5sum: blocks.md5sum, blocks})).equal(blocks)
+      should(baseSignature({md5sum: 'other', blocks})).be.null()
+      should(baseSignature({md5sum: blocks.md5sum})).be.null()
+      should(baseSignature(null)).be.null()
+    })
+  })
+
+  describe('DeltaUploader', function () {
+    before(() => cozyStackDouble.start())
+    before('instanciate config', configHelpers.createConfig)
+    before('register OAuth client', configHelpers.registerClient)
+    after('clean config directory', configHelpers.cleanConfig)
+    after(() => cozyStackDouble.stop())
+
+    const oldData = 'aaaabbbbccccdddd'
+    const newData = 'aaaabbbbXccccdddd'
+    const doc = {path: 'big-file', md5sum: 'md5', size: newData.length}
+    const target = {fileID: 'big-file-id', ifMatch: '1-abc'}
+
+    beforeEach(function () {
+      this.config.cozyUrl = cozyStackDouble.url()
+      this.server = new DeltaServerDouble({'big-file-id': Buffer.from(oldData)})
+      cozyStackDouble.stub(this.server.handle)
+      this.uploader = new DeltaUploader(new RemoteCozy(this.config),
+        new BandwidthLimiter(this.config, 'upload'))
+    })
+
+    afterEach(() => cozyStackDouble.clearStub())
+
+    it('only sends the changed data', async function () {
+      const remoteDoc = await this.uploader.upload(doc, sign(oldData, 4), streamOf(newData), target)
+
+      should(remoteDoc).have.properties({_id: 'big-file-id', _rev: '2-delta'})
+      should(String(this.server.files['big-file-id'])).equal(newData)
+      should(this.server.received).equal(1)
+      should(this.server.deltas['1'].metadata).have.properties({ifMatch: '1-abc', checksum: 'md5'})
+      should(this.uploader.supported).be.true()
+    })
+
+    it('resolves with null and remembers when the Cozy does not support it', async function () {
+      this.server.unsupported = true
+      const source = streamOf(newData)
+
+      should(await this.uploader.upload(doc, sign(oldData, 4), source, target)).be.null()
+      should(this.uploader.supported).be.false()
+      should(source.read()).not.be.null()
+    })
+  })
+})
@@ -14,6 +14,7 @@ import { ensureValidPath } from '../../../core/metadata'
 import Prep from '../../../core/prep'
 import Remote from '../../../core/remote'
 import { TRASH_DIR_ID } from '../../../core/remote/constants'
+import { CHUNKED_UPLOAD_MIN_SIZE } from '../../../core/remote/upload'
 import timestamp from '../../../core/timestamp'
 
 import type { Metadata } from '../../../core/metadata'
@@ -115,6 +116,36 @@ describe('Remote', function () {
       })
     })
 
+    it('uploads a large file at once when the Cozy has no resumable uploads', async function () {
+      const doc: Object = {
+        _id: 'large-file',
+        path: 'large-file',
+        docType: 'file',
+        md5sum: 'fc7e0b72b8e64eb05e05aef652d6bbed950f85df',
+        updated_at: timestamp.current(),
+        size: CHUNKED_UPLOAD_MIN_SIZE,
+        sides: {
+          local: 1
+        }
+      }
+      this.remote.other = {
+        createReadStreamAsync (localDoc) {
+          return Promise.resolve(fs.createReadStream('test/fixtures/chat-mignon-mod.jpg'))
+        }
+      }
+      sinon.stub(this.remote.uploader, 'upload').resolves(null)
+
+      try {
+        await this.remote.addFileAsync(doc)
+      } finally {
+        this.remote.uploader.upload.restore()
+      }
+
+      const file = await cozy.files.statById(doc.remote._id)
+      should(file.attributes).have.properties({name: 'large-file', size: '36901'})
+      should(doc.blocks).have.properties({size: 36901})
+    })
+
     it('does not reupload an existing file', async function () {
       const backupDir = await builders.remote.dir().named('backup').inRootDir().create()
       await builders.remote.dir().named('ORIGINAL').inRootDir().create()
@@ -265,6 +296,41 @@ describe('Remote', function () {
         should(doc.remote._rev).equal(file._rev)
       })
 
+      it('uploads a large file at once when the Cozy has no deltas nor resumable uploads', async function () {
+        const created = await builders.remote.file().data('foo').create()
+        const old = conversion.createMetadata(created)
+        old.blocks = {md5sum: 'rL0Y20zC+Fzt72VPzMSk2A==', size: 3, blockSize: 1024 * 1024, blocks: []}
+        const doc: Metadata = {
+          ...old,
+          md5sum: 'N7UdGUp1E+RbVvZSTy1R8g==',
+          size: CHUNKED_UPLOAD_MIN_SIZE,
+          sides: {
+            local: 1
+          }
+        }
+        this.remote.other = {
+          createReadStreamAsync (localDoc) {
+            return Promise.resolve(builders.stream().push('bar').build())
+          }
+        }
+        sinon.stub(this.remote.deltaUploader, 'upload').resolves(null)
+        sinon.stub(this.remote.uploader, 'upload').resolves(null)
+
+        try {
+          await this.remote.overwriteFileAsync(doc, old)
+          should(this.remote.deltaUploader.upload).have.been.calledOnce()
+          should(this.remote.uploader.upload).have.been.calledOnce()
+        } finally {
+          this.remote.deltaUploader.upload.restore()
+          this.remote.uploader.upload.restore()
+        }
+
+        const file = await cozy.files.statById(doc.remote._id)
+        should(file.attributes).have.properties({md5sum: doc.md5sum, size: '3'})
+        should(doc.remote._rev).equal(file._rev)
+        should(doc.blocks).have.properties({md5sum: doc.md5sum, size: 3})
+      })
+
       it('throws an error if the checksum is invalid', async function () {
         const created = await builders.remote.file().data('foo').create()
         const old = conversion.createMetadata(created)
@@ -541,6 +607,8 @@ describe('Remote', function () {
 
       const trashed = await cozy.files.statById(doc.remote._id)
       should(trashed).have.propertyByPath('attributes', 'dir_id').eql(TRASH_DIR_ID)
+      const records = await this.pouch.getTrashAsync()
+      should(records).containDeep([{id: doc.remote._id, path: doc.path, docType: 'folder'}])
     })
 
     it('does nothing when file or folder does not exist anymore', async function () {
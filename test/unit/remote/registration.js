@@ -36,6 +36,7 @@ describe('Registration', function () {
     should(params.logoURI).equal(pkg.logo)
     should(params.scopes).eql([
       'io.cozy.files',
+      'io.cozy.permissions',
       'io.cozy.settings:GET:io.cozy.settings.disk-usage',
       'io.cozy.jobs:POST:sendmail:worker'
     ])
@@ -0,0 +1,125 @@
+/* eslint-env mocha */
+/* @flow weak */
+
+import should from 'should'
+import { Readable } from 'stream'
+
+import { BandwidthLimiter } from '../../../core/bandwidth'
+import RemoteCozy from '../../../core/remote/cozy'
+import ChunkedUploader, { ChunkReader } from '../../../core/remote/upload'
+
+import configHelpers from '../../support/helpers/config'
+import pouchHelpers from '../../support/helpers/pouch'
+import CozyStackDouble from '../../support/doubles/cozy_stack'
+import UploadServerDouble from '../../support/doubles/upload_server'
+
+const cozyStackDouble = new CozyStackDouble()
+
+const streamOf = (data) => {
+  const stream = new Readable({read () {}})
+  stream.push(data)
+  stream.push(null)
+  return stream
+}
+
+describe('ChunkReader', function () {
+  it('reads chunks of the given size until the end of the stream', async function () {
+    const reader = new ChunkReader(streamOf('foobarbaz'))
+    should(String(await reader.read(4))).equal('foob')
+    should(String(await reader.read(4))).equal('arba')
+    should(String(await reader.read(4))).equal('z')
+    should(await reader.read(4)).be.null()
+  })
+
+  it('skips the given number of bytes', async function () {
+    const reader = new ChunkReader(streamOf('foobarbaz'))
+    await reader.skip(7, 4)
+    should(String(await reader.read(4))).equal('az')
+    await should(new ChunkReader(streamOf('foo')).skip(4, 4)).be.rejected()
+  })
+})
+
+describe('ChunkedUploader', function () {
+  before(() => cozyStackDouble.start())
+  before('instanciate config', configHelpers.createConfig)
+  before('register OAuth client', configHelpers.registerClient)
+  before('instanciate pouch', pouchHelpers.createDatabase)
+  after('clean pouch', pouchHelpers.cleanDatabase)
+  after('clean config directory', configHelpers.cleanConfig)
+  after(() => cozyStackDouble.stop())
+
+  const doc = {_id: 'BIG-FILE', path: 'big-file', md5sum: 'md5', size: 9}
+  const target = {name: 'big-file', dirID: 'upload-dir-id'}
+
+  beforeEach(function () {
+    this.config.cozyUrl = cozyStackDouble.url()
+    this.server = new UploadServerDouble()
+    cozyStackDouble.stub(this.server.handle)
+    this.uploader = new ChunkedUploader(new RemoteCozy(this.config), this.pouch,
+      new BandwidthLimiter(this.config, 'upload'))
+    this.uploader.chunkSize = 4
+  })
+
+  afterEach(async function () {
+    cozyStackDouble.clearStub()
+    await this.pouch.removeUploadAsync(doc._id)
+  })
+
+  it('uploads the file in chunks and forgets the upload once done', async function () {
+    const remoteDoc = await this.uploader.upload(doc, streamOf('foobarbaz'), target)
+
+    should(remoteDoc).have.properties({_id: 'uploaded-file-id', path: '/upload-dir/big-file'})
+    should(this.server.uploads['1'].metadata).have.properties({
+      name: 'big-file', dirID: 'upload-dir-id', checksum: 'md5'
+    })
+    should(String(this.server.uploads['1'].data)).equal('foobarbaz')
+    should(await this.pouch.getUploadAsync(doc._id)).be.null()
+  })
+
+  it('resumes an interrupted upload from the bytes received by the Cozy', async function () {
+    this.server.dropAfter = 6
+    await should(this.uploader.upload(doc, streamOf('foobarbaz'), target)).be.rejected()
+    should(await this.pouch.getUploadAsync(doc._id)).have.properties({offset: 4})
+
+    await this.uploader.upload(doc, streamOf('foobarbaz'), target)
+
+    should(this.server.created).equal(1)
+    should(String(this.server.uploads['1'].data)).equal('foobarbaz')
+  })
+
+  it('starts again when the upload expired on the Cozy', async function () {
+    await this.pouch.setUploadAsync(doc._id, {
+      url: `${cozyStackDouble.url()}/files/uploads/42`, md5sum: 'md5', size: 9, offset: 4
+    })
+
+    await this.uploader.upload(doc, streamOf('foobarbaz'), target)
+
+    should(this.server.created).equal(1)
+    should(String(this.server.uploads['1'].data)).equal('foobarbaz')
+  })
+
+  it('starts again when the file changed since the upload started', async function () {
+    this.server.dropAfter = 6
+    await should(this.uploader.upload(doc, streamOf('foobarbaz'), target)).be.rejected()
+
+    await this.uploader.upload({...doc, md5sum: 'new-md5'}, streamOf('quxquxqux'), target)
+
+    should(this.server.created).equal(2)
+    should(String(this.server.uploads['2'].data)).equal('quxquxqux')
+  })
+
+  it('leaves the upload to the caller when the Cozy does not support it', async function () {
+    this.server.unsupported = true
+    const source = streamOf('foobarbaz')
+
+    should(await this.uploader.upload(doc, source, target)).be.null()
+    should(this.uploader.supported).be.false()
+    should(String(source.read())).equal('foobarbaz')
+    should(await this.pouch.getUploadAsync(doc._id)).be.null()
+
+    // The Cozy is not asked again
+    this.server.unsupported = false
+    should(await this.uploader.upload(doc, streamOf('foobarbaz'), target)).be.null()
+    should(this.server.created).equal(0)
+  })
+})
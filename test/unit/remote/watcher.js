@@ -576,6 +576,41 @@ describe('RemoteWatcher', function () {
       should(change.error).match(/corrupt/)
     })
 
+    describe('inside an excluded folder', function () {
+      beforeEach(function () { this.config.saveExcludedDirs(['excluded']) })
+      afterEach(function () { this.config.saveExcludedDirs([]) })
+
+      it('ignores a new doc', function () {
+        const doc: RemoteDoc = builders.remote.file().named('file-6').build()
+        doc.path = '/excluded/sub/file-6'
+
+        const change = this.watcher.identifyChange(clone(doc), null, 0, [])
+
+        should(change).have.property('type', 'RemoteIgnoredChange')
+      })
+
+      it('deletes the local copy of a doc moved into it', async function () {
+        const was: Metadata = await this.pouch.db.get(metadata.id(path.normalize('my-folder/file-3')))
+        const doc: RemoteDoc = {
+          _id: '12345678903',
+          _rev: '2-abcdef',
+          _type: FILES_DOCTYPE,
+          type: 'file',
+          dir_id: 'whatever',
+          path: '/excluded/file-3',
+          name: 'file-3',
+          md5sum: was.md5sum,
+          tags: [],
+          updated_at: '2017-01-30T09:09:15.217662611+01:00'
+        }
+
+        const change: RemoteChange = this.watcher.identifyChange(clone(doc), was, 0, [])
+
+        should(change.type).equal('FileDeletion')
+        should(change.doc).have.properties({path: was.path})
+      })
+    })
+
     xit('calls deleteDoc & addDoc when trashed', async function () {
       this.prep.deleteFolderAsync = sinon.stub()
       this.prep.deleteFolderAsync.returnsPromise().resolves(null)
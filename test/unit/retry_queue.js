@@ -0,0 +1,223 @@
+/* eslint-env mocha */
+
+import EventEmitter from 'events'
+import should from 'should'
+import sinon from 'sinon'
+
+import RetryQueue, {
+  BASE_DELAY, ERROR_HISTORY_SIZE, MAX_ATTEMPTS, MAX_DELAY, backoff
+} from '../../core/retry_queue'
+
+import configHelpers from '../support/helpers/config'
+import pouchHelpers from '../support/helpers/pouch'
+
+describe('RetryQueue', function () {
+  beforeEach('instanciate config', configHelpers.createConfig)
+  beforeEach('instanciate pouch', pouchHelpers.createDatabase)
+  afterEach('clean pouch', pouchHelpers.cleanDatabase)
+  afterEach('clean config directory', configHelpers.cleanConfig)
+
+  beforeEach('instanciate retry queue', function () {
+    this.events = new EventEmitter()
+    this.queue = new RetryQueue(this.pouch, this.events)
+    this.doc = {
+      _id: 'foo',
+      path: 'foo',
+      docType: 'file',
+      md5sum: 'rL0Y20zC+Fzt72VPzMSk2A==',
+      sides: {local: 2, remote: 1}
+    }
+    this.now = new Date('2017-10-01T12:00:00.000Z')
+    // Those dates are over, the retries would start right away
+    sinon.stub(this.queue, 'schedule')
+  })
+
+  afterEach('stop retry queue', function () {
+    this.queue.stop()
+  })
+
+  describe('backoff', function () {
+    it('doubles the delay with each attempt, up to a maximum', function () {
+      should(backoff(1)).equal(BASE_DELAY)
+      should(backoff(2)).equal(2 * BASE_DELAY)
+      should(backoff(3)).equal(4 * BASE_DELAY)
+      should(backoff(100)).equal(MAX_DELAY)
+    })
+  })
+
+  describe('recordFailure', function () {
+    it('saves the failure with its error and next attempt', async function () {
+      const err = new Error('Bad gateway')
+      err.status = 502
+      const updates = sinon.spy()
+      this.events.on('retry-queue', updates)
+
+      await this.queue.recordFailure(this.doc, err, this.now)
+
+      const records = await this.queue.list()
+      should(records).deepEqual([{
+        id: 'foo',
+        path: 'foo',
+        md5sum: 'rL0Y20zC+Fzt72VPzMSk2A==',
+        attempts: 1,
+        nextAttempt: '2017-10-01T12:01:00.000Z',
+        errors: [{code: '502', message: 'Bad gateway', at: '2017-10-01T12:00:00.000Z'}]
+      }])
+      should(updates).have.been.calledWith(records)
+    })
+
+    it('waits longer after each failure of the same change', async function () {
+      await this.queue.recordFailure(this.doc, new Error('first'), this.now)
+      const record = await this.queue.recordFailure(this.doc, new Error('second'), this.now)
+
+      should(record.attempts).equal(2)
+      should(record.nextAttempt).equal('2017-10-01T12:02:00.000Z')
+      should(record.errors.map(e => e.message)).deepEqual(['second', 'first'])
+    })
+
+    it('starts over when the file changed', async function () {
+      await this.queue.recordFailure(this.doc, new Error('first'), this.now)
+      this.doc.md5sum = 'VVVVVVVVVVVVVVVVVVVVVQ=='
+      const record = await this.queue.recordFailure(this.doc, new Error('second'), this.now)
+
+      should(record.attempts).equal(1)
+      should(record.errors).have.length(2)
+    })
+
+    it('gives up after too many attempts and keeps a few errors', async function () {
+      let record
+      for (let i = 0; i < MAX_ATTEMPTS; i++) {
+        record = await this.queue.recordFailure(this.doc, new Error(`error ${i}`), this.now)
+      }
+
+      should(record).have.properties({attempts: MAX_ATTEMPTS, nextAttempt: null})
+      should(record.errors).have.length(ERROR_HISTORY_SIZE)
+      should(record.errors[0].message).equal(`error ${MAX_ATTEMPTS - 1}`)
+    })
+  })
+
+  describe('succeeded', function () {
+    it('forgets the failures of the change', async function () {
+      await this.queue.recordFailure(this.doc, new Error('failed'), this.now)
+      await this.queue.recordFailure({...this.doc, _id: 'bar', path: 'bar'}, new Error('failed'), this.now)
+
+      await this.queue.succeeded(this.doc)
+
+      should((await this.queue.list()).map(r => r.id)).deepEqual(['bar'])
+    })
+  })
+
+  describe('retry', function () {
+    it('saves the doc again so Sync applies it again', async function () {
+      const {rev} = await this.pouch.db.put(this.doc)
+      await this.queue.recordFailure(this.doc, new Error('failed'), this.now)
+
+      await this.queue.retry('foo')
+
+      const doc = await this.pouch.db.get('foo')
+      should(doc._rev).not.equal(rev)
+      should(doc.sides).deepEqual({local: 2, remote: 1})
+      const [record] = await this.queue.list()
+      should(record).have.properties({attempts: 1, nextAttempt: null})
+    })
+
+    it('forgets the change when there is nothing to apply anymore', async function () {
+      await this.pouch.db.put({...this.doc, sides: {local: 2, remote: 2}})
+      await this.queue.recordFailure(this.doc, new Error('failed'), this.now)
+      await this.queue.recordFailure({...this.doc, _id: 'gone', path: 'gone'}, new Error('failed'), this.now)
+
+      await this.queue.retry('foo')
+      await this.queue.retry('gone')
+
+      should(await this.queue.list()).be.empty()
+    })
+
+    it('starts over when retried by the user', async function () {
+      await this.pouch.db.put(this.doc)
+      for (let i = 0; i < MAX_ATTEMPTS; i++) {
+        await this.queue.recordFailure(this.doc, new Error('failed'), this.now)
+      }
+
+      await this.queue.retryNow('foo')
+      const record = await this.queue.recordFailure(this.doc, new Error('failed'), this.now)
+
+      should(record).have.properties({attempts: 1, nextAttempt: '2017-10-01T12:01:00.000Z'})
+    })
+  })
+
+  describe('retryDue', function () {
+    it('only retries the changes whose delay is over', async function () {
+      await this.pouch.db.put(this.doc)
+      await this.pouch.db.put({...this.doc, _id: 'bar', path: 'bar'})
+      await this.queue.recordFailure(this.doc, new Error('failed'), this.now)
+      await this.queue.recordFailure({...this.doc, _id: 'bar', path: 'bar'}, new Error('failed'), this.now)
+      await this.queue.recordFailure({...this.doc, _id: 'bar', path: 'bar'}, new Error('failed'), this.now)
+      sinon.spy(this.queue, 'retry')
+
+      await this.queue.retryDue(new Date(this.now.getTime() + BASE_DELAY))
+
+      should(this.queue.retry).have.been.calledOnce()
+      should(this.queue.retry).have.been.calledWith('foo')
+    })
+  })
+
+  describe('schedule', function () {
+    it('retries the changes when their next attempt is due', function () {
+      const clock = sinon.useFakeTimers(this.now.getTime())
+      try {
+        this.queue.schedule.restore()
+        sinon.stub(this.queue, 'retryDue').resolves()
+        this.queue.schedule([
+          {id: 'foo', nextAttempt: '2017-10-01T12:02:00.000Z'},
+          {id: 'bar', nextAttempt: '2017-10-01T12:01:00.000Z'},
+          {id: 'baz', nextAttempt: null}
+        ])
+        clock.tick(BASE_DELAY - 1)
+        should(this.queue.retryDue).not.have.been.called()
+        clock.tick(1)
+        should(this.queue.retryDue).have.been.calledOnce()
+      } finally {
+        clock.restore()
+      }
+    })
+  })
+
+  describe('start', function () {
+    it('retries everything when the client is back online', async function () {
+      sinon.stub(this.queue, 'retryAll').resolves()
+      await this.queue.start()
+
+      this.events.emit('online')
+
+      should(this.queue.retryAll).have.been.calledOnce()
+    })
+
+    it('applies the failed changes again when the client is back online', async function () {
+      const {rev} = await this.pouch.db.put(this.doc)
+      await this.queue.recordFailure(this.doc, new Error('failed'), this.now)
+      await this.queue.start()
+      const retried = new Promise(resolve => this.events.once('retry-queue', resolve))
+
+      this.events.emit('online')
+      await retried
+
+      const doc = await this.pouch.db.get('foo')
+      should(doc._rev).not.equal(rev)
+      const [record] = await this.queue.list()
+      should(record).have.properties({attempts: 1, nextAttempt: null})
+    })
+  })
+
+  describe('stop', function () {
+    it('stops retrying when the client is back online', async function () {
+      sinon.stub(this.queue, 'retryAll').resolves()
+      await this.queue.start()
+      this.queue.stop()
+
+      this.events.emit('online')
+
+      should(this.queue.retryAll).not.have.been.called()
+      should(this.events.listenerCount('online')).equal(0)
+    })
+  })
+})
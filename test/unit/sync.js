@@ -1,9 +1,12 @@
 /* eslint-env mocha */
 
+import path from 'path'
 import sinon from 'sinon'
 import should from 'should'
 
+import ActivityGuard from '../../core/activity_guard'
 import Ignore from '../../core/ignore'
+import * as metadata from '../../core/metadata'
 import Sync from '../../core/sync'
 
 import stubSide from '../support/doubles/side'
@@ -85,6 +88,179 @@ describe('Sync', function () {
     })
   })
 
+  describe('sync with transfers in parallel', function () {
+    beforeEach(function () {
+      this.config.saveTransferConcurrency(2)
+      this.running = []
+      this.maxRunning = 0
+      this.applied = []
+      sinon.stub(this.sync, 'apply').callsFake(async (change) => {
+        this.running.push(change.doc._id)
+        this.maxRunning = Math.max(this.maxRunning, this.running.length)
+        await Promise.delay(change.doc.docType === 'file' ? 20 : 0)
+        this.running.splice(this.running.indexOf(change.doc._id), 1)
+        this.applied.push({id: change.doc._id, running: this.running.slice()})
+        await this.sync.setLocalSeq(change.seq)
+      })
+    })
+
+    afterEach(function () {
+      delete this.config.config.transferConcurrency
+    })
+
+    it('transfers files in parallel, up to the concurrency', async function () {
+      for (const id of ['parallel1', 'parallel2', 'parallel3']) {
+        await this.pouch.db.put({_id: id, docType: 'file', sides: {local: 1}})
+      }
+
+      await this.sync.sync()
+
+      should(this.sync.apply).have.been.calledThrice()
+      should(this.maxRunning).equal(2)
+      const lastSeq = this.sync.apply.args[2][0].seq
+      should(await this.pouch.getLocalSeqAsync()).equal(lastSeq)
+    })
+
+    it('waits for the transfers before applying other changes', async function () {
+      await this.pouch.db.put({_id: 'transferred1', docType: 'file', sides: {local: 1}})
+      await this.pouch.db.put({_id: 'transferred2', docType: 'file', sides: {remote: 1}})
+      await this.pouch.db.put({_id: 'folder', docType: 'folder', sides: {local: 1}})
+
+      await this.sync.sync()
+
+      should(this.applied.map(a => a.id)).containEql('folder')
+      const folder = this.applied.find(a => a.id === 'folder')
+      should(folder.running).be.empty()
+      should(this.applied[2]).equal(folder)
+    })
+
+    it('does not transfer the same file twice at the same time', function () {
+      const doc = {_id: 'same', docType: 'file', sides: {local: 1}}
+      const transfer = {doc, promise: Promise.resolve()}
+      should(this.sync.dependsOn({...doc, sides: {local: 2}}, transfer)).be.true()
+      // Even downloads of files with the same name, since Local names its
+      // temporary files after the doc ids
+      should(this.sync.dependsOn({...doc, _id: path.join('dir', 'same')}, transfer)).be.false()
+    })
+
+    it('only saves the local seq once the changes before it are applied', async function () {
+      this.sync.transfers.set(10, {})
+      this.sync.transfers.set(11, {})
+      await this.pouch.setLocalSeqAsync(9)
+
+      await this.sync.setLocalSeq(11)
+      should(await this.pouch.getLocalSeqAsync()).equal(9)
+
+      this.sync.transfers.delete(11)
+      await this.sync.saveAppliedSeqs(10)
+      should(await this.pouch.getLocalSeqAsync()).equal(11)
+      this.sync.transfers.clear()
+    })
+
+    it('does not save the local seq past a failed transfer', async function () {
+      await this.pouch.db.put({_id: 'failing', docType: 'file', sides: {local: 1}})
+      await this.pouch.db.put({_id: 'succeeding', docType: 'file', sides: {local: 1}})
+      this.sync.apply.withArgs(sinon.match({doc: {_id: 'failing'}})).callsFake(async () => {
+        // Like a change which failed while offline
+        await Promise.delay(20)
+      })
+      const before = await this.pouch.getLocalSeqAsync()
+
+      await this.sync.sync()
+
+      const [failed, succeeded] = this.sync.apply.args.map(args => args[0].seq)
+      should(succeeded).be.above(failed)
+      should(this.applied.map(a => a.id)).deepEqual(['succeeding'])
+      should(await this.pouch.getLocalSeqAsync()).equal(before)
+      should(before).be.below(failed)
+      // Don't leave the failed change to the next tests
+      await this.pouch.setLocalSeqAsync(succeeded)
+    })
+  })
+
+  describe('pause', function () {
+    it('holds the changes back until resume', async function () {
+      const doc = {_id: 'paused', docType: 'folder', sides: {local: 1}}
+      await this.pouch.db.put(doc)
+      const apply = sinon.stub(this.sync, 'apply')
+      apply.callsFake(change => this.pouch.setLocalSeqAsync(change.seq))
+
+      this.sync.pause()
+      should(this.events.emit).have.been.calledWith('sync-paused')
+      const syncing = this.sync.sync(false)
+      await Promise.delay(10)
+      should(apply).not.have.been.called()
+
+      this.sync.resume()
+      should(this.events.emit).have.been.calledWith('sync-resumed')
+      await syncing
+      should(apply).have.been.calledOnce()
+      should(apply.args[0][0].doc).have.properties(doc)
+    })
+
+    it('does nothing when already paused', function () {
+      this.sync.pause()
+      this.sync.pause()
+      should(this.events.emit).have.been.calledOnce()
+      this.sync.resume()
+      this.sync.resume()
+      should(this.events.emit).have.been.calledTwice()
+    })
+  })
+
+  describe('confirmActivity', function () {
+    beforeEach(function () {
+      this.sync.activityGuard = new ActivityGuard({suspiciousActivityThreshold: {changes: 2, seconds: 60}})
+    })
+
+    const deleted = (id) => ({_id: id, docType: 'folder', _deleted: true, sides: {local: 2, remote: 1}})
+
+    it('pauses on a burst of changes going to the Cozy until resume', async function () {
+      should(await this.sync.confirmActivity(deleted('foo'))).be.true()
+      should(await this.sync.confirmActivity(deleted('bar'))).be.false()
+      should(this.sync.paused).be.true()
+      should(this.events.emit).have.been.calledWith('suspicious-activity', {deletions: 2, updates: 0, seconds: 60})
+
+      // The changes already in progress don't ask again
+      should(await this.sync.confirmActivity(deleted('baz'))).be.false()
+      should(this.events.emit.withArgs('suspicious-activity')).have.been.calledOnce()
+
+      this.sync.resume()
+      should(await this.sync.confirmActivity(deleted('bar'))).be.true()
+      should(await this.sync.confirmActivity(deleted('baz'))).be.true()
+      should(this.sync.paused).be.false()
+    })
+
+    it('stops the sync loop without applying the change nor holding the lock', async function () {
+      this.sync.activityGuard = new ActivityGuard({suspiciousActivityThreshold: {changes: 1, seconds: 60}})
+      const doc = {_id: 'suspicious', path: 'suspicious', docType: 'file', trashed: true, sides: {local: 2, remote: 1}}
+      await this.pouch.db.put(doc)
+      const seq = await this.pouch.getLocalSeqAsync()
+
+      await this.sync.sync(false)
+
+      should(this.sync.paused).be.true()
+      should(this.remote.trashAsync).not.have.been.called()
+      should(await this.pouch.getLocalSeqAsync()).equal(seq)
+      const release = await Promise.race([this.pouch.lock('test'), Promise.delay(100)])
+      should(release).be.a.Function()
+      release()
+
+      this.sync.resume()
+      await this.sync.sync(false)
+
+      should(this.remote.trashAsync).have.been.calledOnce()
+      should(await this.pouch.getLocalSeqAsync()).be.above(seq)
+    })
+
+    it('does not count the changes applied on the local side', async function () {
+      const remoteDeletion = (id) => ({...deleted(id), sides: {local: 1, remote: 2}})
+      await this.sync.confirmActivity(remoteDeletion('foo'))
+      await this.sync.confirmActivity(remoteDeletion('bar'))
+      should(this.sync.paused).be.false()
+    })
+  })
+
   describe('apply', function () {
     it('does nothing for an ignored document', async function () {
       let change = {
@@ -119,6 +295,16 @@ describe('Sync', function () {
       this.sync.folderChanged.called.should.be.false()
     })
 
+    it('forgets the previous failures of an applied change', async function () {
+      const change = {
+        seq: 124,
+        doc: {_id: 'foo', docType: 'folder', sides: {local: 1, remote: 1}}
+      }
+      this.sync.retryQueue = {succeeded: sinon.stub().resolves()}
+      await this.sync.apply(change)
+      should(this.sync.retryQueue.succeeded).have.been.calledWith(change.doc)
+    })
+
     it('trashes a locally deleted file or folder', async function () {
       const change = {
         seq: 145,
@@ -398,6 +584,23 @@ describe('Sync', function () {
       actual.errors.should.equal(3)
       actual._rev.should.equal(doc._rev)
     })
+
+    it('leaves the change to the retry queue when there is one', async function () {
+      const doc = {_id: 'queued/failure', path: 'queued/failure', sides: {local: 1}}
+      const infos = await this.pouch.db.put(doc)
+      doc._rev = infos.rev
+      const err = new Error('Bad gateway')
+      this.sync.retryQueue = {recordFailure: sinon.stub().resolves()}
+      this.sync.setLocalSeq = sinon.stub().resolves()
+
+      await this.sync.updateErrors({doc, seq: 42}, err)
+
+      should(this.sync.retryQueue.recordFailure).have.been.calledWith(doc, err)
+      should(this.sync.setLocalSeq).have.been.calledWith(42)
+      const actual = await this.pouch.db.get(doc._id)
+      should(actual).not.have.property('errors')
+      should(actual._rev).equal(doc._rev)
+    })
   })
 
   describe('selectSide', function () {
@@ -473,4 +676,60 @@ describe('Sync', function () {
       should.not.exist(rev)
     })
   })
+
+  describe('removeExcludedDir', function () {
+    const docs = [
+      {_id: metadata.id('excluded'), path: 'excluded', docType: 'folder'},
+      {_id: metadata.id(path.normalize('excluded/sub')), path: path.normalize('excluded/sub'), docType: 'folder'},
+      {_id: metadata.id(path.normalize('excluded/sub/file')), path: path.normalize('excluded/sub/file'), docType: 'file'},
+      {_id: metadata.id('excluded-not'), path: 'excluded-not', docType: 'file'}
+    ]
+
+    beforeEach('put the docs', async function () {
+      for (const doc of docs) {
+        await this.pouch.db.put({...doc, sides: {local: 1, remote: 1}})
+      }
+    })
+
+    afterEach('remove the docs left', async function () {
+      for (const doc of docs) {
+        try {
+          await this.pouch.db.remove(await this.pouch.db.get(doc._id))
+        } catch (err) {
+          if (err.status !== 404) throw err
+        }
+      }
+    })
+
+    it('forgets the folder and its content without applying it', async function () {
+      await this.sync.removeExcludedDir('excluded')
+
+      for (const p of ['excluded', 'excluded/sub', 'excluded/sub/file']) {
+        await should(this.pouch.db.get(metadata.id(path.normalize(p))))
+          .be.rejectedWith({status: 404})
+      }
+      await should(this.pouch.db.get(metadata.id('excluded-not'))).be.fulfilled()
+
+      const {results} = await this.pouch.db.changes({
+        doc_ids: [metadata.id('excluded')],
+        include_docs: true
+      })
+      should(results[0].doc).have.properties({_deleted: true})
+      should(this.sync.selectSide(results[0].doc)).be.empty()
+    })
+
+    it('moves the local folder to the trash', async function () {
+      await this.sync.removeExcludedDir('excluded')
+
+      should(this.local.trashAsync).have.been.calledOnce()
+      should(this.local.trashAsync.args[0][0]).have.properties({path: 'excluded'})
+      should(this.remote.trashAsync).not.have.been.called()
+    })
+
+    it('does nothing when the folder was not synchronized', async function () {
+      await this.sync.removeExcludedDir('missing')
+
+      should(this.local.trashAsync).not.have.been.called()
+    })
+  })
 })
@@ -0,0 +1,148 @@
+/* eslint-env mocha */
+
+import should from 'should'
+import sinon from 'sinon'
+
+import Trash, { trashRecord } from '../../core/trash'
+import { TRASH_DIR_ID } from '../../core/remote/constants'
+
+import configHelpers from '../support/helpers/config'
+import pouchHelpers from '../support/helpers/pouch'
+
+describe('Trash', function () {
+  beforeEach('instanciate config', configHelpers.createConfig)
+  beforeEach('instanciate pouch', pouchHelpers.createDatabase)
+  afterEach('clean pouch', pouchHelpers.cleanDatabase)
+  afterEach('clean config directory', configHelpers.cleanConfig)
+
+  beforeEach('instanciate trash', async function () {
+    this.prep = {
+      addFileAsync: sinon.stub().resolves(),
+      putFolderAsync: sinon.stub().resolves(),
+      restoreFileAsync: sinon.stub().resolves(),
+      restoreFolderAsync: sinon.stub().resolves()
+    }
+    this.remoteCozy = {
+      find: sinon.stub(),
+      restoreById: sinon.stub(),
+      contents: sinon.stub().resolves([]),
+      destroyById: sinon.stub().resolves()
+    }
+    this.trash = new Trash(this.pouch, this.prep, {remoteCozy: this.remoteCozy})
+    this.record = (id, path, docType, trashedAt) =>
+      this.pouch.updateTrashAsync(records => records.concat({id, path, docType, trashedAt}))
+    this.remoteFile = (id, path) => ({
+      _id: id,
+      _rev: '2-abc',
+      type: 'file',
+      name: path.split('/').pop(),
+      path,
+      md5sum: 'rL0Y20zC+Fzt72VPzMSk2A==',
+      size: '3',
+      updated_at: '2017-10-01T12:00:00.000Z'
+    })
+  })
+
+  describe('trashRecord', function () {
+    it('keeps where the doc was and when it was trashed', function () {
+      const doc = {path: 'dir/foo', docType: 'file', remote: {_id: '123', _rev: '2-abc'}}
+      should(trashRecord(doc, new Date('2017-10-01T12:00:00.000Z'))).deepEqual({
+        id: '123',
+        path: 'dir/foo',
+        docType: 'file',
+        trashedAt: '2017-10-01T12:00:00.000Z'
+      })
+    })
+  })
+
+  describe('list', function () {
+    it('lists the items still in the Cozy trash, the most recent first', async function () {
+      await this.record('1', 'foo', 'file', '2017-10-01T12:00:00.000Z')
+      await this.record('2', 'bar', 'folder', '2017-10-02T12:00:00.000Z')
+      await this.record('3', 'restored', 'file', '2017-10-03T12:00:00.000Z')
+      await this.record('4', 'destroyed', 'file', '2017-10-04T12:00:00.000Z')
+      this.remoteCozy.find.withArgs('1').resolves({trashed: true, path: '/.cozy_trash/foo', dir_id: TRASH_DIR_ID})
+      this.remoteCozy.find.withArgs('2').resolves({path: '/.cozy_trash/bar', dir_id: TRASH_DIR_ID})
+      this.remoteCozy.find.withArgs('3').resolves({path: '/restored'})
+      this.remoteCozy.find.withArgs('4').rejects({status: 404})
+
+      const records = await this.trash.list()
+
+      should(records.map(r => r.id)).deepEqual(['2', '1'])
+      should((await this.pouch.getTrashAsync()).map(r => r.id)).deepEqual(['1', '2'])
+    })
+
+    it('does not forget anything when the Cozy cannot be reached', async function () {
+      await this.record('1', 'foo', 'file', '2017-10-01T12:00:00.000Z')
+      this.remoteCozy.find.rejects(new Error('offline'))
+
+      await should(this.trash.list()).be.rejectedWith('offline')
+      should(await this.pouch.getTrashAsync()).have.length(1)
+    })
+  })
+
+  describe('restore', function () {
+    it('moves the file out of the Cozy trash and merges it back', async function () {
+      await this.record('1', 'dir/foo', 'file', '2017-10-01T12:00:00.000Z')
+      this.remoteCozy.restoreById.resolves(this.remoteFile('1', '/dir/foo'))
+
+      await this.trash.restore('1')
+
+      should(this.remoteCozy.restoreById).have.been.calledWith('1')
+      should(this.prep.restoreFileAsync).have.been.calledOnce()
+      const [side, was, doc] = this.prep.restoreFileAsync.firstCall.args
+      should(side).equal('remote')
+      should(was).have.properties({path: '.cozy_trash/foo', trashed: true})
+      should(doc).have.properties({path: 'dir/foo', remote: {_id: '1', _rev: '2-abc'}})
+      should(await this.pouch.getTrashAsync()).be.empty()
+    })
+
+    it('brings back the content of a folder', async function () {
+      const dir = {_id: '1', _rev: '2-abc', type: 'directory', name: 'dir', path: '/dir'}
+      const subdir = {_id: '2', _rev: '1-abc', type: 'directory', name: 'subdir', path: '/dir/subdir'}
+      await this.record('1', 'dir', 'folder', '2017-10-01T12:00:00.000Z')
+      this.remoteCozy.restoreById.resolves(dir)
+      this.remoteCozy.contents.withArgs(dir).resolves([subdir, this.remoteFile('3', '/dir/foo')])
+      this.remoteCozy.contents.withArgs(subdir).resolves([this.remoteFile('4', '/dir/subdir/bar')])
+
+      await this.trash.restore('1')
+
+      should(this.prep.restoreFolderAsync).have.been.calledOnce()
+      should(this.prep.putFolderAsync.args.map(args => args[1].path)).deepEqual(['dir/subdir'])
+      should(this.prep.addFileAsync.args.map(args => args[1].path)).deepEqual(['dir/subdir/bar', 'dir/foo'])
+    })
+
+    it('waits for the Pouch lock to merge the restoration', async function () {
+      await this.record('1', 'dir/foo', 'file', '2017-10-01T12:00:00.000Z')
+      this.remoteCozy.restoreById.resolves(this.remoteFile('1', '/dir/foo'))
+
+      const release = await this.pouch.lock('other')
+      const restored = this.trash.restore('1')
+      await Promise.delay(50)
+      should(this.prep.restoreFileAsync).not.have.been.called()
+      release()
+      await restored
+
+      should(this.prep.restoreFileAsync).have.been.calledOnce()
+    })
+
+    it('fails when the item was not trashed by this device', async function () {
+      await should(this.trash.restore('1')).be.rejectedWith(/No such trashed/)
+      should(this.remoteCozy.restoreById).not.have.been.called()
+    })
+  })
+
+  describe('destroy', function () {
+    it('deletes the items from the Cozy trash for good', async function () {
+      await this.record('1', 'foo', 'file', '2017-10-01T12:00:00.000Z')
+      await this.record('2', 'bar', 'file', '2017-10-01T12:00:00.000Z')
+      await this.record('3', 'baz', 'file', '2017-10-01T12:00:00.000Z')
+      this.remoteCozy.destroyById.withArgs('2').rejects({status: 404})
+
+      await this.trash.destroy(['1', '2'])
+
+      should(this.remoteCozy.destroyById.args.map(args => args[0])).deepEqual(['1', '2'])
+      should((await this.pouch.getTrashAsync()).map(r => r.id)).deepEqual(['3'])
+    })
+  })
+})